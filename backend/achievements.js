@@ -0,0 +1,273 @@
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs';
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+dotenv.config();
+import { getUserContract, getPlayerRecord, listPlayerIdentifiers } from './contractManager.js';
+import { getNetwork, recordNetwork, waitForTx } from './networks.js';
+import { getDb } from './datastore.js';
+import { emitEvent, onEvent } from './events.js';
+import { isValidStatName } from './statNames.js';
+
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/*
+ * Achievement rules: a player earns an achievement once the stat summed over all of their
+ * identifiers reaches `threshold`. Each earned achievement is minted once as a soulbound token
+ * from the Achievements contract of the player's network (`achievementsAddress`), to the player's
+ * primary identifier, or their first linked EVM address when the primary is not one.
+ * ACHIEVEMENTS_PATH (a JSON array of rules) replaces the defaults below. Rule ids end up on-chain
+ * as keccak256(id), so never rename one that has been minted.
+ */
+const DEFAULT_RULES = [
+  { id: 'first-blood', name: 'First Blood', description: 'Score your first kill.', stat: 'kills', threshold: 1 },
+  { id: 'centurion', name: 'Centurion', description: 'Score 100 kills.', stat: 'kills', threshold: 100 },
+  { id: 'champion', name: 'Champion', description: 'Win 10 matches.', stat: 'wins', threshold: 10 },
+  { id: 'veteran', name: 'Veteran', description: 'Play 50 matches.', stat: 'matchesPlayed', threshold: 50 },
+];
+const ACHIEVEMENTS_PATH = process.env.ACHIEVEMENTS_PATH || path.join(__dirname, '..', 'achievements.json');
+// How long a queued mint may take to confirm before it is marked failed (and retried on the next evaluation)
+const MINT_TIMEOUT_MS = 60 * 60 * 1000;
+const ACHIEVEMENTS_IFACE = new ethers.Interface([
+  'function mint(address player, bytes32 achievementId) returns (uint256)',
+  'function hasAchievement(address player, bytes32 achievementId) view returns (bool)',
+]);
+
+const ID_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+let rules = null;
+const evaluations = new Map(); // username -> promise of the evaluation in progress
+let unsubscribe = null;
+
+function normalizeRule(raw) {
+  const rule = {
+    id: raw?.id,
+    name: raw?.name || raw?.id,
+    description: raw?.description || '',
+    stat: raw?.stat,
+    threshold: raw?.threshold,
+    image: raw?.image || null,
+  };
+  if (typeof rule.id !== 'string' || !ID_RE.test(rule.id)) throw new Error(`Invalid achievement id "${rule.id}" (lowercase letters, digits and dashes)`);
+  if (!isValidStatName(rule.stat)) throw new Error(`Achievement "${rule.id}" has an invalid stat "${rule.stat}"`);
+  try {
+    if (BigInt(rule.threshold) <= 0n) throw new Error();
+  } catch (e) {
+    throw new Error(`Achievement "${rule.id}" needs a positive integer threshold`);
+  }
+  rule.threshold = BigInt(rule.threshold).toString();
+  return rule;
+}
+
+function loadRules() {
+  let raw = DEFAULT_RULES;
+  try {
+    if (fs.existsSync(ACHIEVEMENTS_PATH)) raw = JSON.parse(fs.readFileSync(ACHIEVEMENTS_PATH, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to read achievements file ${ACHIEVEMENTS_PATH}: ${e?.message || e}`);
+  }
+  if (!Array.isArray(raw)) throw new Error(`Achievements file ${ACHIEVEMENTS_PATH} must hold an array of rules`);
+  const normalized = raw.map(normalizeRule);
+  const ids = new Set(normalized.map((rule) => rule.id));
+  if (ids.size !== normalized.length) throw new Error('Achievement ids must be unique');
+  return normalized;
+}
+
+/**
+ * Every achievement rule.
+ * @returns {Array<{ id:string, name:string, description:string, stat:string, threshold:string, image:string|null }>}
+ */
+function listAchievementRules() {
+  if (!rules) rules = loadRules();
+  return rules;
+}
+
+function getAchievementRule(id) {
+  return listAchievementRules().find((rule) => rule.id === id) || null;
+}
+
+function achievementKey(id) {
+  return ethers.id(id);
+}
+
+/**
+ * Token id of an achievement minted to `recipient`; mirrors Achievements.tokenIdFor.
+ * @returns {string} decimal token id
+ */
+function achievementTokenId(recipient, id) {
+  return BigInt(ethers.solidityPackedKeccak256(['address', 'bytes32'], [recipient, achievementKey(id)])).toString();
+}
+
+function rowToAchievement(row) {
+  const rule = getAchievementRule(row.achievement_id);
+  return {
+    id: row.achievement_id,
+    name: rule?.name ?? row.achievement_id,
+    description: rule?.description ?? '',
+    status: row.status,
+    network: row.network,
+    recipient: row.recipient,
+    tokenId: row.token_id,
+    txId: row.tx_id,
+    txHash: row.tx_hash,
+    error: row.error,
+    earnedAt: row.earned_at,
+    mintedAt: row.minted_at,
+  };
+}
+
+/**
+ * Achievements earned by a player, oldest first.
+ */
+function listPlayerAchievements(username) {
+  return getDb().prepare('SELECT * FROM player_achievements WHERE username = ? ORDER BY earned_at, achievement_id').all(username).map(rowToAchievement);
+}
+
+/**
+ * ERC-721 metadata of a minted (or minting) achievement token, or null if no such token.
+ * @param {string} tokenId decimal token id
+ */
+function getAchievementMetadata(tokenId) {
+  const row = getDb().prepare('SELECT * FROM player_achievements WHERE token_id = ?').get(tokenId);
+  if (!row) return null;
+  const rule = getAchievementRule(row.achievement_id);
+  return {
+    name: rule?.name ?? row.achievement_id,
+    description: rule?.description ?? '',
+    image: rule?.image ?? null,
+    attributes: [
+      { trait_type: 'Achievement', value: row.achievement_id },
+      { trait_type: 'Player', value: row.username },
+      ...(rule ? [{ trait_type: 'Stat', value: rule.stat }, { trait_type: 'Threshold', value: Number(rule.threshold), display_type: 'number' }] : []),
+      { trait_type: 'Network', value: row.network },
+      { trait_type: 'Earned', value: Math.floor(new Date(row.earned_at).getTime() / 1000), display_type: 'date' },
+    ],
+    soulbound: true,
+  };
+}
+
+/**
+ * EVM address achievements of a player are minted to: the primary identifier, or the first linked EVM one.
+ */
+function mintRecipient(username) {
+  return listPlayerIdentifiers(username).find((id) => id.isEthereum)?.identifier ?? null;
+}
+
+function updateAchievement(username, id, fields) {
+  const columns = Object.keys(fields);
+  getDb().prepare(`UPDATE player_achievements SET ${columns.map((c) => `${c} = ?`).join(', ')}, updated_at = ? WHERE username = ? AND achievement_id = ?`)
+    .run(...columns.map((c) => fields[c]), new Date().toISOString(), username, id);
+}
+
+function markMinted(username, id, { txHash = null } = {}) {
+  updateAchievement(username, id, { status: 'minted', tx_hash: txHash, error: null, minted_at: new Date().toISOString() });
+  const row = getDb().prepare('SELECT * FROM player_achievements WHERE username = ? AND achievement_id = ?').get(username, id);
+  emitEvent('achievement.minted', { username, achievementId: id, network: row.network, recipient: row.recipient, tokenId: row.token_id, txHash });
+}
+
+async function awaitMint(username, id, txId) {
+  try {
+    const tx = await waitForTx(txId, 'confirmed', MINT_TIMEOUT_MS);
+    markMinted(username, id, { txHash: tx.hash });
+  } catch (err) {
+    updateAchievement(username, id, { status: 'failed', error: err?.message || String(err) });
+    console.warn(`Minting achievement ${id} for ${username} failed:`, err?.message || err);
+  }
+}
+
+/**
+ * Mint an earned achievement if the player's network has an Achievements contract and the player has an EVM address;
+ * otherwise it stays 'earned' until both exist. Resolves once the mint is queued; its confirmation is followed in the background.
+ */
+async function mintAchievement(username, id) {
+  const record = getPlayerRecord(username);
+  if (!record) return;
+  const network = getNetwork(recordNetwork(record));
+  const recipient = mintRecipient(username);
+  if (!network.achievementsAddress || !network.txQueue || !recipient) return;
+
+  const db = getDb();
+  const claimed = db.prepare(`UPDATE player_achievements SET status = 'pending', network = ?, recipient = ?, token_id = ?, tx_id = NULL, error = NULL, updated_at = ?
+    WHERE username = ? AND achievement_id = ? AND status IN ('earned', 'failed')`)
+    .run(network.name, recipient, achievementTokenId(recipient, id), new Date().toISOString(), username, id);
+  if (claimed.changes === 0) return;
+
+  try {
+    // A mint that confirmed after we gave up on it (or was lost with its queue) must not be sent twice
+    const contract = new ethers.Contract(network.achievementsAddress, ACHIEVEMENTS_IFACE, network.provider);
+    if (await contract.hasAchievement(recipient, achievementKey(id))) return markMinted(username, id);
+
+    const job = network.txQueue.enqueue({
+      to: network.achievementsAddress,
+      data: ACHIEVEMENTS_IFACE.encodeFunctionData('mint', [recipient, achievementKey(id)]),
+      label: `mint achievement ${id} for ${username}`,
+    });
+    updateAchievement(username, id, { tx_id: job.id });
+    console.log(`Queued achievement ${id} for ${username} to ${recipient} on ${network.name} (tx ${job.id})`);
+    awaitMint(username, id, job.id);
+  } catch (err) {
+    updateAchievement(username, id, { status: 'failed', error: err?.message || String(err) });
+    console.warn(`Minting achievement ${id} for ${username} failed:`, err?.message || err);
+  }
+}
+
+async function runEvaluation(username) {
+  const contract = await getUserContract(username);
+  if (!contract) return [];
+  const { stats } = contract;
+
+  const db = getDb();
+  const insert = db.prepare(`INSERT OR IGNORE INTO player_achievements (username, achievement_id, status, earned_at, updated_at)
+    VALUES (?, ?, 'earned', ?, ?)`);
+  for (const rule of listAchievementRules()) {
+    if (BigInt(stats[rule.stat] ?? 0) < BigInt(rule.threshold)) continue;
+    const now = new Date().toISOString();
+    if (insert.run(username, rule.id, now, now).changes === 1) {
+      emitEvent('achievement.earned', { username, achievementId: rule.id, stat: rule.stat, threshold: rule.threshold });
+    }
+  }
+
+  const unminted = db.prepare("SELECT achievement_id FROM player_achievements WHERE username = ? AND status IN ('earned', 'failed')").all(username);
+  await Promise.all(unminted.map((row) => mintAchievement(username, row.achievement_id)));
+  return listPlayerAchievements(username);
+}
+
+/**
+ * Award every achievement the player's current stats qualify for and queue mints for the unminted ones.
+ * Evaluations of the same player run one after another.
+ * @returns {Promise<Array<Object>>} the player's achievements (see `listPlayerAchievements`)
+ */
+function evaluateAchievements(username) {
+  const previous = evaluations.get(username) || Promise.resolve();
+  const next = previous.catch(() => {}).then(() => runEvaluation(username));
+  evaluations.set(username, next);
+  next.catch(() => {}).finally(() => { if (evaluations.get(username) === next) evaluations.delete(username); });
+  return next;
+}
+
+/**
+ * Re-evaluate a player whenever their stats change on-chain or they gain an address to mint to,
+ * and follow mints left pending by a previous run.
+ */
+function startAchievementEngine() {
+  if (unsubscribe) return;
+  listAchievementRules();
+  unsubscribe = onEvent((event) => {
+    if (!['stats.updated', 'identifier.linked', 'identifier.primary_changed'].includes(event.type) || !event.subject) return;
+    evaluateAchievements(event.subject).catch((err) => console.warn(`Achievement evaluation for ${event.subject} failed:`, err?.message || err));
+  });
+  for (const row of getDb().prepare("SELECT username, achievement_id, tx_id FROM player_achievements WHERE status = 'pending'").all()) {
+    if (row.tx_id) awaitMint(row.username, row.achievement_id, row.tx_id);
+    else updateAchievement(row.username, row.achievement_id, { status: 'failed', error: 'Interrupted before the mint was queued' });
+  }
+}
+
+function stopAchievementEngine() {
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+}
+
+export { listAchievementRules, getAchievementRule, achievementTokenId, listPlayerAchievements, getAchievementMetadata, evaluateAchievements, mintAchievement, startAchievementEngine, stopAchievementEngine };
@@ -0,0 +1,114 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import dotenv from 'dotenv';
+dotenv.config();
+import { getDb } from './datastore.js';
+
+// Permissions checked by the routes, and the roles granting them
+const PERMISSIONS = [
+  'users:read', 'users:register', 'stats:write', 'stats:correct', 'match:submit',
+  'contracts:transfer', 'sessions:read', 'sessions:revoke', 'audit:read', 'keys:manage',
+  'events:read', 'webhooks:manage', 'sessions:vouch', 'signers:manage', 'notifications:read',
+];
+const ROLES = {
+  operator: PERMISSIONS,
+  'game-server': ['users:read', 'stats:write', 'match:submit', 'sessions:vouch', 'notifications:read'],
+  'read-only': ['users:read', 'sessions:read', 'audit:read', 'events:read', 'notifications:read'],
+};
+
+// Keys configured through env (no database row): kept working alongside stored keys
+const ENV_KEYS = [
+  { env: 'ADMIN_API_KEY', roles: ['operator'] },
+  { env: 'GAME_SERVER_API_KEY', roles: ['game-server'] },
+];
+
+function hashSecret(secret) {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && timingSafeEqual(ab, bb);
+}
+
+function rowToKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    roles: JSON.parse(row.roles),
+    createdAt: row.created_at,
+    createdBy: row.created_by,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+function validateRoles(roles) {
+  if (!Array.isArray(roles) || roles.length === 0) throw new Error(`roles must be a non-empty array of: ${Object.keys(ROLES).join(', ')}`);
+  for (const role of roles) {
+    if (!ROLES[role]) throw new Error(`Unknown role "${role}". Expected one of: ${Object.keys(ROLES).join(', ')}`);
+  }
+}
+
+/**
+ * Create an API key. The plaintext key (`ogp_<id>.<secret>`) is only returned here.
+ * @param {{ name:string, roles:string[], createdBy?:string }} options
+ * @returns {{ id:string, key:string, name:string, roles:string[], createdAt:string }}
+ */
+function createApiKey({ name, roles, createdBy = null }) {
+  if (!name || typeof name !== 'string' || name.length > 100) throw new Error('name (string, max 100 chars) is required');
+  validateRoles(roles);
+
+  const id = randomBytes(6).toString('hex');
+  const secret = randomBytes(32).toString('base64url');
+  const createdAt = new Date().toISOString();
+  getDb().prepare('INSERT INTO api_keys (id, name, secret_hash, roles, created_at, created_by) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(id, name, hashSecret(secret), JSON.stringify([...new Set(roles)]), createdAt, createdBy);
+  return { id, key: `ogp_${id}.${secret}`, name, roles: [...new Set(roles)], createdAt };
+}
+
+function listApiKeys() {
+  return getDb().prepare('SELECT * FROM api_keys ORDER BY created_at').all().map(rowToKey);
+}
+
+/**
+ * @returns {Object|null} the revoked key, or null if unknown or already revoked
+ */
+function revokeApiKey(id) {
+  const db = getDb();
+  const changed = db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(new Date().toISOString(), id).changes;
+  return changed ? rowToKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id)) : null;
+}
+
+/**
+ * Resolve a presented key to its principal.
+ * @returns {{ id:string, name:string, roles:string[] }|null} null for unknown, malformed or revoked keys
+ */
+function authenticateApiKey(key) {
+  if (!key || typeof key !== 'string') return null;
+
+  const match = key.match(/^ogp_([0-9a-f]{12})\.([A-Za-z0-9_-]+)$/);
+  if (match) {
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM api_keys WHERE id = ? AND revoked_at IS NULL').get(match[1]);
+    if (!row || !safeEqual(hashSecret(match[2]), row.secret_hash)) return null;
+    db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+    return { id: row.id, name: row.name, roles: JSON.parse(row.roles) };
+  }
+
+  for (const { env, roles } of ENV_KEYS) {
+    const expected = process.env[env];
+    if (expected && safeEqual(key, expected)) return { id: `env:${env}`, name: env, roles };
+  }
+  return null;
+}
+
+function permissionsFor(roles) {
+  return [...new Set(roles.flatMap((role) => ROLES[role] || []))];
+}
+
+function hasPermission(roles, permission) {
+  return permissionsFor(roles).includes(permission);
+}
+
+export { ROLES, PERMISSIONS, createApiKey, listApiKeys, revokeApiKey, authenticateApiKey, permissionsFor, hasPermission };
@@ -0,0 +1,59 @@
+import { getDb } from './datastore.js';
+
+/**
+ * Append an entry to the audit log.
+ * @param {{ actor:string, actorName?:string, action:string, target?:string, params?:Object, outcome:'ok'|'error'|'denied', error?:string, ip?:string }} entry
+ */
+function recordAudit({ actor, actorName = null, action, target = null, params = {}, outcome, error = null, ip = null }) {
+  getDb().prepare(`INSERT INTO audit_log (at, actor, actor_name, action, target, params, outcome, error, ip)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(new Date().toISOString(), actor, actorName, action, target, JSON.stringify(params), outcome, error, ip);
+}
+
+/**
+ * Run `fn` on behalf of the request's principal (see requirePermission) and record the outcome.
+ * Errors are recorded and rethrown.
+ */
+async function withAudit(req, { action, target = null, params = {} }, fn) {
+  const entry = { actor: req.principal?.id || 'anonymous', actorName: req.principal?.name, action, target, params, ip: req.clientIp ?? req.ip };
+  try {
+    const result = await fn();
+    recordAudit({ ...entry, outcome: 'ok' });
+    return result;
+  } catch (err) {
+    recordAudit({ ...entry, outcome: 'error', error: err?.message || String(err) });
+    throw err;
+  }
+}
+
+/**
+ * Newest entries first, optionally filtered by action, actor or target.
+ * @returns {{ total:number, limit:number, offset:number, entries:Object[] }}
+ */
+function listAudit({ limit = 50, offset = 0, action, actor, target } = {}) {
+  const where = [];
+  const args = [];
+  if (action) { where.push('action = ?'); args.push(action); }
+  if (actor) { where.push('actor = ?'); args.push(actor); }
+  if (target) { where.push('target = ?'); args.push(target); }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const db = getDb();
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM audit_log ${clause}`).get(...args);
+  const entries = db.prepare(`SELECT * FROM audit_log ${clause} ORDER BY id DESC LIMIT ? OFFSET ?`).all(...args, limit, offset)
+    .map((row) => ({
+      id: row.id,
+      at: row.at,
+      actor: row.actor,
+      actorName: row.actor_name,
+      action: row.action,
+      target: row.target,
+      params: JSON.parse(row.params),
+      outcome: row.outcome,
+      error: row.error,
+      ip: row.ip,
+    }));
+  return { total, limit, offset, entries };
+}
+
+export { recordAudit, withAudit, listAudit };
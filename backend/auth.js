@@ -0,0 +1,63 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import { authenticateApiKey, hasPermission } from './apiKeys.js';
+import { recordAudit } from './auditLog.js';
+import { sendError } from './errors.js';
+
+/**
+ * Read the API key from `X-Api-Key` or an `Authorization: Bearer <key>` header.
+ */
+function getRequestApiKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header;
+  const auth = req.get('authorization') || '';
+  const match = auth.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Express middleware: only allow requests whose API key grants `permission` (see apiKeys.js roles).
+ * Sets `req.principal` ({ id, name, roles }). Refusals for a valid key are written to the audit log.
+ */
+function requirePermission(permission) {
+  const middleware = (req, res, next) => {
+    const principal = authenticateApiKey(getRequestApiKey(req));
+    if (!principal) return sendError(res, 'api_key_required', 'Invalid or missing API key');
+
+    req.principal = principal;
+    if (!hasPermission(principal.roles, permission)) {
+      recordAudit({
+        actor: principal.id,
+        actorName: principal.name,
+        action: `${req.method} ${req.route?.path || req.path}`,
+        target: req.params?.username || req.params?.id || null,
+        outcome: 'denied',
+        error: `missing permission ${permission}`,
+        ip: req.clientIp ?? req.ip,
+      });
+      return sendError(res, 'permission_denied', 'API key lacks the required permission', { required: permission });
+    }
+    next();
+  };
+  // Listed in the OpenAPI document
+  middleware.permission = permission;
+  return middleware;
+}
+
+/**
+ * The ip a player's session is bound to or checked against. It is the caller's own ip (`req.clientIp`)
+ * unless `claimedIp` is given, which is only accepted when an API key with `sessions:vouch`
+ * (a game server) vouches for the player; the key then becomes `req.principal`.
+ * @param {import('express').Request} req
+ * @param {string} [claimedIp]
+ * @returns {{ ok:true, ip:string }|{ ok:false }}
+ */
+function resolveSessionIp(req, claimedIp) {
+  if (claimedIp === undefined || claimedIp === null) return { ok: true, ip: req.clientIp };
+  const principal = authenticateApiKey(getRequestApiKey(req));
+  if (!principal || !hasPermission(principal.roles, 'sessions:vouch')) return { ok: false };
+  req.principal = principal;
+  return { ok: true, ip: claimedIp };
+}
+
+export { requirePermission, getRequestApiKey, resolveSessionIp };
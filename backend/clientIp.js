@@ -0,0 +1,140 @@
+import net from 'net';
+import dotenv from 'dotenv';
+dotenv.config();
+
+/*
+ * Client ip resolution. Sessions are bound to the ip the request comes from, never to one the
+ * client claims: the socket address is used unless it belongs to a trusted proxy, in which case
+ * the forwarding header is walked from the right, skipping trusted hops, to the first untrusted one.
+ * - TRUSTED_PROXIES: comma separated ips and CIDRs (e.g. `10.0.0.0/8, ::1`); `loopback` and
+ *   `private` stand for the loopback and private ranges. Empty (default): headers are ignored.
+ * - TRUSTED_PROXY_HEADER: `x-forwarded-for` (default) or `forwarded` (RFC 7239). Only the header
+ *   the proxies actually write must be trusted, otherwise a client could prepend its own entries.
+ * - SESSION_IPV4_PREFIX / SESSION_IPV6_PREFIX: how much of the address must match the one a session
+ *   is bound to (default 32 / 128, i.e. exact). 24 tolerates clients moving inside a /24, 64 inside
+ *   an IPv6 /64 (one subscriber prefix).
+ */
+const PROXY_HEADER = (process.env.TRUSTED_PROXY_HEADER || 'x-forwarded-for').toLowerCase();
+const IPV4_PREFIX = prefixFromEnv('SESSION_IPV4_PREFIX', 32);
+const IPV6_PREFIX = prefixFromEnv('SESSION_IPV6_PREFIX', 128);
+
+const PROXY_PRESETS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+};
+
+if (!['x-forwarded-for', 'forwarded'].includes(PROXY_HEADER)) {
+  throw new Error(`TRUSTED_PROXY_HEADER must be 'x-forwarded-for' or 'forwarded', got '${PROXY_HEADER}'`);
+}
+
+function prefixFromEnv(name, max) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return max;
+  const prefix = Number(raw);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > max) throw new Error(`${name} must be an integer between 0 and ${max}`);
+  return prefix;
+}
+
+/**
+ * Canonical form of an ip address, or null if `value` is not one. IPv4-mapped IPv6 addresses
+ * (`::ffff:1.2.3.4`) become plain IPv4; brackets and ports (`[::1]:443`, `1.2.3.4:80`) are dropped.
+ */
+function normalizeIp(value) {
+  if (typeof value !== 'string') return null;
+  let ip = value.trim().replace(/^"|"$/g, '');
+  const bracketed = ip.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) ip = bracketed[1];
+  else if (/^[\d.]+:\d+$/.test(ip)) ip = ip.slice(0, ip.lastIndexOf(':'));
+  ip = ip.replace(/%.*$/, '');
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) ip = mapped[1];
+  const family = net.isIP(ip);
+  if (family === 4) return ip;
+  if (family === 6) return ip.toLowerCase();
+  return null;
+}
+
+function familyOf(ip) {
+  return net.isIP(ip) === 6 ? 'ipv6' : 'ipv4';
+}
+
+function parseTrustedProxies(value) {
+  const list = new net.BlockList();
+  const entries = (value || '').split(',').map((s) => s.trim()).filter(Boolean)
+    .flatMap((entry) => PROXY_PRESETS[entry] || [entry]);
+  for (const entry of entries) {
+    const [address, bits] = entry.split('/');
+    const ip = normalizeIp(address);
+    if (!ip) throw new Error(`TRUSTED_PROXIES: "${entry}" is not an ip or CIDR`);
+    const family = familyOf(ip);
+    const max = family === 'ipv6' ? 128 : 32;
+    const prefix = bits === undefined ? max : Number(bits);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > max) throw new Error(`TRUSTED_PROXIES: bad prefix in "${entry}"`);
+    list.addSubnet(ip, prefix, family);
+  }
+  return { list, empty: entries.length === 0 };
+}
+
+const trusted = parseTrustedProxies(process.env.TRUSTED_PROXIES);
+
+function isTrustedProxy(ip) {
+  return !trusted.empty && ip !== null && trusted.list.check(ip, familyOf(ip));
+}
+
+// Hops listed by the configured forwarding header, client first
+function forwardedHops(req) {
+  if (PROXY_HEADER === 'forwarded') {
+    const header = req.get('forwarded');
+    if (!header) return [];
+    return header.split(',').map((element) => {
+      const pair = element.split(';').map((p) => p.trim()).find((p) => /^for=/i.test(p));
+      return pair ? pair.slice(4) : '';
+    });
+  }
+  const header = req.get('x-forwarded-for');
+  return header ? header.split(',') : [];
+}
+
+/**
+ * The ip of the client that sent `req`, as seen through the trusted proxies.
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function resolveClientIp(req) {
+  let ip = normalizeIp(req.socket?.remoteAddress);
+  if (!isTrustedProxy(ip)) return ip;
+  const hops = forwardedHops(req);
+  while (hops.length && isTrustedProxy(ip)) {
+    const hop = normalizeIp(hops.pop());
+    // Unknown or obfuscated hops (`for=unknown`, `for=_hidden`) end the walk at the last known address
+    if (!hop) break;
+    ip = hop;
+  }
+  return ip;
+}
+
+/**
+ * Express middleware setting `req.clientIp` (see resolveClientIp).
+ */
+function clientIp(req, res, next) {
+  req.clientIp = resolveClientIp(req);
+  next();
+}
+
+/**
+ * Whether `ip` is close enough to `boundIp` (the ip a session or token is bound to) under
+ * SESSION_IPV4_PREFIX / SESSION_IPV6_PREFIX. Values that are not ip addresses only match themselves.
+ */
+function ipMatches(boundIp, ip) {
+  if (boundIp === ip) return true;
+  const bound = normalizeIp(boundIp);
+  const candidate = normalizeIp(ip);
+  if (!bound || !candidate) return false;
+  const family = familyOf(bound);
+  if (family !== familyOf(candidate)) return false;
+  const subnet = new net.BlockList();
+  subnet.addSubnet(bound, family === 'ipv6' ? IPV6_PREFIX : IPV4_PREFIX, family);
+  return subnet.check(candidate, family);
+}
+
+export { normalizeIp, resolveClientIp, clientIp, ipMatches, isTrustedProxy };
@@ -4,171 +4,610 @@ import { ethers } from 'ethers';
 import dotenv from 'dotenv';
 dotenv.config();
 import { fileURLToPath } from 'url';
+import { DEFAULT_STATS, statKey, parseStatEntries, rememberStatNames, statNameForKey } from './statNames.js';
+import { getDefaultNetwork, getNetwork, recordNetwork, requireSigner } from './networks.js';
+import { getDb, withTransaction } from './datastore.js';
+import { emitEvent } from './events.js';
+import { CURRENT_CONTRACT_VERSION, contractAbi, capabilitiesOf, supports, detectContractVersion } from './contractVersions.js';
 
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const RPC_URL = process.env.RPC_URL || 'https://rpc.api.moonbase.moonbeam.network';
-const PRIVATE_KEY = process.env.PRIVATE_KEY || '';
+// Each player lives on one network of the registry in networks.js (`record.network`). New players go
+// to the default network, where `contractMode` decides between 'per-player' (one PlayerData contract
+// per username, the legacy behaviour) and 'registry' (a record in the network's shared PlayerRegistry).
+// Registration itself runs as a background job (see registrations.js); the record is written once it is ready.
 
-const ARTIFACT_PATH = path.join(__dirname, '..', 'artifacts', 'contracts', 'PlayerContract.sol', 'PlayerData.json');
-const STORE_PATH = path.join(__dirname, 'userContracts.json');
+const ARTIFACTS = {
+  PlayerData: path.join(__dirname, '..', 'artifacts', 'contracts', 'PlayerContract.sol', 'PlayerData.json'),
+  PlayerRegistry: path.join(__dirname, '..', 'artifacts', 'contracts', 'PlayerRegistry.sol', 'PlayerRegistry.json'),
+  Achievements: path.join(__dirname, '..', 'artifacts', 'contracts', 'Achievements.sol', 'Achievements.json'),
+};
+// How long a queued stat write may take to confirm before its stats.updated event is given up on
+const STATS_EVENT_TIMEOUT_MS = 60 * 60 * 1000;
+// How long each owner tx of a deployment, migration or upgrade may take to confirm
+const OWNER_TX_TIMEOUT_MS = 10 * 60 * 1000;
 
-const provider = new ethers.JsonRpcProvider(RPC_URL);
-const signer = new ethers.Wallet(PRIVATE_KEY, provider);
+/**
+ * Every player record, keyed by username (from the `player_records` table).
+ * @returns {Object<string, Object>}
+ */
+function readPlayerRecords() {
+  const rows = getDb().prepare('SELECT username, record FROM player_records ORDER BY username').all();
+  return Object.fromEntries(rows.map((row) => [row.username, JSON.parse(row.record)]));
+}
+
+/**
+ * Page through player records ordered by username.
+ * @returns {{ total:number, records:Array<Object> }} records include their `username`
+ */
+function listPlayerRecords({ limit = 50, offset = 0 } = {}) {
+  const db = getDb();
+  const { total } = db.prepare('SELECT COUNT(*) AS total FROM player_records').get();
+  const rows = db.prepare('SELECT username, record FROM player_records ORDER BY username LIMIT ? OFFSET ?').all(limit, offset);
+  return { total, records: rows.map((row) => ({ username: row.username, ...JSON.parse(row.record) })) };
+}
+
+function getPlayerRecord(username) {
+  const row = getDb().prepare('SELECT record FROM player_records WHERE username = ?').get(username);
+  return row ? JSON.parse(row.record) : null;
+}
 
-function readStore() {
+/**
+ * Store the record of a new player. Throws if the username is already taken.
+ */
+function insertPlayerRecord(username, record) {
+  const now = new Date().toISOString();
   try {
-    if (!fs.existsSync(STORE_PATH)) return {};
-    const raw = fs.readFileSync(STORE_PATH, 'utf8');
-    return JSON.parse(raw || '{}');
+    getDb().prepare(`INSERT INTO player_records (username, contract_address, player_address, record, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)`).run(username, record.contractAddress, record.playerAddress, JSON.stringify(record), now, now);
   } catch (e) {
-    return {};
+    if (e?.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') throw new Error('Username already exists');
+    throw e;
   }
 }
 
-async function createContract(username, address) {
-  if (!signer) throw new Error('No signer available. Please set PRIVATE_KEY in .env');
+/**
+ * Every identifier of a player, primary first. The primary one (`record.playerAddress`) is the
+ * one stats are written to; linked ones are only read and can be used to log in.
+ * @returns {Array<{ identifier:string, kind:string|null, isEthereum:boolean, primary:boolean, linkedAt:string }>}
+ */
+function listPlayerIdentifiers(username) {
+  const record = getPlayerRecord(username);
+  if (!record) return [];
+  // Early records were written before `playerAddressIsEthereum` existed
+  const isEthereum = record.playerAddressIsEthereum ?? ethers.isAddress(record.playerAddress);
+  const primary = { identifier: record.playerAddress, kind: isEthereum ? 'evm' : null, isEthereum, primary: true, linkedAt: record.deployedAt };
+  const linked = getDb().prepare('SELECT * FROM player_identifiers WHERE username = ? ORDER BY linked_at').all(username)
+    .map((row) => ({ identifier: row.identifier, kind: row.kind, isEthereum: !!row.is_ethereum, primary: false, linkedAt: row.linked_at }));
+  return [primary, ...linked];
+}
 
-  // Accept both Ethereum addresses and other identifier formats (Polkadot, etc.).
-  // If it's a valid EVM address we normalize it; otherwise we keep the raw identifier.
-  let normalizedAddress = address;
-  let isEthereumAddress = false;
-  try {
-    normalizedAddress = ethers.getAddress(address);
-    isEthereumAddress = true;
-  } catch (error) {
-    // Not an EVM address — treat as external identifier (store as-is)
-    console.log('Non-EVM identifier provided; storing as off-chain identifier:', address);
-    normalizedAddress = address;
-    isEthereumAddress = false;
+/**
+ * Linked (non-primary) identifiers of every player, keyed by username.
+ * @returns {Object<string, Array<{ identifier:string, isEthereum:boolean }>>}
+ */
+function readLinkedIdentifiers() {
+  const linked = {};
+  for (const row of getDb().prepare('SELECT username, identifier, is_ethereum FROM player_identifiers ORDER BY linked_at').all()) {
+    (linked[row.username] ||= []).push({ identifier: row.identifier, isEthereum: !!row.is_ethereum });
   }
+  return linked;
+}
 
-  const deployer = await signer.getAddress();
-  const balance = await provider.getBalance(deployer);
+/**
+ * Whether `identifier` (normalized) is the primary or a linked identifier of `username`.
+ */
+function isPlayerIdentifier(username, identifier) {
+  return listPlayerIdentifiers(username).some((id) => id.identifier === identifier);
+}
 
-  const store = readStore();
-  if (store[username]) throw new Error('Username already exists');
+/**
+ * Link an extra identifier to a player. The caller is responsible for proving ownership of both
+ * the account and the identifier. An identifier can only be linked to one account.
+ * @param {string} username
+ * @param {{ identifier:string, kind:string }} identifier normalized identifier and its verifier kind
+ */
+function linkPlayerIdentifier(username, { identifier, kind }) {
+  const linked = withTransaction((db) => {
+    const record = getPlayerRecord(username);
+    if (!record) throw new Error('Username does not exist');
+    if (isPlayerIdentifier(username, identifier)) throw new Error('Identifier is already linked to this account');
+    const taken = db.prepare('SELECT 1 FROM player_identifiers WHERE identifier = ?').get(identifier)
+      || db.prepare('SELECT 1 FROM player_records WHERE player_address = ?').get(identifier);
+    if (taken) throw new Error('Identifier is already linked to another account');
 
-  const artifact = loadArtifact();
-  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+    const entry = { identifier, kind, isEthereum: kind === 'evm', primary: false, linkedAt: new Date().toISOString() };
+    db.prepare('INSERT INTO player_identifiers (username, identifier, kind, is_ethereum, linked_at) VALUES (?, ?, ?, ?, ?)')
+      .run(username, identifier, kind, entry.isEthereum ? 1 : 0, entry.linkedAt);
+    return entry;
+  });
+  emitEvent('identifier.linked', { username, identifier, kind });
+  return linked;
+}
 
-  console.log(`Deploying contract for ${username} (${normalizedAddress}) from ${deployer} with balance ${ethers.formatEther(balance)} ETH`);
+/**
+ * Unlink a non-primary identifier. Stats it holds on-chain stop counting towards the player.
+ * @returns {boolean} false if the identifier is not linked to the player
+ */
+function unlinkPlayerIdentifier(username, identifier) {
+  const record = getPlayerRecord(username);
+  if (!record) throw new Error('Username does not exist');
+  if (record.playerAddress === identifier) throw new Error('The primary identifier cannot be unlinked; make another identifier primary first');
+  const removed = getDb().prepare('DELETE FROM player_identifiers WHERE username = ? AND identifier = ?').run(username, identifier).changes > 0;
+  if (removed) emitEvent('identifier.unlinked', { username, identifier });
+  return removed;
+}
 
-  const contract = await factory.deploy();
-  await contract.waitForDeployment();
-  console.log(`Contract deployed at ${contract.target}`);
+/**
+ * Make a linked identifier the primary one; the previous primary stays linked.
+ * New stat writes go to the new primary, reads keep adding up every identifier.
+ * @returns {Object} the updated player record
+ */
+function setPrimaryIdentifier(username, identifier) {
+  const result = withTransaction((db) => {
+    const record = getPlayerRecord(username);
+    if (!record) throw new Error('Username does not exist');
+    if (record.playerAddress === identifier) return { record, previous: null };
+    const row = db.prepare('SELECT * FROM player_identifiers WHERE username = ? AND identifier = ?').get(username, identifier);
+    if (!row) throw new Error('Identifier is not linked to this account');
 
-  store[username] = {
-    contractAddress: contract.target,
-    owner: deployer,
-    playerAddress: normalizedAddress,
-    playerAddressIsEthereum: isEthereumAddress,
-    deployedAt: new Date().toISOString(),
-  };
+    const previous = listPlayerIdentifiers(username)[0];
+    db.prepare('DELETE FROM player_identifiers WHERE username = ? AND identifier = ?').run(username, identifier);
+    db.prepare('INSERT INTO player_identifiers (username, identifier, kind, is_ethereum, linked_at) VALUES (?, ?, ?, ?, ?)')
+      .run(username, previous.identifier, previous.kind, previous.isEthereum ? 1 : 0, previous.linkedAt || new Date().toISOString());
+    const updated = updatePlayerRecord(username, { playerAddress: row.identifier, playerAddressIsEthereum: !!row.is_ethereum });
+    return { record: updated, previous: previous.identifier };
+  });
+  if (result.previous) emitEvent('identifier.primary_changed', { username, identifier, previous: result.previous });
+  return result.record;
+}
 
-  // Persist the store before attempting on-chain actions so the record exists
-  writeStore(store);
+/**
+ * Atomically shallow-merge `patch` into a player's record.
+ * @returns {Object} the updated record
+ */
+function updatePlayerRecord(username, patch) {
+  return withTransaction((db) => {
+    const current = getPlayerRecord(username);
+    if (!current) throw new Error('Username does not exist');
+    const record = { ...current, ...patch };
+    db.prepare('UPDATE player_records SET contract_address = ?, player_address = ?, record = ?, updated_at = ? WHERE username = ?')
+      .run(record.contractAddress, record.playerAddress, JSON.stringify(record), new Date().toISOString(), username);
+    return record;
+  });
+}
 
-  // If it's an Ethereum address, initialize the address mapping on-chain.
+function enqueueInitTxs(txQueue, contract, username, normalizedAddress, isEthereumAddress) {
+  const ids = [];
   if (isEthereumAddress) {
-    try {
-      const initTx = await contract.adminSetKills(normalizedAddress, 0);
-      console.log(`Initializing kills=0 for EVM player ${normalizedAddress}`);
-    } catch (e) {
-      throw new Error(`Failed to broadcast initialization tx: ${e?.message || e}`);
+    ids.push(txQueue.enqueue({
+      to: contract.target,
+      data: contract.interface.encodeFunctionData('adminSetKills', [normalizedAddress, 0]),
+      label: `init kills for ${username}`,
+    }).id);
+  }
+  ids.push(txQueue.enqueue({
+    to: contract.target,
+    data: contract.interface.encodeFunctionData('adminSetKillsById', [ethers.id(normalizedAddress), 0]),
+    label: `init id-hash kills for ${username}`,
+  }).id);
+  return ids;
+}
+
+// Owner txs go through the network's queue, which owns the signer's nonces
+function sendOwnerTx(txQueue, tx) {
+  return txQueue.waitFor(txQueue.enqueue(tx).id, 'confirmed', OWNER_TX_TIMEOUT_MS);
+}
+
+async function deployThroughQueue(network, name, args, label) {
+  requireSigner(network);
+  const artifact = loadArtifact(name);
+  const { data } = await new ethers.ContractFactory(artifact.abi, artifact.bytecode).getDeployTransaction(...args);
+  const deployed = await sendOwnerTx(network.txQueue, { data, label });
+  const contractAddress = deployed.receipt.contractAddress;
+  emitEvent('contract.deployed', { username: null, network: network.name, contractAddress, txHash: deployed.hash, kind: name });
+  return contractAddress;
+}
+
+/**
+ * Deploy a new PlayerRegistry from a network's owner signer. Set the network's registry address to the result.
+ * @returns {Promise<string>} deployed registry address
+ */
+async function deployRegistry(networkName = getDefaultNetwork()) {
+  const network = getNetwork(networkName);
+  return deployThroughQueue(network, 'PlayerRegistry', [], `deploy PlayerRegistry on ${network.name}`);
+}
+
+/**
+ * Deploy a soulbound Achievements contract from a network's owner signer. Set the network's achievements address to the result.
+ * @param {string} networkName
+ * @param {{ baseURI:string, name?:string, symbol?:string }} options token URIs are `baseURI + tokenId`
+ * @returns {Promise<string>} deployed contract address
+ */
+async function deployAchievements(networkName = getDefaultNetwork(), { baseURI, name = 'OG Protocol Achievements', symbol = 'OGPA' } = {}) {
+  if (!baseURI) throw new Error('baseURI is required');
+  const network = getNetwork(networkName);
+  return deployThroughQueue(network, 'Achievements', [name, symbol, baseURI], `deploy Achievements on ${network.name}`);
+}
+
+/**
+ * Copy a per-player contract's stats into the registry and repoint the user's record: every entry of every
+ * identifier (wallet address and id hash), kills included. An entry the old contract holds nothing for gets
+ * kills 0, as registration would have written. The record keeps the old address in `legacyContractAddress`.
+ * @param {string} username
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<{username:string, from:string, to:string, entries:Array<{ identifier:string, byId:boolean, target:string, stats:Object<string, string> }>, migrated:boolean}>}
+ *   stats: stat name -> value copied
+ */
+async function migratePlayerToRegistry(username, options = {}) {
+  const record = getPlayerRecord(username);
+  if (!record) throw new Error('Username does not exist');
+  if (record.mode === 'registry') throw new Error(`${username} already lives in the registry`);
+
+  const network = getNetwork(recordNetwork(record));
+  const version = await resolveContractVersion(username, record);
+  const legacy = new ethers.Contract(record.contractAddress, contractAbi('PlayerData', version), network.provider);
+  requireSigner(network);
+  const registry = getRegistry(network);
+  const identifiers = listPlayerIdentifiers(username);
+  const kills = statKey('kills');
+
+  const entries = [];
+  for (const identifier of identifiers) {
+    for (const { byId, target } of identifierEntries(identifier)) {
+      const values = Object.entries(await readEntryStats(legacy, version, byId, target)).filter(([key, value]) => key === kills || value > 0n);
+      entries.push({ identifier: identifier.identifier, byId, target, stats: Object.fromEntries([[kills, 0n], ...values]) });
     }
   }
 
-    // Additionally, initialize the generic id mapping (bytes32) so non-EVM identifiers
-    // are represented on-chain. We compute keccak256 over the identifier string.
-    try {
-      const idHash = ethers.id(normalizedAddress);
-      // call adminSetKillsById for all identifiers (this will set the bytes32 mapping).
-      await contract.adminSetKillsById(idHash, 0);
-      console.log(`Initialized id-hash mapping on-chain for ${normalizedAddress} -> ${idHash}`);
-    } catch (e) {
-      // If the contract doesn't have adminSetKillsById (old ABI), surface a clear message
-      console.warn('Could not initialize id-hash mapping on-chain (contract may need recompilation/redeploy):', e?.message || e);
+  // Several usernames may share a wallet; never overwrite a registry record with different data
+  for (const { byId, target, stats } of entries) {
+    if (!(await (byId ? registry.isRegisteredById(target) : registry.isRegistered(target)))) continue;
+    const existing = await (byId ? registry.getKillsById(target) : registry.getKills(target));
+    if (existing !== stats[kills]) {
+      throw new Error(`${byId ? 'Id' : 'Address'} ${target} is already registered in the registry with kills=${existing} (legacy contract has ${stats[kills]})`);
     }
+  }
+
+  const result = {
+    username,
+    from: record.contractAddress,
+    to: registry.target,
+    entries: entries.map(({ stats, ...entry }) => ({
+      ...entry,
+      stats: Object.fromEntries(Object.entries(stats).map(([key, value]) => [statNameForKey(key), value.toString()])),
+    })),
+    migrated: false,
+  };
+  if (options.dryRun) return result;
+
+  // One set per entry; kills go through the generic setter under their stat key
+  for (const { identifier, byId, target, stats } of entries) {
+    const keys = Object.keys(stats);
+    await sendOwnerTx(network.txQueue, {
+      to: registry.target,
+      data: registry.interface.encodeFunctionData(byId ? 'adminSetStatsById' : 'adminSetStats', [target, keys, keys.map((key) => stats[key])]),
+      label: `migrate ${byId ? 'id-hash ' : ''}stats of ${identifier} (${username}) to the registry`,
+    });
+  }
+
+  updatePlayerRecord(username, {
+    contractAddress: registry.target,
+    mode: 'registry',
+    contractVersion: await detectContractVersion(network.provider, registry.target),
+    playerAddressIsEthereum: identifiers[0].isEthereum,
+    legacyContractAddress: record.contractAddress,
+    migratedAt: new Date().toISOString(),
+  });
 
-  return contract;
+  result.migrated = true;
+  return result;
 }
 
+/**
+ * A player's contract and stats summed over all of their identifiers (per identifier in `identifiers`).
+ * Stats that cannot be read are left out rather than failing the call.
+ * @returns {Promise<Object|null>} null for an unknown username
+ */
 async function getUserContract(username) {
-  const store = readStore();
-  const record = store[username];
-  if (!record) throw new Error('Username does not exist');
+  const record = getPlayerRecord(username);
+  if (!record) return null;
   const contractAddress = record.contractAddress;
   console.log("Reading contract Address:", contractAddress + " for user:", username);
 
-  const artifact = loadArtifact();
-  const abi = artifact.abi;
-  const contract = new ethers.Contract(contractAddress, abi, provider);
-  // Prefer on-chain lookup by address when we know it's an Ethereum address,
-  // otherwise use the bytes32 id lookup (keccak256 of identifier string).
-  let killsBn = -1n;
-  try {
-    if (record.playerAddressIsEthereum) {
-      killsBn = await contract.getKills(record.playerAddress).catch(() => -1n);
-    } else {
-      const idHash = ethers.id(record.playerAddress);
-      // Try the id-based getter; if it fails (old contract), fallback to -1n
-      if (typeof contract.getKillsById === 'function') {
-        killsBn = await contract.getKillsById(idHash).catch(() => -1n);
-      } else {
-        // contract doesn't support id-based getter
-        killsBn = -1n;
-      }
-    }
-  } catch (e) {
-    killsBn = -1n;
-  }
-  // console.log(`Fetched kills for ${username}:`, killsBn.toString());
+  const network = recordNetwork(record);
+  // An unreachable RPC leaves the version unknown; the current ABI is a superset of the older ones
+  const contractVersion = await resolveContractVersion(username, record).catch(() => null);
+  const contract = playerContract({ ...record, contractVersion }, getNetwork(network).provider);
+  const identifiers = listPlayerIdentifiers(username);
+  const perIdentifier = await Promise.all(identifiers.map((id) => readIdentifierStats(contract, contractVersion ?? CURRENT_CONTRACT_VERSION, id)));
 
-  // Normalize kills to a JSON-serializable value (string or null)
-  let kills = null;
-  try {
-    if (typeof killsBn === 'bigint') {
-      kills = killsBn === -1n ? null : killsBn.toString();
-    } else if (killsBn && typeof killsBn.toString === 'function') {
-      // handles BigNumber-like objects
-      const s = killsBn.toString();
-      kills = s === '-1' ? null : s;
-    } else {
-      kills = null;
-    }
-  } catch (e) {
-    kills = null;
+  // Stats add up over every linked identifier
+  const totals = {};
+  for (const stats of perIdentifier) {
+    for (const [name, value] of Object.entries(stats)) totals[name] = (totals[name] ?? 0n) + value;
   }
+  const toStrings = (stats) => Object.fromEntries(Object.entries(stats).map(([name, value]) => [name, value.toString()]));
 
   return {
+    network,
+    chainId: record.chainId ?? getNetwork(network).chainId,
     contractAddress: record.contractAddress,
+    mode: record.mode || 'per-player',
+    contractVersion,
+    capabilities: contractVersion === null ? null : capabilitiesOf(contractVersion),
     owner: record.owner,
     playerAddress: record.playerAddress,
     deployedAt: record.deployedAt,
-    kills: kills,
+    // null when the contract could not be read
+    kills: totals.kills === undefined ? null : totals.kills.toString(),
+    stats: toStrings(totals),
+    identifiers: identifiers.map((id, i) => ({ ...id, stats: toStrings(perIdentifier[i]) })),
   };
 }
 
-function loadArtifact() {
-  if (!fs.existsSync(ARTIFACT_PATH)) throw new Error(`Artifact not found at ${ARTIFACT_PATH}. Run npx hardhat compile first.`);
-  return JSON.parse(fs.readFileSync(ARTIFACT_PATH, 'utf8'));
+/**
+ * Contract instance holding `record`'s data, with the ABI of its version (the current one if unknown).
+ * Legacy records have no `mode` and always point at a per-player PlayerData contract.
+ */
+function playerContract(record, runner) {
+  const abi = contractAbi(record.mode === 'registry' ? 'PlayerRegistry' : 'PlayerData', record.contractVersion ?? CURRENT_CONTRACT_VERSION);
+  return new ethers.Contract(record.contractAddress, abi, runner);
 }
 
+/**
+ * Version of `record`'s contract: the stored `contractVersion`, or the one detected on-chain for
+ * records written before versions were stored (then stored, so detection runs once per player).
+ * @returns {Promise<number>}
+ */
+async function resolveContractVersion(username, record = getPlayerRecord(username)) {
+  if (record.contractVersion) return record.contractVersion;
+  const { provider } = getNetwork(recordNetwork(record));
+  const contractVersion = await detectContractVersion(provider, record.contractAddress);
+  updatePlayerRecord(username, { contractVersion });
+  return contractVersion;
+}
 
-function writeStore(store) {
-  try {
-    fs.writeFileSync(STORE_PATH, JSON.stringify(store, null, 2), 'utf8');
-  } catch (e) {
-    throw new Error(`Failed to write store: ${e?.message || e}`);
+/**
+ * Raw stats of one entry (a wallet address, or a bytes32 id hash with `byId`): the built-in stats plus
+ * any key written on-chain. Contracts that predate generic stats only know kills, and the first ones only per address.
+ * @returns {Promise<Object<string,bigint>>} stat key -> value
+ */
+async function readEntryStats(contract, version, byId, target) {
+  if (!supports(version, 'stats')) {
+    if (byId && !supports(version, 'killsById')) return {};
+    return { [statKey('kills')]: await (byId ? contract.getKillsById(target) : contract.getKills(target)) };
   }
+  const keys = byId ? await contract.getStatKeysById(target) : await contract.getStatKeys(target);
+  const allKeys = [...new Set([...DEFAULT_STATS.map(statKey), ...keys])];
+  const values = byId ? await contract.getStatsById(target, allKeys) : await contract.getStats(target, allKeys);
+  return Object.fromEntries(allKeys.map((key, i) => [key, values[i]]));
 }
 
-function getPlayerRecord(username) {
-  const store = readStore();
-  return store[username] || null;
+// Entries holding an identifier's stats: its wallet address (EVM only) and its id hash
+function identifierEntries({ identifier, isEthereum }) {
+  const entries = [{ byId: true, target: ethers.id(identifier) }];
+  if (isEthereum) entries.unshift({ byId: false, target: identifier });
+  return entries;
+}
+
+/**
+ * Read every stat held by one identifier: its wallet address entries (EVM only) plus its
+ * bytes32 id-hash entries (keccak256 of the identifier string), summed.
+ * @returns {Promise<Object<string,bigint>>} stat name -> value; empty if nothing could be read
+ */
+async function readIdentifierStats(contract, version, identifier) {
+  const stats = {};
+  for (const { byId, target } of identifierEntries(identifier)) {
+    const entry = await readEntryStats(contract, version, byId, target).catch(() => ({}));
+    for (const [key, value] of Object.entries(entry)) {
+      const name = statNameForKey(key);
+      stats[name] = (stats[name] ?? 0n) + value;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Queue stat updates for a user, sent from the owner signer by the tx queue.
+ * `set` overwrites values, `increment` adds to the current values; each becomes one batch tx
+ * (possibly merged with other queued writes for the same player).
+ * @param {string} username
+ * @param {{ set?: Object<string, number|string>, increment?: Object<string, number|string> }} updates
+ * @returns {Promise<{ set?: string, increment?: string }>} tx queue id per operation (see GET /tx/:id)
+ */
+async function updateUserStats(username, updates = {}) {
+  const record = getPlayerRecord(username);
+  if (!record) throw new Error('Username does not exist');
+
+  const ops = [];
+  for (const op of ['set', 'increment']) {
+    if (updates[op] === undefined || Object.keys(updates[op]).length === 0) continue;
+    ops.push([op, parseStatEntries(updates[op])]);
+  }
+  if (ops.length === 0) throw new Error('No stat updates provided');
+
+  const network = getNetwork(recordNetwork(record));
+  const { txQueue } = network;
+  const signer = requireSigner(network);
+  if (record.owner && record.owner !== signer.address) {
+    throw new Error(`The contract for ${username} is owned by ${record.owner}; the server can no longer write its stats`);
+  }
+
+  const version = await resolveContractVersion(username, record);
+  if (!supports(version, 'stats')) {
+    throw new Error(`The contract for ${username} (version ${version}) predates generic stats; upgrade it with \`npm run upgrade:contracts\``);
+  }
+
+  // Early records were written before `playerAddressIsEthereum` existed
+  const byId = !(record.playerAddressIsEthereum ?? ethers.isAddress(record.playerAddress));
+  const target = byId ? ethers.id(record.playerAddress) : record.playerAddress;
+
+  const txIds = {};
+  for (const [op, { names, keys, values }] of ops) {
+    rememberStatNames(names);
+    const job = txQueue.enqueueStats({
+      to: record.contractAddress,
+      op,
+      target: byId ? { id: target } : { address: target },
+      stats: Object.fromEntries(keys.map((key, i) => [key, values[i]])),
+      label: `${op} stats for ${username}`,
+    });
+    console.log(`Queued ${op} stats for ${username}: ${names.join(', ')} (tx ${job.id})`);
+    txIds[op] = job.id;
+    // stats.updated is emitted once the write is on-chain, not when it is queued
+    txQueue.waitFor(job.id, 'confirmed', STATS_EVENT_TIMEOUT_MS)
+      .then((tx) => emitEvent('stats.updated', { username, op, stats: Object.fromEntries(names.map((name, i) => [name, values[i].toString()])), txId: job.id, txHash: tx.hash }))
+      .catch((err) => console.warn(`No stats.updated event for tx ${job.id}:`, err?.message || err));
+  }
+  return txIds;
+}
+
+/**
+ * Transfer ownership of a player's PlayerData contract (its admin entrypoints) to `newOwner`.
+ * Only per-player contracts can be handed over; the shared registry holds every player.
+ * Waits for confirmation, then records the new owner.
+ * @returns {Promise<{ username:string, contractAddress:string, previousOwner:string, owner:string, txId:string, txHash:string }>}
+ */
+async function transferContractOwnership(username, newOwner) {
+  const record = getPlayerRecord(username);
+  if (!record) throw new Error('Username does not exist');
+  if (record.mode === 'registry') throw new Error(`${username} lives in the shared player registry; its ownership cannot be transferred per player`);
+  if (!ethers.isAddress(newOwner)) throw new Error('newOwner must be an EVM address');
+  const owner = ethers.getAddress(newOwner);
+  if (owner === ethers.ZeroAddress) throw new Error('newOwner must not be the zero address');
+  const network = getNetwork(recordNetwork(record));
+  const { txQueue } = network;
+  const signer = requireSigner(network);
+  if (record.owner && record.owner !== signer.address) throw new Error(`The contract for ${username} is already owned by ${record.owner}`);
+  const version = await resolveContractVersion(username, record);
+  if (!supports(version, 'ownership')) throw new Error(`The contract for ${username} (version ${version}) has no transferOwnership; upgrade it first`);
+
+  const contract = playerContract(record, signer);
+  const job = txQueue.enqueue({
+    to: record.contractAddress,
+    data: contract.interface.encodeFunctionData('transferOwnership', [owner]),
+    label: `transfer ownership of ${username} contract to ${owner}`,
+  });
+  const confirmed = await txQueue.waitFor(job.id, 'confirmed');
+
+  updatePlayerRecord(username, { owner, ownerTransferredAt: new Date().toISOString(), previousOwner: record.owner });
+  return { username, contractAddress: record.contractAddress, previousOwner: record.owner, owner, txId: job.id, txHash: confirmed.hash };
+}
+
+/**
+ * Redeploy a per-player contract at CURRENT_CONTRACT_VERSION and carry its state over: kills, generic
+ * stats and profile hashes of every identifier (wallet address and id-hash entries). Stat signers are
+ * not carried over. Runs in steps saved in `record.upgrade`, so calling it again after a failure resumes:
+ *   1. deploy the new contract
+ *   2. repoint the record and queue the init txs in the same tick: writes queued from then on go to the
+ *      new contract, and the queue's nonce order confirms the init txs after every write still queued for the old one
+ *   3. read the old contract, now final, and add its values onto the new one (increments, so writes that
+ *      reached the new contract meanwhile are kept); one tx per entry, retried alone if it fails
+ * The record keeps the replaced contracts in `previousContracts`.
+ * @param {string} username
+ * @param {{ dryRun?: boolean }} [options] dryRun: only report what would be copied
+ * @returns {Promise<{ username:string, from:string, fromVersion:number, to:string|null, toVersion:number, entries:number, upgraded:boolean }>}
+ */
+async function upgradePlayerContract(username, { dryRun = false } = {}) {
+  const record = getPlayerRecord(username);
+  if (!record) throw new Error('Username does not exist');
+  if (record.mode === 'registry') throw new Error(`${username} lives in the shared player registry; deploy a new registry and migrate to it instead`);
+  const network = getNetwork(recordNetwork(record));
+  const { txQueue } = network;
+  const signer = requireSigner(network);
+  if (record.owner && record.owner !== signer.address) throw new Error(`The contract for ${username} is owned by ${record.owner}; the server cannot upgrade it`);
+
+  let upgrade = record.upgrade ?? { from: record.contractAddress, fromVersion: await resolveContractVersion(username, record), copyTxIds: {} };
+  const result = { username, from: upgrade.from, fromVersion: upgrade.fromVersion, to: upgrade.to ?? null, toVersion: CURRENT_CONTRACT_VERSION, entries: 0, upgraded: false };
+  if (!record.upgrade && upgrade.fromVersion >= CURRENT_CONTRACT_VERSION) throw new Error(`${username} is already on version ${upgrade.fromVersion}`);
+
+  const old = new ethers.Contract(upgrade.from, contractAbi('PlayerData', upgrade.fromVersion), network.provider);
+  const entries = listPlayerIdentifiers(username).flatMap(identifierEntries);
+  result.entries = entries.length;
+  if (dryRun) return result;
+
+  const saveUpgrade = (patch) => {
+    upgrade = { ...upgrade, ...patch };
+    updatePlayerRecord(username, { upgrade });
+  };
+  const reusable = (id) => id && txQueue.get(id) && txQueue.get(id).status !== 'failed';
+
+  // 1. deploy
+  if (!upgrade.to) {
+    if (!reusable(upgrade.deployTxId)) {
+      const artifact = loadArtifact();
+      const { data: bytecode } = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer).getDeployTransaction();
+      saveUpgrade({ deployTxId: txQueue.enqueue({ data: bytecode, label: `deploy PlayerData v${CURRENT_CONTRACT_VERSION} for ${username}` }).id });
+    }
+    const deployed = await txQueue.waitFor(upgrade.deployTxId, 'confirmed', OWNER_TX_TIMEOUT_MS);
+    const to = deployed.receipt.contractAddress;
+    console.log(`Upgraded contract for ${username} deployed at ${to}`);
+    emitEvent('contract.deployed', { username, network: network.name, contractAddress: to, txHash: deployed.hash, kind: 'PlayerData' });
+
+    // 2. repoint and queue the init txs without yielding in between
+    const contract = new ethers.Contract(to, contractAbi('PlayerData'), signer);
+    upgrade = { ...upgrade, to };
+    updatePlayerRecord(username, { contractAddress: to, contractVersion: CURRENT_CONTRACT_VERSION, upgrade });
+    saveUpgrade({ initTxIds: enqueueInitTxs(txQueue, contract, username, record.playerAddress, record.playerAddressIsEthereum ?? ethers.isAddress(record.playerAddress)) });
+  }
+  result.to = upgrade.to;
+  await Promise.all(upgrade.initTxIds.map((id) => (reusable(id) ? txQueue.waitFor(id, 'confirmed', OWNER_TX_TIMEOUT_MS) : null)));
+
+  // 3. copy every entry that has no copy tx yet (or whose copy failed)
+  const fresh = new ethers.Contract(upgrade.to, contractAbi('PlayerData'), signer);
+  for (const { byId, target } of entries) {
+    if (reusable(upgrade.copyTxIds[target])) continue;
+    const stats = Object.entries(await readEntryStats(old, upgrade.fromVersion, byId, target)).filter(([, value]) => value > 0n);
+    const profileHash = supports(upgrade.fromVersion, 'profileHash')
+      ? await (byId ? old.profileHashesById(target) : old.profileHashes(target))
+      : ethers.ZeroHash;
+    const calls = [];
+    if (stats.length) {
+      calls.push(fresh.interface.encodeFunctionData(byId ? 'adminIncrementStatsById' : 'adminIncrementStats', [target, stats.map(([key]) => key), stats.map(([, value]) => value)]));
+    }
+    if (profileHash !== ethers.ZeroHash) {
+      calls.push(fresh.interface.encodeFunctionData(byId ? 'adminSetProfileHashById' : 'adminSetProfileHash', [target, profileHash]));
+    }
+    const ids = calls.map((data) => txQueue.enqueue({ to: upgrade.to, data, label: `copy ${byId ? 'id-hash ' : ''}state of ${username} to v${CURRENT_CONTRACT_VERSION}` }).id);
+    // A single id per entry: the profile hash write is idempotent, the stat increment is the one that must not repeat
+    if (ids.length) saveUpgrade({ copyTxIds: { ...upgrade.copyTxIds, [target]: ids[0] } });
+    await Promise.all(ids.map((id) => txQueue.waitFor(id, 'confirmed', OWNER_TX_TIMEOUT_MS)));
+  }
+  await Promise.all(Object.values(upgrade.copyTxIds).map((id) => txQueue.waitFor(id, 'confirmed', OWNER_TX_TIMEOUT_MS)));
+
+  // undefined drops `upgrade` from the stored JSON
+  const previousContracts = [...(getPlayerRecord(username).previousContracts ?? []), { address: upgrade.from, version: upgrade.fromVersion, replacedAt: new Date().toISOString() }];
+  updatePlayerRecord(username, { upgrade: undefined, previousContracts, upgradedAt: new Date().toISOString() });
+  emitEvent('contract.upgraded', { username, network: network.name, from: upgrade.from, to: upgrade.to, fromVersion: upgrade.fromVersion, toVersion: CURRENT_CONTRACT_VERSION });
+  result.upgraded = true;
+  return result;
 }
 
-export { createContract, getUserContract, getPlayerRecord };
+/**
+ * Chain id of a network: the configured one, or the one its RPC reports.
+ */
+async function chainIdOf(network) {
+  return network.chainId ?? Number((await network.provider.getNetwork()).chainId);
+}
+
+function loadArtifact(name = 'PlayerData') {
+  const artifactPath = ARTIFACTS[name];
+  if (!artifactPath) throw new Error(`Unknown contract artifact ${name}`);
+  if (!fs.existsSync(artifactPath)) throw new Error(`Artifact not found at ${artifactPath}. Run npx hardhat compile first.`);
+  return JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+}
+
+function getRegistry(network, runner = network.provider) {
+  if (!network.registryAddress) {
+    throw new Error(`Network "${network.name}" has no registry address (deploy one with \`npm run deploy:registry -- --network ${network.name}\`)`);
+  }
+  return new ethers.Contract(network.registryAddress, contractAbi('PlayerRegistry'), runner);
+}
+
+
+export { getUserContract, getPlayerRecord, updateUserStats, deployRegistry, deployAchievements, migratePlayerToRegistry, readPlayerRecords, listPlayerRecords, transferContractOwnership,
+  listPlayerIdentifiers, readLinkedIdentifiers, isPlayerIdentifier, linkPlayerIdentifier, unlinkPlayerIdentifier, setPrimaryIdentifier, playerContract,
+  resolveContractVersion, upgradePlayerContract, insertPlayerRecord, enqueueInitTxs, loadArtifact, getRegistry, chainIdOf };
@@ -0,0 +1,77 @@
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs';
+import { ethers } from 'ethers';
+
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/*
+ * Versions of the player contracts (PlayerData and PlayerRegistry share PlayerStats, so one number covers both).
+ * The ABI of every deployed version is bundled in backend/abis as `<Contract>.v<N>.json`, so contracts
+ * deployed long ago can still be read with the ABI they were deployed with:
+ *   1  the first PlayerData: kills per wallet address and per bytes32 id (keccak256 of non-EVM identifiers)
+ *   2  PlayerStats (PlayerData and PlayerRegistry): generic keyed stats, transferOwnership, anchored
+ *      profile hashes and EIP-712 signed stat updates; the contract reports CONTRACT_VERSION
+ * Player records store `contractVersion`; records written before versions existed are detected on-chain.
+ * When a contract change ships: bump CONTRACT_VERSION in PlayerStats.sol and CURRENT_CONTRACT_VERSION here,
+ * add its row below and bundle its ABIs with `npm run abi:export`.
+ */
+const CONTRACT_VERSIONS = [
+  { version: 1, capabilities: ['kills', 'killsById'], marker: 'getKillsById' },
+  { version: 2, capabilities: ['stats', 'ownership', 'profileHash', 'signedStats'], marker: 'setStatsBySig' },
+];
+const CURRENT_CONTRACT_VERSION = 2;
+const ABI_DIR = path.join(__dirname, 'abis');
+
+const abiCache = new Map();
+
+/**
+ * Bundled ABI of `name` ('PlayerData' or 'PlayerRegistry') at `version`. PlayerRegistry starts at version 2.
+ */
+function contractAbi(name, version = CURRENT_CONTRACT_VERSION) {
+  const file = path.join(ABI_DIR, `${name}.v${version}.json`);
+  if (!abiCache.has(file)) {
+    if (!fs.existsSync(file)) throw new Error(`No bundled ABI for ${name} version ${version}`);
+    abiCache.set(file, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return abiCache.get(file);
+}
+
+/**
+ * Capabilities of a contract version, e.g. ['kills', 'killsById', 'stats'].
+ */
+function capabilitiesOf(version) {
+  return CONTRACT_VERSIONS.filter((v) => v.version <= version).flatMap((v) => v.capabilities);
+}
+
+function supports(version, capability) {
+  const entry = CONTRACT_VERSIONS.find((v) => v.capabilities.includes(capability));
+  if (!entry) throw new Error(`Unknown contract capability "${capability}"`);
+  return version >= entry.version;
+}
+
+/**
+ * Version of the player contract at `address`: CONTRACT_VERSION when the contract reports it, otherwise
+ * the newest version whose marker function is in the runtime bytecode (the dispatcher PUSH4es every selector).
+ * @returns {Promise<number>}
+ */
+async function detectContractVersion(provider, address) {
+  const code = (await provider.getCode(address)).toLowerCase();
+  if (code === '0x') throw new Error(`No contract at ${address}`);
+
+  const latest = new ethers.Contract(address, contractAbi('PlayerData'), provider);
+  if (code.includes(`63${latest.interface.getFunction('CONTRACT_VERSION').selector.slice(2)}`)) {
+    return Number(await latest.CONTRACT_VERSION());
+  }
+  let detected = 0;
+  for (const { version, marker } of CONTRACT_VERSIONS) {
+    const selector = new ethers.Interface(contractAbi('PlayerData', version)).getFunction(marker).selector;
+    if (code.includes(`63${selector.slice(2)}`)) detected = version;
+  }
+  if (!detected) throw new Error(`${address} is not a player contract`);
+  return detected;
+}
+
+export { CONTRACT_VERSIONS, CURRENT_CONTRACT_VERSION, contractAbi, capabilitiesOf, supports, detectContractVersion };
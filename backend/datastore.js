@@ -0,0 +1,85 @@
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs';
+import Database from 'better-sqlite3';
+import dotenv from 'dotenv';
+dotenv.config();
+
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// SQLite database shared by the token, player record and session map stores.
+// DATABASE_PATH may be ':memory:' (useful for throwaway runs).
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'ogprotocol.db');
+// Schema changes live in backend/migrations as NNN_name.sql and are applied in order on open
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+let db = null;
+
+/**
+ * Apply every migration in MIGRATIONS_DIR not yet recorded in `schema_migrations`,
+ * each in its own transaction.
+ * @returns {string[]} names of the migrations applied
+ */
+function migrate(database) {
+  database.exec('CREATE TABLE IF NOT EXISTS schema_migrations (name TEXT PRIMARY KEY, applied_at TEXT NOT NULL)');
+  const applied = new Set(database.prepare('SELECT name FROM schema_migrations').pluck().all());
+  const pending = fs.readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_.+\.sql$/.test(file) && !applied.has(file))
+    .sort();
+
+  const record = database.prepare('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)');
+  for (const file of pending) {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    database.transaction(() => {
+      database.exec(sql);
+      record.run(file, new Date().toISOString());
+    })();
+  }
+  return pending;
+}
+
+/**
+ * Open a database at `file` and bring its schema up to date.
+ */
+function openDatabase(file = DATABASE_PATH) {
+  const database = new Database(file);
+  database.pragma('journal_mode = WAL');
+  database.pragma('busy_timeout = 5000');
+  database.pragma('foreign_keys = ON');
+  migrate(database);
+  return database;
+}
+
+/**
+ * Return the shared database (opened and migrated on first use).
+ */
+function getDb() {
+  if (!db) db = openDatabase();
+  return db;
+}
+
+/**
+ * Use `database` (from openDatabase) as the shared database from now on, e.g. a throwaway ':memory:'
+ * one in tests. The previous database is left open.
+ */
+function useDatabase(database) {
+  db = database;
+  return db;
+}
+
+/**
+ * Run `fn(db)` inside a single transaction (IMMEDIATE, so concurrent writers wait instead of
+ * interleaving read-modify-write cycles). Rolls back if `fn` throws.
+ */
+function withTransaction(fn, database = getDb()) {
+  return database.transaction(() => fn(database)).immediate();
+}
+
+function closeDb() {
+  if (db) db.close();
+  db = null;
+}
+
+export { getDb, openDatabase, useDatabase, migrate, withTransaction, closeDb, DATABASE_PATH };
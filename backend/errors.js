@@ -0,0 +1,94 @@
+/*
+ * Every error response has the same envelope:
+ *   { error: { code, message, details? } }
+ * `code` is stable and is what clients should branch on; `message` is for humans and may change;
+ * `details` carries code-specific data (validation errors, retryAfter, the failing check, ...).
+ * Each code always comes with the same HTTP status.
+ */
+const ERROR_CODES = {
+  // request shape
+  invalid_request: { status: 400, description: 'The request does not match the route schema or has invalid values; details.errors lists schema problems' },
+  invalid_json: { status: 400, description: 'The body is not valid JSON' },
+  payload_too_large: { status: 413, description: 'The body is too large' },
+  route_not_found: { status: 404, description: 'No route matches the method and path' },
+  // API keys and limits
+  api_key_required: { status: 401, description: 'Missing or unknown API key' },
+  permission_denied: { status: 403, description: 'The API key lacks the route permission (details.required)' },
+  rate_limited: { status: 429, description: 'Too many requests (details.retryAfter, in seconds)' },
+  locked_out: { status: 429, description: 'Too many failed logins for this username from this client (details.retryAfter)' },
+  // login tokens and signatures
+  token_invalid: { status: 401, description: 'The login token is unknown, expired or issued for another username' },
+  token_not_found: { status: 404, description: 'No login token with that id' },
+  token_check_failed: { status: 403, description: 'A token request check refused the request (details.check, details.reason)' },
+  pow_required: { status: 428, description: 'A solved proof-of-work challenge is required (details.reason)' },
+  pow_not_enabled: { status: 404, description: 'Proof-of-work is not enabled' },
+  proof_required: { status: 403, description: 'A registered username needs a session or wallet proof (details.reason)' },
+  signature_invalid: { status: 401, description: 'The wallet signature could not be verified (details.reason)' },
+  // sessions
+  session_required: { status: 401, description: 'The route needs the player\'s sessionToken' },
+  session_rejected: { status: 403, description: 'The session proof was rejected (details.reason)' },
+  session_token_invalid: { status: 401, description: 'The signed session token is invalid (details.reason)' },
+  session_not_found: { status: 404, description: 'No session exists' },
+  session_ip_mismatch: { status: 409, description: 'A session exists for this username, but for another ip' },
+  session_expired: { status: 401, description: 'The session expired' },
+  session_revoked: { status: 403, description: 'The session was revoked' },
+  // players
+  user_not_found: { status: 404, description: 'No player with that username' },
+  user_exists: { status: 409, description: 'The username is already registered, or being registered with another identifier; or the identifier is being registered in a player registry by another username' },
+  registration_not_found: { status: 404, description: 'No registration job or player with that username' },
+  identifier_not_linked: { status: 403, description: 'The address is not an identifier of that player' },
+  identifier_not_found: { status: 404, description: 'The identifier is not linked to that player' },
+  identifier_conflict: { status: 409, description: 'The identifier is already linked, or the change is not allowed on it' },
+  operation_not_supported: { status: 409, description: 'The operation does not apply to this player (e.g. registry players)' },
+  // matches
+  match_exists: { status: 409, description: 'The match id was already submitted' },
+  participants_rejected: { status: 422, description: 'Some participants are unregistered or have no valid session (details.rejected)' },
+  // other resources
+  tx_not_found: { status: 404, description: 'No queued transaction with that id' },
+  achievement_not_found: { status: 404, description: 'No achievement token with that id' },
+  api_key_not_found: { status: 404, description: 'No active API key with that id' },
+  webhook_not_found: { status: 404, description: 'No enabled webhook with that id' },
+  delivery_not_found: { status: 404, description: 'No dead-lettered delivery with that id' },
+  // failures
+  upstream_error: { status: 502, description: 'A chain RPC, the session store or another upstream call failed' },
+  internal_error: { status: 500, description: 'Unexpected server error' },
+};
+
+/**
+ * An error carrying an API error code; thrown errors of this class are answered with their code by `errorHandler`.
+ */
+class ApiError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    if (!ERROR_CODES[code]) throw new Error(`Unknown error code ${code}`);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+    this.details = details;
+  }
+}
+
+/**
+ * Send the error envelope for `code`.
+ */
+function sendError(res, code, message, details) {
+  const known = ERROR_CODES[code];
+  if (!known) throw new Error(`Unknown error code ${code}`);
+  const error = { code, message: message || known.description };
+  if (details !== undefined && details !== null) error.details = details;
+  return res.status(known.status).json({ error });
+}
+
+/**
+ * Final Express middleware: ApiErrors, body parser failures and anything unexpected, all in the envelope.
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err instanceof ApiError) return sendError(res, err.code, err.message, err.details);
+  if (err?.type === 'entity.parse.failed') return sendError(res, 'invalid_json', 'The body is not valid JSON');
+  if (err?.type === 'entity.too.large') return sendError(res, 'payload_too_large', 'The body is too large');
+  console.error(`Unhandled error on ${req.method} ${req.path}:`, err);
+  return sendError(res, 'internal_error', 'Unexpected server error');
+}
+
+export { ERROR_CODES, ApiError, sendError, errorHandler };
@@ -0,0 +1,94 @@
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { getDb, withTransaction } from './datastore.js';
+
+/*
+ * Event types emitted by the backend. `subject` is the username the event is about.
+ * - user.registered            { username, playerAddress, contractAddress, mode }
+ * - registration.failed        { username, status, error }   (status: last completed step)
+ * - contract.deployed          { username, contractAddress, txHash, kind: 'PlayerData'|'PlayerRegistry'|'Achievements' }
+ * - contract.upgraded          { username, network, from, to, fromVersion, toVersion }
+ * - session.created            { username, fileId, deviceId, driver }
+ * - session.replaced           { username, fileId, deviceId, replacedBy, ip }   (a newer login took over the session; ip: the new one)
+ * - session.ip_mismatch        { username, ip }
+ * - session.ended              { username, fileId }
+ * - session.revoked            { username, fileId, reason }
+ * - stats.updated              { username, op, stats, txId, txHash, signer? }   (signer: relayed signed updates)
+ * - identifier.linked          { username, identifier, kind }
+ * - identifier.unlinked        { username, identifier }
+ * - identifier.primary_changed { username, identifier, previous }
+ * - profile.updated            { username, contentHash, fields }
+ * - profile.anchored           { username, contentHash, txHash }
+ * - achievement.earned         { username, achievementId, stat, threshold }
+ * - achievement.minted         { username, achievementId, network, recipient, tokenId, txHash }
+ */
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+function rowToEvent(row) {
+  return { seq: row.seq, id: row.id, type: row.type, subject: row.subject, data: JSON.parse(row.data), createdAt: row.created_at };
+}
+
+/**
+ * Whether an event type matches a subscription pattern: exact type, '*', or a 'prefix.*' wildcard.
+ */
+function matchesEventType(pattern, type) {
+  if (pattern === '*' || pattern === type) return true;
+  return pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * Persist an event, queue a delivery for every enabled webhook subscribed to its type and
+ * notify in-process listeners. Never throws: failing to record an event must not fail the action.
+ * @param {string} type
+ * @param {Object} data
+ * @returns {Object|null} the stored event
+ */
+function emitEvent(type, data = {}) {
+  try {
+    const event = withTransaction((db) => {
+      const createdAt = new Date().toISOString();
+      const id = randomUUID();
+      const subject = typeof data.username === 'string' ? data.username : null;
+      const { lastInsertRowid: seq } = db.prepare('INSERT INTO events (id, type, subject, data, created_at) VALUES (?, ?, ?, ?, ?)')
+        .run(id, type, subject, JSON.stringify(data), createdAt);
+
+      const insertDelivery = db.prepare(`INSERT INTO webhook_deliveries (id, event_seq, webhook_id, status, next_attempt_at, created_at, updated_at)
+        VALUES (?, ?, ?, 'pending', ?, ?, ?)`);
+      for (const hook of db.prepare('SELECT id, event_types FROM webhooks WHERE disabled_at IS NULL').all()) {
+        if (JSON.parse(hook.event_types).some((pattern) => matchesEventType(pattern, type))) {
+          insertDelivery.run(randomUUID(), seq, hook.id, Date.now(), createdAt, createdAt);
+        }
+      }
+      return { seq: Number(seq), id, type, subject, data, createdAt };
+    });
+    bus.emit('event', event);
+    return event;
+  } catch (err) {
+    console.error(`Failed to record event ${type}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Subscribe to events emitted by this process. Returns an unsubscribe function.
+ */
+function onEvent(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+/**
+ * Stored events in emission order, optionally after a `seq` cursor and filtered by type pattern or subject.
+ * @returns {Object[]}
+ */
+function listEvents({ after = 0, limit = 100, type, subject } = {}) {
+  const where = ['seq > ?'];
+  const args = [after];
+  if (subject) { where.push('subject = ?'); args.push(subject); }
+  if (type && type.endsWith('.*')) { where.push('type LIKE ?'); args.push(`${type.slice(0, -1)}%`); }
+  else if (type && type !== '*') { where.push('type = ?'); args.push(type); }
+  return getDb().prepare(`SELECT * FROM events WHERE ${where.join(' AND ')} ORDER BY seq LIMIT ?`).all(...args, limit).map(rowToEvent);
+}
+
+export { emitEvent, onEvent, listEvents, matchesEventType, rowToEvent };
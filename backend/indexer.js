@@ -0,0 +1,294 @@
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+dotenv.config();
+import { readPlayerRecords, readLinkedIdentifiers } from './contractManager.js';
+import { getDefaultNetwork, getNetwork, recordNetwork } from './networks.js';
+import { statKey, statNameForKey } from './statNames.js';
+import { getDb, withTransaction } from './datastore.js';
+
+// Indexed stat values, the block cursor and recent block hashes (for reorg detection), per network,
+// kept in the datastore (`indexer_chains`). The first block read on each network is its `startBlock` (see networks.js).
+const POLL_INTERVAL_MS = Number(process.env.INDEXER_POLL_INTERVAL_MS || 5000);
+const BATCH_BLOCKS = Number(process.env.INDEXER_BATCH_BLOCKS || 2000);
+// How many recent blocks are kept to detect and roll back reorgs
+const REORG_DEPTH = Number(process.env.INDEXER_REORG_DEPTH || 12);
+
+const KILLS_KEY = statKey('kills');
+const EVENTS_IFACE = new ethers.Interface([
+  'event KillsUpdated(address indexed player, uint256 kills)',
+  'event KillsUpdatedById(bytes32 indexed playerId, uint256 kills)',
+  'event StatUpdated(address indexed player, bytes32 indexed stat, uint256 value)',
+  'event StatUpdatedById(bytes32 indexed playerId, bytes32 indexed stat, uint256 value)',
+]);
+const TOPICS = ['KillsUpdated', 'KillsUpdatedById', 'StatUpdated', 'StatUpdatedById']
+  .map((name) => EVENTS_IFACE.getEvent(name).topicHash);
+
+/*
+ * Chain state, per network:
+ * {
+ *   cursor: last indexed block (or null),
+ *   blocks: [{ number, hash }] for the last REORG_DEPTH indexed blocks,
+ *   contracts: { [address]: true } contracts already backfilled,
+ *   values: { [contract:playerKey]: { [statKey]: [{ block, value }] } }  value history inside the reorg window
+ * }
+ * playerKey is the lowercase wallet address or the bytes32 id hash.
+ */
+let state = null;
+let timer = null;
+let running = null;
+
+// Chain states of the current database (loaded again when another one is put in use, see useDatabase)
+function chains() {
+  const db = getDb();
+  if (state?.db !== db) {
+    const networks = {};
+    for (const row of db.prepare('SELECT network, state FROM indexer_chains').all()) networks[row.network] = JSON.parse(row.state);
+    state = { db, networks };
+  }
+  return state.networks;
+}
+
+function chainState(name) {
+  return (chains()[name] ||= { cursor: null, blocks: [], contracts: {}, values: {} });
+}
+
+function save(names) {
+  const networks = chains();
+  const now = new Date().toISOString();
+  withTransaction((db) => {
+    const upsert = db.prepare(`INSERT INTO indexer_chains (network, cursor, state, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (network) DO UPDATE SET cursor = excluded.cursor, state = excluded.state, updated_at = excluded.updated_at`);
+    for (const name of names.filter((n) => networks[n])) upsert.run(name, networks[name].cursor, JSON.stringify(networks[name]), now);
+  }, state.db);
+}
+
+/**
+ * Indexed entries holding a player's stats: for the primary and every linked identifier, the
+ * wallet address entry (EVM only) and the id-hash entry.
+ */
+function playerKeys(record, linked = []) {
+  const contract = record.contractAddress.toLowerCase();
+  const primary = { identifier: record.playerAddress, isEthereum: record.playerAddressIsEthereum ?? ethers.isAddress(record.playerAddress) };
+  const keys = [];
+  for (const { identifier, isEthereum } of [primary, ...linked]) {
+    if (isEthereum) keys.push(`${contract}:${identifier.toLowerCase()}`);
+    keys.push(`${contract}:${ethers.id(identifier).toLowerCase()}`);
+  }
+  return keys;
+}
+
+function applyLog(chain, log) {
+  const parsed = EVENTS_IFACE.parseLog(log);
+  if (!parsed) return;
+  const { name, args } = parsed;
+  const player = (name.endsWith('ById') ? args.playerId : args.player).toLowerCase();
+  const stat = name.startsWith('Kills') ? KILLS_KEY : args.stat;
+  const value = (name.startsWith('Kills') ? args.kills : args.value).toString();
+
+  const key = `${log.address.toLowerCase()}:${player}`;
+  const entry = (chain.values[key] ||= {});
+  const history = (entry[stat] ||= []);
+  const last = history[history.length - 1];
+  if (last && last.block === log.blockNumber) last.value = value;
+  else history.push({ block: log.blockNumber, value });
+}
+
+async function indexRange(chain, provider, addresses, fromBlock, toBlock) {
+  for (let from = fromBlock; from <= toBlock; from += BATCH_BLOCKS) {
+    const to = Math.min(from + BATCH_BLOCKS - 1, toBlock);
+    const logs = await provider.getLogs({ address: addresses, topics: [TOPICS], fromBlock: from, toBlock: to });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    for (const log of logs) applyLog(chain, log);
+  }
+}
+
+/**
+ * Drop everything above `block` (reorged-out history) and move the cursor back.
+ */
+function rollbackTo(chain, block) {
+  for (const entry of Object.values(chain.values)) {
+    for (const [stat, history] of Object.entries(entry)) {
+      const kept = history.filter((h) => h.block <= block);
+      if (kept.length) entry[stat] = kept;
+      else delete entry[stat];
+    }
+  }
+  chain.blocks = chain.blocks.filter((b) => b.number <= block);
+  chain.cursor = block;
+}
+
+/**
+ * Compare stored block hashes with the chain; on mismatch roll back to the last common block.
+ * @returns {Promise<boolean>} true if a reorg was handled
+ */
+async function handleReorg(chain, network) {
+  for (let i = chain.blocks.length - 1; i >= 0; i--) {
+    const stored = chain.blocks[i];
+    const onChain = await network.provider.getBlock(stored.number);
+    if (onChain && onChain.hash === stored.hash) {
+      if (i === chain.blocks.length - 1) return false;
+      console.warn(`Indexer: reorg detected on ${network.name}, rolling back to block ${stored.number}`);
+      rollbackTo(chain, stored.number);
+      return true;
+    }
+  }
+  if (chain.blocks.length === 0) return false;
+  // Deeper than the window: re-index the whole window
+  const block = Math.max(network.startBlock - 1, chain.blocks[0].number - 1);
+  console.warn(`Indexer: reorg deeper than ${REORG_DEPTH} blocks on ${network.name}, rolling back to block ${block}`);
+  rollbackTo(chain, block);
+  return true;
+}
+
+/**
+ * Keep only the newest value older than the reorg window plus everything inside it.
+ */
+function prune(chain) {
+  const finalized = chain.cursor - REORG_DEPTH;
+  for (const entry of Object.values(chain.values)) {
+    for (const [stat, history] of Object.entries(entry)) {
+      const firstRecent = history.findIndex((h) => h.block > finalized);
+      const cut = (firstRecent === -1 ? history.length : firstRecent) - 1;
+      if (cut > 0) entry[stat] = history.slice(cut);
+    }
+  }
+}
+
+/**
+ * Index new blocks of one network: handle reorgs, backfill newly registered contracts, then follow the head.
+ * @returns {Promise<{ from:number, to:number }|null>} indexed range, or null when already at the head
+ */
+async function syncNetwork(name, records) {
+  const network = getNetwork(name);
+  const chain = chainState(name);
+  const addresses = [...new Set(records.map((r) => r.contractAddress.toLowerCase()))];
+  const head = await network.provider.getBlockNumber();
+
+  await handleReorg(chain, network);
+  const cursor = chain.cursor ?? network.startBlock - 1;
+
+  // Contracts registered since the last sync: catch up on their history up to the cursor
+  const fresh = addresses.filter((a) => !chain.contracts[a]);
+  if (fresh.length && cursor >= network.startBlock) await indexRange(chain, network.provider, fresh, network.startBlock, cursor);
+  for (const a of fresh) chain.contracts[a] = true;
+
+  if (head <= cursor || addresses.length === 0) return null;
+
+  await indexRange(chain, network.provider, addresses, cursor + 1, head);
+
+  const window = [];
+  for (let n = Math.max(cursor + 1, head - REORG_DEPTH + 1); n <= head; n++) {
+    const block = await network.provider.getBlock(n);
+    if (block) window.push({ number: n, hash: block.hash });
+  }
+  chain.blocks = [...chain.blocks, ...window].slice(-REORG_DEPTH);
+  chain.cursor = head;
+  prune(chain);
+  return { from: cursor + 1, to: head };
+}
+
+/**
+ * Index new blocks once on every network that has players. A failing network does not stop the others.
+ * @returns {Promise<Object<string, { from:number, to:number }|null>>} indexed range per network (null: already at the head)
+ */
+async function syncOnce() {
+  const byNetwork = {};
+  for (const record of Object.values(readPlayerRecords())) (byNetwork[recordNetwork(record)] ||= []).push(record);
+
+  const ranges = {};
+  const errors = [];
+  for (const [name, records] of Object.entries(byNetwork)) {
+    try {
+      ranges[name] = await syncNetwork(name, records);
+    } catch (e) {
+      errors.push(`${name}: ${e?.message || e}`);
+    }
+  }
+  save(Object.keys(byNetwork));
+  if (errors.length) throw new Error(errors.join('; '));
+  return ranges;
+}
+
+function tick() {
+  if (running) return running;
+  running = syncOnce()
+    .catch((e) => console.error('Indexer sync failed:', e?.message || e))
+    .finally(() => { running = null; });
+  return running;
+}
+
+function startIndexer() {
+  if (timer) return;
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  timer.unref();
+  tick();
+}
+
+function stopIndexer() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+function latestValue(record, key, linked) {
+  const values = chains()[recordNetwork(record)]?.values ?? {};
+  let total = 0n;
+  for (const playerKey of playerKeys(record, linked)) {
+    const history = values[playerKey]?.[key];
+    if (history && history.length) total += BigInt(history[history.length - 1].value);
+  }
+  return total;
+}
+
+/**
+ * All registered players (of `network`, or of every network) ordered by `stat` (desc, ties by
+ * username), with competition ranking.
+ */
+function rankedPlayers(stat, network) {
+  const key = statKey(stat);
+  const linked = readLinkedIdentifiers();
+  const rows = Object.entries(readPlayerRecords())
+    .filter(([, record]) => !network || recordNetwork(record) === network)
+    .map(([username, record]) => ({ username, value: latestValue(record, key, linked[username]) }))
+    .sort((a, b) => (a.value === b.value ? a.username.localeCompare(b.username) : (a.value > b.value ? -1 : 1)));
+  let rank = 0;
+  return rows.map((row, i) => {
+    if (i === 0 || row.value !== rows[i - 1].value) rank = i + 1;
+    return { rank, username: row.username, value: row.value.toString() };
+  });
+}
+
+function indexedBlocks() {
+  return Object.fromEntries(Object.entries(chains()).map(([name, chain]) => [name, chain.cursor]));
+}
+
+/**
+ * @param {string} stat stat name (default 'kills')
+ * @param {{ limit?:number, offset?:number, network?:string }} [options] `network` restricts the board to one network
+ * @returns {{ stat:string, network:string|null, total:number, limit:number, offset:number, indexedBlock:number|null, indexedBlocks:Object<string, number|null>, entries:Array<{rank:number, username:string, value:string}> }}
+ *   indexedBlock is the cursor of `network` (or of the default network)
+ */
+function getLeaderboard(stat = 'kills', { limit = 50, offset = 0, network = null } = {}) {
+  const rows = rankedPlayers(stat, network);
+  return {
+    stat: statNameForKey(statKey(stat)),
+    network,
+    total: rows.length,
+    limit,
+    offset,
+    indexedBlock: chains()[network || getDefaultNetwork()]?.cursor ?? null,
+    indexedBlocks: indexedBlocks(),
+    entries: rows.slice(offset, offset + limit),
+  };
+}
+
+/**
+ * Rank of one player for `stat`, or null if the username is not registered.
+ */
+function getPlayerRank(username, stat = 'kills') {
+  const row = rankedPlayers(stat).find((r) => r.username === username);
+  if (!row) return null;
+  const network = recordNetwork(readPlayerRecords()[username]);
+  return { stat, ...row, network, indexedBlock: chains()[network]?.cursor ?? null };
+}
+
+export { syncOnce, startIndexer, stopIndexer, getLeaderboard, getPlayerRank };
@@ -0,0 +1,131 @@
+import { getDb } from './datastore.js';
+import { getSessionForUsername } from './sessionManager.js';
+import { getPlayerRecord, updateUserStats } from './contractManager.js';
+import { waitForTx } from './networks.js';
+import { parseStatEntries } from './statNames.js';
+
+// How long /match/result waits for the queued stat txs to be broadcast before answering
+const SUBMIT_TIMEOUT_MS = Number(process.env.MATCH_SUBMIT_TIMEOUT_MS || 30 * 1000);
+
+function isCount(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+/**
+ * Validate a match report. Throws with a descriptive message on the first problem found.
+ * Report shape:
+ * { matchId, durationSeconds?, players: [{ username, ip, deviceId?, kills?, deaths?, won?, playtime?, stats? }] }
+ */
+function validateMatchReport(report) {
+  if (!report || typeof report !== 'object') throw new Error('match report body is required');
+  const { matchId, durationSeconds, players } = report;
+  if (!matchId || typeof matchId !== 'string' || matchId.length > 128) throw new Error('matchId (string, max 128 chars) is required');
+  if (durationSeconds !== undefined && !isCount(durationSeconds)) throw new Error('durationSeconds must be a non-negative integer');
+  if (!Array.isArray(players) || players.length === 0) throw new Error('players (non-empty array) is required');
+
+  const seen = new Set();
+  for (const p of players) {
+    if (!p || typeof p.username !== 'string' || !p.username) throw new Error('each player needs a username');
+    if (seen.has(p.username)) throw new Error(`player ${p.username} is listed twice`);
+    seen.add(p.username);
+    if (!p.ip || typeof p.ip !== 'string') throw new Error(`player ${p.username} needs an ip`);
+    if (p.deviceId !== undefined && (typeof p.deviceId !== 'string' || !p.deviceId)) throw new Error(`player ${p.username}: deviceId must be a non-empty string`);
+    for (const field of ['kills', 'deaths', 'playtime']) {
+      if (p[field] !== undefined && !isCount(p[field])) throw new Error(`player ${p.username}: ${field} must be a non-negative integer`);
+    }
+    if (p.won !== undefined && typeof p.won !== 'boolean') throw new Error(`player ${p.username}: won must be a boolean`);
+    if (p.stats !== undefined) parseStatEntries(p.stats);
+  }
+}
+
+/**
+ * Per-player stat increments for one match. Zero deltas are dropped, except matchesPlayed.
+ * @returns {Object<string, number|string>}
+ */
+function computeMatchDeltas(player, report) {
+  const deltas = {
+    ...(player.stats || {}),
+    kills: player.kills || 0,
+    deaths: player.deaths || 0,
+    wins: player.won ? 1 : 0,
+    playtime: player.playtime ?? report.durationSeconds ?? 0,
+  };
+  for (const [name, value] of Object.entries(deltas)) {
+    if (Number(value) === 0) delete deltas[name];
+  }
+  deltas.matchesPlayed = 1;
+  return deltas;
+}
+
+/**
+ * Whether `matchId` was already submitted (accepted ids are rows of `match_results`).
+ */
+function hasMatch(matchId) {
+  return Boolean(getDb().prepare('SELECT 1 FROM match_results WHERE match_id = ?').get(matchId));
+}
+
+/**
+ * Check every participant is registered and has a valid session from the reported ip.
+ * @returns {Promise<Array<{username:string, reason:string}>>} participants that failed
+ */
+async function checkParticipants(players) {
+  const rejected = [];
+  for (const p of players) {
+    if (!getPlayerRecord(p.username)) {
+      rejected.push({ username: p.username, reason: 'not_registered' });
+      continue;
+    }
+    const session = await getSessionForUsername(p.username, p.ip, { deviceId: p.deviceId });
+    if (session.allowed !== true) {
+      rejected.push({ username: p.username, reason: session.reason });
+    }
+  }
+  return rejected;
+}
+
+/**
+ * Apply a validated match report: reserves the match id, then queues each player's deltas
+ * on the owner tx queue and waits until they are broadcast. Throws if the match id was already submitted.
+ * @param {Object} report
+ * @param {{ submittedBy?: string }} [meta]
+ * @returns {Promise<{ matchId:string, players:Object<string, { deltas:Object, txId?:string, txHash?:string, error?:string }> }>}
+ */
+async function submitMatchResult(report, meta = {}) {
+  // Reserve the id before any tx goes out so a concurrent duplicate is rejected
+  const reserved = getDb().prepare("INSERT OR IGNORE INTO match_results (match_id, status, submitted_by, received_at) VALUES (?, 'pending', ?, ?)")
+    .run(report.matchId, meta.submittedBy || null, new Date().toISOString());
+  if (!reserved.changes) throw new Error(`Match ${report.matchId} was already submitted`);
+
+  // Queue everyone first so the writes share a batch window, then wait for their hashes
+  const players = {};
+  for (const p of report.players) {
+    const deltas = computeMatchDeltas(p, report);
+    try {
+      const txIds = await updateUserStats(p.username, { increment: deltas });
+      players[p.username] = { deltas, txId: txIds.increment };
+    } catch (e) {
+      console.error(`Failed to queue match ${report.matchId} stats for ${p.username}:`, e);
+      players[p.username] = { deltas, error: e?.message || String(e) };
+    }
+  }
+  await Promise.all(Object.entries(players).filter(([, p]) => p.txId).map(async ([username, p]) => {
+    try {
+      const tx = await waitForTx(p.txId, 'submitted', SUBMIT_TIMEOUT_MS);
+      p.txHash = tx.hash;
+    } catch (e) {
+      console.error(`Match ${report.matchId} stats tx for ${username} was not submitted:`, e);
+      p.error = e?.message || String(e);
+    }
+  }));
+
+  getDb().prepare('UPDATE match_results SET status = ?, players = ?, completed_at = ? WHERE match_id = ?').run(
+    Object.values(players).some((p) => p.error) ? 'partial' : 'submitted',
+    JSON.stringify(players),
+    new Date().toISOString(),
+    report.matchId,
+  );
+
+  return { matchId: report.matchId, players };
+}
+
+export { validateMatchReport, computeMatchDeltas, checkParticipants, hasMatch, submitMatchResult };
@@ -0,0 +1,202 @@
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+dotenv.config();
+import { getPlayerRecord, playerContract, resolveContractVersion } from './contractManager.js';
+import { supports } from './contractVersions.js';
+import { getNetwork, recordNetwork, requireSigner, waitForTx } from './networks.js';
+import { parseStatEntries, rememberStatNames } from './statNames.js';
+import { emitEvent } from './events.js';
+import { ApiError } from './errors.js';
+
+/*
+ * Gasless stat updates. The player (or a game server whose address the contract owner allowed with
+ * `setStatSigner`) signs an EIP-712 StatUpdate for the player's contract; the backend checks it and
+ * relays it from the owner signer through `setStatsBySig` / `setStatsByIdBySig`, which enforce the
+ * nonce and deadline on-chain. Players with a non-EVM primary identifier can only be updated by stat signers.
+ * Contracts deployed before signed updates existed (version < 6) lack the entrypoints and are refused.
+ */
+const DOMAIN_NAME = 'OG Protocol';
+const DOMAIN_VERSION = '1';
+const FIELDS = [
+  { name: 'stats', type: 'bytes32[]' },
+  { name: 'values', type: 'uint256[]' },
+  { name: 'increment', type: 'bool' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'deadline', type: 'uint256' },
+];
+const TYPES = {
+  StatUpdate: { StatUpdate: [{ name: 'player', type: 'address' }, ...FIELDS] },
+  StatUpdateById: { StatUpdateById: [{ name: 'playerId', type: 'bytes32' }, ...FIELDS] },
+};
+// Deadline of prepared updates, and the furthest one a relayed update may carry
+const DEFAULT_DEADLINE_SECONDS = Number(process.env.STAT_RELAY_DEADLINE_SECONDS || 10 * 60);
+const MAX_DEADLINE_SECONDS = Number(process.env.STAT_RELAY_MAX_DEADLINE_SECONDS || 24 * 60 * 60);
+const MAX_STATS_PER_UPDATE = 64;
+// How long a relayed update may take to confirm before its stats.updated event is given up on
+const RELAY_EVENT_TIMEOUT_MS = 60 * 60 * 1000;
+
+// `${contract}:${player}:${nonce}` of relays queued but not yet mined, so a nonce is only relayed once
+const pendingNonces = new Set();
+
+// Everything needed to sign or relay an update for `username`
+async function statUpdateTarget(username) {
+  const record = getPlayerRecord(username);
+  if (!record) throw new ApiError('user_not_found', 'User not found');
+  const network = getNetwork(recordNetwork(record));
+  const version = await resolveContractVersion(username, record);
+  if (!supports(version, 'signedStats')) {
+    throw new ApiError('operation_not_supported', `The contract of ${username} (version ${version}) predates signed stat updates`, { contractVersion: version });
+  }
+  const contract = playerContract({ ...record, contractVersion: version }, network.provider);
+  const byId = !(record.playerAddressIsEthereum ?? ethers.isAddress(record.playerAddress));
+  const player = byId ? ethers.id(record.playerAddress) : ethers.getAddress(record.playerAddress);
+  const nonce = await (byId ? contract.noncesById(player) : contract.nonces(player));
+  const { chainId } = await network.provider.getNetwork();
+  return {
+    record,
+    network,
+    contract,
+    byId,
+    player,
+    nonce,
+    primaryType: byId ? 'StatUpdateById' : 'StatUpdate',
+    domain: { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId, verifyingContract: record.contractAddress },
+  };
+}
+
+function parseUpdate({ set, increment }) {
+  if ((set === undefined) === (increment === undefined)) {
+    throw new ApiError('invalid_request', 'A signed update carries exactly one of set or increment');
+  }
+  let parsed;
+  try {
+    parsed = parseStatEntries(set ?? increment);
+  } catch (err) {
+    throw new ApiError('invalid_request', err.message);
+  }
+  if (parsed.names.length === 0 || parsed.names.length > MAX_STATS_PER_UPDATE) {
+    throw new ApiError('invalid_request', `A signed update carries 1 to ${MAX_STATS_PER_UPDATE} stats`);
+  }
+  return { ...parsed, increment: increment !== undefined };
+}
+
+function typedMessage(target, { keys, values, increment }, nonce, deadline) {
+  const message = { stats: keys, values, increment, nonce: BigInt(nonce), deadline: BigInt(deadline) };
+  return target.byId ? { playerId: target.player, ...message } : { player: target.player, ...message };
+}
+
+// BigInts as decimal strings, for JSON responses
+function jsonSafe(value) {
+  return JSON.parse(JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v)));
+}
+
+/**
+ * EIP-712 typed data for a stat update of `username`, ready for `eth_signTypedData_v4`
+ * (stat names are sent as their keccak256 keys; `statNames` maps them back).
+ * @param {string} username
+ * @param {{ set?:Object, increment?:Object, deadline?:number }} update exactly one of set / increment; deadline in unix seconds
+ * @returns {Promise<{ domain:Object, types:Object, primaryType:string, message:Object, statNames:string[] }>}
+ */
+async function prepareStatUpdate(username, { set, increment, deadline } = {}) {
+  const parsed = parseUpdate({ set, increment });
+  const target = await statUpdateTarget(username);
+  const effectiveDeadline = deadline ?? Math.floor(Date.now() / 1000) + DEFAULT_DEADLINE_SECONDS;
+  checkDeadline(effectiveDeadline);
+  return jsonSafe({
+    domain: target.domain,
+    types: TYPES[target.primaryType],
+    primaryType: target.primaryType,
+    message: typedMessage(target, parsed, target.nonce, effectiveDeadline),
+    statNames: parsed.names,
+  });
+}
+
+function checkDeadline(deadline) {
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isSafeInteger(deadline) || deadline <= now) throw new ApiError('invalid_request', 'deadline must be a future unix timestamp (seconds)');
+  if (deadline > now + MAX_DEADLINE_SECONDS) throw new ApiError('invalid_request', `deadline must be at most ${MAX_DEADLINE_SECONDS} seconds away`);
+}
+
+/**
+ * Check a signed stat update and queue it from the owner signer. The signature must come from the
+ * player's primary address or from an allowed stat signer, over the player's current nonce.
+ * @param {string} username
+ * @param {{ set?:Object, increment?:Object, nonce:number|string, deadline:number, signature:string }} update
+ * @returns {Promise<{ txId:string, signer:string, nonce:string }>}
+ */
+async function relayStatUpdate(username, { set, increment, nonce, deadline, signature }) {
+  const parsed = parseUpdate({ set, increment });
+  checkDeadline(deadline);
+  const target = await statUpdateTarget(username);
+  if (BigInt(nonce) !== target.nonce) {
+    throw new ApiError('invalid_request', `nonce must be the player's current nonce (${target.nonce})`, { expected: target.nonce.toString() });
+  }
+  const pendingKey = `${target.record.contractAddress}:${target.player}:${target.nonce}`;
+  if (pendingNonces.has(pendingKey)) throw new ApiError('invalid_request', `An update with nonce ${target.nonce} is already being relayed`);
+  // Claimed before anything else is awaited, so concurrent relays of one nonce cannot both get through;
+  // released on failure here, or once the relay tx settles
+  pendingNonces.add(pendingKey);
+
+  const op = parsed.increment ? 'increment' : 'set';
+  let signer;
+  let job;
+  try {
+    const message = typedMessage(target, parsed, target.nonce, deadline);
+    try {
+      signer = ethers.verifyTypedData(target.domain, TYPES[target.primaryType], message, signature);
+    } catch (err) {
+      throw new ApiError('signature_invalid', 'The signature is malformed', { reason: 'malformed' });
+    }
+    const allowed = (!target.byId && signer === target.player) || await target.contract.statSigners(signer);
+    if (!allowed) throw new ApiError('signature_invalid', 'The update is not signed by the player or an allowed stat signer', { reason: 'signer_not_allowed', signer });
+
+    const { v, r, s } = ethers.Signature.from(signature);
+    const packed = ethers.concat([r, s, ethers.toBeHex(v, 1)]);
+    const update = [parsed.keys, parsed.values, parsed.increment, BigInt(deadline)];
+    const data = target.byId
+      ? target.contract.interface.encodeFunctionData('setStatsByIdBySig', [target.player, update, packed])
+      : target.contract.interface.encodeFunctionData('setStatsBySig', [target.player, update, packed]);
+
+    requireSigner(target.network);
+    rememberStatNames(parsed.names);
+    job = target.network.txQueue.enqueue({ to: target.record.contractAddress, data, label: `relay signed ${op} stats for ${username}` });
+  } catch (err) {
+    pendingNonces.delete(pendingKey);
+    throw err;
+  }
+  console.log(`Queued signed ${op} stats for ${username} from ${signer}: ${parsed.names.join(', ')} (tx ${job.id})`);
+
+  waitForTx(job.id, 'confirmed', RELAY_EVENT_TIMEOUT_MS)
+    .then((tx) => emitEvent('stats.updated', {
+      username, op, stats: Object.fromEntries(parsed.names.map((name, i) => [name, parsed.values[i].toString()])), txId: job.id, txHash: tx.hash, signer,
+    }))
+    .catch((err) => console.warn(`Relayed stat update ${job.id} failed:`, err?.message || err))
+    .finally(() => pendingNonces.delete(pendingKey));
+  return { txId: job.id, signer, nonce: target.nonce.toString() };
+}
+
+/**
+ * Allow or disallow `signer` (a game server address) to sign stat updates in `username`'s contract.
+ * Registry players share one contract: the change applies to every player of that network's registry.
+ * @returns {Promise<{ contractAddress:string, signer:string, allowed:boolean, txId:string }>}
+ */
+async function setStatSigner(username, signer, allowed) {
+  const record = getPlayerRecord(username);
+  if (!record) throw new ApiError('user_not_found', 'User not found');
+  if (!ethers.isAddress(signer)) throw new ApiError('invalid_request', 'signer must be an EVM address');
+  const network = getNetwork(recordNetwork(record));
+  const owner = requireSigner(network);
+  if (record.owner && record.owner !== owner.address) {
+    throw new ApiError('operation_not_supported', `The contract for ${username} is owned by ${record.owner}; the server can no longer manage its stat signers`);
+  }
+  const address = ethers.getAddress(signer);
+  const contract = playerContract(record, network.provider);
+  const job = network.txQueue.enqueue({
+    to: record.contractAddress,
+    data: contract.interface.encodeFunctionData('setStatSigner', [address, allowed]),
+    label: `${allowed ? 'allow' : 'disallow'} stat signer ${address} for ${username}`,
+  });
+  return { contractAddress: record.contractAddress, signer: address, allowed, txId: job.id };
+}
+
+export { TYPES as STAT_UPDATE_TYPES, prepareStatUpdate, relayStatUpdate, setStatSigner };
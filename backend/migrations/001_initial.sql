@@ -0,0 +1,31 @@
+-- Login tokens (previously backend/tokens.json)
+CREATE TABLE tokens (
+  uuid TEXT PRIMARY KEY,
+  username TEXT NOT NULL,
+  data TEXT NOT NULL DEFAULT '{}',
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL
+);
+CREATE INDEX tokens_username ON tokens (username);
+CREATE INDEX tokens_expires_at ON tokens (expires_at);
+
+-- Player contract records (previously backend/userContracts.json); `record` is the full JSON record
+CREATE TABLE player_records (
+  username TEXT PRIMARY KEY,
+  contract_address TEXT NOT NULL,
+  player_address TEXT NOT NULL,
+  record TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX player_records_player_address ON player_records (player_address);
+CREATE INDEX player_records_contract_address ON player_records (contract_address);
+
+-- Arkacdn session side map (previously backend/registeredSessions.json); `meta` holds lifecycle fields
+CREATE TABLE arkacdn_sessions (
+  id TEXT PRIMARY KEY,
+  username TEXT NOT NULL,
+  token_uuid TEXT,
+  meta TEXT NOT NULL DEFAULT '{}'
+);
+CREATE INDEX arkacdn_sessions_username ON arkacdn_sessions (username);
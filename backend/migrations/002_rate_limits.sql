@@ -0,0 +1,7 @@
+-- Fixed-window counters for the sqlite rate limit store (RATE_LIMIT_STORE=sqlite)
+CREATE TABLE rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at INTEGER NOT NULL
+);
+CREATE INDEX rate_limits_reset_at ON rate_limits (reset_at);
@@ -0,0 +1,28 @@
+-- Admin API keys. Only a sha256 of the secret is stored; `roles` is a JSON array
+CREATE TABLE api_keys (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  secret_hash TEXT NOT NULL,
+  roles TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  created_by TEXT,
+  last_used_at TEXT,
+  revoked_at TEXT
+);
+
+-- Every admin action (and every request refused for lack of permission)
+CREATE TABLE audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  at TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  actor_name TEXT,
+  action TEXT NOT NULL,
+  target TEXT,
+  params TEXT NOT NULL DEFAULT '{}',
+  outcome TEXT NOT NULL,
+  error TEXT,
+  ip TEXT
+);
+CREATE INDEX audit_log_action ON audit_log (action);
+CREATE INDEX audit_log_actor ON audit_log (actor);
+CREATE INDEX audit_log_target ON audit_log (target);
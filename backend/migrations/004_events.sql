@@ -0,0 +1,37 @@
+-- Structured event stream; `seq` gives consumers a stable cursor
+CREATE TABLE events (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  id TEXT NOT NULL UNIQUE,
+  type TEXT NOT NULL,
+  subject TEXT,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX events_type ON events (type);
+CREATE INDEX events_subject ON events (subject);
+
+-- Webhook endpoints; `event_types` is a JSON array of types or patterns ('*', 'session.*')
+CREATE TABLE webhooks (
+  id TEXT PRIMARY KEY,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  event_types TEXT NOT NULL,
+  description TEXT,
+  created_at TEXT NOT NULL,
+  disabled_at TEXT
+);
+
+-- One row per (event, webhook). status: pending -> delivered, or dead after the last failed attempt
+CREATE TABLE webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  event_seq INTEGER NOT NULL REFERENCES events (seq) ON DELETE CASCADE,
+  webhook_id TEXT NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at INTEGER NOT NULL,
+  last_status INTEGER,
+  last_error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
@@ -0,0 +1,10 @@
+-- Additional identifiers linked to a player. The primary one stays in player_records.player_address.
+CREATE TABLE player_identifiers (
+  username TEXT NOT NULL REFERENCES player_records (username) ON DELETE CASCADE,
+  identifier TEXT NOT NULL,
+  kind TEXT,
+  is_ethereum INTEGER NOT NULL,
+  linked_at TEXT NOT NULL,
+  PRIMARY KEY (username, identifier)
+);
+CREATE INDEX player_identifiers_identifier ON player_identifiers (identifier);
@@ -0,0 +1,19 @@
+-- Achievements earned by players. status: earned (waiting for a contract or an EVM address to mint to)
+-- -> pending (mint queued) -> minted, or failed (retried on the next evaluation)
+CREATE TABLE player_achievements (
+  username TEXT NOT NULL REFERENCES player_records (username) ON DELETE CASCADE,
+  achievement_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  network TEXT,
+  recipient TEXT,
+  token_id TEXT,
+  tx_id TEXT,
+  tx_hash TEXT,
+  error TEXT,
+  earned_at TEXT NOT NULL,
+  minted_at TEXT,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (username, achievement_id)
+);
+CREATE INDEX player_achievements_token ON player_achievements (token_id);
+CREATE INDEX player_achievements_status ON player_achievements (status);
@@ -0,0 +1,15 @@
+-- Off-chain player profiles. content_hash is keccak256 of the canonical profile JSON; anchor_* track
+-- the last request to store it in the player's contract (status: pending -> anchored | failed)
+CREATE TABLE player_profiles (
+  username TEXT PRIMARY KEY REFERENCES player_records (username) ON DELETE CASCADE,
+  profile TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  anchor_status TEXT,
+  anchor_hash TEXT,
+  anchor_tx_id TEXT,
+  anchor_tx_hash TEXT,
+  anchor_error TEXT,
+  anchored_at TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
@@ -0,0 +1,21 @@
+-- Registration jobs: status is the last completed step (pending -> deployed -> initialised -> ready).
+-- `error` is set when a run stopped on a step; registering again resumes from `status`.
+-- The player record is only written once the job is ready. Players registered before jobs existed have no row.
+CREATE TABLE registrations (
+  username TEXT PRIMARY KEY,
+  network TEXT NOT NULL,
+  mode TEXT NOT NULL,
+  player_address TEXT NOT NULL,
+  is_ethereum INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  contract_address TEXT,
+  deploy_tx_id TEXT,
+  deploy_tx_hash TEXT,
+  init_tx_ids TEXT NOT NULL DEFAULT '[]',
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  ready_at TEXT
+);
+CREATE INDEX registrations_status ON registrations (status);
@@ -0,0 +1,18 @@
+-- Tx queue jobs, one queue per network (backend/txQueue.js). `job` is the full job as JSON; status is
+-- copied out so only unfinished jobs (queued, submitted) are loaded. Finished jobs are pruned after
+-- TX_JOB_RETENTION_DAYS.
+CREATE TABLE tx_jobs (
+  id TEXT PRIMARY KEY,
+  queue TEXT NOT NULL,
+  status TEXT NOT NULL,
+  job TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX tx_jobs_queue_status ON tx_jobs (queue, status, updated_at);
+
+-- Next nonce each queue assigns (null: follow the chain)
+CREATE TABLE tx_queues (
+  name TEXT PRIMARY KEY,
+  next_nonce INTEGER
+);
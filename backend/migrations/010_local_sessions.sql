@@ -0,0 +1,7 @@
+-- Local session store driver, SESSION_STORE=local; `session` is the full JSON session
+CREATE TABLE local_sessions (
+  id TEXT PRIMARY KEY,
+  username TEXT NOT NULL,
+  session TEXT NOT NULL
+);
+CREATE INDEX local_sessions_username ON local_sessions (username);
@@ -0,0 +1,8 @@
+-- Stat event indexer state per network (backend/indexer.js).
+-- `state` is the chain state as JSON; the cursor is copied out for inspection.
+CREATE TABLE indexer_chains (
+  network TEXT PRIMARY KEY,
+  cursor INTEGER,
+  state TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
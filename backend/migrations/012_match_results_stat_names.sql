@@ -0,0 +1,16 @@
+-- Match reports accepted by POST /match/result (backend/matchManager.js). The primary key reserves a match id
+-- so a report is applied once. status: pending -> submitted | partial; `players` is the per-player outcome as JSON.
+CREATE TABLE match_results (
+  match_id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  submitted_by TEXT,
+  players TEXT NOT NULL DEFAULT '{}',
+  received_at TEXT NOT NULL,
+  completed_at TEXT
+);
+
+-- Custom stat names by on-chain key, keccak256(name) (backend/statNames.js)
+CREATE TABLE stat_names (
+  key TEXT PRIMARY KEY,
+  name TEXT NOT NULL
+);
@@ -0,0 +1,11 @@
+-- ES256 keys signing session tokens (backend/sessionTokens.js). New tokens use the one key not retired;
+-- retired keys stay published and accepted until SESSION_KEY_RETENTION_SECONDS after retired_at.
+-- private_key is a PKCS#8 PEM: keep database backups as private as the keys themselves.
+CREATE TABLE session_keys (
+  kid TEXT PRIMARY KEY,
+  private_key TEXT NOT NULL,
+  public_jwk TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  retired_at TEXT
+);
+CREATE UNIQUE INDEX session_keys_current ON session_keys ((retired_at IS NULL)) WHERE retired_at IS NULL;
@@ -0,0 +1,10 @@
+-- An identifier can only be registered once in a network's player registry, so registry-mode jobs reserve it:
+-- a second username registering the same identifier on the same network is refused when its job is created.
+-- Unfinished jobs that already duplicate an earlier one could never finish (the registry refuses the entry) and are dropped.
+DELETE FROM registrations
+WHERE mode = 'registry' AND status != 'ready' AND EXISTS (
+  SELECT 1 FROM registrations earlier
+  WHERE earlier.mode = 'registry' AND earlier.network = registrations.network AND earlier.player_address = registrations.player_address
+    AND (earlier.created_at < registrations.created_at OR (earlier.created_at = registrations.created_at AND earlier.rowid < registrations.rowid))
+);
+CREATE UNIQUE INDEX registrations_registry_identifier ON registrations (network, player_address) WHERE mode = 'registry';
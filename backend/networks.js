@@ -0,0 +1,281 @@
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs';
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+dotenv.config();
+import { createTxQueue, listActiveTxQueues } from './txQueue.js';
+
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/*
+ * Network registry. A network is:
+ * {
+ *   name, chainId (null: detected from the RPC), rpcUrl,
+ *   privateKey: owner signer key (deploys contracts and sends every stat write),
+ *   registryAddress: shared PlayerRegistry on that chain, if any,
+ *   achievementsAddress: soulbound Achievements contract badges are minted from, if any,
+ *   contractMode: 'per-player' | 'registry' for new players,
+ *   confirmations: blocks before a tx counts as confirmed,
+ *   startBlock: first block the indexer reads,
+ * }
+ * Sources, later ones winning:
+ * 1. the built-in networks below
+ * 2. NETWORKS_PATH, a JSON file { "<name>": { chainId, rpcUrl, registryAddress, ... } }
+ *    (keep keys out of it: use `privateKeyEnv` to name the env var holding the key)
+ * 3. NETWORK_<NAME>_{CHAIN_ID,RPC_URL,PRIVATE_KEY,REGISTRY_ADDRESS,ACHIEVEMENTS_ADDRESS,CONTRACT_MODE,CONFIRMATIONS,START_BLOCK}
+ * The single-network env of earlier versions (RPC_URL, PRIVATE_KEY, CHAIN_ID, REGISTRY_ADDRESS,
+ * CONTRACT_MODE, TX_CONFIRMATIONS, INDEXER_START_BLOCK) still configures the default network
+ * wherever 3. does not.
+ * configureNetworks replaces all of these with an explicit registry, whose networks may bring their
+ * own `provider` and `signer` (an in-process Hardhat network in tests).
+ */
+const BUILTIN_NETWORKS = {
+  moonbase: { chainId: 1287, rpcUrl: 'https://rpc.api.moonbase.moonbeam.network' },
+  // `npm run dev:node`; falls back to the first well-known Hardhat dev account
+  hardhat: {
+    chainId: 31337,
+    rpcUrl: 'http://127.0.0.1:8545',
+    privateKeyEnv: 'HARDHAT_PRIVATE_KEY',
+    privateKey: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  },
+};
+const NETWORKS_PATH = process.env.NETWORKS_PATH || path.join(__dirname, '..', 'networks.json');
+// New players are deployed here
+let defaultNetworkName = process.env.DEFAULT_NETWORK || 'moonbase';
+// Player records written before networks existed carry no `network` and live here
+let legacyNetworkName = process.env.LEGACY_NETWORK || defaultNetworkName;
+
+const ENV_FIELDS = {
+  CHAIN_ID: 'chainId',
+  RPC_URL: 'rpcUrl',
+  PRIVATE_KEY: 'privateKey',
+  REGISTRY_ADDRESS: 'registryAddress',
+  ACHIEVEMENTS_ADDRESS: 'achievementsAddress',
+  CONTRACT_MODE: 'contractMode',
+  CONFIRMATIONS: 'confirmations',
+  START_BLOCK: 'startBlock',
+};
+const LEGACY_ENV = {
+  CHAIN_ID: 'chainId',
+  RPC_URL: 'rpcUrl',
+  PRIVATE_KEY: 'privateKey',
+  REGISTRY_ADDRESS: 'registryAddress',
+  CONTRACT_MODE: 'contractMode',
+  TX_CONFIRMATIONS: 'confirmations',
+  INDEXER_START_BLOCK: 'startBlock',
+};
+
+const runtimes = new Map(); // name -> { provider, signer, txQueue } created on first use
+let configs = null;
+// name -> { provider?, signer? } handed to configureNetworks
+let injected = {};
+
+function readNetworksFile() {
+  try {
+    if (fs.existsSync(NETWORKS_PATH)) {
+      const raw = fs.readFileSync(NETWORKS_PATH, 'utf8');
+      if (raw) return JSON.parse(raw);
+    }
+  } catch (e) {
+    throw new Error(`Failed to read networks file ${NETWORKS_PATH}: ${e?.message || e}`);
+  }
+  return {};
+}
+
+function fromEnv(prefix, fields) {
+  const values = {};
+  for (const [suffix, field] of Object.entries(fields)) {
+    const value = process.env[`${prefix}${suffix}`];
+    if (value !== undefined && value !== '') values[field] = value;
+  }
+  return values;
+}
+
+function normalize(name, raw) {
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) throw new Error(`Invalid network name "${name}" (lowercase letters, digits and dashes)`);
+  const privateKey = (raw.privateKeyEnv && process.env[raw.privateKeyEnv]) || raw.privateKey || '';
+  const network = {
+    name,
+    chainId: raw.chainId === undefined || raw.chainId === null ? null : Number(raw.chainId),
+    rpcUrl: raw.rpcUrl,
+    privateKey,
+    registryAddress: raw.registryAddress || '',
+    achievementsAddress: raw.achievementsAddress || '',
+    contractMode: raw.contractMode || 'per-player',
+    confirmations: Number(raw.confirmations ?? 1),
+    startBlock: Number(raw.startBlock ?? 0),
+  };
+  if (!network.rpcUrl && !injected[name]?.provider) throw new Error(`Network "${name}" has no rpcUrl`);
+  if (network.chainId !== null && !Number.isSafeInteger(network.chainId)) throw new Error(`Network "${name}" has an invalid chainId`);
+  if (!['per-player', 'registry'].includes(network.contractMode)) throw new Error(`Network "${name}" has an invalid contractMode "${network.contractMode}"`);
+  return network;
+}
+
+function loadConfigs() {
+  const raw = {};
+  for (const [name, network] of Object.entries(BUILTIN_NETWORKS)) raw[name] = { ...network };
+  for (const [name, network] of Object.entries(readNetworksFile())) raw[name] = { ...raw[name], ...network };
+
+  // Networks only defined through env
+  for (const key of Object.keys(process.env)) {
+    const match = /^NETWORK_([A-Z0-9_]+)_RPC_URL$/.exec(key);
+    if (match) raw[match[1].toLowerCase().replace(/_/g, '-')] ||= {};
+  }
+
+  for (const name of Object.keys(raw)) {
+    const overrides = name === defaultNetworkName ? fromEnv('', LEGACY_ENV) : {};
+    // An RPC_URL without CHAIN_ID may point anywhere: detect the chain instead of assuming the built-in one
+    if (overrides.rpcUrl && !overrides.chainId) overrides.chainId = null;
+    Object.assign(overrides, fromEnv(`NETWORK_${name.toUpperCase().replace(/-/g, '_')}_`, ENV_FIELDS));
+    if (overrides.privateKey) delete raw[name].privateKeyEnv;
+    Object.assign(raw[name], overrides);
+  }
+
+  if (!raw[defaultNetworkName]) throw new Error(`DEFAULT_NETWORK "${defaultNetworkName}" is not configured`);
+  return Object.fromEntries(Object.entries(raw).map(([name, network]) => [name, normalize(name, network)]));
+}
+
+function networkConfigs() {
+  if (!configs) configs = loadConfigs();
+  return configs;
+}
+
+/**
+ * Replace the registry built from env and networks.json, e.g. to run against a test chain.
+ * Stops the tx queues of the previous registry.
+ * @param {Object} options
+ * @param {Object<string, Object>} options.networks name -> network config (as in networks.json, with `privateKey`),
+ *   optionally with a ready `provider` and `signer` (no rpcUrl needed then; the signer defaults to
+ *   `privateKey` on the provider)
+ * @param {string} [options.defaultNetwork] defaults to the first network
+ * @param {string} [options.legacyNetwork] defaults to defaultNetwork
+ */
+function configureNetworks({ networks, defaultNetwork = Object.keys(networks)[0], legacyNetwork = defaultNetwork }) {
+  if (!networks[defaultNetwork]) throw new Error(`DEFAULT_NETWORK "${defaultNetwork}" is not configured`);
+  closeNetworks();
+  injected = Object.fromEntries(Object.entries(networks).map(([name, { provider, signer }]) => [name, { provider, signer }]));
+  configs = Object.fromEntries(Object.entries(networks).map(([name, { provider, signer, ...network }]) => [name, normalize(name, network)]));
+  defaultNetworkName = defaultNetwork;
+  legacyNetworkName = legacyNetwork;
+}
+
+/**
+ * Stop every tx queue and drop the providers; networks are set up again on next use.
+ */
+function closeNetworks() {
+  for (const [name, { provider, txQueue }] of runtimes) {
+    txQueue?.stop();
+    if (!injected[name]?.provider) provider.destroy();
+  }
+  runtimes.clear();
+}
+
+/**
+ * Network new players are deployed to (DEFAULT_NETWORK, or as set by configureNetworks).
+ */
+function getDefaultNetwork() {
+  return defaultNetworkName;
+}
+
+/**
+ * Network of player records written before networks existed (LEGACY_NETWORK, or as set by configureNetworks).
+ */
+function getLegacyNetwork() {
+  return legacyNetworkName;
+}
+
+/**
+ * Names of every configured network.
+ */
+function listNetworks() {
+  return Object.keys(networkConfigs());
+}
+
+/**
+ * Configuration of a network (defaults to the default network). Throws for unknown names.
+ */
+function getNetworkConfig(name = defaultNetworkName) {
+  const network = networkConfigs()[name];
+  if (!network) throw new Error(`Unknown network "${name}". Configured: ${listNetworks().join(', ')}`);
+  return network;
+}
+
+/**
+ * Network holding a player record: `record.network`, or the legacy network for older records.
+ */
+function recordNetwork(record) {
+  return record?.network || legacyNetworkName;
+}
+
+/**
+ * A configured network with its provider, owner signer and tx queue (created once per process).
+ * @returns {{ name:string, chainId:number|null, rpcUrl:string, registryAddress:string, achievementsAddress:string, contractMode:string, confirmations:number, startBlock:number, provider:ethers.JsonRpcProvider, signer:ethers.Wallet|null, txQueue:Object|null }}
+ */
+function getNetwork(name = defaultNetworkName) {
+  const config = getNetworkConfig(name);
+  if (!runtimes.has(name)) {
+    // A configured chainId makes ethers refuse an RPC serving another chain
+    // cacheTimeout -1: never serve a cached pending nonce count to the tx queue
+    const provider = injected[name]?.provider ?? new ethers.JsonRpcProvider(config.rpcUrl, config.chainId ?? undefined, { cacheTimeout: -1 });
+    const signer = injected[name]?.signer ?? (config.privateKey ? new ethers.Wallet(config.privateKey, provider) : null);
+    const txQueue = signer ? createTxQueue({ signer, name, confirmations: config.confirmations }) : null;
+    runtimes.set(name, { provider, signer, txQueue });
+  }
+  const { privateKey, ...publicConfig } = config;
+  return { ...publicConfig, ...runtimes.get(name) };
+}
+
+/**
+ * Owner signer of a network; throws when it has no private key.
+ */
+function requireSigner(network) {
+  if (!network.signer) throw new Error(`No signer available for network "${network.name}". Set NETWORK_${network.name.toUpperCase().replace(/-/g, '_')}_PRIVATE_KEY (or PRIVATE_KEY for the default network)`);
+  return network.signer;
+}
+
+/**
+ * Resume the tx queues that have unfinished jobs (queues of other networks start on first use).
+ */
+function startTxQueues() {
+  const active = new Set(listActiveTxQueues());
+  for (const name of listNetworks()) {
+    if (active.has(name)) getNetwork(name).txQueue?.start();
+  }
+}
+
+/**
+ * Look up a tx queue job on any network.
+ * @returns {Object|null} the job (see txQueue `get`) with its `network`
+ */
+function getTx(id) {
+  for (const [name, { txQueue }] of runtimes) {
+    const tx = txQueue?.get(id);
+    if (tx) return { ...tx, network: name };
+  }
+  return null;
+}
+
+/**
+ * `waitFor` on whichever network queued the job.
+ */
+function waitForTx(id, status = 'confirmed', timeoutMs) {
+  for (const { txQueue } of runtimes.values()) {
+    if (txQueue?.get(id)) return txQueue.waitFor(id, status, timeoutMs);
+  }
+  return Promise.reject(new Error(`Unknown tx ${id}`));
+}
+
+/**
+ * Public view of the registry for GET /networks: no keys and no RPC URLs (they often embed API keys).
+ */
+function describeNetworks() {
+  return listNetworks().map((name) => {
+    const { privateKey, rpcUrl, startBlock, ...config } = getNetworkConfig(name);
+    return { ...config, default: name === defaultNetworkName, hasSigner: Boolean(privateKey || injected[name]?.signer) };
+  });
+}
+
+export { getDefaultNetwork, getLegacyNetwork, configureNetworks, closeNetworks, listNetworks, getNetworkConfig, getNetwork, recordNetwork, requireSigner, startTxQueues, getTx, waitForTx, describeNetworks };
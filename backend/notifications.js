@@ -0,0 +1,132 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import { getDb } from './datastore.js';
+import { onEvent, listEvents, matchesEventType } from './events.js';
+import { ApiError } from './errors.js';
+
+/*
+ * Live notifications over Server-Sent Events (GET /notifications). A stream subscribes to channels:
+ *   user:<username>  every event about that player
+ *   sessions         session.created / replaced / ended / revoked / ip_mismatch of every player
+ *   stats            stats.updated of every player (sent once the update is confirmed on-chain)
+ *   users            registrations, contract deployments and upgrades, identifiers and profiles
+ *   achievements     achievement.earned / achievement.minted
+ *   *                everything
+ * and may narrow them with `types` patterns ('session.*'). Events are sent as `id: <seq>`, `event: <type>`
+ * and `data: <event JSON>`, after an initial `ready` event. Reconnecting with Last-Event-ID (or ?after=)
+ * replays the events missed since then from the event log; when more than REPLAY_LIMIT events were
+ * missed a `gap` event comes first and the client should re-read the state it tracks.
+ * Streams carry the events emitted by this process.
+ */
+const CHANNELS = {
+  sessions: ['session.*'],
+  stats: ['stats.updated'],
+  users: ['user.*', 'registration.*', 'contract.*', 'identifier.*', 'profile.*'],
+  achievements: ['achievement.*'],
+  '*': ['*'],
+};
+const MAX_CHANNELS = 50;
+const HEARTBEAT_MS = Number(process.env.NOTIFICATIONS_HEARTBEAT_MS || 25 * 1000);
+const REPLAY_LIMIT = Number(process.env.NOTIFICATIONS_REPLAY_LIMIT || 1000);
+const MAX_STREAMS_PER_KEY = Number(process.env.NOTIFICATIONS_MAX_STREAMS_PER_KEY || 20);
+// Reconnection delay suggested to EventSource clients
+const RETRY_MS = 3000;
+const REPLAY_PAGE = 200;
+
+// API key id -> open streams
+const openStreams = new Map();
+
+/**
+ * Parse comma-separated `channels` and optional `types` patterns.
+ * Throws ApiError `invalid_request` on unknown channels or malformed patterns.
+ * @returns {{ channels:string[], usernames:Set<string>, patterns:string[], types:string[] }}
+ */
+function parseSubscription({ channels, types }) {
+  const list = [...new Set(String(channels).split(',').map((c) => c.trim()).filter(Boolean))];
+  if (list.length === 0 || list.length > MAX_CHANNELS) throw new ApiError('invalid_request', `channels must list 1 to ${MAX_CHANNELS} channels`);
+  const usernames = new Set();
+  const patterns = [];
+  for (const channel of list) {
+    if (channel.startsWith('user:') && channel.length > 'user:'.length) usernames.add(channel.slice('user:'.length));
+    else if (CHANNELS[channel]) patterns.push(...CHANNELS[channel]);
+    else throw new ApiError('invalid_request', `Unknown channel "${channel}". Expected user:<username> or one of: ${Object.keys(CHANNELS).join(', ')}`);
+  }
+  const typeList = types ? String(types).split(',').map((t) => t.trim()).filter(Boolean) : [];
+  if (!typeList.every((t) => /^(\*|[a-z_]+(\.[a-z_]+)*(\.\*)?)$/.test(t))) {
+    throw new ApiError('invalid_request', "types must be event types or patterns ('*', 'session.*')");
+  }
+  return { channels: list, usernames, patterns, types: typeList };
+}
+
+function matchesSubscription(subscription, event) {
+  const inChannel = (event.subject !== null && subscription.usernames.has(event.subject))
+    || subscription.patterns.some((pattern) => matchesEventType(pattern, event.type));
+  return inChannel && (subscription.types.length === 0 || subscription.types.some((pattern) => matchesEventType(pattern, event.type)));
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+function lastSeq() {
+  return getDb().prepare('SELECT COALESCE(MAX(seq), 0) FROM events').pluck().get();
+}
+
+/**
+ * Serve a notification stream on `res` until the client disconnects.
+ * Throws ApiError `rate_limited` when the key already has MAX_STREAMS_PER_KEY streams open.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{ principalId:string, subscription:Object, after?:number|null }} options `subscription` from parseSubscription;
+ *   `after` is the last seq the client saw (no replay when null)
+ */
+function openNotificationStream(req, res, { principalId, subscription, after = null }) {
+  const open = openStreams.get(principalId) ?? 0;
+  if (open >= MAX_STREAMS_PER_KEY) throw new ApiError('rate_limited', `At most ${MAX_STREAMS_PER_KEY} notification streams per API key`);
+  openStreams.set(principalId, open + 1);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Replaying and subscribing happen in one synchronous pass, so no event falls between them
+  let replayed = 0;
+  if (after !== null) {
+    let cursor = after;
+    const latest = lastSeq();
+    if (latest - after > REPLAY_LIMIT) {
+      cursor = latest - REPLAY_LIMIT;
+      res.write(`event: gap\ndata: ${JSON.stringify({ after, resumedAfter: cursor })}\n\n`);
+    }
+    for (;;) {
+      const page = listEvents({ after: cursor, limit: REPLAY_PAGE });
+      for (const event of page) {
+        if (!matchesSubscription(subscription, event)) continue;
+        writeEvent(res, event);
+        replayed++;
+      }
+      if (page.length < REPLAY_PAGE) break;
+      cursor = page[page.length - 1].seq;
+    }
+  }
+  res.write(`event: ready\ndata: ${JSON.stringify({ channels: subscription.channels, types: subscription.types, after: lastSeq(), replayed })}\n\n`);
+  const unsubscribe = onEvent((event) => {
+    if (matchesSubscription(subscription, event)) writeEvent(res, event);
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  heartbeat.unref?.();
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    const remaining = (openStreams.get(principalId) ?? 1) - 1;
+    if (remaining > 0) openStreams.set(principalId, remaining);
+    else openStreams.delete(principalId);
+  });
+}
+
+export { CHANNELS as NOTIFICATION_CHANNELS, parseSubscription, matchesSubscription, openNotificationStream };
@@ -0,0 +1,129 @@
+import { ERROR_CODES } from './errors.js';
+
+/*
+ * OpenAPI 3.1 document built from the routes registered on an Express app: each route's
+ * `validate(...)` middleware supplies its summary and request schemas, and `requirePermission(...)`
+ * its API key permission.
+ */
+
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+const TAGS = {
+  admin: 'admin',
+  user: 'players',
+  leaderboard: 'players',
+  achievements: 'achievements',
+  login: 'auth',
+  logout: 'auth',
+  token: 'auth',
+  session: 'auth',
+  validatesession: 'auth',
+  '.well-known': 'auth',
+  match: 'matches',
+  networks: 'chain',
+  tx: 'chain',
+};
+
+function defaultTag(expressPath) {
+  const first = expressPath.split('/').filter(Boolean)[0];
+  return TAGS[first] || first || 'misc';
+}
+
+function parameters(location, schema) {
+  if (!schema?.properties) return [];
+  const required = new Set(schema.required || []);
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...rest } = property;
+    const parameter = { name, in: location, required: location === 'path' || required.has(name), schema: rest };
+    if (description) parameter.description = description;
+    return parameter;
+  });
+}
+
+function operation(route, method) {
+  const handles = route.stack.filter((layer) => layer.method === undefined || layer.method === method).map((layer) => layer.handle);
+  const spec = handles.find((handle) => handle.openapi)?.openapi;
+  if (!spec) return null;
+  const permission = handles.find((handle) => handle.permission)?.permission;
+
+  const op = {
+    summary: spec.summary,
+    tags: spec.tags || [defaultTag(route.path)],
+    parameters: [...parameters('path', spec.params), ...parameters('query', spec.query)],
+    responses: {},
+  };
+  if (spec.description) op.description = spec.description;
+  if (spec.body) op.requestBody = { required: true, content: { 'application/json': { schema: spec.body } } };
+  if (permission) {
+    op.security = [{ apiKey: [] }, { bearer: [] }];
+    op.description = `${op.description ? `${op.description}\n\n` : ''}Requires an API key with the \`${permission}\` permission.`;
+    op['x-permission'] = permission;
+  }
+  for (const [status, description] of Object.entries(spec.responses || { 200: 'OK' })) op.responses[status] = { description };
+  op.responses.default = { $ref: '#/components/responses/Error' };
+  return op;
+}
+
+function errorCodeTable() {
+  const rows = Object.entries(ERROR_CODES).map(([code, { status, description }]) => `| \`${code}\` | ${status} | ${description} |`);
+  return ['| code | status | meaning |', '| --- | --- | --- |', ...rows].join('\n');
+}
+
+/**
+ * OpenAPI document for every route of `app` declared with `validate(...)`.
+ * @param {import('express').Express} app
+ * @param {{ title?:string, version?:string }} [info]
+ */
+function buildOpenApiSpec(app, { title = 'OG Protocol API', version = '1.0.0' } = {}) {
+  const paths = {};
+  for (const layer of app._router.stack) {
+    const route = layer.route;
+    if (!route) continue;
+    for (const method of Object.keys(route.methods)) {
+      if (method === '_all') continue;
+      const op = operation(route, method);
+      if (!op) continue;
+      (paths[toOpenApiPath(route.path)] ||= {})[method] = op;
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title,
+      version,
+      description: `Errors share one envelope, \`{ "error": { "code", "message", "details"? } }\`. Branch on \`code\`; each code always comes with the same status:\n\n${errorCodeTable()}`,
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-Api-Key' },
+        bearer: { type: 'http', scheme: 'bearer', description: 'The API key as a bearer token' },
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+                message: { type: 'string' },
+                details: { type: 'object' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        Error: { description: 'Error envelope (see the error code table)', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+      },
+    },
+  };
+}
+
+export { buildOpenApiSpec };
@@ -0,0 +1,211 @@
+import { ethers } from 'ethers';
+import { getPlayerRecord } from './contractManager.js';
+import { supports } from './contractVersions.js';
+import { getNetwork, recordNetwork, requireSigner, waitForTx } from './networks.js';
+import { getDb } from './datastore.js';
+import { emitEvent } from './events.js';
+
+/*
+ * Player profiles are stored off-chain. A profile is a flat set of optional fields:
+ * { displayName, avatarUrl, country (ISO 3166-1 alpha-2), bio, socials: { twitter, discord, ... } }
+ * Updates are patches: a field set to null is removed. Its content hash (keccak256 of the canonical
+ * JSON, keys sorted) can be anchored in the player's contract (`adminSetProfileHash[ById]`), so a
+ * client can check the profile it was served against the chain.
+ */
+const PROFILE_FIELDS = {
+  displayName: { maxLength: 32 },
+  avatarUrl: { maxLength: 512, url: true },
+  country: { country: true },
+  bio: { maxLength: 280, multiline: true },
+};
+const SOCIAL_FIELDS = {
+  twitter: { maxLength: 64 },
+  discord: { maxLength: 64 },
+  twitch: { maxLength: 64 },
+  youtube: { maxLength: 128 },
+  github: { maxLength: 64 },
+  steam: { maxLength: 128 },
+  website: { maxLength: 512, url: true },
+};
+// Upper bound on the stored profile JSON, whatever the field limits add up to
+const PROFILE_MAX_BYTES = 4096;
+// How long an anchoring tx may take to confirm before it is marked failed
+const ANCHOR_TIMEOUT_MS = 60 * 60 * 1000;
+const PROFILE_IFACE = new ethers.Interface([
+  'function adminSetProfileHash(address _player, bytes32 _profileHash)',
+  'function adminSetProfileHashById(bytes32 _playerId, bytes32 _profileHash)',
+]);
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+// Region codes DisplayNames names that are not countries: unknown region and CLDR groupings
+const NON_COUNTRY_REGIONS = new Set(['ZZ', 'QO', 'EU', 'EZ', 'UN']);
+
+function validateField(name, value, { maxLength, url, country, multiline }) {
+  if (typeof value !== 'string') throw new Error(`${name} must be a string or null`);
+  if (country) {
+    const code = value.toUpperCase();
+    // DisplayNames echoes unknown codes back instead of naming them
+    if (!/^[A-Z]{2}$/.test(code) || regionNames.of(code) === code || NON_COUNTRY_REGIONS.has(code)) throw new Error(`${name} must be an ISO 3166-1 alpha-2 country code`);
+    return code;
+  }
+  const trimmed = value.trim();
+  if (!trimmed) throw new Error(`${name} must not be empty (send null to remove it)`);
+  if ([...trimmed].length > maxLength) throw new Error(`${name} must be at most ${maxLength} characters`);
+  if ((multiline ? /[\u0000-\u0009\u000b-\u001f\u007f]/ : /[\u0000-\u001f\u007f]/).test(trimmed)) throw new Error(`${name} contains control characters`);
+  if (url) {
+    let parsed;
+    try { parsed = new URL(trimmed); } catch (e) { throw new Error(`${name} must be a URL`); }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error(`${name} must be an http(s) URL`);
+  }
+  return trimmed;
+}
+
+function applyPatch(current, patch, fields, label) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) throw new Error(`${label} must be an object`);
+  const next = { ...current };
+  for (const [name, value] of Object.entries(patch)) {
+    if (!fields[name]) {
+      const allowed = label === 'profile' ? [...Object.keys(fields), 'socials'] : Object.keys(fields);
+      throw new Error(`Unknown ${label} field "${name}". Allowed: ${allowed.join(', ')}`);
+    }
+    if (value === null) delete next[name];
+    else next[name] = validateField(label === 'profile' ? name : `${label}.${name}`, value, fields[name]);
+  }
+  return next;
+}
+
+/**
+ * Apply a profile patch to a profile. Throws with a descriptive message on the first invalid field.
+ * @returns {Object} the new profile
+ */
+function mergeProfile(current, patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) throw new Error('profile must be an object');
+  const { socials, ...fields } = patch;
+  const next = applyPatch(current, fields, PROFILE_FIELDS, 'profile');
+  if (socials === null) delete next.socials;
+  else if (socials !== undefined) {
+    next.socials = applyPatch(current.socials || {}, socials, SOCIAL_FIELDS, 'socials');
+    if (Object.keys(next.socials).length === 0) delete next.socials;
+  }
+  if (Buffer.byteLength(JSON.stringify(next)) > PROFILE_MAX_BYTES) throw new Error(`profile must be at most ${PROFILE_MAX_BYTES} bytes`);
+  return next;
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Content hash of a profile: keccak256 of its canonical JSON (keys sorted, no whitespace).
+ */
+function profileHash(profile) {
+  return ethers.id(canonicalJson(profile));
+}
+
+function rowToProfile(row) {
+  return {
+    profile: JSON.parse(row.profile),
+    contentHash: row.content_hash,
+    updatedAt: row.updated_at,
+    anchor: row.anchor_status ? {
+      status: row.anchor_status,
+      hash: row.anchor_hash,
+      current: row.anchor_status === 'anchored' && row.anchor_hash === row.content_hash,
+      txId: row.anchor_tx_id,
+      txHash: row.anchor_tx_hash,
+      error: row.anchor_error,
+      anchoredAt: row.anchored_at,
+    } : null,
+  };
+}
+
+/**
+ * A player's profile, or an empty one if they never set it.
+ * @returns {{ profile:Object, contentHash:string|null, updatedAt:string|null, anchor:Object|null }}
+ */
+function getProfile(username) {
+  const row = getDb().prepare('SELECT * FROM player_profiles WHERE username = ?').get(username);
+  return row ? rowToProfile(row) : { profile: {}, contentHash: null, updatedAt: null, anchor: null };
+}
+
+function updateAnchor(username, fields) {
+  const columns = Object.keys(fields);
+  getDb().prepare(`UPDATE player_profiles SET ${columns.map((c) => `${c} = ?`).join(', ')} WHERE username = ?`)
+    .run(...columns.map((c) => fields[c]), username);
+}
+
+/**
+ * Queue a tx storing the profile's current content hash in the player's contract.
+ * Contracts known to predate profiles (version < 5) are refused; ones of unknown version lack the
+ * entrypoint there too, so the tx fails and the anchor is marked failed.
+ * @returns {string} tx queue job id
+ */
+function anchorProfile(username) {
+  const record = getPlayerRecord(username);
+  const { contentHash } = getProfile(username);
+  if (!record || !contentHash) throw new Error(`No profile to anchor for ${username}`);
+
+  const network = getNetwork(recordNetwork(record));
+  const signer = requireSigner(network);
+  if (record.owner && record.owner !== signer.address) {
+    throw new Error(`The contract for ${username} is owned by ${record.owner}; the server can no longer write to it`);
+  }
+  if (record.contractVersion && !supports(record.contractVersion, 'profileHash')) {
+    throw new Error(`The contract for ${username} (version ${record.contractVersion}) predates profile hashes; upgrade it first`);
+  }
+  const byId = !(record.playerAddressIsEthereum ?? ethers.isAddress(record.playerAddress));
+  const data = byId
+    ? PROFILE_IFACE.encodeFunctionData('adminSetProfileHashById', [ethers.id(record.playerAddress), contentHash])
+    : PROFILE_IFACE.encodeFunctionData('adminSetProfileHash', [record.playerAddress, contentHash]);
+  const job = network.txQueue.enqueue({ to: record.contractAddress, data, label: `anchor profile of ${username}` });
+  updateAnchor(username, { anchor_status: 'pending', anchor_hash: contentHash, anchor_tx_id: job.id, anchor_tx_hash: null, anchor_error: null });
+
+  waitForTx(job.id, 'confirmed', ANCHOR_TIMEOUT_MS)
+    .then((tx) => {
+      // A newer anchor request owns the row now
+      if (getProfile(username).anchor?.txId !== job.id) return;
+      updateAnchor(username, { anchor_status: 'anchored', anchor_tx_hash: tx.hash, anchored_at: new Date().toISOString() });
+      emitEvent('profile.anchored', { username, contentHash, txHash: tx.hash });
+    })
+    .catch((err) => {
+      if (getProfile(username).anchor?.txId !== job.id) return;
+      updateAnchor(username, { anchor_status: 'failed', anchor_error: err?.message || String(err) });
+      console.warn(`Anchoring the profile of ${username} failed:`, err?.message || err);
+    });
+  return job.id;
+}
+
+/**
+ * Apply a validated patch to a player's profile, optionally anchoring the new content hash on-chain.
+ * @param {string} username
+ * @param {Object} patch see `mergeProfile`
+ * @param {{ anchor?: boolean }} [options]
+ * @returns {Object} the stored profile (see `getProfile`)
+ */
+function updateProfile(username, patch, { anchor = false } = {}) {
+  const current = getProfile(username);
+  const profile = mergeProfile(current.profile, patch);
+  const contentHash = profileHash(profile);
+  const now = new Date().toISOString();
+  getDb().prepare(`INSERT INTO player_profiles (username, profile, content_hash, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (username) DO UPDATE SET profile = excluded.profile, content_hash = excluded.content_hash, updated_at = excluded.updated_at`)
+    .run(username, JSON.stringify(profile), contentHash, now, now);
+  if (contentHash !== current.contentHash) {
+    emitEvent('profile.updated', { username, contentHash, fields: Object.keys(patch) });
+  }
+  if (anchor) {
+    try {
+      anchorProfile(username);
+    } catch (err) {
+      // The profile itself is saved; the anchor reports why it could not be written
+      updateAnchor(username, { anchor_status: 'failed', anchor_hash: contentHash, anchor_tx_id: null, anchor_tx_hash: null, anchor_error: err?.message || String(err) });
+    }
+  }
+  return getProfile(username);
+}
+
+export { PROFILE_FIELDS, SOCIAL_FIELDS, PROFILE_MAX_BYTES, mergeProfile, profileHash, getProfile, updateProfile, anchorProfile };
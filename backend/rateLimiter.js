@@ -0,0 +1,220 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import { getDb, withTransaction } from './datastore.js';
+import { sendError } from './errors.js';
+
+/*
+ * Rate limit store interface (fixed-window counters). Every driver returns an object with:
+ * - driver: string name
+ * - hit(key, windowMs) -> Promise<{ count, resetAt }>   count the hit, opening a new window if needed
+ * - get(key) -> Promise<{ count, resetAt }|null>        current window, null if none or expired
+ * - reset(key) -> Promise<void>
+ */
+
+/**
+ * In-process store. Counters are lost on restart and not shared between processes.
+ */
+function createMemoryStore() {
+  const windows = new Map();
+
+  // Drop expired windows now and then so idle keys don't pile up
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+  }, 60 * 1000);
+  sweeper.unref();
+
+  async function hit(key, windowMs) {
+    const now = Date.now();
+    let w = windows.get(key);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowMs };
+      windows.set(key, w);
+    }
+    w.count++;
+    return { ...w };
+  }
+
+  async function get(key) {
+    const w = windows.get(key);
+    return w && w.resetAt > Date.now() ? { ...w } : null;
+  }
+
+  async function reset(key) {
+    windows.delete(key);
+  }
+
+  return { driver: 'memory', hit, get, reset };
+}
+
+/**
+ * Store backed by the `rate_limits` table, shared by every process using the same database.
+ */
+function createSqliteStore(options = {}) {
+  const db = () => options.db || getDb();
+
+  async function hit(key, windowMs) {
+    return withTransaction((database) => {
+      const now = Date.now();
+      const row = database.prepare('SELECT count, reset_at FROM rate_limits WHERE key = ?').get(key);
+      const w = row && row.reset_at > now ? { count: row.count + 1, resetAt: row.reset_at } : { count: 1, resetAt: now + windowMs };
+      database.prepare('INSERT OR REPLACE INTO rate_limits (key, count, reset_at) VALUES (?, ?, ?)').run(key, w.count, w.resetAt);
+      if (Math.random() < 0.01) database.prepare('DELETE FROM rate_limits WHERE reset_at <= ?').run(now);
+      return w;
+    }, db());
+  }
+
+  async function get(key) {
+    const row = db().prepare('SELECT count, reset_at FROM rate_limits WHERE key = ? AND reset_at > ?').get(key, Date.now());
+    return row ? { count: row.count, resetAt: row.reset_at } : null;
+  }
+
+  async function reset(key) {
+    db().prepare('DELETE FROM rate_limits WHERE key = ?').run(key);
+  }
+
+  return { driver: 'sqlite', hit, get, reset };
+}
+
+const drivers = {
+  memory: createMemoryStore,
+  sqlite: createSqliteStore,
+};
+
+/**
+ * Create a rate limit store for a driver name ('memory' or 'sqlite').
+ */
+function createRateLimitStore(driver, options = {}) {
+  const factory = drivers[driver];
+  if (!factory) throw new Error(`Unknown rate limit store driver "${driver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+  return factory(options);
+}
+
+let activeStore = null;
+
+/**
+ * Return the configured rate limit store (RATE_LIMIT_STORE env, default 'memory').
+ */
+function getRateLimitStore() {
+  if (!activeStore) activeStore = createRateLimitStore(process.env.RATE_LIMIT_STORE || 'memory');
+  return activeStore;
+}
+
+/**
+ * Read `<NAME>_LIMIT` and `<NAME>_WINDOW_SECONDS` from env. A limit of 0 disables the rule.
+ */
+function limitFromEnv(name, limit, windowSeconds) {
+  return {
+    limit: Number(process.env[`${name}_LIMIT`] ?? limit),
+    windowMs: Number(process.env[`${name}_WINDOW_SECONDS`] ?? windowSeconds) * 1000,
+  };
+}
+
+// Named rules: requests allowed per window, per client ip, per username, or per username and client ip
+const LIMITS = {
+  tokenPerIp: limitFromEnv('RATE_LIMIT_TOKEN_IP', 20, 60),
+  // Anyone may ask for a token or try to log in as anyone, so each client gets a tight budget per username,
+  // and all clients together a looser one: guessing spread over many ips is still throttled, while a single
+  // client cannot use up the budget of the player
+  tokenPerClientUsername: limitFromEnv('RATE_LIMIT_TOKEN_CLIENT_USERNAME', 5, 60),
+  tokenPerUsername: limitFromEnv('RATE_LIMIT_TOKEN_USERNAME', 30, 60),
+  loginPerIp: limitFromEnv('RATE_LIMIT_LOGIN_IP', 30, 60),
+  loginPerClientUsername: limitFromEnv('RATE_LIMIT_LOGIN_CLIENT_USERNAME', 10, 60),
+  loginPerUsername: limitFromEnv('RATE_LIMIT_LOGIN_USERNAME', 50, 60),
+  profilePerUsername: limitFromEnv('RATE_LIMIT_PROFILE_USERNAME', 20, 60),
+  // Anchoring a profile costs the server gas
+  profileAnchorPerUsername: limitFromEnv('RATE_LIMIT_PROFILE_ANCHOR_USERNAME', 5, 60 * 60),
+  // Relayed stat updates are paid for by the server
+  relayPerUsername: limitFromEnv('RATE_LIMIT_RELAY_USERNAME', 30, 60),
+};
+
+// After LOGIN_LOCKOUT_THRESHOLD failed logins for a username from one ip within the window,
+// that username is locked for that ip for LOGIN_LOCKOUT_SECONDS. Keying on the ip as well means
+// a third party cannot lock a player out of their own account (loginPerUsername caps the rest).
+const LOCKOUT = {
+  threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5),
+  windowMs: Number(process.env.LOGIN_LOCKOUT_WINDOW_SECONDS || 15 * 60) * 1000,
+  durationMs: Number(process.env.LOGIN_LOCKOUT_SECONDS || 15 * 60) * 1000,
+};
+
+/**
+ * Count one request against rule `name` for `key`.
+ * @returns {Promise<{allowed:boolean, limit:number, remaining:number, retryAfter:number}>} retryAfter in seconds
+ */
+async function consume(name, key) {
+  const rule = LIMITS[name];
+  if (!rule) throw new Error(`Unknown rate limit rule "${name}"`);
+  if (!rule.limit || key === undefined || key === null) return { allowed: true, limit: 0, remaining: Infinity, retryAfter: 0 };
+
+  const w = await getRateLimitStore().hit(`${name}:${key}`, rule.windowMs);
+  return {
+    allowed: w.count <= rule.limit,
+    limit: rule.limit,
+    remaining: Math.max(0, rule.limit - w.count),
+    retryAfter: Math.max(1, Math.ceil((w.resetAt - Date.now()) / 1000)),
+  };
+}
+
+/**
+ * Express middleware applying rule `name` to the key returned by `keyFn(req)` (skipped when it returns null).
+ * Over the limit it answers 429 with a Retry-After header.
+ */
+function rateLimit(name, keyFn) {
+  return async (req, res, next) => {
+    try {
+      const result = await consume(name, keyFn(req));
+      if (result.limit) {
+        res.set('RateLimit-Limit', String(result.limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+      }
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfter));
+        return sendError(res, 'rate_limited', 'Too many requests', { retryAfter: result.retryAfter });
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+function lockoutKey(username, ip) {
+  return `login-lockout:${username}:${ip}`;
+}
+
+/**
+ * @returns {Promise<{locked:boolean, retryAfter?:number}>}
+ */
+async function getLoginLockout(username, ip) {
+  const w = await getRateLimitStore().get(lockoutKey(username, ip));
+  if (!w) return { locked: false };
+  return { locked: true, retryAfter: Math.max(1, Math.ceil((w.resetAt - Date.now()) / 1000)) };
+}
+
+/**
+ * Record a failed login; locks the username for this ip once the threshold is reached.
+ * @returns {Promise<{locked:boolean, retryAfter?:number}>}
+ */
+async function recordLoginFailure(username, ip) {
+  if (!LOCKOUT.threshold) return { locked: false };
+  const store = getRateLimitStore();
+  const failures = await store.hit(`login-failures:${username}:${ip}`, LOCKOUT.windowMs);
+  if (failures.count < LOCKOUT.threshold) return { locked: false };
+  await store.reset(`login-failures:${username}:${ip}`);
+  await store.hit(lockoutKey(username, ip), LOCKOUT.durationMs);
+  return getLoginLockout(username, ip);
+}
+
+async function clearLoginFailures(username, ip) {
+  await getRateLimitStore().reset(`login-failures:${username}:${ip}`);
+}
+
+/**
+ * Mark `key` as used for `ttlMs`. Returns false if it was already used (replay protection).
+ */
+async function claimOnce(key, ttlMs) {
+  const w = await getRateLimitStore().hit(`once:${key}`, ttlMs);
+  return w.count === 1;
+}
+
+export { createRateLimitStore, getRateLimitStore, consume, rateLimit, getLoginLockout, recordLoginFailure, clearLoginFailures, claimOnce };
@@ -0,0 +1,261 @@
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+dotenv.config();
+import { getPlayerRecord, insertPlayerRecord, enqueueInitTxs, loadArtifact, getRegistry, chainIdOf } from './contractManager.js';
+import { getDefaultNetwork, getNetwork, requireSigner } from './networks.js';
+import { CURRENT_CONTRACT_VERSION, detectContractVersion } from './contractVersions.js';
+import { getDb } from './datastore.js';
+import { emitEvent } from './events.js';
+import { ApiError } from './errors.js';
+
+/*
+ * Registration jobs. Registering a player takes several owner txs, so it runs in the background as a
+ * job in the `registrations` table whose status is the last completed step:
+ *   pending      job created; nothing on-chain yet
+ *   deployed     PlayerData deployed (per-player), or the registry checked for the identifier (registry mode; the
+ *                identifier is reserved for the username when the job is created, see 014_registry_identifiers.sql)
+ *   initialised  the init txs (kills = 0 for the address and id-hash entries) confirmed
+ *   ready        the player record is written; the player exists for every other route
+ * A run that fails keeps its status and records `error`. Registering the same username with the same
+ * identifier again resumes from the last completed step, reusing txs that are still queued or confirmed.
+ * Runs interrupted by a restart are resumed by `resumeRegistrations`.
+ */
+const STEP_TX_TIMEOUT_MS = Number(process.env.REGISTRATION_TX_TIMEOUT_MS || 10 * 60 * 1000);
+
+// username -> promise of the run in progress, so a job only runs once at a time
+const running = new Map();
+
+function rowToRegistration(row) {
+  return {
+    username: row.username,
+    status: row.status,
+    network: row.network,
+    mode: row.mode,
+    playerAddress: row.player_address,
+    playerAddressIsEthereum: !!row.is_ethereum,
+    contractAddress: row.contract_address,
+    deployTxId: row.deploy_tx_id,
+    deployTxHash: row.deploy_tx_hash,
+    initTxIds: JSON.parse(row.init_tx_ids),
+    error: row.error,
+    attempts: row.attempts,
+    running: running.has(row.username),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    readyAt: row.ready_at,
+  };
+}
+
+function readRow(username) {
+  return getDb().prepare('SELECT * FROM registrations WHERE username = ?').get(username) ?? null;
+}
+
+function updateRow(username, fields) {
+  const columns = Object.keys(fields);
+  getDb().prepare(`UPDATE registrations SET ${columns.map((c) => `${c} = ?`).join(', ')}, updated_at = ? WHERE username = ?`)
+    .run(...columns.map((c) => fields[c]), new Date().toISOString(), username);
+  return readRow(username);
+}
+
+/**
+ * Registration job of `username`. Players registered before jobs existed are reported as ready.
+ * @returns {Object|null}
+ */
+function getRegistration(username) {
+  const row = readRow(username);
+  if (row) return rowToRegistration(row);
+  const record = getPlayerRecord(username);
+  if (!record) return null;
+  return {
+    username,
+    status: 'ready',
+    network: record.network,
+    mode: record.mode ?? 'per-player',
+    playerAddress: record.playerAddress,
+    playerAddressIsEthereum: record.playerAddressIsEthereum ?? ethers.isAddress(record.playerAddress),
+    contractAddress: record.contractAddress,
+    deployTxId: record.deployTxId ?? null,
+    deployTxHash: null,
+    initTxIds: record.initTxIds ?? [],
+    error: null,
+    attempts: 0,
+    running: false,
+    createdAt: record.deployedAt ?? null,
+    updatedAt: record.deployedAt ?? null,
+    readyAt: record.deployedAt ?? null,
+  };
+}
+
+// EVM addresses are checksummed; anything else (Polkadot, etc.) is kept as an off-chain identifier string.
+// Throws ApiError `invalid_request` for an EVM address with a bad checksum.
+function normalizeIdentifier(address) {
+  try {
+    return { playerAddress: ethers.getAddress(address), isEthereum: true };
+  } catch (error) {
+    if (/^0x[0-9a-fA-F]{40}$/.test(address)) throw new ApiError('invalid_request', 'address has an invalid EIP-55 checksum');
+    return { playerAddress: address, isEthereum: false };
+  }
+}
+
+/**
+ * Start registering `username` with `address` on `options.network` (the default network by default), or
+ * resume its stopped job. Returns at once; poll getRegistration for progress.
+ * Throws ApiError `user_exists` if the username is registered, or has a job for another identifier or network,
+ * or if another username has a registry-mode job for the identifier on that network.
+ * @returns {Object} the registration job (see getRegistration)
+ */
+function startRegistration(username, address, { network: networkName = getDefaultNetwork() } = {}) {
+  if (getPlayerRecord(username)) throw new ApiError('user_exists', 'Username already exists');
+  const { playerAddress, isEthereum } = normalizeIdentifier(address);
+
+  const existing = readRow(username);
+  if (existing) {
+    if (existing.player_address !== playerAddress || existing.network !== networkName) {
+      throw new ApiError('user_exists', 'The username is being registered with another identifier', { registration: existing.status });
+    }
+  } else {
+    const network = getNetwork(networkName);
+    requireSigner(network);
+    const now = new Date().toISOString();
+    try {
+      getDb().prepare(`INSERT INTO registrations (username, network, mode, player_address, is_ethereum, status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)`).run(username, network.name, network.contractMode === 'registry' ? 'registry' : 'per-player', playerAddress, isEthereum ? 1 : 0, now, now);
+    } catch (e) {
+      // The registry holds one entry per identifier: another username's job has reserved it
+      if (e?.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw new ApiError('user_exists', 'The identifier is being registered by another username', { network: network.name });
+      }
+      // Another request created the job first
+      if (e?.code !== 'SQLITE_CONSTRAINT_PRIMARYKEY') throw e;
+      return startRegistration(username, address, { network: networkName });
+    }
+    if (!isEthereum) console.log('Non-EVM identifier provided; storing as off-chain identifier:', address);
+  }
+
+  runRegistration(username);
+  return getRegistration(username);
+}
+
+/**
+ * Run a job from its last completed step to ready, unless it is ready or already running.
+ * @returns {Promise<Object>} the job once the run ends (ready, or stopped with `error`)
+ */
+function runRegistration(username) {
+  if (running.has(username)) return running.get(username);
+  const row = readRow(username);
+  if (!row || row.status === 'ready') return Promise.resolve(getRegistration(username));
+
+  updateRow(username, { error: null, attempts: row.attempts + 1 });
+  const run = (async () => {
+    let current = readRow(username);
+    try {
+      while (current.status !== 'ready') {
+        console.log(`Registration of ${username}: continuing after '${current.status}'`);
+        current = await STEPS[current.status](current, getNetwork(current.network));
+      }
+      console.log(`Registration of ${username} is ready (${current.contract_address})`);
+    } catch (err) {
+      const error = err?.message || String(err);
+      console.warn(`Registration of ${username} stopped at ${current.status}:`, error);
+      updateRow(username, { error });
+      emitEvent('registration.failed', { username, status: current.status, error });
+    } finally {
+      running.delete(username);
+    }
+    return getRegistration(username);
+  })();
+  running.set(username, run);
+  return run;
+}
+
+// A tx queued by an earlier run that can still be waited on, or null if it failed or was lost
+function reusableTx(network, id) {
+  if (!id) return null;
+  const tx = network.txQueue.get(id);
+  return tx && tx.status !== 'failed' ? id : null;
+}
+
+const STEPS = {
+  async pending(row, network) {
+    const signer = requireSigner(network);
+
+    if (row.mode === 'registry') {
+      const registry = getRegistry(network, signer);
+      if (row.is_ethereum && await registry.isRegistered(row.player_address)) {
+        throw new Error(`Address ${row.player_address} is already registered in the player registry`);
+      }
+      if (await registry.isRegisteredById(ethers.id(row.player_address))) {
+        throw new Error(`Identifier ${row.player_address} is already registered in the player registry`);
+      }
+      console.log(`Registering ${row.username} (${row.player_address}) in registry ${registry.target} on ${network.name}`);
+      return updateRow(row.username, { status: 'deployed', contract_address: registry.target });
+    }
+
+    let deployTxId = reusableTx(network, row.deploy_tx_id);
+    if (!deployTxId) {
+      const deployer = await signer.getAddress();
+      const balance = await network.provider.getBalance(deployer);
+      console.log(`Deploying contract for ${row.username} (${row.player_address}) on ${network.name} from ${deployer} with balance ${ethers.formatEther(balance)} ETH`);
+      const artifact = loadArtifact();
+      const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+      const { data: bytecode } = await factory.getDeployTransaction();
+      deployTxId = network.txQueue.enqueue({ data: bytecode, label: `deploy PlayerData for ${row.username}` }).id;
+      updateRow(row.username, { deploy_tx_id: deployTxId });
+    }
+    const deployed = await network.txQueue.waitFor(deployTxId, 'confirmed', STEP_TX_TIMEOUT_MS);
+    const contractAddress = deployed.receipt.contractAddress;
+    console.log(`Contract deployed at ${contractAddress}`);
+    emitEvent('contract.deployed', { username: row.username, network: network.name, contractAddress, txHash: deployed.hash, kind: 'PlayerData' });
+    return updateRow(row.username, { status: 'deployed', contract_address: contractAddress, deploy_tx_hash: deployed.hash });
+  },
+
+  async deployed(row, network) {
+    // Initialize the address mapping for EVM players and the generic id mapping (bytes32,
+    // keccak256 of the identifier string) for everyone, so non-EVM identifiers are on-chain too.
+    let initTxIds = JSON.parse(row.init_tx_ids);
+    if (initTxIds.length === 0 || initTxIds.some((id) => !reusableTx(network, id))) {
+      const contract = row.mode === 'registry'
+        ? getRegistry(network, requireSigner(network))
+        : new ethers.Contract(row.contract_address, loadArtifact().abi, requireSigner(network));
+      initTxIds = enqueueInitTxs(network.txQueue, contract, row.username, row.player_address, !!row.is_ethereum);
+      updateRow(row.username, { init_tx_ids: JSON.stringify(initTxIds) });
+    }
+    await Promise.all(initTxIds.map((id) => network.txQueue.waitFor(id, 'confirmed', STEP_TX_TIMEOUT_MS)));
+    return updateRow(row.username, { status: 'initialised' });
+  },
+
+  async initialised(row, network) {
+    const signer = requireSigner(network);
+    const now = new Date().toISOString();
+    // A restart between writing the record and marking the job ready only has the status left to do
+    if (getPlayerRecord(row.username)) return updateRow(row.username, { status: 'ready', ready_at: now });
+    insertPlayerRecord(row.username, {
+      network: network.name,
+      chainId: await chainIdOf(network),
+      contractAddress: row.contract_address,
+      mode: row.mode,
+      contractVersion: row.mode === 'registry' ? await detectContractVersion(network.provider, row.contract_address) : CURRENT_CONTRACT_VERSION,
+      owner: await signer.getAddress(),
+      playerAddress: row.player_address,
+      playerAddressIsEthereum: !!row.is_ethereum,
+      deployedAt: now,
+      ...(row.deploy_tx_id ? { deployTxId: row.deploy_tx_id } : {}),
+      initTxIds: JSON.parse(row.init_tx_ids),
+    });
+    emitEvent('user.registered', { username: row.username, network: network.name, playerAddress: row.player_address, contractAddress: row.contract_address, mode: row.mode });
+    return updateRow(row.username, { status: 'ready', ready_at: now });
+  },
+};
+
+/**
+ * Resume the jobs a restart interrupted (not ready, no error). Stopped jobs wait for the player to register again.
+ * @returns {string[]} usernames resumed
+ */
+function resumeRegistrations() {
+  const usernames = getDb().prepare("SELECT username FROM registrations WHERE status != 'ready' AND error IS NULL").pluck().all();
+  for (const username of usernames) runRegistration(username);
+  if (usernames.length) console.log(`Resuming ${usernames.length} registration(s): ${usernames.join(', ')}`);
+  return usernames;
+}
+
+export { getRegistration, startRegistration, runRegistration, resumeRegistrations };
@@ -1,222 +1,177 @@
 import { randomUUID } from 'crypto';
-import { fileURLToPath } from 'url';
-import path from 'path';
-import fs from 'fs';
-import { inspect } from 'util';
 import dotenv from 'dotenv';
 dotenv.config();
+import { getSessionStore } from './sessionStore.js';
+import { getDb, withTransaction } from './datastore.js';
+import { emitEvent } from './events.js';
+import { ipMatches } from './clientIp.js';
 
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// File-backed token store (replaces previous in-memory sessions map)
-// Tokens are persisted to `backend/tokens.json` so the server can be restarted
-// without losing pending login tokens. Tokens keep the same TTL semantics.
-const TOKENS_PATH = path.join(__dirname, 'tokens.json');
+// Login tokens live in the `tokens` table of the datastore (see datastore.js) so the server can be
+// restarted without losing pending login tokens. Tokens expire after SESSION_TTL_MS.
 const SESSION_TTL_MS = 3 * 60 * 1000; // 3 minutes
-const ARKACDN_URL = process.env.ARKACDN_URL || 'https://arkacdn.cloudycoding.com/api';
-let ARKACDN_TOKEN = process.env.ARKACDN_TOKEN;
-const ARKACDN_REFRESH_TOKEN = process.env.ARKACDN_REFRESH_TOKEN;
-const REGISTERED_MAP_PATH = path.join(__dirname, 'registeredSessions.json');
-
-// Helper: read tokens file
-function _readTokens() {
-  try {
-    if (fs.existsSync(TOKENS_PATH)) {
-      const raw = fs.readFileSync(TOKENS_PATH, 'utf8');
-      return raw ? JSON.parse(raw) : {};
-    }
-  } catch (e) {
-    console.warn('Failed to read tokens file, starting fresh:', e?.message || e);
-  }
-  return {};
-}
 
-// Helper: write tokens file
-function _writeTokens(map) {
-  try {
-    fs.writeFileSync(TOKENS_PATH, JSON.stringify(map, null, 2), 'utf8');
-  } catch (e) {
-    console.error('Failed to write tokens file:', e);
-    throw e;
-  }
+function rowToToken(row) {
+  return { uuid: row.uuid, username: row.username, data: JSON.parse(row.data), createdAt: row.created_at, expiresAt: row.expires_at };
 }
 
 /**
- * Create a new ephemeral login token UUID for a specific username and store it on disk.
- * Tokens expire after `SESSION_TTL_MS` but we lazily remove expired tokens on get.
+ * Create a new ephemeral login token UUID for a specific username and store it.
+ * Any previous token for the username is replaced (single token per user) and expired tokens are purged.
  */
 function createToken(username, data = {}) {
   if (!username || typeof username !== 'string') throw new Error('username (string) is required to create a session');
-  const map = _readTokens();
-
-  // Remove any existing token for this username (single token per user)
-  for (const [id, rec] of Object.entries(map)) {
-    if (rec && rec.username === username) delete map[id];
-  }
 
-  const uuid = (typeof randomUUID === 'function') ? randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2,10)}`;
+  const uuid = randomUUID();
   const createdAt = new Date();
   const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
 
-  map[uuid] = { username, data, createdAt: createdAt.toISOString(), expiresAt: expiresAt.toISOString() };
-  _writeTokens(map);
+  withTransaction((db) => {
+    db.prepare('DELETE FROM tokens WHERE username = ? OR expires_at < ?').run(username, createdAt.toISOString());
+    db.prepare('INSERT INTO tokens (uuid, username, data, created_at, expires_at) VALUES (?, ?, ?, ?, ?)')
+      .run(uuid, username, JSON.stringify(data), createdAt.toISOString(), expiresAt.toISOString());
+  });
   return uuid;
 }
 
 /**
- * Retrieve a token record from disk. Removes it from disk if expired.
+ * Retrieve a token record. Expired tokens are removed and reported as missing.
  */
 function getToken(uuid) {
   if (!uuid || typeof uuid !== 'string') return null;
-  const map = _readTokens();
-  const rec = map[uuid];
-  if (!rec) return null;
-  if (Date.now() > new Date(rec.expiresAt).getTime()) {
-    delete map[uuid];
-    _writeTokens(map);
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM tokens WHERE uuid = ?').get(uuid);
+  if (!row) return null;
+  if (Date.now() > new Date(row.expires_at).getTime()) {
+    db.prepare('DELETE FROM tokens WHERE uuid = ?').run(uuid);
     return null;
   }
-  return { uuid, username: rec.username, data: rec.data, createdAt: rec.createdAt, expiresAt: rec.expiresAt };
+  return rowToToken(row);
 }
 
 function deleteToken(uuid) {
-  const map = _readTokens();
-  if (!map[uuid]) return false;
-  delete map[uuid];
-  _writeTokens(map);
-  return true;
+  return getDb().prepare('DELETE FROM tokens WHERE uuid = ?').run(uuid).changes > 0;
+}
+
+/**
+ * Shallow-merge `patch` into the `data` object of a stored token.
+ * Keys set to `null` are removed. Returns the updated token or null if missing/expired.
+ */
+function updateTokenData(uuid, patch = {}) {
+  return withTransaction((db) => {
+    const rec = getToken(uuid);
+    if (!rec) return null;
+    const data = { ...rec.data };
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === null) delete data[key];
+      else data[key] = value;
+    }
+    db.prepare('UPDATE tokens SET data = ? WHERE uuid = ?').run(JSON.stringify(data), uuid);
+    return { ...rec, data };
+  });
 }
 
-export { createToken, getToken, deleteToken };
+export { createToken, getToken, deleteToken, updateTokenData };
+
+// Player sessions (created on /login). `SESSION_TTL_SECONDS` = 0 disables expiry; with sliding
+// renewal every successful validation pushes `expiresAt` forward by the TTL again.
+const PLAYER_SESSION_TTL_MS = Number(process.env.SESSION_TTL_SECONDS ?? 24 * 60 * 60) * 1000;
+const SESSION_SLIDING = process.env.SESSION_SLIDING !== 'false';
+// 'single-ip': one session per user, bound to the login ip (a new login replaces the old session).
+// 'multi-device': up to MAX_SESSIONS_PER_USER sessions, one per device id, not bound to an ip.
+const SESSION_POLICY = process.env.SESSION_POLICY === 'multi-device' ? 'multi-device' : 'single-ip';
+const MAX_SESSIONS_PER_USER = Math.max(1, Number(process.env.MAX_SESSIONS_PER_USER || 3));
+
+function sessionExpiry(from = Date.now()) {
+  return PLAYER_SESSION_TTL_MS > 0 ? new Date(from + PLAYER_SESSION_TTL_MS).toISOString() : null;
+}
 
 /**
- * Register a session (persisted remotely via Arkacdn) using a token UUID.
- * The session stored remotely is a JSON containing { username, createdAt, ip}.
- * On success, the function saves a local mapping fileId -> session JSON in `registeredSessions.json`.
+ * Lifecycle state of a stored session: 'active', 'expired' or 'revoked'.
+ * Sessions stored before expiry existed fall back to createdAt + TTL.
+ */
+function sessionStatus(session, now = Date.now()) {
+  if (session.revokedAt) return 'revoked';
+  const expiresAt = session.expiresAt ?? (session.createdAt ? sessionExpiry(new Date(session.createdAt).getTime()) : null);
+  if (expiresAt && now > new Date(expiresAt).getTime()) return 'expired';
+  return 'active';
+}
+
+// Newest first
+function byCreatedDesc(a, b) {
+  return String(b.createdAt || '').localeCompare(String(a.createdAt || ''));
+}
+
+/**
+ * Register a session using a token UUID, persisted through the configured session store
+ * (`SESSION_STORE`: Arkacdn by default, or the local driver).
+ * The stored session is a JSON containing { username, createdAt, expiresAt, ip, tokenUuid, deviceId }.
+ * Older sessions of the user are then dropped according to `SESSION_POLICY`.
  * @param {string} tokenUuid
  * @param {string} ip
- * @returns {Promise<{fileId:string, session:Object, arkacdn:Object}>}
+ * @param {{ deviceId?: string }} [options] device id (generated under the multi-device policy when omitted)
+ * @returns {Promise<{fileId:string, session:Object, verified:boolean, driver:string, arkacdn?:Object}>}
  */
-async function registerSession(tokenUuid, ip) {
+async function registerSession(tokenUuid, ip, { deviceId } = {}) {
   // Validate input
   if (!tokenUuid || typeof tokenUuid !== 'string') throw new Error('tokenUuid (string) is required');
   if (!ip || typeof ip !== 'string') throw new Error('ip (string) is required');
+  if (deviceId !== undefined && (typeof deviceId !== 'string' || !deviceId || deviceId.length > 128)) {
+    throw new Error('deviceId must be a non-empty string (max 128 chars)');
+  }
 
   // Validate token and build session object
   const rec = getToken(tokenUuid);
   if (!rec) throw new Error('Invalid or expired token');
 
+  const createdAt = Date.now();
   const sessionObj = {
     ip,
     username: rec.username,
-    createdAt: new Date().toISOString(),
+    createdAt: new Date(createdAt).toISOString(),
+    expiresAt: sessionExpiry(createdAt),
     tokenUuid,
+    deviceId: deviceId ?? (SESSION_POLICY === 'multi-device' ? randomUUID() : null),
   };
 
-  // Ensure we can call fetch
-  let fetchFn = (typeof fetch === 'function') ? fetch : null;
-  if (!fetchFn) {
-    try {
-      const mod = await import('node-fetch');
-      fetchFn = mod.default || mod;
-    } catch (e) {
-      throw new Error('fetch is not available and node-fetch could not be imported');
-    }
-  }
-
-  if (!ARKACDN_URL) throw new Error('ARKACDN_URL is not set in environment');
-  if (!ARKACDN_TOKEN && !ARKACDN_REFRESH_TOKEN) throw new Error('ARKACDN_TOKEN or ARKACDN_REFRESH_TOKEN must be set in environment');
-
-  const base = ARKACDN_URL.replace(/\/$/, '');
-  const uploadUrl = `${base}/upload/plain`;
-
-  // Helper: attempt refresh and update ARKACDN_TOKEN if response provides accessToken
-
-
-  // Pre-refresh to revive session if possible
-  await attemptRefresh();
-
-  // Build payload: ensure remote receives JSON string so fields like `ip` are preserved
-  const payload = {
-    data: JSON.stringify(sessionObj),
-    filename: `${rec.username}-session.json`,
-    description: `Session for ${rec.username}`,
-  };
-
-  console.log(payload)
-
-  // Upload helper with optional retry-on-401
-  async function doUpload() {
-    const resp = await fetchFn(uploadUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${ARKACDN_TOKEN}` },
-      body: JSON.stringify(payload),
-    });
-    return resp;
-  }
-
-  console.log("Playoad json " + JSON.stringify(payload))
-
-  // Perform upload and if 401 then attempt refresh once and retry
-  let res = await doUpload();
-  if (res.status === 401) {
-    const refreshed = await attemptRefresh();
-    if (refreshed) {
-      res = await doUpload();
-    } else {
-      const bt = await res.text().catch(() => null);
-      throw new Error(`Arkacdn unauthorized and refresh failed: ${bt}`);
+  const store = getSessionStore();
+  const stored = await store.put(sessionObj);
+
+  // Only drop previous sessions once the new one is stored
+  const others = (await store.listByUsername(rec.username)).filter((s) => s.id !== stored.id).sort(byCreatedDesc);
+  const superseded = [];
+  let kept = 1;
+  for (const s of others) {
+    const active = sessionStatus(s) === 'active';
+    const replaced = SESSION_POLICY === 'single-ip'
+      || s.deviceId === sessionObj.deviceId
+      || !active
+      || kept >= MAX_SESSIONS_PER_USER;
+    if (!replaced) {
+      kept++;
+      continue;
     }
+    await store.delete(s.id);
+    if (active) superseded.push(s);
   }
 
-  const bodyText = await res.text().catch(() => null);
-  let parsed = null; try { parsed = bodyText ? JSON.parse(bodyText) : null; } catch (e) { parsed = bodyText; }
-  if (!res.ok) {
-    const errMsg = (parsed && (parsed.message || parsed.error)) || `status ${res.status}`;
-    throw new Error(`Arkacdn registration failed: ${errMsg}`);
+  emitEvent('session.created', { username: rec.username, fileId: stored.id, deviceId: sessionObj.deviceId, driver: store.driver });
+  // Game servers holding a replaced session should drop the player: they logged in elsewhere
+  for (const s of superseded) {
+    emitEvent('session.replaced', { username: rec.username, fileId: s.id, deviceId: s.deviceId ?? null, replacedBy: stored.id, ip });
   }
 
-  // Extract fileId robustly
-  let fileId = null;
-  if (parsed) {
-    fileId = parsed?.data?.fileId || parsed?.data?.file_id || parsed?.data?.id || parsed?.fileId || parsed?.file_id || parsed?.id || null;
-  }
-  if (!fileId) throw new Error(`Arkacdn response missing fileId; response=${JSON.stringify(parsed || {})}`);
-
-  // Persist map (without storing ip), keep minimal info for lookup
-  let map = {};
-  try { if (fs.existsSync(REGISTERED_MAP_PATH)) { const raw = fs.readFileSync(REGISTERED_MAP_PATH, 'utf8'); map = raw ? JSON.parse(raw) : {}; } } catch (e) { map = {}; }
-  map[fileId] = { username: sessionObj.username, tokenUuid: sessionObj.tokenUuid };
-  try { fs.writeFileSync(REGISTERED_MAP_PATH, JSON.stringify(map, null, 2), 'utf8'); } catch (e) { throw new Error(`Failed to persist registered sessions map: ${e?.message || e}`); }
-
-  // Verify remote stored content contains ip
-  try {
-    const fileUrl = `${base}/upload/${fileId}`;
-    const rf = await fetchFn(fileUrl, { method: 'GET', headers: { 'Authorization': `Bearer ${ARKACDN_TOKEN}` } });
-    const txt = await rf.text().catch(() => null);
-    let remote = null; try { remote = txt ? JSON.parse(txt) : null; } catch (e) { remote = txt; }
-    const remoteIp = remote && remote.ip ? String(remote.ip) : null;
-    if (!remoteIp) {
-      // remote didn't store ip as a field — surface an error so caller can inspect logs
-      // console.warn('Remote session did not include ip field', { fileId, remote });
-      return { fileId, session: sessionObj, verified: false, arkacdn: { status: res.status, body: parsed } };
-    }
-    return { fileId, session: sessionObj, verified: true, arkacdn: { status: res.status, body: parsed } };
-  } catch (e) {
-    // Could not verify remote content; still return success but flag unverified
-    console.warn('Could not verify remote session content', e);
-    return { fileId, session: sessionObj, verified: false, arkacdn: { status: res.status, body: parsed } };
-  }
+  const result = { fileId: stored.id, session: stored.session, verified: stored.verified, driver: store.driver };
+  if (store.driver === 'arkacdn') result.arkacdn = stored.meta;
+  return result;
 }
 
-
-async function getSessionForUsername(username, ip) {
-  if(!await attemptRefresh()){
-    throw new Error('Failed to refresh Arkacdn token');
-  }
-
+/**
+ * Check whether `username` has a usable session for the caller.
+ * Under 'single-ip' the newest session must come from `ip` (within SESSION_IPV4_PREFIX / SESSION_IPV6_PREFIX, see clientIp.js); under 'multi-device' the session
+ * for `deviceId` is used (or, without a device id, the newest one from `ip`).
+ * @returns {Promise<{allowed:true, fileId:string, session:Object}|{allowed:false, reason:'no_session'|'ip_mismatch'|'expired'|'revoked'}>}
+ */
+async function getSessionForUsername(username, ip, { deviceId } = {}) {
   if(username===undefined || typeof username!=='string' || username.length===0) {
     throw new Error('username (non-empty string) is required');
   }
@@ -224,86 +179,104 @@ async function getSessionForUsername(username, ip) {
     throw new Error('ip (non-empty string) is required');
   }
 
-  for(const [fileId, rec] of Object.entries(JSON.parse(fs.readFileSync(REGISTERED_MAP_PATH, 'utf8')) || {})) {
-    if(rec.username !== username) {
+  const store = getSessionStore();
+  const entries = (await store.listByUsername(username)).sort(byCreatedDesc);
+
+  // Without a device id (or under single-ip) the session has to come from the same ip
+  const checkIp = SESSION_POLICY === 'single-ip' || !deviceId;
+  let sessions = entries;
+  if (SESSION_POLICY === 'single-ip') sessions = entries.slice(0, 1);
+  else if (deviceId) sessions = entries.filter((s) => s.deviceId === deviceId).slice(0, 1);
+
+  let reason = 'no_session';
+  for (const { id: fileId } of sessions) {
+    const session = await store.get(fileId);
+    if (!session) {
+      await store.delete(fileId);
       continue;
     }
-    const fetchUrl = ARKACDN_URL + `/upload/${fileId}/json`;
-
-    const res = await fetch(fetchUrl, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${ARKACDN_TOKEN}`
-      }
-    });
-    if(!res.ok) {
-      if(res.status === 404) {
-        unregisterSessionLocally(fileId);
-        return { allowed: false, reason: 'no_session' };
-      }
-      if(res.status === 400) {
-        throw new Error(`No session found for username ${username}. Maybe it hasn't uploaded yet?`);
-      }
-      throw new Error(`Arkacdn fetch failed: status ${res.status}`);
-    }
-    const sessionData = await res.json();
-    const sessionIp = sessionData.data.data.ip;
-    console.log("Session IP:", sessionIp, "Provided IP:", ip);
-
-    if(sessionIp === ip) {
-      return { allowed: true, fileId, session: sessionData.data.data };
-    } else {
-      return { allowed: false, reason: 'ip_mismatch' };
+    if (checkIp && !ipMatches(session.ip, ip)) {
+      reason = 'ip_mismatch';
+      continue;
     }
 
+    const status = sessionStatus(session);
+    if (status !== 'active') return { allowed: false, reason: status };
 
-    
-  }  
+    if (SESSION_SLIDING) {
+      const now = Date.now();
+      const patch = { lastSeenAt: new Date(now).toISOString(), expiresAt: sessionExpiry(now) };
+      await store.update(fileId, patch);
+      Object.assign(session, patch);
+    }
+    return { allowed: true, fileId, session };
+  }
+  if (reason === 'ip_mismatch') emitEvent('session.ip_mismatch', { username, ip });
+  return { allowed: false, reason };
 }
 
+/**
+ * Logout: remove one of `username`'s sessions.
+ * @returns {Promise<boolean>} false if the session does not exist or belongs to someone else
+ */
+async function endSession(username, fileId) {
+  const store = getSessionStore();
+  const owned = (await store.listByUsername(username)).some((s) => s.id === fileId);
+  if (!owned) return false;
+  const deleted = await store.delete(fileId);
+  if (deleted) emitEvent('session.ended', { username, fileId });
+  return deleted;
+}
 
-  async function attemptRefresh() {
-    const refreshUrl = `${ARKACDN_URL}/auth/refresh`;
-
-    let fetchFn = (typeof fetch === 'function') ? fetch : null;
-  if (!fetchFn) {
-    try {
-      const mod = await import('node-fetch');
-      fetchFn = mod.default || mod;
-    } catch (e) {
-      throw new Error('fetch is not available and node-fetch could not be imported');
-    }
-  }
-    if (!ARKACDN_REFRESH_TOKEN) return false;
-    try {
-      const r = await fetchFn(refreshUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ refreshToken: ARKACDN_REFRESH_TOKEN }),
-      });
-      const txt = await r.text().catch(() => null);
-      let parsed = null; try { parsed = txt ? JSON.parse(txt) : null; } catch (e) { parsed = txt; }
-      const newToken = parsed && (parsed.accessToken || parsed.access_token || parsed.token);
-      if (newToken && typeof newToken === 'string') {
-        ARKACDN_TOKEN = String(newToken);
-        return true;
-      }
-      return r.ok;
-    } catch (e) {
-      console.error('Arkacdn token refresh failed:', e);
-      return false;
-    }
-  }
+/**
+ * Mark a session as revoked. It stays in the store so validation reports 'revoked'
+ * until the user logs in again.
+ * @returns {Promise<Object|null>} the revoked session metadata, or null if unknown
+ */
+async function revokeSession(fileId, reason = null) {
+  const store = getSessionStore();
+  const session = await store.get(fileId);
+  if (!session) return null;
+  const patch = { revokedAt: new Date().toISOString(), revokedReason: reason };
+  if (!(await store.update(fileId, patch))) return null;
+  emitEvent('session.revoked', { username: session.username, fileId, reason });
+  return { id: fileId, username: session.username, deviceId: session.deviceId ?? null, ...patch };
+}
 
-function unregisterSessionLocally(fileId) {
-  let map = {};
-  try { if (fs.existsSync(REGISTERED_MAP_PATH)) { const raw = fs.readFileSync(REGISTERED_MAP_PATH, 'utf8'); map = raw ? JSON.parse(raw) : {}; } } catch (e) { map = {}; }
-  if (map[fileId]) {
-    delete map[fileId];
-    try { fs.writeFileSync(REGISTERED_MAP_PATH, JSON.stringify(map, null, 2), 'utf8'); } catch (e) { throw new Error(`Failed to persist registered sessions map: ${e?.message || e}`); }
+/**
+ * Revoke every session of `username` that is not already revoked.
+ * @returns {Promise<string[]>} revoked session ids
+ */
+async function revokeUserSessions(username, reason = null) {
+  const store = getSessionStore();
+  const revokedAt = new Date().toISOString();
+  const ids = [];
+  for (const s of await store.listByUsername(username)) {
+    if (s.revokedAt) continue;
+    if (!(await store.update(s.id, { revokedAt, revokedReason: reason }))) continue;
+    emitEvent('session.revoked', { username, fileId: s.id, reason });
+    ids.push(s.id);
   }
+  return ids;
+}
 
+/**
+ * Lifecycle status of one of `username`'s sessions from store metadata only (no remote fetch),
+ * used to honour logout and revocation for signed session tokens.
+ * @returns {Promise<'active'|'expired'|'revoked'|'no_session'>}
+ */
+async function getSessionStatus(username, fileId) {
+  const meta = (await getSessionStore().listByUsername(username)).find((s) => s.id === fileId);
+  return meta ? sessionStatus(meta) : 'no_session';
+}
 
+/**
+ * Session metadata for `username`, newest first, with its lifecycle status.
+ */
+async function listSessions(username) {
+  const now = Date.now();
+  const sessions = await getSessionStore().listByUsername(username);
+  return sessions.sort(byCreatedDesc).map((s) => ({ ...s, status: sessionStatus(s, now) }));
 }
 
-export { registerSession, getSessionForUsername };
+export { registerSession, getSessionForUsername, getSessionStatus, endSession, revokeSession, revokeUserSessions, listSessions };
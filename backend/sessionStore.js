@@ -0,0 +1,48 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import { createArkacdnStore } from './sessionStores/arkacdnStore.js';
+import { createLocalStore } from './sessionStores/localStore.js';
+
+/*
+ * Session store interface. Every driver returns an object with:
+ * - driver: string name
+ * - put(session) -> Promise<{ id, session, verified, meta }>
+ * - get(id) -> Promise<session|null>
+ * - update(id, patch) -> Promise<boolean>   merge lifecycle fields (expiresAt, lastSeenAt, revokedAt, ...)
+ * - delete(id) -> Promise<boolean>
+ * - listByUsername(username) -> Promise<Array<{ id, username, tokenUuid, deviceId, createdAt, expiresAt, revokedAt }>>
+ *   (metadata only; `get` returns the full session including ip)
+ */
+const drivers = {
+  arkacdn: createArkacdnStore,
+  local: createLocalStore,
+};
+
+/**
+ * Create a session store for a driver name ('arkacdn' or 'local').
+ */
+function createSessionStore(driver, options = {}) {
+  const factory = drivers[driver];
+  if (!factory) throw new Error(`Unknown session store driver "${driver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+  return factory(options);
+}
+
+let activeStore = null;
+
+/**
+ * Return the configured session store (SESSION_STORE env, default 'arkacdn').
+ */
+function getSessionStore() {
+  if (!activeStore) activeStore = createSessionStore(process.env.SESSION_STORE || 'arkacdn');
+  return activeStore;
+}
+
+/**
+ * Use `store` (from createSessionStore, or any object with the interface above) from now on.
+ */
+function setSessionStore(store) {
+  activeStore = store;
+  return activeStore;
+}
+
+export { createSessionStore, getSessionStore, setSessionStore };
@@ -0,0 +1,187 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import { getDb, withTransaction } from '../datastore.js';
+
+async function getFetch() {
+  if (typeof fetch === 'function') return fetch;
+  try {
+    const mod = await import('node-fetch');
+    return mod.default || mod;
+  } catch (e) {
+    throw new Error('fetch is not available and node-fetch could not be imported');
+  }
+}
+
+/**
+ * Session store driver backed by Arkacdn uploads.
+ * Session JSON is uploaded to Arkacdn; a local side map (the `arkacdn_sessions` table)
+ * keeps fileId -> { username, tokenUuid, ...lifecycle fields } so sessions can be listed per
+ * username. Uploads are immutable, so lifecycle changes (expiry renewal, revocation) live in
+ * the side map and are merged over the remote payload on `get`.
+ * @param {{ url?:string, token?:string, refreshToken?:string, db?:import('better-sqlite3').Database, fetch?:typeof fetch }} [options]
+ *   `fetch` defaults to the global fetch (or node-fetch)
+ */
+function createArkacdnStore(options = {}) {
+  const ARKACDN_URL = options.url || process.env.ARKACDN_URL || 'https://arkacdn.cloudycoding.com/api';
+  let ARKACDN_TOKEN = options.token || process.env.ARKACDN_TOKEN;
+  const ARKACDN_REFRESH_TOKEN = options.refreshToken || process.env.ARKACDN_REFRESH_TOKEN;
+  const base = ARKACDN_URL.replace(/\/$/, '');
+  const db = () => options.db || getDb();
+  const fetchImpl = () => (options.fetch ? Promise.resolve(options.fetch) : getFetch());
+
+  // Attempt refresh and update ARKACDN_TOKEN if response provides accessToken
+  async function attemptRefresh() {
+    const fetchFn = await fetchImpl();
+    if (!ARKACDN_REFRESH_TOKEN) return false;
+    try {
+      const r = await fetchFn(`${base}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: ARKACDN_REFRESH_TOKEN }),
+      });
+      const txt = await r.text().catch(() => null);
+      let parsed = null; try { parsed = txt ? JSON.parse(txt) : null; } catch (e) { parsed = txt; }
+      const newToken = parsed && (parsed.accessToken || parsed.access_token || parsed.token);
+      if (newToken && typeof newToken === 'string') {
+        ARKACDN_TOKEN = String(newToken);
+        return true;
+      }
+      return r.ok;
+    } catch (e) {
+      console.error('Arkacdn token refresh failed:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Upload a session and record it in the side map.
+   * @returns {Promise<{id:string, session:Object, verified:boolean, meta:{status:number, body:Object}}>}
+   */
+  async function put(session) {
+    const fetchFn = await fetchImpl();
+    if (!ARKACDN_TOKEN && !ARKACDN_REFRESH_TOKEN) throw new Error('ARKACDN_TOKEN or ARKACDN_REFRESH_TOKEN must be set in environment');
+
+    // Pre-refresh to revive session if possible
+    await attemptRefresh();
+
+    // Build payload: ensure remote receives JSON string so fields like `ip` are preserved
+    const payload = {
+      data: JSON.stringify(session),
+      filename: `${session.username}-session.json`,
+      description: `Session for ${session.username}`,
+    };
+
+    // Upload helper with optional retry-on-401
+    async function doUpload() {
+      return fetchFn(`${base}/upload/plain`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${ARKACDN_TOKEN}` },
+        body: JSON.stringify(payload),
+      });
+    }
+
+    // Perform upload and if 401 then attempt refresh once and retry
+    let res = await doUpload();
+    if (res.status === 401) {
+      const refreshed = await attemptRefresh();
+      if (refreshed) {
+        res = await doUpload();
+      } else {
+        const bt = await res.text().catch(() => null);
+        throw new Error(`Arkacdn unauthorized and refresh failed: ${bt}`);
+      }
+    }
+
+    const bodyText = await res.text().catch(() => null);
+    let parsed = null; try { parsed = bodyText ? JSON.parse(bodyText) : null; } catch (e) { parsed = bodyText; }
+    if (!res.ok) {
+      const errMsg = (parsed && (parsed.message || parsed.error)) || `status ${res.status}`;
+      throw new Error(`Arkacdn registration failed: ${errMsg}`);
+    }
+
+    // Extract fileId robustly
+    let fileId = null;
+    if (parsed) {
+      fileId = parsed?.data?.fileId || parsed?.data?.file_id || parsed?.data?.id || parsed?.fileId || parsed?.file_id || parsed?.id || null;
+    }
+    if (!fileId) throw new Error(`Arkacdn response missing fileId; response=${JSON.stringify(parsed || {})}`);
+
+    // Persist map (without storing ip), keep minimal info for lookup
+    const lifecycle = { deviceId: session.deviceId ?? null, createdAt: session.createdAt, expiresAt: session.expiresAt ?? null };
+    db().prepare('INSERT OR REPLACE INTO arkacdn_sessions (id, username, token_uuid, meta) VALUES (?, ?, ?, ?)')
+      .run(fileId, session.username, session.tokenUuid, JSON.stringify(lifecycle));
+
+    const meta = { status: res.status, body: parsed };
+
+    // Verify remote stored content contains ip
+    try {
+      const rf = await fetchFn(`${base}/upload/${fileId}`, { method: 'GET', headers: { 'Authorization': `Bearer ${ARKACDN_TOKEN}` } });
+      const txt = await rf.text().catch(() => null);
+      let remote = null; try { remote = txt ? JSON.parse(txt) : null; } catch (e) { remote = txt; }
+      const remoteIp = remote && remote.ip ? String(remote.ip) : null;
+      return { id: fileId, session, verified: !!remoteIp, meta };
+    } catch (e) {
+      // Could not verify remote content; still return success but flag unverified
+      console.warn('Could not verify remote session content', e);
+      return { id: fileId, session, verified: false, meta };
+    }
+  }
+
+  /**
+   * Fetch a session by fileId, with side map lifecycle fields applied.
+   * Returns null when Arkacdn no longer has it.
+   */
+  async function get(id) {
+    if (!await attemptRefresh()) {
+      throw new Error('Failed to refresh Arkacdn token');
+    }
+    const fetchFn = await fetchImpl();
+    const res = await fetchFn(`${base}/upload/${id}/json`, {
+      method: 'GET',
+      headers: { 'Authorization': `Bearer ${ARKACDN_TOKEN}` },
+    });
+    if (!res.ok) {
+      if (res.status === 404) return null;
+      if (res.status === 400) {
+        throw new Error(`No session found for fileId ${id}. Maybe it hasn't uploaded yet?`);
+      }
+      throw new Error(`Arkacdn fetch failed: status ${res.status}`);
+    }
+    const sessionData = await res.json();
+    const row = db().prepare('SELECT meta FROM arkacdn_sessions WHERE id = ?').get(id);
+    return { ...sessionData.data.data, ...(row ? JSON.parse(row.meta) : {}) };
+  }
+
+  /**
+   * Merge lifecycle fields (expiresAt, lastSeenAt, revokedAt, ...) into the side map entry.
+   */
+  async function update(id, patch) {
+    return withTransaction((database) => {
+      const row = database.prepare('SELECT meta FROM arkacdn_sessions WHERE id = ?').get(id);
+      if (!row) return false;
+      const meta = { ...JSON.parse(row.meta), ...patch };
+      database.prepare('UPDATE arkacdn_sessions SET meta = ? WHERE id = ?').run(JSON.stringify(meta), id);
+      return true;
+    }, db());
+  }
+
+  /**
+   * Forget a session locally. Arkacdn uploads are immutable, so only the side map entry is removed.
+   */
+  async function remove(id) {
+    return db().prepare('DELETE FROM arkacdn_sessions WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * List sessions known for `username` (from the side map, without the remote payload).
+   * @returns {Promise<Array<{id:string, username:string, tokenUuid:string, deviceId?:string, createdAt?:string, expiresAt?:string, revokedAt?:string}>>}
+   */
+  async function listByUsername(username) {
+    return db().prepare('SELECT * FROM arkacdn_sessions WHERE username = ?').all(username)
+      .map((row) => ({ id: row.id, username: row.username, tokenUuid: row.token_uuid, ...JSON.parse(row.meta) }));
+  }
+
+  return { driver: 'arkacdn', put, get, update, delete: remove, listByUsername };
+}
+
+export { createArkacdnStore };
@@ -0,0 +1,48 @@
+import { randomUUID } from 'crypto';
+import { getDb, withTransaction } from '../datastore.js';
+
+/**
+ * In-process session store driver kept in the datastore (the `local_sessions` table).
+ * Useful for development and tests where Arkacdn is not reachable.
+ * @param {{ db?:import('better-sqlite3').Database }} [options]
+ */
+function createLocalStore(options = {}) {
+  const db = () => options.db || getDb();
+
+  async function put(session) {
+    const id = randomUUID();
+    db().prepare('INSERT INTO local_sessions (id, username, session) VALUES (?, ?, ?)').run(id, session.username, JSON.stringify(session));
+    return { id, session, verified: true, meta: { driver: 'local' } };
+  }
+
+  async function get(id) {
+    const row = db().prepare('SELECT session FROM local_sessions WHERE id = ?').get(id);
+    return row ? JSON.parse(row.session) : null;
+  }
+
+  async function update(id, patch) {
+    return withTransaction((database) => {
+      const row = database.prepare('SELECT session FROM local_sessions WHERE id = ?').get(id);
+      if (!row) return false;
+      const session = { ...JSON.parse(row.session), ...patch };
+      database.prepare('UPDATE local_sessions SET session = ? WHERE id = ?').run(JSON.stringify(session), id);
+      return true;
+    }, db());
+  }
+
+  async function remove(id) {
+    return db().prepare('DELETE FROM local_sessions WHERE id = ?').run(id).changes > 0;
+  }
+
+  async function listByUsername(username) {
+    return db().prepare('SELECT id, session FROM local_sessions WHERE username = ?').all(username)
+      .map((row) => {
+        const { ip, ...meta } = JSON.parse(row.session);
+        return { id: row.id, ...meta };
+      });
+  }
+
+  return { driver: 'local', put, get, update, delete: remove, listByUsername };
+}
+
+export { createLocalStore };
@@ -0,0 +1,165 @@
+import { generateKeyPairSync, createPrivateKey, createPublicKey, createHash, sign, verify, randomUUID } from 'crypto';
+import dotenv from 'dotenv';
+dotenv.config();
+import { getDb, withTransaction } from './datastore.js';
+import { ipMatches } from './clientIp.js';
+
+// Signed session tokens (ES256 JWT) issued on /login so game servers can validate players
+// offline against the public keys published at /.well-known/jwks.json.
+// The keys live in the datastore (`session_keys`), private keys included.
+const TOKEN_TTL_SECONDS = Number(process.env.SESSION_TOKEN_TTL_SECONDS || 15 * 60);
+const TOKEN_ISSUER = process.env.SESSION_TOKEN_ISSUER || 'ogprotocol';
+// Retired keys stay in the JWKS long enough for every token they signed to expire
+const KEY_RETENTION_SECONDS = Number(process.env.SESSION_KEY_RETENTION_SECONDS || 2 * TOKEN_TTL_SECONDS);
+// Accepted clock difference between issuer and verifier
+const CLOCK_SKEW_SECONDS = 30;
+// The keyring is cached and read again after this long, so a rotation by another process
+// (npm run keys:rotate) is picked up; a token signed by an unknown kid reloads it at once
+const KEYRING_REFRESH_MS = 60 * 1000;
+
+const keyObjects = new Map(); // kid -> { privateKey, publicKey } parsed once per process
+let cached = null; // { db, loadedAt, current, keys }
+
+function rowToKey(row) {
+  return { kid: row.kid, privateKey: row.private_key, publicJwk: JSON.parse(row.public_jwk), createdAt: row.created_at, retiredAt: row.retired_at };
+}
+
+/**
+ * Signing keys of the database in use: `current` signs new tokens (null until the first rotation).
+ * @returns {{ current:Object|null, keys:Object[] }}
+ */
+function keyring({ reload = false } = {}) {
+  const db = getDb();
+  if (reload || !cached || cached.db !== db || Date.now() - cached.loadedAt >= KEYRING_REFRESH_MS) {
+    const keys = db.prepare('SELECT * FROM session_keys ORDER BY created_at').all().map(rowToKey);
+    cached = { db, loadedAt: Date.now(), current: keys.find((k) => !k.retiredAt) ?? null, keys };
+  }
+  return cached;
+}
+
+function newKey() {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const kid = randomUUID();
+  const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+  return {
+    kid,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicJwk: { kty, crv, x, y, kid, alg: 'ES256', use: 'sig' },
+    createdAt: new Date().toISOString(),
+  };
+}
+
+function isRetained(key, now = Date.now()) {
+  return !key.retiredAt || now - new Date(key.retiredAt).getTime() < KEY_RETENTION_SECONDS * 1000;
+}
+
+/**
+ * Generate a new signing key and make it current. The previous key is retired but stays
+ * published (and accepted) for SESSION_KEY_RETENTION_SECONDS; older retired keys are dropped.
+ * @returns {{ kid:string, retired:string|null, dropped:string[] }}
+ */
+function rotateSigningKey() {
+  const key = newKey();
+  const now = Date.now();
+  const cutoff = new Date(now - KEY_RETENTION_SECONDS * 1000).toISOString();
+  const result = withTransaction((db) => {
+    const retired = db.prepare('SELECT kid FROM session_keys WHERE retired_at IS NULL').pluck().get() ?? null;
+    db.prepare('UPDATE session_keys SET retired_at = ? WHERE retired_at IS NULL').run(new Date(now).toISOString());
+    const dropped = db.prepare('SELECT kid FROM session_keys WHERE retired_at <= ?').pluck().all(cutoff);
+    db.prepare('DELETE FROM session_keys WHERE retired_at <= ?').run(cutoff);
+    db.prepare('INSERT INTO session_keys (kid, private_key, public_jwk, created_at) VALUES (?, ?, ?, ?)')
+      .run(key.kid, key.privateKey, JSON.stringify(key.publicJwk), key.createdAt);
+    return { kid: key.kid, retired, dropped };
+  });
+  keyring({ reload: true });
+  return result;
+}
+
+function currentKey() {
+  if (!keyring().current && !keyring({ reload: true }).current) rotateSigningKey();
+  return keyring().current;
+}
+
+function keyObjectsFor(key) {
+  if (!keyObjects.has(key.kid)) {
+    keyObjects.set(key.kid, {
+      privateKey: createPrivateKey(key.privateKey),
+      publicKey: createPublicKey({ key: key.publicJwk, format: 'jwk' }),
+    });
+  }
+  return keyObjects.get(key.kid);
+}
+
+/**
+ * Public keys game servers should trust: the current key plus retired keys still within retention.
+ */
+function getJwks() {
+  currentKey();
+  return { keys: keyring().keys.filter((k) => isRetained(k)).map((k) => k.publicJwk) };
+}
+
+function b64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+// Token payloads can be read by whoever holds the token, so device ids (secrets of the client) go in hashed
+function deviceHash(deviceId) {
+  return createHash('sha256').update(deviceId).digest('base64url');
+}
+
+/**
+ * Issue a session token for a registered session.
+ * The token is bound to the session's ip, and to its device (as a hash) on top of that when it has one.
+ * It never outlives the session itself.
+ * @param {{ username:string, fileId:string, ip:string, deviceId?:string|null, expiresAt?:string|null }} session
+ * @returns {{ token:string, expiresAt:string }}
+ */
+function issueSessionToken({ username, fileId, ip, deviceId, expiresAt }) {
+  const key = currentKey();
+  const iat = Math.floor(Date.now() / 1000);
+  let exp = iat + TOKEN_TTL_SECONDS;
+  if (expiresAt) exp = Math.min(exp, Math.floor(new Date(expiresAt).getTime() / 1000));
+
+  const claims = { iss: TOKEN_ISSUER, sub: username, sid: fileId, iat, exp, jti: randomUUID(), ip };
+  if (deviceId) claims.did = deviceHash(deviceId);
+
+  const signingInput = `${b64url({ alg: 'ES256', typ: 'JWT', kid: key.kid })}.${b64url(claims)}`;
+  const signature = sign('sha256', Buffer.from(signingInput), { key: keyObjectsFor(key).privateKey, dsaEncoding: 'ieee-p1363' });
+  return { token: `${signingInput}.${signature.toString('base64url')}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * Verify a session token's signature, expiry and binding.
+ * Every token needs a matching `ip` (see `ipMatches`); device-bound ones the matching `deviceId` as well.
+ * @param {string} token
+ * @param {{ ip?:string, deviceId?:string }} [binding]
+ * @returns {{ valid:true, claims:Object }|{ valid:false, reason:'malformed'|'unknown_key'|'bad_signature'|'expired'|'ip_mismatch'|'device_mismatch' }}
+ */
+function verifySessionToken(token, { ip, deviceId } = {}) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return { valid: false, reason: 'malformed' };
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (header?.alg !== 'ES256' || !claims || typeof claims !== 'object') return { valid: false, reason: 'malformed' };
+
+  const key = keyring().keys.find((k) => k.kid === header.kid) ?? keyring({ reload: true }).keys.find((k) => k.kid === header.kid);
+  if (!key || !isRetained(key)) return { valid: false, reason: 'unknown_key' };
+
+  const ok = verify('sha256', Buffer.from(`${parts[0]}.${parts[1]}`), { key: keyObjectsFor(key).publicKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(parts[2], 'base64url'));
+  if (!ok || claims.iss !== TOKEN_ISSUER) return { valid: false, reason: 'bad_signature' };
+
+  if (typeof claims.exp !== 'number' || Date.now() / 1000 > claims.exp + CLOCK_SKEW_SECONDS) return { valid: false, reason: 'expired' };
+  if (claims.did !== undefined && (typeof deviceId !== 'string' || claims.did !== deviceHash(deviceId))) return { valid: false, reason: 'device_mismatch' };
+  if (!ipMatches(claims.ip, ip)) return { valid: false, reason: 'ip_mismatch' };
+
+  return { valid: true, claims };
+}
+
+export { issueSessionToken, verifySessionToken, getJwks, rotateSigningKey };
@@ -0,0 +1,57 @@
+import { ethers } from 'ethers';
+import { getDb } from './datastore.js';
+
+// Stats are stored on-chain under keccak256(name). Contracts only know the hashes, so we keep
+// a dictionary hash -> name: the built-in names below plus any custom name ever submitted (`stat_names`).
+
+// Built-in stats every player reports (missing ones read as 0). `playtime` is in seconds.
+const DEFAULT_STATS = ['kills', 'deaths', 'wins', 'matchesPlayed', 'playtime'];
+
+const STAT_NAME_RE = /^[A-Za-z][A-Za-z0-9_.-]{0,63}$/;
+
+function statKey(name) {
+  return ethers.id(name);
+}
+
+function isValidStatName(name) {
+  return typeof name === 'string' && STAT_NAME_RE.test(name);
+}
+
+/**
+ * Remember custom stat names so their hashes can be resolved when reading stats back.
+ */
+function rememberStatNames(names) {
+  const insert = getDb().prepare('INSERT OR IGNORE INTO stat_names (key, name) VALUES (?, ?)');
+  for (const name of names) {
+    if (!DEFAULT_STATS.includes(name)) insert.run(statKey(name), name);
+  }
+}
+
+/**
+ * Validate a `{ statName: value }` object and convert values to BigInt.
+ * Values must be non-negative integers (number or decimal string).
+ * @returns {{ names: string[], keys: string[], values: bigint[] }}
+ */
+function parseStatEntries(entries) {
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) throw new Error('stats must be an object of { name: value }');
+  const names = Object.keys(entries);
+  const values = names.map((name) => {
+    if (!isValidStatName(name)) throw new Error(`Invalid stat name "${name}"`);
+    const raw = entries[name];
+    const ok = (typeof raw === 'number' && Number.isSafeInteger(raw) && raw >= 0) || (typeof raw === 'string' && /^\d+$/.test(raw));
+    if (!ok) throw new Error(`Stat "${name}" must be a non-negative integer`);
+    return BigInt(raw);
+  });
+  return { names, keys: names.map(statKey), values };
+}
+
+/**
+ * Resolve a stat key back to its name. Unknown keys are returned as the hex hash.
+ */
+function statNameForKey(key) {
+  const known = DEFAULT_STATS.find((name) => statKey(name) === key);
+  if (known) return known;
+  return getDb().prepare('SELECT name FROM stat_names WHERE key = ?').pluck().get(key) || key;
+}
+
+export { DEFAULT_STATS, STAT_NAME_RE, statKey, isValidStatName, parseStatEntries, rememberStatNames, statNameForKey };
@@ -0,0 +1,142 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import dotenv from 'dotenv';
+dotenv.config();
+import { getPlayerRecord, isPlayerIdentifier } from './contractManager.js';
+import { getRegistration } from './registrations.js';
+import { getSessionStatus } from './sessionManager.js';
+import { verifySessionToken } from './sessionTokens.js';
+import { verifyTokenRequest } from './walletAuth.js';
+import { claimOnce } from './rateLimiter.js';
+
+// Proof-of-work on GET /token: leading zero bits required in sha256(`${challenge}.${nonce}`). 0 disables it.
+const POW_DIFFICULTY = Number(process.env.TOKEN_POW_DIFFICULTY || 0);
+const POW_TTL_MS = Number(process.env.TOKEN_POW_TTL_SECONDS || 120) * 1000;
+// Challenges are stateless (HMAC signed); without a configured secret they only survive until restart
+const POW_SECRET = process.env.TOKEN_POW_SECRET || randomBytes(32).toString('hex');
+// Registered usernames only get a new login token with proof of a live session or of their wallet
+const PROOF_REQUIRED = process.env.TOKEN_PROOF_REQUIRED !== 'false';
+
+/*
+ * Checks run before a login token is minted, in registration order. Each check receives the
+ * request and the token parameters and resolves to { ok: true } or { ok: false, reason, status? }.
+ * A captcha integration registers itself the same way as the built-in proof-of-work check.
+ */
+const checks = new Map();
+
+/**
+ * Register (or replace) a check run on every token request.
+ * @param {string} name
+ * @param {(req:import('express').Request, params:Object) => {ok:boolean, reason?:string, status?:number}|Promise<{ok:boolean, reason?:string, status?:number}>} check
+ */
+function registerTokenCheck(name, check) {
+  if (!name || typeof name !== 'string') throw new Error('name (string) is required');
+  if (typeof check !== 'function') throw new Error('check must be a function');
+  checks.set(name, check);
+}
+
+/**
+ * Run every registered check. Stops at the first failure.
+ * @returns {Promise<{ok:true}|{ok:false, check:string, reason:string, status:number}>}
+ */
+async function runTokenChecks(req, params) {
+  for (const [name, check] of checks) {
+    const result = await check(req, params);
+    if (!result || !result.ok) return { ok: false, check: name, reason: result?.reason || 'rejected', status: result?.status || 403 };
+  }
+  return { ok: true };
+}
+
+function powSignature(payload) {
+  return createHmac('sha256', POW_SECRET).update(payload).digest('base64url');
+}
+
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) { bits += 8; continue; }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+/**
+ * Issue a proof-of-work challenge for `username`. The client must find a `nonce` such that
+ * sha256(`${challenge}.${nonce}`) starts with `difficulty` zero bits and send both with the token request.
+ * @returns {{ challenge:string, difficulty:number, algorithm:string, expiresAt:string }|null} null when PoW is disabled
+ */
+function issuePowChallenge(username) {
+  if (!POW_DIFFICULTY) return null;
+  const expiresAt = Date.now() + POW_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ u: username, exp: expiresAt, n: randomBytes(8).toString('hex') })).toString('base64url');
+  return { challenge: `${payload}.${powSignature(payload)}`, difficulty: POW_DIFFICULTY, algorithm: 'sha256', expiresAt: new Date(expiresAt).toISOString() };
+}
+
+async function verifyPow(username, challenge, nonce) {
+  if (typeof challenge !== 'string' || typeof nonce !== 'string' || !nonce || nonce.length > 64) return { ok: false, reason: 'pow_required', status: 428 };
+  const [payload, signature] = challenge.split('.');
+  const expected = payload ? powSignature(payload) : '';
+  if (!signature || signature.length !== expected.length || !timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { ok: false, reason: 'pow_invalid' };
+  }
+  let claims;
+  try { claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')); } catch { return { ok: false, reason: 'pow_invalid' }; }
+  if (claims.u !== username) return { ok: false, reason: 'pow_invalid' };
+  if (Date.now() > claims.exp) return { ok: false, reason: 'pow_expired', status: 428 };
+
+  const hash = createHash('sha256').update(`${challenge}.${nonce}`).digest();
+  if (leadingZeroBits(hash) < POW_DIFFICULTY) return { ok: false, reason: 'pow_invalid' };
+  if (!(await claimOnce(`pow:${challenge}`, POW_TTL_MS))) return { ok: false, reason: 'pow_reused' };
+  return { ok: true };
+}
+
+if (POW_DIFFICULTY) {
+  registerTokenCheck('pow', (req, params) => verifyPow(params.username, params.powChallenge, params.powNonce));
+}
+
+/**
+ * Check that a signed session token proves a live session of `username` for the caller's ip/device.
+ * @param {string} username
+ * @param {{ sessionToken:string, ip?:string, deviceId?:string }} params
+ * @returns {Promise<{ok:true, fileId:string}|{ok:false, reason:string}>} reasons are prefixed with 'session_'
+ */
+async function verifyAccountSession(username, { sessionToken, ip, deviceId }) {
+  const verified = verifySessionToken(sessionToken, { ip, deviceId });
+  if (!verified.valid) return { ok: false, reason: `session_${verified.reason}` };
+  if (verified.claims.sub !== username) return { ok: false, reason: 'session_username_mismatch' };
+  const status = await getSessionStatus(username, verified.claims.sid);
+  if (status !== 'active') return { ok: false, reason: `session_${status}` };
+  return { ok: true, fileId: verified.claims.sid };
+}
+
+/**
+ * Token issuance policy: anyone may request a token for a new username, but a registered (or
+ * registering) username needs either a valid signed session token (`sessionToken` + `ip`/`deviceId`) or a
+ * signature over the token request message (`address`, `signature`, `issuedAt`) by one of its identifiers.
+ * @returns {Promise<{ok:true, proof:string}|{ok:false, reason:string, status:number}>}
+ */
+async function checkTokenProof(username, params) {
+  const record = getPlayerRecord(username);
+  // A username whose registration is still running is claimed by the identifier it registers
+  const registration = record ? null : getRegistration(username);
+  if (!record && !registration) return { ok: true, proof: 'new_user' };
+  if (!PROOF_REQUIRED) return { ok: true, proof: 'not_required' };
+
+  if (params.sessionToken) {
+    const session = await verifyAccountSession(username, params);
+    if (!session.ok) return { ok: false, reason: session.reason, status: 403 };
+    return { ok: true, proof: 'session' };
+  }
+
+  if (params.signature) {
+    const proof = await verifyTokenRequest(username, params.address, params.signature, params.issuedAt);
+    if (!proof.verified) return { ok: false, reason: `wallet_${proof.reason}`, status: 403 };
+    const known = record ? isPlayerIdentifier(username, proof.address) : proof.address === registration.playerAddress;
+    if (!known) return { ok: false, reason: 'wallet_address_mismatch', status: 403 };
+    return { ok: true, proof: 'wallet' };
+  }
+
+  return { ok: false, reason: 'proof_required', status: 403 };
+}
+
+export { registerTokenCheck, runTokenChecks, issuePowChallenge, checkTokenProof, verifyAccountSession };
@@ -0,0 +1,428 @@
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+dotenv.config();
+import { getDb } from './datastore.js';
+
+// How long queued jobs wait before being sent, so stat writes for the same player can be merged
+const BATCH_WINDOW_MS = Number(process.env.TX_BATCH_WINDOW_MS || 1000);
+// Worker tick: sends queued jobs and checks submitted ones for receipts
+const POLL_INTERVAL_MS = Number(process.env.TX_POLL_INTERVAL_MS || 2000);
+// A submitted tx without a receipt after this long is re-broadcast with bumped fees
+const STUCK_AFTER_MS = Number(process.env.TX_STUCK_AFTER_MS || 60 * 1000);
+// After this many bumps (and STUCK_AFTER_MS more) a tx is given up on and its job fails
+const MAX_FEE_BUMPS = Number(process.env.TX_MAX_FEE_BUMPS || 5);
+const FEE_BUMP_PERCENT = 25n; // nodes require >= 10% to accept a replacement
+// A send failing for a reason other than the tx itself (RPC down, timeout, ...) is retried up to
+// TX_MAX_SEND_RETRIES times, after TX_RETRY_BASE_MS and then twice as long each time, up to TX_RETRY_MAX_MS
+const MAX_SEND_RETRIES = Number(process.env.TX_MAX_SEND_RETRIES || 5);
+const RETRY_BASE_MS = Number(process.env.TX_RETRY_BASE_MS || 5000);
+const RETRY_MAX_MS = Number(process.env.TX_RETRY_MAX_MS || 5 * 60 * 1000);
+// Confirmed, failed and merged jobs are deleted this long after they finished
+const JOB_RETENTION_MS = Number(process.env.TX_JOB_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// Default for queues created without `confirmations`
+const CONFIRMATIONS = Number(process.env.TX_CONFIRMATIONS || 1);
+
+const STATUS_RANK = { queued: 0, submitted: 1, confirmed: 2 };
+// Errors about the tx itself (a revert while estimating gas, bad calldata): sending it again cannot succeed
+const PERMANENT_ERRORS = new Set(['CALL_EXCEPTION', 'INVALID_ARGUMENT', 'MISSING_ARGUMENT', 'UNEXPECTED_ARGUMENT', 'NUMERIC_FAULT', 'BAD_DATA']);
+
+// Stat writes are stored as intents and encoded when sent, so queued ones can be merged
+const STATS_IFACE = new ethers.Interface([
+  'function adminSetStats(address _player, bytes32[] _stats, uint256[] _values)',
+  'function adminIncrementStats(address _player, bytes32[] _stats, uint256[] _deltas)',
+  'function adminSetStatsById(bytes32 _playerId, bytes32[] _stats, uint256[] _values)',
+  'function adminIncrementStatsById(bytes32 _playerId, bytes32[] _stats, uint256[] _deltas)',
+]);
+
+function bump(value) {
+  return value === null || value === undefined ? null : (BigInt(value) * (100n + FEE_BUMP_PERCENT)) / 100n;
+}
+
+/**
+ * Persistent, single-signer transaction queue.
+ * - nonces are assigned by the queue (never by ethers) so concurrent callers can't collide
+ * - consecutive queued stat writes for the same contract/player/op are merged into one tx
+ * - sends that fail for transient reasons are retried with backoff; later jobs wait behind them
+ * - submitted txs that don't confirm in time are re-broadcast with the same nonce and higher fees,
+ *   up to MAX_FEE_BUMPS times, after which the job fails
+ * - every signed tx is recorded (hash and nonce) before it is broadcast and looked up by hash on the
+ *   next tick, so a restart never sends a job twice
+ * - jobs are rows of `tx_jobs` in the datastore, written on every change and resumed on restart;
+ *   only unfinished ones are kept in memory, finished ones are pruned after TX_JOB_RETENTION_DAYS
+ *
+ * Job statuses: queued -> submitted -> confirmed | failed, or `merged` (see `mergedInto`).
+ * @param {Object} options
+ * @param {ethers.Wallet} options.signer
+ * @param {string} options.name queue name (the network's), keys its rows
+ * @param {import('better-sqlite3').Database} [options.db] defaults to the shared datastore
+ * @param {number} [options.confirmations]
+ */
+function createTxQueue({ signer, name, db = getDb(), confirmations = CONFIRMATIONS }) {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const sql = {
+    open: db.prepare("SELECT job FROM tx_jobs WHERE queue = ? AND status IN ('queued', 'submitted') ORDER BY created_at"),
+    read: db.prepare('SELECT job FROM tx_jobs WHERE id = ? AND queue = ?'),
+    write: db.prepare(`INSERT INTO tx_jobs (id, queue, status, job, created_at, updated_at) VALUES (@id, @queue, @status, @job, @createdAt, @updatedAt)
+      ON CONFLICT (id) DO UPDATE SET status = excluded.status, job = excluded.job, updated_at = excluded.updated_at`),
+    nonce: db.prepare('SELECT next_nonce FROM tx_queues WHERE name = ?').pluck(),
+    saveNonce: db.prepare('INSERT INTO tx_queues (name, next_nonce) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET next_nonce = excluded.next_nonce'),
+    prune: db.prepare("DELETE FROM tx_jobs WHERE queue = ? AND status NOT IN ('queued', 'submitted') AND updated_at < ?"),
+  };
+  // id -> job, for queued and submitted jobs only
+  const open = new Map(sql.open.all(name).map((row) => {
+    const job = JSON.parse(row.job);
+    return [job.id, job];
+  }));
+  let nextNonce = sql.nonce.get(name) ?? null;
+  let timer = null;
+  let running = null;
+  let prunedAt = 0;
+
+  function row(job) {
+    return { id: job.id, queue: name, status: job.status, job: JSON.stringify(job), createdAt: job.createdAt, updatedAt: job.updatedAt };
+  }
+
+  function setNextNonce(value) {
+    nextNonce = value;
+    sql.saveNonce.run(name, value);
+  }
+
+  function update(job, patch) {
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+    sql.write.run(row(job));
+    if (job.status !== 'queued' && job.status !== 'submitted') open.delete(job.id);
+    events.emit('update', job);
+  }
+
+  function lookup(id) {
+    if (open.has(id)) return open.get(id);
+    const stored = sql.read.get(id, name);
+    return stored ? JSON.parse(stored.job) : null;
+  }
+
+  function add(job) {
+    const now = new Date().toISOString();
+    const rec = { id: randomUUID(), status: 'queued', attempts: 0, hashes: [], createdAt: now, updatedAt: now, ...job };
+    sql.write.run(row(rec));
+    open.set(rec.id, rec);
+    start();
+    // Skipped if the queue was stopped in the meantime
+    setTimeout(() => timer && tick(), BATCH_WINDOW_MS).unref();
+    return rec;
+  }
+
+  /**
+   * Queue a raw transaction. Omit `to` to deploy `data` as contract bytecode.
+   * @param {{ to?:string, data:string, label?:string }} tx
+   */
+  function enqueue({ to = null, data, label = null }) {
+    if (!data) throw new Error('data is required to enqueue a transaction');
+    return publicView(add({ kind: to ? 'call' : 'deploy', label, to, data }));
+  }
+
+  /**
+   * Queue a stat write. Consecutive queued writes with the same contract, player and op are
+   * merged: increments are summed, sets keep the latest value.
+   * @param {{ to:string, op:'set'|'increment', target:{ address?:string, id?:string }, stats:Object<string, bigint|string>, label?:string }} intent
+   *   `stats` maps stat key (bytes32 hex) -> value
+   */
+  function enqueueStats({ to, op, target, stats, label = null }) {
+    if (op !== 'set' && op !== 'increment') throw new Error(`Unknown stats op ${op}`);
+    const byId = Boolean(target.id);
+    const fn = `admin${op === 'set' ? 'Set' : 'Increment'}Stats${byId ? 'ById' : ''}`;
+    const values = {};
+    for (const [key, value] of Object.entries(stats)) values[key] = BigInt(value).toString();
+    return publicView(add({
+      kind: 'stats',
+      label,
+      to,
+      stats: { fn, op, target: byId ? target.id : target.address, values },
+      targetKey: `${to.toLowerCase()}:${(byId ? target.id : target.address).toLowerCase()}`,
+    }));
+  }
+
+  function encode(job) {
+    if (job.kind !== 'stats') return job.data;
+    const keys = Object.keys(job.stats.values);
+    return STATS_IFACE.encodeFunctionData(job.stats.fn, [job.stats.target, keys, keys.map((k) => BigInt(job.stats.values[k]))]);
+  }
+
+  // Merge runs of same-op stat jobs per contract/player; a different op in between (set after
+  // increment) starts a new run so writes keep their order.
+  function mergeQueuedStats(queued) {
+    const lastByTarget = new Map();
+    for (const job of queued) {
+      if (job.kind !== 'stats') continue;
+      const into = lastByTarget.get(job.targetKey);
+      if (!into || into.stats.fn !== job.stats.fn) { lastByTarget.set(job.targetKey, job); continue; }
+      const values = { ...into.stats.values };
+      for (const [key, value] of Object.entries(job.stats.values)) {
+        values[key] = job.stats.op === 'increment' && values[key] !== undefined
+          ? (BigInt(values[key]) + BigInt(value)).toString()
+          : value;
+      }
+      db.transaction(() => {
+        update(into, { stats: { ...into.stats, values }, mergedIds: [...(into.mergedIds || []), job.id] });
+        update(job, { status: 'merged', mergedInto: into.id });
+      })();
+    }
+  }
+
+  async function feeOverrides(job) {
+    if (job.fees) {
+      return {
+        maxFeePerGas: bump(job.fees.maxFeePerGas),
+        maxPriorityFeePerGas: bump(job.fees.maxPriorityFeePerGas),
+        gasPrice: bump(job.fees.gasPrice),
+      };
+    }
+    const fee = await signer.provider.getFeeData();
+    return fee.maxFeePerGas !== null
+      ? { maxFeePerGas: fee.maxFeePerGas, maxPriorityFeePerGas: fee.maxPriorityFeePerGas, gasPrice: null }
+      : { maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: fee.gasPrice };
+  }
+
+  async function broadcast(job, nonce) {
+    const fees = await feeOverrides(job);
+    const request = { to: job.to, data: encode(job), nonce, gasLimit: job.gasLimit ? BigInt(job.gasLimit) : undefined };
+    if (fees.maxFeePerGas !== null) {
+      request.maxFeePerGas = fees.maxFeePerGas;
+      request.maxPriorityFeePerGas = fees.maxPriorityFeePerGas;
+    } else {
+      request.gasPrice = fees.gasPrice;
+    }
+    const populated = await signer.populateTransaction(request);
+    const raw = await signer.signTransaction(populated);
+    const signed = {
+      hash: ethers.Transaction.from(raw).hash,
+      nonce,
+      gasLimit: populated.gasLimit.toString(),
+      fees: {
+        maxFeePerGas: fees.maxFeePerGas?.toString() ?? null,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas?.toString() ?? null,
+        gasPrice: fees.gasPrice?.toString() ?? null,
+      },
+    };
+    // Written before the broadcast: a crash before it is marked submitted leaves the hash to reconcile
+    // on restart, instead of a queued job that would be sent again with another nonce
+    update(job, { signed });
+    await signer.provider.broadcastTransaction(raw);
+    markSubmitted(job);
+  }
+
+  function markSubmitted(job) {
+    const { hash, nonce, gasLimit, fees } = job.signed;
+    update(job, {
+      status: 'submitted',
+      nonce,
+      gasLimit,
+      fees,
+      hash,
+      hashes: [...job.hashes, hash],
+      attempts: job.attempts + 1,
+      submittedAt: new Date().toISOString(),
+      signed: null,
+      error: null,
+      retryAt: null,
+    });
+  }
+
+  /**
+   * Settle a job whose signed tx was recorded but not marked submitted (the process stopped mid-broadcast,
+   * or the broadcast failed): submitted if the node knows its hash, otherwise dropped so the job is sent anew.
+   */
+  async function reconcile(job) {
+    if (!await signer.provider.getTransaction(job.signed.hash)) {
+      update(job, { signed: null });
+      return;
+    }
+    console.warn(`Tx ${job.id} was broadcast as ${job.signed.hash} (nonce ${job.signed.nonce}) before it was recorded, resuming it`);
+    if (job.status === 'queued' && nextNonce !== null && job.signed.nonce >= nextNonce) setNextNonce(job.signed.nonce + 1);
+    markSubmitted(job);
+  }
+
+  async function checkSubmitted(job, blockNumber) {
+    for (const hash of job.hashes) {
+      const receipt = await signer.provider.getTransactionReceipt(hash);
+      if (!receipt) continue;
+      if (blockNumber - receipt.blockNumber + 1 < confirmations) return;
+      update(job, {
+        status: receipt.status === 1 ? 'confirmed' : 'failed',
+        hash,
+        error: receipt.status === 1 ? null : 'transaction reverted',
+        receipt: { blockNumber: receipt.blockNumber, contractAddress: receipt.contractAddress, gasUsed: receipt.gasUsed.toString() },
+        confirmedAt: new Date().toISOString(),
+      });
+      return;
+    }
+
+    const age = Date.now() - new Date(job.submittedAt).getTime();
+    if (age < STUCK_AFTER_MS) return;
+    if (job.attempts > MAX_FEE_BUMPS) {
+      // The nonce may still get mined; with nothing else in flight the queue follows the chain's nonce again
+      const error = `not mined after ${MAX_FEE_BUMPS} fee bumps (nonce ${job.nonce}, last hash ${job.hash})`;
+      console.error(`Giving up on tx ${job.id}: ${error}`);
+      update(job, { status: 'failed', error, abandonedAt: new Date().toISOString() });
+      return;
+    }
+    try {
+      console.warn(`Tx ${job.id} (nonce ${job.nonce}) not mined after ${Math.round(age / 1000)}s, re-broadcasting with higher fees`);
+      await broadcast(job, job.nonce);
+    } catch (e) {
+      // "nonce too low" here means one of our earlier hashes got mined; the next tick picks up its receipt
+      console.warn(`Fee bump for tx ${job.id} failed:`, e?.shortMessage || e?.message || e);
+    }
+  }
+
+  async function processOnce() {
+    for (const job of [...open.values()].filter((j) => j.signed)) {
+      await reconcile(job);
+    }
+    const jobs = [...open.values()];
+    const blockNumber = await signer.provider.getBlockNumber();
+
+    for (const job of jobs.filter((j) => j.status === 'submitted')) {
+      await checkSubmitted(job, blockNumber);
+    }
+
+    const now = Date.now();
+    const cutoff = now - BATCH_WINDOW_MS;
+    const queued = jobs
+      .filter((j) => j.status === 'queued')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    mergeQueuedStats(queued);
+
+    const address = await signer.getAddress();
+    const chainNonce = await signer.provider.getTransactionCount(address, 'pending');
+    // Follow the chain when it is ahead (another process used the key) or when nothing of ours
+    // is in flight (a dropped tx would otherwise leave a permanent nonce gap)
+    const inFlight = [...open.values()].some((j) => j.status === 'submitted');
+    if (nextNonce === null || chainNonce > nextNonce || !inFlight) setNextNonce(chainNonce);
+
+    for (const job of queued) {
+      if (job.status !== 'queued' || new Date(job.createdAt).getTime() > cutoff) continue;
+      // Jobs queued after one that is backing off wait for it, so writes keep their order
+      if (job.retryAt && new Date(job.retryAt).getTime() > now) break;
+      try {
+        await broadcast(job, nextNonce);
+        setNextNonce(nextNonce + 1);
+      } catch (e) {
+        if (e?.code === 'NONCE_EXPIRED') {
+          // Someone else used the signer; resync and try again next tick
+          setNextNonce(null);
+          break;
+        }
+        const error = e?.shortMessage || e?.message || String(e);
+        const retries = (job.sendRetries || 0) + 1;
+        if (PERMANENT_ERRORS.has(e?.code) || retries > MAX_SEND_RETRIES) {
+          update(job, { status: 'failed', error, retryAt: null });
+          continue;
+        }
+        const delay = Math.min(RETRY_BASE_MS * 2 ** (retries - 1), RETRY_MAX_MS);
+        console.warn(`Sending tx ${job.id} failed (${error}), retry ${retries}/${MAX_SEND_RETRIES} in ${Math.round(delay / 1000)}s`);
+        update(job, { error, sendRetries: retries, retryAt: new Date(now + delay).toISOString() });
+        break;
+      }
+    }
+
+    if (now - prunedAt >= PRUNE_INTERVAL_MS) prune(now);
+  }
+
+  /**
+   * Delete the jobs that finished (confirmed, failed, merged) more than TX_JOB_RETENTION_DAYS before `now`.
+   * Runs hourly from the worker.
+   * @returns {number} jobs deleted
+   */
+  function prune(now = Date.now()) {
+    prunedAt = now;
+    return sql.prune.run(name, new Date(now - JOB_RETENTION_MS).toISOString()).changes;
+  }
+
+  function tick() {
+    if (running) return running;
+    running = processOnce()
+      .catch((e) => console.error('Tx queue tick failed:', e?.message || e))
+      .finally(() => { running = null; });
+    return running;
+  }
+
+  /**
+   * Start the background worker. Safe to call more than once.
+   */
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    timer.unref();
+  }
+
+  /**
+   * Stop the background worker.
+   * @returns {Promise<void>} resolves once a tick in progress has finished
+   */
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    return running ?? Promise.resolve();
+  }
+
+  function resolveJob(id) {
+    let job = lookup(id);
+    while (job && job.status === 'merged') job = lookup(job.mergedInto);
+    return job;
+  }
+
+  function publicView(job) {
+    if (!job) return null;
+    const { data, stats, targetKey, signed, ...rest } = job;
+    return stats ? { ...rest, stats: { fn: stats.fn, target: stats.target, values: stats.values } } : rest;
+  }
+
+  /**
+   * Look up a job. Merged jobs are reported with the status/hash of the job they were merged into.
+   */
+  function get(id) {
+    const job = lookup(id);
+    if (!job) return null;
+    if (job.status !== 'merged') return publicView(job);
+    const into = resolveJob(id);
+    return { ...publicView(job), status: into?.status ?? 'merged', hash: into?.hash ?? null, receipt: into?.receipt ?? null, error: into?.error ?? null };
+  }
+
+  /**
+   * Resolve once the job reaches `status` ('submitted' or 'confirmed'); rejects if it fails or on timeout.
+   * @returns {Promise<Object>} the job (see `get`)
+   */
+  function waitFor(id, status = 'confirmed', timeoutMs = 5 * 60 * 1000) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const job = resolveJob(id);
+        if (!job) return finish(new Error(`Unknown tx ${id}`));
+        if (job.status === 'failed') return finish(new Error(`Tx ${id} failed: ${job.error}`));
+        if (STATUS_RANK[job.status] >= STATUS_RANK[status]) return finish(null, get(id));
+      };
+      const finish = (err, value) => {
+        clearTimeout(timeout);
+        events.off('update', check);
+        return err ? reject(err) : resolve(value);
+      };
+      const timeout = setTimeout(() => finish(new Error(`Timed out waiting for tx ${id} to be ${status}`)), timeoutMs);
+      events.on('update', check);
+      check();
+    });
+  }
+
+  return { enqueue, enqueueStats, get, waitFor, start, stop, tick, prune };
+}
+
+/**
+ * Names of the queues with unfinished jobs, which should be resumed on startup.
+ */
+function listActiveTxQueues(db = getDb()) {
+  return db.prepare("SELECT DISTINCT queue FROM tx_jobs WHERE status IN ('queued', 'submitted')").pluck().all();
+}
+
+export { createTxQueue, listActiveTxQueues };
@@ -0,0 +1,91 @@
+import Ajv from 'ajv';
+import { sendError } from './errors.js';
+import { STAT_NAME_RE } from './statNames.js';
+
+/*
+ * Request validation. Every route declares JSON schemas for its path params, query string and
+ * body through `validate(...)`; the same declarations are turned into the OpenAPI spec (see openapi.js).
+ * Query strings and path params are coerced to the declared types; bodies are not. Defaults
+ * declared in the schemas are filled in.
+ */
+const queryAjv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true });
+const bodyAjv = new Ajv({ allErrors: true, useDefaults: true });
+
+/**
+ * Object schema with `properties`; no other properties are allowed unless `additional` is set.
+ */
+function object(properties, { required = [], additional = false, description } = {}) {
+  const schema = { type: 'object', properties, additionalProperties: additional };
+  if (required.length) schema.required = required;
+  if (description) schema.description = description;
+  return schema;
+}
+
+// Non-empty string schema of at most `maxLength` characters
+const string = (maxLength, extra = {}) => ({ type: 'string', minLength: 1, maxLength, ...extra });
+
+// Schemas shared by several routes
+const schemas = {
+  username: string(128),
+  token: string(128, { description: 'Login token from /token' }),
+  ip: string(64, { description: "Player ip to bind or check the session against; only accepted from API keys with the sessions:vouch permission (defaults to the caller's ip)" }),
+  deviceId: string(128),
+  sessionToken: string(4096, { description: 'Signed session token returned by /login' }),
+  fileId: string(256),
+  address: string(128, { description: 'EVM address or other supported identifier (e.g. Polkadot SS58)' }),
+  signature: string(1024),
+  issuedAt: string(64, { description: 'ISO timestamp from the message that was signed' }),
+  network: string(64, { description: 'Network name (see GET /networks)' }),
+  reason: { type: 'string', maxLength: 500 },
+  statName: { type: 'string', pattern: STAT_NAME_RE.source },
+  limit: (max = 500, fallback = 50) => ({ type: 'integer', minimum: 1, maximum: max, default: fallback }),
+  offset: { type: 'integer', minimum: 0, default: 0 },
+  statEntries: {
+    type: 'object',
+    description: 'Stat name -> non-negative integer (number or decimal string)',
+    maxProperties: 64,
+    additionalProperties: { anyOf: [{ type: 'integer', minimum: 0 }, { type: 'string', pattern: '^[0-9]{1,78}$' }] },
+  },
+};
+// Proof that the caller holds a live session of the player, for player-authenticated routes
+schemas.sessionProof = {
+  sessionToken: schemas.sessionToken,
+  ip: schemas.ip,
+  deviceId: schemas.deviceId,
+};
+
+function describeError(where, err) {
+  const path = `${where}${err.instancePath.replace(/\//g, '.')}`;
+  if (err.keyword === 'required') return { in: where, path: `${path}.${err.params.missingProperty}`, message: `${path}.${err.params.missingProperty} is required` };
+  if (err.keyword === 'additionalProperties') return { in: where, path: `${path}.${err.params.additionalProperty}`, message: `${path}.${err.params.additionalProperty} is not allowed` };
+  if (err.keyword === 'enum') return { in: where, path, message: `${path} must be one of: ${err.params.allowedValues.join(', ')}` };
+  return { in: where, path, message: `${path} ${err.message}` };
+}
+
+/**
+ * Route middleware validating `req.params`, `req.query` and `req.body` against the given schemas
+ * (each optional), answering 400 `invalid_request` with every problem in `details.errors`.
+ * The spec is kept on the middleware (`.openapi`) for the OpenAPI document.
+ * @param {{ summary:string, description?:string, tags?:string[], params?:Object, query?:Object, body?:Object, responses?:Object<string,string> }} spec
+ */
+function validate(spec) {
+  const checks = [
+    ['params', spec.params && queryAjv.compile(spec.params)],
+    ['query', spec.query && queryAjv.compile(spec.query)],
+    ['body', spec.body && bodyAjv.compile(spec.body)],
+  ].filter(([, check]) => check);
+
+  const middleware = (req, res, next) => {
+    const errors = [];
+    for (const [where, check] of checks) {
+      if (where === 'body' && req.body === undefined) req.body = {};
+      if (!check(req[where])) errors.push(...check.errors.map((err) => describeError(where, err)));
+    }
+    if (errors.length) return sendError(res, 'invalid_request', errors[0].message, { errors });
+    next();
+  };
+  middleware.openapi = spec;
+  return middleware;
+}
+
+export { validate, object, string, schemas };
@@ -0,0 +1,266 @@
+import { randomBytes } from 'crypto';
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+dotenv.config();
+import { getToken, updateTokenData } from './sessionManager.js';
+import { claimOnce } from './rateLimiter.js';
+import { getNetworkConfig } from './networks.js';
+
+// Sign-in challenge settings (EIP-4361 / "Sign-In with Ethereum" message fields)
+const LOGIN_DOMAIN = process.env.LOGIN_DOMAIN || `localhost:${process.env.PORT || 3000}`;
+const LOGIN_URI = process.env.LOGIN_URI || `http://${LOGIN_DOMAIN}`;
+const LOGIN_STATEMENT = 'Sign in to OG Protocol. This request will not trigger a blockchain transaction or cost any gas.';
+const TOKEN_REQUEST_STATEMENT = 'Request a new OG Protocol login token. This request will not trigger a blockchain transaction or cost any gas.';
+const LINK_STATEMENT = 'Link this account to an OG Protocol username. Its stats will count towards that player and it can be used to sign in.';
+// How long a signed token request / link message stays usable (it is single-use within that time)
+const TOKEN_REQUEST_MAX_AGE_MS = Number(process.env.TOKEN_PROOF_MAX_AGE_SECONDS || 5 * 60) * 1000;
+
+/*
+ * Address verifiers, keyed by kind. Each verifier decides whether it can handle an
+ * identifier (`matches`), normalizes it and checks a signature over a plain-text message.
+ * Verifiers are tried in registration order, so the stricter EVM check runs first.
+ */
+const verifiers = new Map();
+// 0x + 20 bytes is an EVM address or nothing: a bad checksum must not fall through to other verifiers
+const EVM_SHAPE = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Register (or replace) a signature verifier for an identifier kind.
+ * @param {string} kind e.g. 'evm', 'polkadot'
+ * @param {{ label: string, matches: (address:string) => boolean|Promise<boolean>, normalize?: (address:string) => string, verify: (message:string, signature:string, address:string) => boolean|Promise<boolean> }} verifier
+ */
+function registerVerifier(kind, verifier) {
+  if (!kind || typeof kind !== 'string') throw new Error('kind (string) is required');
+  if (!verifier || typeof verifier.matches !== 'function' || typeof verifier.verify !== 'function') {
+    throw new Error('verifier must implement matches() and verify()');
+  }
+  verifiers.set(kind, verifier);
+}
+
+/**
+ * Find the verifier able to handle `address`.
+ * @returns {Promise<{kind:string, address:string, verifier:Object}|null>} normalized address + verifier, or null if unsupported
+ */
+async function resolveVerifier(address) {
+  if (!address || typeof address !== 'string') return null;
+  if (EVM_SHAPE.test(address) && !ethers.isAddress(address)) return null;
+  for (const [kind, verifier] of verifiers) {
+    let ok = false;
+    try { ok = await verifier.matches(address); } catch (e) { ok = false; }
+    if (!ok) continue;
+    const normalized = typeof verifier.normalize === 'function' ? verifier.normalize(address) : address;
+    return { kind, address: normalized, verifier };
+  }
+  return null;
+}
+
+registerVerifier('evm', {
+  label: 'Ethereum',
+  matches: (address) => ethers.isAddress(address),
+  normalize: (address) => ethers.getAddress(address),
+  verify: (message, signature, address) => {
+    const recovered = ethers.verifyMessage(message, signature);
+    return recovered === ethers.getAddress(address);
+  },
+});
+
+// Polkadot/Substrate SS58 addresses (sr25519, ed25519 and ecdsa keys).
+// @polkadot/util-crypto is loaded lazily so EVM-only deployments don't pay for the wasm init.
+let polkadotCrypto = null;
+async function loadPolkadotCrypto() {
+  if (polkadotCrypto) return polkadotCrypto;
+  try {
+    const mod = await import('@polkadot/util-crypto');
+    await mod.cryptoWaitReady();
+    polkadotCrypto = mod;
+    return mod;
+  } catch (e) {
+    throw new Error('@polkadot/util-crypto could not be imported; it is required to verify Polkadot signatures');
+  }
+}
+
+registerVerifier('polkadot', {
+  label: 'Polkadot',
+  matches: async (address) => {
+    const { decodeAddress } = await loadPolkadotCrypto();
+    try { decodeAddress(address); return true; } catch (e) { return false; }
+  },
+  verify: async (message, signature, address) => {
+    const { signatureVerify } = await loadPolkadotCrypto();
+    return signatureVerify(message, signature, address).isValid;
+  },
+});
+
+// Chain of the current default network, read per message so configureNetworks applies
+// (Moonbase Alpha when the network leaves its chain id to detection)
+function loginChainId() {
+  return getNetworkConfig().chainId ?? 1287;
+}
+
+/**
+ * Build an EIP-4361 style sign-in message.
+ */
+function buildSignInMessage({ address, label, nonce, issuedAt, expirationTime }) {
+  return [
+    `${LOGIN_DOMAIN} wants you to sign in with your ${label} account:`,
+    address,
+    '',
+    LOGIN_STATEMENT,
+    '',
+    `URI: ${LOGIN_URI}`,
+    'Version: 1',
+    `Chain ID: ${loginChainId()}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`,
+  ].join('\n');
+}
+
+/**
+ * Issue a sign-in challenge bound to a login token (see `createToken`).
+ * The challenge is stored in the token's data and replaces any previous challenge.
+ * @param {string} tokenUuid
+ * @param {string} address wallet address / identifier that will sign the message
+ * @returns {Promise<{message:string, nonce:string, address:string, kind:string, issuedAt:string, expirationTime:string}>}
+ */
+async function createChallenge(tokenUuid, address) {
+  const rec = getToken(tokenUuid);
+  if (!rec) throw new Error('Invalid or expired token');
+
+  const resolved = await resolveVerifier(address);
+  if (!resolved) throw new Error(`Unsupported address format: ${address}`);
+
+  const nonce = randomBytes(16).toString('hex');
+  const issuedAt = new Date().toISOString();
+  const expirationTime = rec.expiresAt;
+  const message = buildSignInMessage({ address: resolved.address, label: resolved.verifier.label, nonce, issuedAt, expirationTime });
+
+  updateTokenData(tokenUuid, {
+    challenge: { address: resolved.address, kind: resolved.kind, nonce, message, issuedAt, expirationTime },
+  });
+
+  return { message, nonce, address: resolved.address, kind: resolved.kind, issuedAt, expirationTime };
+}
+
+/**
+ * Verify a signature over the challenge previously issued for `tokenUuid`.
+ * The challenge is consumed on every attempt, so a new one must be requested after a failure.
+ * @returns {Promise<{verified:boolean, reason?:string, address?:string, kind?:string}>}
+ *   reason is one of 'invalid_token', 'no_challenge', 'address_mismatch', 'challenge_expired', 'bad_signature'
+ */
+async function verifyChallenge(tokenUuid, address, signature) {
+  const rec = getToken(tokenUuid);
+  if (!rec) return { verified: false, reason: 'invalid_token' };
+
+  const challenge = rec.data && rec.data.challenge;
+  if (!challenge) return { verified: false, reason: 'no_challenge' };
+  updateTokenData(tokenUuid, { challenge: null });
+
+  const resolved = await resolveVerifier(address);
+  if (!resolved || resolved.address !== challenge.address) return { verified: false, reason: 'address_mismatch' };
+
+  if (Date.now() > new Date(challenge.expirationTime).getTime()) return { verified: false, reason: 'challenge_expired' };
+
+  if (!signature || typeof signature !== 'string') return { verified: false, reason: 'bad_signature' };
+  let ok = false;
+  try {
+    ok = await resolved.verifier.verify(challenge.message, signature, challenge.address);
+  } catch (e) {
+    ok = false;
+  }
+  if (!ok) return { verified: false, reason: 'bad_signature' };
+
+  return { verified: true, address: challenge.address, kind: challenge.kind };
+}
+
+/**
+ * Messages a wallet signs to prove it controls an address for a username, keyed by purpose:
+ * 'token' requests a login token for a registered player, 'link' links the address to the player.
+ */
+const SIGNED_REQUESTS = {
+  token: { intro: (label) => `request a login token with your ${label} account`, statement: TOKEN_REQUEST_STATEMENT },
+  link: { intro: (label) => `link your ${label} account to a username`, statement: LINK_STATEMENT },
+};
+
+function buildSignedRequestMessage(purpose, { username, address, label, issuedAt }) {
+  const { intro, statement } = SIGNED_REQUESTS[purpose];
+  return [
+    `${LOGIN_DOMAIN} wants you to ${intro(label)}:`,
+    address,
+    '',
+    statement,
+    '',
+    `URI: ${LOGIN_URI}`,
+    `Username: ${username}`,
+    `Chain ID: ${loginChainId()}`,
+    `Issued At: ${issuedAt}`,
+  ].join('\n');
+}
+
+async function createSignedRequestMessage(purpose, username, address) {
+  const resolved = await resolveVerifier(address);
+  if (!resolved) throw new Error(`Unsupported address format: ${address}`);
+  const issuedAt = new Date().toISOString();
+  const message = buildSignedRequestMessage(purpose, { username, address: resolved.address, label: resolved.verifier.label, issuedAt });
+  return { message, address: resolved.address, kind: resolved.kind, issuedAt };
+}
+
+async function verifySignedRequest(purpose, username, address, signature, issuedAt) {
+  const resolved = await resolveVerifier(address);
+  if (!resolved) return { verified: false, reason: 'unsupported_address' };
+
+  const issued = new Date(issuedAt).getTime();
+  if (!Number.isFinite(issued) || issued > Date.now() + 60 * 1000 || Date.now() - issued > TOKEN_REQUEST_MAX_AGE_MS) {
+    return { verified: false, reason: 'stale' };
+  }
+
+  const message = buildSignedRequestMessage(purpose, { username, address: resolved.address, label: resolved.verifier.label, issuedAt });
+  let ok = false;
+  try {
+    ok = typeof signature === 'string' && await resolved.verifier.verify(message, signature, resolved.address);
+  } catch (e) {
+    ok = false;
+  }
+  if (!ok) return { verified: false, reason: 'bad_signature' };
+  // Keyed on the signed message, not the signature: one message has several valid encodings
+  // (hex case, EIP-2098 compact form, non-deterministic sr25519 signatures)
+  const claim = `${purpose}-request:${resolved.address}:${ethers.hashMessage(message)}`;
+  if (!(await claimOnce(claim, TOKEN_REQUEST_MAX_AGE_MS + 60 * 1000))) return { verified: false, reason: 'replayed' };
+
+  return { verified: true, address: resolved.address, kind: resolved.kind };
+}
+
+/**
+ * Build the token request message for `username` and `address`, to be signed and sent back with its `issuedAt`.
+ * @returns {Promise<{message:string, address:string, kind:string, issuedAt:string}>}
+ */
+function createTokenRequestMessage(username, address) {
+  return createSignedRequestMessage('token', username, address);
+}
+
+/**
+ * Verify a signed token request. Each signature is accepted once, within TOKEN_PROOF_MAX_AGE_SECONDS of `issuedAt`.
+ * @returns {Promise<{verified:boolean, reason?:string, address?:string, kind?:string}>}
+ *   reason is one of 'unsupported_address', 'stale', 'bad_signature', 'replayed'
+ */
+function verifyTokenRequest(username, address, signature, issuedAt) {
+  return verifySignedRequest('token', username, address, signature, issuedAt);
+}
+
+/**
+ * Build the message `address` signs to be linked to `username`, to be sent back with its `issuedAt`.
+ * @returns {Promise<{message:string, address:string, kind:string, issuedAt:string}>}
+ */
+function createLinkMessage(username, address) {
+  return createSignedRequestMessage('link', username, address);
+}
+
+/**
+ * Verify a signed link request; same rules and reasons as `verifyTokenRequest`.
+ * @returns {Promise<{verified:boolean, reason?:string, address?:string, kind?:string}>}
+ */
+function verifyLinkRequest(username, address, signature, issuedAt) {
+  return verifySignedRequest('link', username, address, signature, issuedAt);
+}
+
+export { registerVerifier, resolveVerifier, createChallenge, verifyChallenge, createTokenRequestMessage, verifyTokenRequest, createLinkMessage, verifyLinkRequest };
@@ -0,0 +1,206 @@
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import dotenv from 'dotenv';
+dotenv.config();
+import { getDb } from './datastore.js';
+import { onEvent, rowToEvent } from './events.js';
+
+const POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS || 5000);
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10 * 1000);
+// After this many failed attempts a delivery moves to the dead-letter queue
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+// Exponential backoff: BASE * 2^(attempt-1), capped, with up to 20% jitter
+const BACKOFF_BASE_MS = Number(process.env.WEBHOOK_BACKOFF_BASE_MS || 10 * 1000);
+const BACKOFF_MAX_MS = Number(process.env.WEBHOOK_BACKOFF_MAX_MS || 60 * 60 * 1000);
+const BATCH_SIZE = 20;
+
+let timer = null;
+let running = null;
+let unsubscribe = null;
+
+function rowToWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    eventTypes: JSON.parse(row.event_types),
+    description: row.description,
+    createdAt: row.created_at,
+    disabledAt: row.disabled_at,
+  };
+}
+
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    eventSeq: row.event_seq,
+    webhookId: row.webhook_id,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === 'pending' ? new Date(row.next_attempt_at).toISOString() : null,
+    lastStatus: row.last_status,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Register a webhook. The signing secret is only returned here.
+ * @param {{ url:string, eventTypes?:string[], description?:string }} options
+ * @returns {Object} webhook including `secret`
+ */
+function createWebhook({ url, eventTypes = ['*'], description = null }) {
+  let parsed;
+  try { parsed = new URL(url); } catch { throw new Error('url must be an absolute http(s) URL'); }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('url must be an absolute http(s) URL');
+  if (!Array.isArray(eventTypes) || eventTypes.length === 0 || !eventTypes.every((t) => typeof t === 'string' && /^(\*|[a-z_]+(\.[a-z_]+)*(\.\*)?)$/.test(t))) {
+    throw new Error("eventTypes must be a non-empty array of event types or patterns ('*', 'session.*')");
+  }
+
+  const id = randomUUID();
+  const secret = randomBytes(32).toString('hex');
+  const createdAt = new Date().toISOString();
+  getDb().prepare('INSERT INTO webhooks (id, url, secret, event_types, description, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(id, parsed.toString(), secret, JSON.stringify(eventTypes), description, createdAt);
+  return { id, url: parsed.toString(), eventTypes, description, createdAt, disabledAt: null, secret };
+}
+
+function listWebhooks() {
+  return getDb().prepare('SELECT * FROM webhooks ORDER BY created_at').all().map(rowToWebhook);
+}
+
+/**
+ * Stop delivering to a webhook. Its pending deliveries are dropped.
+ * @returns {Object|null} the disabled webhook, or null if unknown or already disabled
+ */
+function disableWebhook(id) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  if (!db.prepare('UPDATE webhooks SET disabled_at = ? WHERE id = ? AND disabled_at IS NULL').run(now, id).changes) return null;
+  db.prepare("DELETE FROM webhook_deliveries WHERE webhook_id = ? AND status = 'pending'").run(id);
+  return rowToWebhook(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id));
+}
+
+/**
+ * @param {{ status?:'pending'|'delivered'|'dead', webhookId?:string, limit?:number, offset?:number }} [filter]
+ */
+function listDeliveries({ status, webhookId, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const args = [];
+  if (status) { where.push('status = ?'); args.push(status); }
+  if (webhookId) { where.push('webhook_id = ?'); args.push(webhookId); }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  return getDb().prepare(`SELECT * FROM webhook_deliveries ${clause} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+    .all(...args, limit, offset).map(rowToDelivery);
+}
+
+/**
+ * Move a dead-lettered delivery back to the queue with a fresh attempt budget.
+ * @returns {Object|null} the delivery, or null if it is not in the dead-letter queue
+ */
+function retryDelivery(id) {
+  const db = getDb();
+  const changed = db.prepare(`UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ?
+    WHERE id = ? AND status = 'dead'`).run(Date.now(), new Date().toISOString(), id).changes;
+  if (!changed) return null;
+  tick();
+  return rowToDelivery(db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id));
+}
+
+/**
+ * Signature header value: `t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>`.
+ * Receivers recompute it over the raw body and reject old timestamps to stop replays.
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+function backoff(attempts) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempts - 1));
+  return delay + Math.floor(Math.random() * delay * 0.2);
+}
+
+async function deliver(row) {
+  const db = getDb();
+  const event = rowToEvent(row);
+  const body = JSON.stringify({ id: event.id, seq: event.seq, type: event.type, subject: event.subject, createdAt: event.createdAt, data: event.data });
+
+  let status = null;
+  let error = null;
+  try {
+    const res = await fetch(row.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ogprotocol-webhooks',
+        'X-OGP-Event': event.type,
+        'X-OGP-Delivery': row.delivery_id,
+        'X-OGP-Signature': signPayload(row.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    status = res.status;
+    if (!res.ok) error = `HTTP ${res.status}`;
+  } catch (e) {
+    error = e?.message || String(e);
+  }
+
+  const attempts = row.attempts + 1;
+  const now = new Date().toISOString();
+  if (!error) {
+    db.prepare("UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, last_status = ?, last_error = NULL, updated_at = ? WHERE id = ?")
+      .run(attempts, status, now, row.delivery_id);
+  } else if (attempts >= MAX_ATTEMPTS) {
+    console.warn(`Webhook delivery ${row.delivery_id} (${event.type} -> ${row.url}) moved to the dead-letter queue: ${error}`);
+    db.prepare("UPDATE webhook_deliveries SET status = 'dead', attempts = ?, last_status = ?, last_error = ?, updated_at = ? WHERE id = ?")
+      .run(attempts, status, error, now, row.delivery_id);
+  } else {
+    db.prepare('UPDATE webhook_deliveries SET attempts = ?, next_attempt_at = ?, last_status = ?, last_error = ?, updated_at = ? WHERE id = ?')
+      .run(attempts, Date.now() + backoff(attempts), status, error, now, row.delivery_id);
+  }
+}
+
+/**
+ * Attempt every delivery that is due, BATCH_SIZE at a time.
+ * @returns {Promise<number>} deliveries attempted
+ */
+async function dispatchOnce() {
+  const due = getDb().prepare(`SELECT d.id AS delivery_id, d.attempts, w.url, w.secret, e.*
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    JOIN events e ON e.seq = d.event_seq
+    WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.disabled_at IS NULL
+    ORDER BY d.next_attempt_at LIMIT ?`).all(Date.now(), BATCH_SIZE);
+  await Promise.all(due.map(deliver));
+  return due.length;
+}
+
+function tick() {
+  if (!timer) return null;
+  if (running) return running;
+  running = (async () => {
+    while (await dispatchOnce() === BATCH_SIZE);
+  })()
+    .catch((e) => console.error('Webhook dispatch failed:', e?.message || e))
+    .finally(() => { running = null; });
+  return running;
+}
+
+function startWebhookDispatcher() {
+  if (timer) return;
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  timer.unref();
+  // New events are delivered right away instead of waiting for the next poll
+  unsubscribe = onEvent(() => setImmediate(tick));
+  tick();
+}
+
+function stopWebhookDispatcher() {
+  if (timer) clearInterval(timer);
+  if (unsubscribe) unsubscribe();
+  timer = null;
+  unsubscribe = null;
+}
+
+export { createWebhook, listWebhooks, disableWebhook, listDeliveries, retryDelivery, signPayload, dispatchOnce, startWebhookDispatcher, stopWebhookDispatcher };
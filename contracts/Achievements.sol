@@ -0,0 +1,150 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/// @title Achievements - Soulbound achievement badges (ERC-721, locked per ERC-5192)
+/// @notice The owner (the backend signer) mints one token per player and achievement once the player's
+///         stats reach it. Tokens can never be transferred or approved.
+///         Token ids are uint256(keccak256(abi.encodePacked(player, achievementId))); metadata is served
+///         off-chain at baseURI + tokenId.
+contract Achievements {
+    string public name;
+    string public symbol;
+    string public baseURI;
+    address public owner;
+
+    mapping(uint256 => address) internal owners;
+    mapping(address => uint256) internal balances;
+    // tokenId => achievement id (keccak256 of the achievement's name in the backend rules)
+    mapping(uint256 => bytes32) public achievementOf;
+
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+    event Locked(uint256 tokenId);
+    event AchievementMinted(address indexed player, bytes32 indexed achievementId, uint256 tokenId);
+    event BaseURIUpdated(string baseURI);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    constructor(string memory _name, string memory _symbol, string memory _baseURI) {
+        name = _name;
+        symbol = _symbol;
+        baseURI = _baseURI;
+        owner = msg.sender;
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner can call this function");
+        _;
+    }
+
+    /// @notice Hand minting over to another account
+    function transferOwnership(address _newOwner) external onlyOwner {
+        require(_newOwner != address(0), "New owner is the zero address");
+        emit OwnershipTransferred(owner, _newOwner);
+        owner = _newOwner;
+    }
+
+    function setBaseURI(string calldata _baseURI) external onlyOwner {
+        baseURI = _baseURI;
+        emit BaseURIUpdated(_baseURI);
+    }
+
+    // --- achievements ---
+
+    function tokenIdFor(address _player, bytes32 _achievementId) public pure returns (uint256) {
+        return uint256(keccak256(abi.encodePacked(_player, _achievementId)));
+    }
+
+    function hasAchievement(address _player, bytes32 _achievementId) external view returns (bool) {
+        return owners[tokenIdFor(_player, _achievementId)] != address(0);
+    }
+
+    /// @notice Mint an achievement to a player; each player can earn each achievement once
+    function mint(address _player, bytes32 _achievementId) external onlyOwner returns (uint256 tokenId) {
+        require(_player != address(0), "Mint to the zero address");
+        tokenId = tokenIdFor(_player, _achievementId);
+        require(owners[tokenId] == address(0), "Achievement already minted");
+
+        owners[tokenId] = _player;
+        balances[_player] += 1;
+        achievementOf[tokenId] = _achievementId;
+        emit Transfer(address(0), _player, tokenId);
+        emit Locked(tokenId);
+        emit AchievementMinted(_player, _achievementId, tokenId);
+    }
+
+    // --- ERC-721 views ---
+
+    function balanceOf(address _owner) external view returns (uint256) {
+        require(_owner != address(0), "Balance query for the zero address");
+        return balances[_owner];
+    }
+
+    function ownerOf(uint256 _tokenId) public view returns (address) {
+        address tokenOwner = owners[_tokenId];
+        require(tokenOwner != address(0), "Nonexistent token");
+        return tokenOwner;
+    }
+
+    function tokenURI(uint256 _tokenId) external view returns (string memory) {
+        ownerOf(_tokenId);
+        return string(abi.encodePacked(baseURI, _toString(_tokenId)));
+    }
+
+    /// @notice ERC-5192: every token is locked
+    function locked(uint256 _tokenId) external view returns (bool) {
+        ownerOf(_tokenId);
+        return true;
+    }
+
+    function getApproved(uint256 _tokenId) external view returns (address) {
+        ownerOf(_tokenId);
+        return address(0);
+    }
+
+    function isApprovedForAll(address, address) external pure returns (bool) {
+        return false;
+    }
+
+    function supportsInterface(bytes4 _interfaceId) external pure returns (bool) {
+        return _interfaceId == 0x01ffc9a7 // ERC-165
+            || _interfaceId == 0x80ac58cd // ERC-721
+            || _interfaceId == 0x5b5e139f // ERC-721 Metadata
+            || _interfaceId == 0xb45a3c0e; // ERC-5192
+    }
+
+    // --- soulbound: transfers and approvals always revert ---
+
+    function approve(address, uint256) external pure {
+        revert("Achievements are soulbound");
+    }
+
+    function setApprovalForAll(address, bool) external pure {
+        revert("Achievements are soulbound");
+    }
+
+    function transferFrom(address, address, uint256) external pure {
+        revert("Achievements are soulbound");
+    }
+
+    function safeTransferFrom(address, address, uint256) external pure {
+        revert("Achievements are soulbound");
+    }
+
+    function safeTransferFrom(address, address, uint256, bytes calldata) external pure {
+        revert("Achievements are soulbound");
+    }
+
+    function _toString(uint256 _value) internal pure returns (string memory) {
+        if (_value == 0) return "0";
+        uint256 digits;
+        for (uint256 v = _value; v != 0; v /= 10) digits++;
+        bytes memory buffer = new bytes(digits);
+        while (_value != 0) {
+            digits -= 1;
+            buffer[digits] = bytes1(uint8(48 + (_value % 10)));
+            _value /= 10;
+        }
+        return string(buffer);
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./PlayerStats.sol";
+
+/// @title PlayerRegistry - Shared player data for every registered player
+/// @notice Single deployment holding the same records as `PlayerData`, keyed by
+///         wallet address and by bytes32 id (keccak256 of a non-EVM identifier string)
+contract PlayerRegistry is PlayerStats {
+    event PlayerRegistered(address indexed player);
+    event PlayerRegisteredById(bytes32 indexed playerId);
+
+    /// @param _player Wallet address of player
+    /// @return whether the player has a record
+    function isRegistered(address _player) external view returns (bool) {
+        return players[_player].exists;
+    }
+
+    /// @notice Whether a non-EVM identifier (keccak256 id) has a record
+    function isRegisteredById(bytes32 _playerId) external view returns (bool) {
+        return playersById[_playerId].exists;
+    }
+
+    function _onNewPlayer(address _player) internal override {
+        emit PlayerRegistered(_player);
+    }
+
+    function _onNewPlayerById(bytes32 _playerId) internal override {
+        emit PlayerRegisteredById(_playerId);
+    }
+}
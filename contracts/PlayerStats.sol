@@ -0,0 +1,280 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/// @title PlayerStats - Shared player storage for PlayerData and PlayerRegistry
+/// @notice Players are keyed by wallet address or by bytes32 id (keccak256 of a non-EVM identifier string).
+///         Every stat is a uint256 under a stat key (keccak256 of the stat name); kills live under `KILLS`
+///         and keep their dedicated getters/setters and events.
+abstract contract PlayerStats {
+    struct Player {
+        uint256 kills;
+        bool exists;
+    }
+    // Body of a signed stat update; `increment` adds `values` to the current values instead of overwriting them
+    struct SignedStats {
+        bytes32[] stats;
+        uint256[] values;
+        bool increment;
+        uint256 deadline;
+    }
+    mapping(address => Player) internal players;
+    // Support for non-EVM identifiers using bytes32 keys
+    mapping(bytes32 => Player) internal playersById;
+
+    // stat key => value, plus the list of keys ever written so stats can be enumerated
+    mapping(address => mapping(bytes32 => uint256)) internal stats;
+    mapping(bytes32 => mapping(bytes32 => uint256)) internal statsById;
+    mapping(address => bytes32[]) internal statKeys;
+    mapping(bytes32 => bytes32[]) internal statKeysById;
+    mapping(address => mapping(bytes32 => bool)) internal hasStatKey;
+    mapping(bytes32 => mapping(bytes32 => bool)) internal hasStatKeyById;
+
+    // keccak256 of each player's off-chain profile, anchored by the backend
+    mapping(address => bytes32) public profileHashes;
+    mapping(bytes32 => bytes32) public profileHashesById;
+
+    bytes32 public constant KILLS = keccak256("kills");
+    /// @notice Version of the PlayerData/PlayerRegistry layout and entrypoints (see backend/contractVersions.js)
+    uint256 public constant CONTRACT_VERSION = 2;
+    address public owner;
+
+    // EIP-712 signed stat updates, relayed by anyone (see setStatsBySig)
+    bytes32 public constant STAT_UPDATE_TYPEHASH =
+        keccak256("StatUpdate(address player,bytes32[] stats,uint256[] values,bool increment,uint256 nonce,uint256 deadline)");
+    bytes32 public constant STAT_UPDATE_BY_ID_TYPEHASH =
+        keccak256("StatUpdateById(bytes32 playerId,bytes32[] stats,uint256[] values,bool increment,uint256 nonce,uint256 deadline)");
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    // Next nonce a signed update for the player must carry
+    mapping(address => uint256) public nonces;
+    mapping(bytes32 => uint256) public noncesById;
+    // Accounts (game servers) allowed to sign stat updates on behalf of any player
+    mapping(address => bool) public statSigners;
+
+    event KillsUpdated(address indexed player, uint256 kills);
+    event KillsUpdatedById(bytes32 indexed playerId, uint256 kills);
+    event StatUpdated(address indexed player, bytes32 indexed stat, uint256 value);
+    event StatUpdatedById(bytes32 indexed playerId, bytes32 indexed stat, uint256 value);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event ProfileHashUpdated(address indexed player, bytes32 profileHash);
+    event ProfileHashUpdatedById(bytes32 indexed playerId, bytes32 profileHash);
+    event StatSignerUpdated(address indexed signer, bool allowed);
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner can call this function");
+        _;
+    }
+
+    /// @notice Hand the admin entrypoints over to another account
+    function transferOwnership(address _newOwner) external onlyOwner {
+        require(_newOwner != address(0), "New owner is the zero address");
+        emit OwnershipTransferred(owner, _newOwner);
+        owner = _newOwner;
+    }
+
+    // --- kills ---
+
+    function setKills(uint256 _kills) external {
+        _setStat(msg.sender, KILLS, _kills);
+    }
+
+    /// @param _player Wallet address of player
+    /// @return number of kills
+    function getKills(address _player) external view returns (uint256) {
+        return players[_player].kills;
+    }
+
+    /// @notice Get kills for a player identified by a bytes32 id (keccak256 of identifier string)
+    function getKillsById(bytes32 _playerId) external view returns (uint256) {
+        return playersById[_playerId].kills;
+    }
+
+    function incrementKills(uint256 _by) external {
+        _setStat(msg.sender, KILLS, players[msg.sender].kills + _by);
+    }
+
+    function adminSetKills(address _player, uint256 _kills) external onlyOwner {
+        _setStat(_player, KILLS, _kills);
+    }
+
+    /// @notice Admin entrypoint to set kills for a non-EVM identifier (keccak256 id)
+    function adminSetKillsById(bytes32 _playerId, uint256 _kills) external onlyOwner {
+        _setStatById(_playerId, KILLS, _kills);
+    }
+
+    // --- generic stats ---
+
+    function getStat(address _player, bytes32 _stat) public view returns (uint256) {
+        return _stat == KILLS ? players[_player].kills : stats[_player][_stat];
+    }
+
+    function getStatById(bytes32 _playerId, bytes32 _stat) public view returns (uint256) {
+        return _stat == KILLS ? playersById[_playerId].kills : statsById[_playerId][_stat];
+    }
+
+    function getStats(address _player, bytes32[] calldata _stats) external view returns (uint256[] memory values) {
+        values = new uint256[](_stats.length);
+        for (uint256 i = 0; i < _stats.length; i++) values[i] = getStat(_player, _stats[i]);
+    }
+
+    function getStatsById(bytes32 _playerId, bytes32[] calldata _stats) external view returns (uint256[] memory values) {
+        values = new uint256[](_stats.length);
+        for (uint256 i = 0; i < _stats.length; i++) values[i] = getStatById(_playerId, _stats[i]);
+    }
+
+    /// @notice Every stat key ever written for a player
+    function getStatKeys(address _player) external view returns (bytes32[] memory) {
+        return statKeys[_player];
+    }
+
+    function getStatKeysById(bytes32 _playerId) external view returns (bytes32[] memory) {
+        return statKeysById[_playerId];
+    }
+
+    function setStats(bytes32[] calldata _stats, uint256[] calldata _values) external {
+        require(_stats.length == _values.length, "Length mismatch");
+        for (uint256 i = 0; i < _stats.length; i++) _setStat(msg.sender, _stats[i], _values[i]);
+    }
+
+    function incrementStats(bytes32[] calldata _stats, uint256[] calldata _deltas) external {
+        require(_stats.length == _deltas.length, "Length mismatch");
+        for (uint256 i = 0; i < _stats.length; i++) _setStat(msg.sender, _stats[i], getStat(msg.sender, _stats[i]) + _deltas[i]);
+    }
+
+    function adminSetStats(address _player, bytes32[] calldata _stats, uint256[] calldata _values) external onlyOwner {
+        require(_stats.length == _values.length, "Length mismatch");
+        for (uint256 i = 0; i < _stats.length; i++) _setStat(_player, _stats[i], _values[i]);
+    }
+
+    function adminIncrementStats(address _player, bytes32[] calldata _stats, uint256[] calldata _deltas) external onlyOwner {
+        require(_stats.length == _deltas.length, "Length mismatch");
+        for (uint256 i = 0; i < _stats.length; i++) _setStat(_player, _stats[i], getStat(_player, _stats[i]) + _deltas[i]);
+    }
+
+    function adminSetStatsById(bytes32 _playerId, bytes32[] calldata _stats, uint256[] calldata _values) external onlyOwner {
+        require(_stats.length == _values.length, "Length mismatch");
+        for (uint256 i = 0; i < _stats.length; i++) _setStatById(_playerId, _stats[i], _values[i]);
+    }
+
+    function adminIncrementStatsById(bytes32 _playerId, bytes32[] calldata _stats, uint256[] calldata _deltas) external onlyOwner {
+        require(_stats.length == _deltas.length, "Length mismatch");
+        for (uint256 i = 0; i < _stats.length; i++) _setStatById(_playerId, _stats[i], getStatById(_playerId, _stats[i]) + _deltas[i]);
+    }
+
+    // --- profile ---
+
+    function adminSetProfileHash(address _player, bytes32 _profileHash) external onlyOwner {
+        profileHashes[_player] = _profileHash;
+        emit ProfileHashUpdated(_player, _profileHash);
+    }
+
+    function adminSetProfileHashById(bytes32 _playerId, bytes32 _profileHash) external onlyOwner {
+        profileHashesById[_playerId] = _profileHash;
+        emit ProfileHashUpdatedById(_playerId, _profileHash);
+    }
+
+    // --- signed stat updates (EIP-712) ---
+
+    /// @notice EIP-712 domain separator: name "OG Protocol", version "1", this chain and contract
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256("OG Protocol"), keccak256("1"), block.chainid, address(this)));
+    }
+
+    /// @notice Allow or disallow `_signer` to sign stat updates for any player
+    function setStatSigner(address _signer, bool _allowed) external onlyOwner {
+        statSigners[_signer] = _allowed;
+        emit StatSignerUpdated(_signer, _allowed);
+    }
+
+    /// @notice Apply a StatUpdate signed by the player or by a stat signer; anyone may submit it.
+    ///         The signed nonce is the player's current `nonces` value.
+    /// @param _signature 65-byte r, s, v signature over the EIP-712 StatUpdate
+    function setStatsBySig(address _player, SignedStats calldata _update, bytes calldata _signature) external {
+        bytes32 structHash = _statUpdateHash(STAT_UPDATE_TYPEHASH, bytes32(uint256(uint160(_player))), _update, nonces[_player]++);
+        address signer = _recoverSigner(structHash, _signature);
+        require(signer == _player || statSigners[signer], "Invalid signature");
+        for (uint256 i = 0; i < _update.stats.length; i++) {
+            bytes32 stat = _update.stats[i];
+            _setStat(_player, stat, _update.increment ? getStat(_player, stat) + _update.values[i] : _update.values[i]);
+        }
+    }
+
+    /// @notice Apply a StatUpdateById signed by a stat signer (non-EVM identifiers cannot sign EIP-712)
+    function setStatsByIdBySig(bytes32 _playerId, SignedStats calldata _update, bytes calldata _signature) external {
+        bytes32 structHash = _statUpdateHash(STAT_UPDATE_BY_ID_TYPEHASH, _playerId, _update, noncesById[_playerId]++);
+        require(statSigners[_recoverSigner(structHash, _signature)], "Invalid signature");
+        for (uint256 i = 0; i < _update.stats.length; i++) {
+            bytes32 stat = _update.stats[i];
+            _setStatById(_playerId, stat, _update.increment ? getStatById(_playerId, stat) + _update.values[i] : _update.values[i]);
+        }
+    }
+
+    // --- internals ---
+
+    /// @dev EIP-712 struct hash of a StatUpdate (`_player` is the address left-padded) or StatUpdateById
+    function _statUpdateHash(bytes32 _typehash, bytes32 _player, SignedStats calldata _update, uint256 _nonce) private view returns (bytes32) {
+        require(block.timestamp <= _update.deadline, "Signature expired");
+        require(_update.stats.length == _update.values.length, "Length mismatch");
+        return keccak256(abi.encode(
+            _typehash, _player, keccak256(abi.encodePacked(_update.stats)), keccak256(abi.encodePacked(_update.values)),
+            _update.increment, _nonce, _update.deadline
+        ));
+    }
+
+    function _recoverSigner(bytes32 _structHash, bytes calldata _signature) internal view returns (address signer) {
+        require(_signature.length == 65, "Invalid signature");
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        // Reject the malleable upper-half `s` twin of every signature
+        require(uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0, "Invalid signature");
+        signer = ecrecover(keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), _structHash)), v, r, s);
+        require(signer != address(0), "Invalid signature");
+    }
+
+    /// @dev Called the first time a player address gets a record
+    function _onNewPlayer(address _player) internal virtual {}
+
+    /// @dev Called the first time a player id gets a record
+    function _onNewPlayerById(bytes32 _playerId) internal virtual {}
+
+    function _setStat(address _player, bytes32 _stat, uint256 _value) internal {
+        if (!players[_player].exists) {
+            players[_player].exists = true;
+            _onNewPlayer(_player);
+        }
+        if (!hasStatKey[_player][_stat]) {
+            hasStatKey[_player][_stat] = true;
+            statKeys[_player].push(_stat);
+        }
+        if (_stat == KILLS) {
+            players[_player].kills = _value;
+            emit KillsUpdated(_player, _value);
+        } else {
+            stats[_player][_stat] = _value;
+        }
+        emit StatUpdated(_player, _stat, _value);
+    }
+
+    function _setStatById(bytes32 _playerId, bytes32 _stat, uint256 _value) internal {
+        if (!playersById[_playerId].exists) {
+            playersById[_playerId].exists = true;
+            _onNewPlayerById(_playerId);
+        }
+        if (!hasStatKeyById[_playerId][_stat]) {
+            hasStatKeyById[_playerId][_stat] = true;
+            statKeysById[_playerId].push(_stat);
+        }
+        if (_stat == KILLS) {
+            playersById[_playerId].kills = _value;
+            emit KillsUpdatedById(_playerId, _value);
+        } else {
+            statsById[_playerId][_stat] = _value;
+        }
+        emit StatUpdatedById(_playerId, _stat, _value);
+    }
+}
@@ -0,0 +1,48 @@
+/*
+ * Local cache of successful session validations, so a game server checking the same player on
+ * every tick does not call /validatesession each time. Entries live `ttlMs` at most and never
+ * past the session token's expiry; the oldest entry is dropped once `maxEntries` is reached.
+ * Refusals are not cached: a player who just logged in must validate at once.
+ */
+function createValidationCache({ ttlMs = 5000, maxEntries = 1000, now = Date.now } = {}) {
+  // key -> { result, username, expiresAt }; Map order is insertion order, oldest first
+  const entries = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.result;
+  }
+
+  /**
+   * @param {string} key
+   * @param {Object} result a successful validation, carrying `username` and, for session tokens, `expiresAt`
+   */
+  function set(key, result) {
+    if (ttlMs <= 0 || maxEntries <= 0) return;
+    let expiresAt = now() + ttlMs;
+    const tokenExpiry = result.expiresAt ? Date.parse(result.expiresAt) : NaN;
+    if (Number.isFinite(tokenExpiry)) expiresAt = Math.min(expiresAt, tokenExpiry);
+    if (expiresAt <= now()) return;
+
+    entries.delete(key);
+    while (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+    entries.set(key, { result, username: result.username ?? null, expiresAt });
+  }
+
+  // Drop the entries of `username`, or every entry
+  function invalidate(username) {
+    if (username === undefined) return entries.clear();
+    for (const [key, entry] of entries) {
+      if (entry.username === username) entries.delete(key);
+    }
+  }
+
+  return { get, set, invalidate, get size() { return entries.size; } };
+}
+
+export { createValidationCache };
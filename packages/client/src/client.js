@@ -0,0 +1,370 @@
+import { ApiError } from './errors.js';
+import { createValidationCache } from './cache.js';
+import { openSubscription } from './notifications.js';
+
+/*
+ * Client of the OG Protocol backend. Every route has a method; responses are the parsed JSON bodies
+ * (see index.d.ts for their types) and failures throw ApiError.
+ *
+ * Retries: rate limited requests (429 rate_limited) are retried after their Retry-After when it fits in
+ * `maxRetryDelayMs`, since the server refuses them before doing anything. Network errors, timeouts and
+ * 502/503/504 are only retried for requests that are safe to repeat (reads and the POSTs marked
+ * `idempotent` below), with exponential backoff. A stat write or match report is never sent twice.
+ *
+ * Sessions: validateSession and refreshSessionToken answer { valid: false, reason } instead of throwing
+ * when the player has no usable session (see SESSION_REASONS), so callers branch on the reason
+ * (no_session, ip_mismatch, expired, revoked, or the session token failure) rather than on statuses.
+ * Successful validations are cached locally for `cacheTtlMs`.
+ */
+const DEFAULTS = {
+  retries: 2,
+  retryDelayMs: 200,
+  maxRetryDelayMs: 5000,
+  timeoutMs: 10000,
+  cacheTtlMs: 5000,
+  cacheSize: 1000,
+};
+const RETRYABLE_STATUSES = [502, 503, 504];
+// How often the waitFor* helpers poll
+const POLL_INTERVAL_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const segment = (value) => encodeURIComponent(String(value));
+
+function queryString(query) {
+  if (!query) return '';
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null) params.append(key, String(value));
+  }
+  const qs = params.toString();
+  return qs ? `?${qs}` : '';
+}
+
+function retryAfterSeconds(response) {
+  const header = response.headers.get('retry-after');
+  if (header === null) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(header);
+  return Number.isFinite(date) ? Math.max(0, Math.ceil((date - Date.now()) / 1000)) : null;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.baseUrl e.g. 'https://api.example.com'
+ * @param {string} [options.apiKey] sent as X-Api-Key; game servers use a `game-server` key
+ * @param {typeof fetch} [options.fetch] defaults to the global fetch
+ * @param {number} [options.retries] extra attempts per request (default 2)
+ * @param {number} [options.retryDelayMs] first backoff delay, doubled on each attempt (default 200)
+ * @param {number} [options.maxRetryDelayMs] longest wait before a retry, Retry-After included (default 5000)
+ * @param {number} [options.timeoutMs] per attempt (default 10000)
+ * @param {number} [options.cacheTtlMs] how long a successful validation is reused; 0 disables the cache (default 5000)
+ * @param {number} [options.cacheSize] most validations kept (default 1000)
+ * @param {Object<string,string>} [options.headers] extra headers sent with every request
+ */
+function createClient(options) {
+  const config = { ...DEFAULTS, ...options };
+  if (!config.baseUrl) throw new TypeError('baseUrl is required');
+  const baseUrl = config.baseUrl.replace(/\/+$/, '');
+  const fetchImpl = config.fetch ?? globalThis.fetch;
+  if (typeof fetchImpl !== 'function') throw new TypeError('No fetch implementation: pass options.fetch');
+
+  const cache = createValidationCache({ ttlMs: config.cacheTtlMs, maxEntries: config.cacheSize });
+  // cache key -> promise of the validation in flight, so concurrent checks of one player share a request
+  const inFlight = new Map();
+
+  function backoff(attempt) {
+    const delay = config.retryDelayMs * 2 ** attempt;
+    return Math.min(config.maxRetryDelayMs, delay / 2 + Math.random() * (delay / 2));
+  }
+
+  async function attempt(method, path, body) {
+    const headers = { Accept: 'application/json', ...config.headers };
+    if (config.apiKey) headers['X-Api-Key'] = config.apiKey;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    let response;
+    try {
+      response = await fetchImpl(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(config.timeoutMs),
+      });
+    } catch (err) {
+      const timedOut = err?.name === 'TimeoutError' || err?.name === 'AbortError';
+      throw new ApiError(timedOut ? 'timeout' : 'network_error', timedOut ? `${method} ${path} timed out after ${config.timeoutMs}ms` : `${method} ${path} failed: ${err?.message || err}`, { method, path, cause: err });
+    }
+
+    const text = await response.text();
+    let parsed = null;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch (err) {
+      // not JSON: handled below
+    }
+    if (response.ok) {
+      if (parsed === null && text) throw new ApiError('invalid_response', `${method} ${path} answered ${response.status} with a non-JSON body`, { status: response.status, method, path });
+      return { status: response.status, body: parsed };
+    }
+    const envelope = parsed?.error;
+    if (!envelope?.code) {
+      throw new ApiError('invalid_response', `${method} ${path} answered ${response.status} without an error envelope`, { status: response.status, method, path, details: text ? { body: text.slice(0, 500) } : undefined });
+    }
+    throw new ApiError(envelope.code, envelope.message, {
+      status: response.status, details: envelope.details, retryAfter: retryAfterSeconds(response), method, path,
+    });
+  }
+
+  function shouldRetry(err, idempotent) {
+    if (err.code === 'rate_limited') return err.retryAfter === null || err.retryAfter * 1000 <= config.maxRetryDelayMs;
+    if (!idempotent) return false;
+    return err.code === 'network_error' || err.code === 'timeout' || RETRYABLE_STATUSES.includes(err.status);
+  }
+
+  /**
+   * Send a request, retrying as described at the top of this file.
+   * @param {string} method
+   * @param {string} path path and query string
+   * @param {{ body?:Object, idempotent?:boolean, withStatus?:boolean }} [options] `withStatus` resolves { status, body }
+   */
+  async function request(method, path, { body, idempotent = method === 'GET', withStatus = false } = {}) {
+    for (let i = 0; ; i++) {
+      try {
+        const result = await attempt(method, path, body);
+        return withStatus ? result : result.body;
+      } catch (err) {
+        if (i >= config.retries || !(err instanceof ApiError) || !shouldRetry(err, idempotent)) throw err;
+        await sleep(err.retryAfter !== null ? Math.min(config.maxRetryDelayMs, err.retryAfter * 1000) : backoff(i));
+      }
+    }
+  }
+
+  const get = (path, query) => request('GET', `${path}${queryString(query)}`);
+  const post = (path, body = {}, options = {}) => request('POST', path, { body, ...options });
+
+  // A refused session as a result, or rethrow
+  function sessionRefusal(err) {
+    const reason = err instanceof ApiError ? err.sessionReason : null;
+    if (!reason) throw err;
+    return { valid: false, reason, code: err.code };
+  }
+
+  /**
+   * Validate a player's session, by `username` or by a signed `sessionToken`, against `ip`
+   * (the player's ip, which a game server key may vouch for) and `deviceId`.
+   * Resolves { valid: true, username, fileId, ... } or { valid: false, reason, code }; throws only for other failures.
+   * @param {{ username?:string, sessionToken?:string, ip?:string, deviceId?:string }} params
+   * @param {{ cache?:boolean }} [options] `cache: false` always asks the server (the result is still cached)
+   */
+  async function validateSession(params, { cache: useCache = true } = {}) {
+    const { username, sessionToken, ip, deviceId } = params;
+    const key = JSON.stringify([username ?? null, sessionToken ?? null, ip ?? null, deviceId ?? null]);
+    if (useCache) {
+      const cached = cache.get(key);
+      if (cached) return { ...cached, cached: true };
+      if (inFlight.has(key)) return inFlight.get(key);
+    }
+
+    const pending = post('/validatesession', { username, sessionToken, ip, deviceId }, { idempotent: true })
+      .then((body) => {
+        const result = {
+          valid: true,
+          username: body.username ?? body.session?.username ?? username,
+          fileId: body.fileId,
+          ...(body.expiresAt ? { expiresAt: body.expiresAt } : {}),
+          ...(body.session ? { session: body.session } : {}),
+        };
+        cache.set(key, result);
+        return { ...result, cached: false };
+      }, sessionRefusal)
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Poll until `check()` resolves something other than undefined, or `timeoutMs` passes.
+   */
+  async function poll(what, check, { timeoutMs = 5 * 60 * 1000, intervalMs = POLL_INTERVAL_MS } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const result = await check();
+      if (result !== undefined) return result;
+      if (Date.now() + intervalMs > deadline) throw new ApiError('timeout', `Timed out after ${timeoutMs}ms waiting for ${what}`);
+      await sleep(intervalMs);
+    }
+  }
+
+  const client = {
+    request,
+    validateSession,
+
+    /** Forget cached validations of `username`, or all of them. */
+    invalidateSession(username) {
+      cache.invalidate(username);
+    },
+
+    /**
+     * Follow live notifications (GET /notifications). `channels`: 'user:<username>', 'sessions', 'stats',
+     * 'users', 'achievements' or '*'. Session events of a player are dropped from the validation cache
+     * before `onEvent` sees them. Reconnects on its own; call close() to stop.
+     * @param {{ channels:string|string[], types?:string|string[], after?:number }} params
+     * @param {(event:Object) => void|Promise<void>} onEvent
+     * @param {{ onReady?:Function, onGap?:Function, onError?:Function }} [handlers]
+     */
+    subscribe({ channels, types, after }, onEvent, handlers = {}) {
+      const list = (value) => (Array.isArray(value) ? value.join(',') : value);
+      const headers = { ...config.headers };
+      if (config.apiKey) headers['X-Api-Key'] = config.apiKey;
+      return openSubscription(
+        { url: `${baseUrl}/notifications${queryString({ channels: list(channels), types: list(types) })}`, fetch: fetchImpl, headers },
+        { after },
+        {
+          ...handlers,
+          onEvent: (event) => {
+            if (event.type.startsWith('session.') && event.subject) cache.invalidate(event.subject);
+            return onEvent(event);
+          },
+        },
+      );
+    },
+
+    // meta
+    openapi: () => get('/openapi.json'),
+    jwks: () => get('/.well-known/jwks.json'),
+    networks: () => get('/networks'),
+
+    // login tokens
+    requestPowChallenge: (username) => get('/token/pow', { username }),
+    tokenProofMessage: (username, address) => get('/token/proof-message', { username, address }),
+    requestToken: (params) => post('/token', params),
+    lookupToken: (token) => get(`/token/validate/${segment(token)}`),
+
+    // sign-in and sessions
+    loginChallenge: ({ token, address }) => post('/login/challenge', { token, address }, { idempotent: true }),
+    login: (params) => post('/login', params),
+
+    /**
+     * A fresh signed session token for a live session. Resolves { valid: true, sessionToken,
+     * sessionTokenExpiresAt } or { valid: false, reason, code } like validateSession.
+     */
+    async refreshSessionToken({ username, fileId, ip, deviceId }) {
+      try {
+        const body = await post('/session/token', { username, fileId, ip, deviceId }, { idempotent: true });
+        return { valid: true, ...body };
+      } catch (err) {
+        return sessionRefusal(err);
+      }
+    },
+
+    /**
+     * End one session. Pass the session's `sessionToken` (with the player's `ip` when relaying for them),
+     * or call with an API key holding sessions:revoke.
+     */
+    async logout({ username, fileId, sessionToken, ip, deviceId }) {
+      cache.invalidate(username);
+      return post('/logout', { username, fileId, sessionToken, ip, deviceId });
+    },
+
+    // registration
+    getRegistration: (username) => get(`/registration/${segment(username)}`),
+
+    /**
+     * Poll a registration until it is ready. Throws ApiError `registration_failed` (client-side) when the job
+     * stopped with an error (logging in again resumes it), and `timeout` after `timeoutMs`.
+     */
+    waitForRegistration(username, options) {
+      return poll(`the registration of ${username}`, async () => {
+        const registration = await client.getRegistration(username);
+        if (registration.status === 'ready') return registration;
+        if (registration.error && !registration.running) {
+          throw new ApiError('registration_failed', registration.error, { details: { registration } });
+        }
+        return undefined;
+      }, options);
+    },
+
+    // players
+    getUser: (username) => get(`/user/${segment(username)}`),
+    getProfile: (username) => get(`/user/${segment(username)}/profile`),
+    updateProfile: (username, params) => request('PATCH', `/user/${segment(username)}`, { body: params }),
+    getStats: (username) => get(`/user/${segment(username)}/stats`),
+    getIdentifiers: (username) => get(`/user/${segment(username)}/identifiers`),
+    identifierLinkMessage: (username, address) => get(`/user/${segment(username)}/identifiers/link-message`, { address }),
+    linkIdentifier: (username, params) => post(`/user/${segment(username)}/identifiers`, params),
+    unlinkIdentifier: (username, identifier, proof) => post(`/user/${segment(username)}/identifiers/${segment(identifier)}/unlink`, proof),
+    setPrimaryIdentifier: (username, identifier, proof) => post(`/user/${segment(username)}/identifiers/${segment(identifier)}/primary`, proof),
+
+    // stats
+    submitStats: (username, { set, increment }) => post(`/user/${segment(username)}/stats`, { set, increment }),
+    statUpdateTypedData: (username, params) => post(`/user/${segment(username)}/stats/typed-data`, params, { idempotent: true }),
+    relayStatUpdate: (username, params) => post(`/user/${segment(username)}/stats/relay`, params),
+
+    /**
+     * Submit a match report. Resolves the result with `partial: true` when some players' deltas
+     * failed (207; those players carry `error`).
+     */
+    async submitMatchResult(report) {
+      const { status, body } = await request('POST', '/match/result', { body: report, withStatus: true });
+      return { ...body, partial: status === 207 };
+    },
+
+    // owner transactions
+    getTx: (id) => get(`/tx/${segment(id)}`),
+
+    /**
+     * Poll a queued transaction until it is confirmed (or `status`). Throws ApiError `tx_failed`
+     * (client-side) when it failed, and `timeout` after `timeoutMs`.
+     */
+    waitForTx(id, { status = 'confirmed', ...options } = {}) {
+      const order = ['queued', 'submitted', 'confirmed'];
+      return poll(`tx ${id}`, async () => {
+        const tx = await client.getTx(id);
+        if (tx.status === 'failed') throw new ApiError('tx_failed', tx.error || `Transaction ${id} failed`, { details: { tx } });
+        return order.indexOf(tx.status) >= order.indexOf(status) ? tx : undefined;
+      }, options);
+    },
+
+    // achievements and leaderboards
+    listAchievements: () => get('/achievements'),
+    getAchievement: (tokenId) => get(`/achievements/${segment(tokenId)}`),
+    getLeaderboard: (query = {}) => get('/leaderboard', query),
+    getRank: (username, query = {}) => get(`/leaderboard/${segment(username)}`, query),
+
+    // admin API (needs an API key with the route's permission)
+    admin: {
+      whoami: () => get('/admin/whoami'),
+      listUsers: (query = {}) => get('/admin/users', query),
+      registerUser: ({ username, address, network }) => post('/admin/users', { username, address, network }),
+      correctStats: (username, { set, increment, reason }) => post(`/admin/users/${segment(username)}/stats`, { set, increment, reason }),
+      transferOwnership: (username, newOwner) => post(`/admin/users/${segment(username)}/transfer-ownership`, { newOwner }),
+      setStatSigner: (username, { signer, allowed }) => post(`/admin/users/${segment(username)}/stat-signers`, { signer, allowed }),
+      evaluateAchievements: (username) => post(`/admin/users/${segment(username)}/achievements/evaluate`),
+      listSessions: (username) => get(`/admin/users/${segment(username)}/sessions`),
+      async revokeSession(id, { reason } = {}) {
+        const revoked = await post(`/admin/sessions/${segment(id)}/revoke`, { reason }, { idempotent: true });
+        cache.invalidate(revoked.username);
+        return revoked;
+      },
+      async revokeUserSessions(username, { reason } = {}) {
+        cache.invalidate(username);
+        return post(`/admin/users/${segment(username)}/sessions/revoke`, { reason }, { idempotent: true });
+      },
+      listApiKeys: () => get('/admin/api-keys'),
+      createApiKey: ({ name, roles }) => post('/admin/api-keys', { name, roles }),
+      revokeApiKey: (id) => post(`/admin/api-keys/${segment(id)}/revoke`),
+      audit: (query = {}) => get('/admin/audit', query),
+      events: (query = {}) => get('/admin/events', query),
+      listWebhooks: () => get('/admin/webhooks'),
+      createWebhook: ({ url, eventTypes, description }) => post('/admin/webhooks', { url, eventTypes, description }),
+      disableWebhook: (id) => post(`/admin/webhooks/${segment(id)}/disable`),
+      listDeliveries: (query = {}) => get('/admin/webhooks/deliveries', query),
+      retryDelivery: (id) => post(`/admin/webhooks/deliveries/${segment(id)}/retry`),
+    },
+  };
+  return client;
+}
+
+export { createClient };
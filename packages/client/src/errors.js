@@ -0,0 +1,55 @@
+/*
+ * Errors of the OG Protocol API. The server answers every failure with the same envelope,
+ * { error: { code, message, details? } }, and each code always comes with the same HTTP status;
+ * branch on `code`, never on the status. Failures that never reached the server use the
+ * client-side codes `network_error` and `timeout` (status 0), and `invalid_response` when the
+ * server answered something that is not the envelope.
+ */
+
+// Session error codes -> the session reason the server reports them for
+const SESSION_REASONS = {
+  session_not_found: 'no_session',
+  session_ip_mismatch: 'ip_mismatch',
+  session_expired: 'expired',
+  session_revoked: 'revoked',
+};
+
+/**
+ * An error response of the API, or a request that could not be completed.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {{ status?:number, details?:Object, retryAfter?:number|null, method?:string, path?:string, cause?:unknown }} [options]
+   */
+  constructor(code, message, { status = 0, details, retryAfter = null, method, path, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.retryAfter = retryAfter;
+    this.method = method;
+    this.path = path;
+  }
+
+  /**
+   * Why a session was refused, or null when the error is not about a session:
+   * no_session, ip_mismatch, expired or revoked for session lookups, and the token failure
+   * (malformed, unknown_key, bad_signature, expired, ip_mismatch, device_mismatch, username_mismatch)
+   * for session tokens and rejected session proofs.
+   * @returns {string|null}
+   */
+  get sessionReason() {
+    if (SESSION_REASONS[this.code]) return SESSION_REASONS[this.code];
+    if (this.code === 'session_token_invalid' || this.code === 'session_rejected') return this.details?.reason ?? null;
+    return null;
+  }
+}
+
+function isApiError(err, code) {
+  return err instanceof ApiError && (code === undefined || err.code === code);
+}
+
+export { ApiError, SESSION_REASONS, isApiError };
@@ -0,0 +1,7 @@
+/*
+ * Client of the OG Protocol backend for game servers and tools. See README.md.
+ *   import { createClient } from '@ogprotocol/client';
+ *   import { createMockServer } from '@ogprotocol/client/mock';
+ */
+export { createClient } from './client.js';
+export { ApiError, SESSION_REASONS, isApiError } from './errors.js';
@@ -0,0 +1,624 @@
+import http from 'node:http';
+import { randomUUID, randomBytes } from 'node:crypto';
+
+/*
+ * In-memory stand-in for the OG Protocol backend, for game-server integration tests. It speaks the
+ * same routes, bodies, error envelope and status codes as the real server for the game-server flow
+ * (tokens, login, sessions, stats, match reports, registrations, transactions, leaderboards and
+ * session administration); other routes answer 404 route_not_found. Differences from the real server:
+ * - nothing is on-chain: registrations are ready at once and every transaction is confirmed at once
+ * - wallet signatures are not verified unless `verifySignature` is given; session tokens are opaque
+ * - no rate limits, lockouts, proofs of ownership or proof-of-work
+ * - GET /notifications streams the session, stat and registration events of the mock (no replay limit,
+ *   no heartbeat); `mock.emit` pushes any other event
+ * Tests drive it through the helpers returned by createMockServer (addPlayer, createSession,
+ * expireSession, revokeSession, failNext, ...).
+ */
+const ROLES = {
+  operator: ['users:read', 'users:register', 'stats:write', 'stats:correct', 'match:submit', 'sessions:read', 'sessions:revoke', 'sessions:vouch', 'notifications:read'],
+  'game-server': ['users:read', 'stats:write', 'match:submit', 'sessions:vouch', 'notifications:read'],
+  'read-only': ['users:read', 'sessions:read', 'notifications:read'],
+};
+const DEFAULT_API_KEYS = {
+  'mock-operator-key': ['operator'],
+  'mock-game-server-key': ['game-server'],
+};
+const ERROR_STATUS = {
+  invalid_request: 400,
+  invalid_json: 400,
+  route_not_found: 404,
+  api_key_required: 401,
+  permission_denied: 403,
+  rate_limited: 429,
+  token_invalid: 401,
+  token_not_found: 404,
+  pow_not_enabled: 404,
+  signature_invalid: 401,
+  session_required: 401,
+  session_rejected: 403,
+  session_token_invalid: 401,
+  session_not_found: 404,
+  session_ip_mismatch: 409,
+  session_expired: 401,
+  session_revoked: 403,
+  user_not_found: 404,
+  user_exists: 409,
+  registration_not_found: 404,
+  identifier_not_linked: 403,
+  match_exists: 409,
+  participants_rejected: 422,
+  tx_not_found: 404,
+  upstream_error: 502,
+  internal_error: 500,
+};
+const SESSION_ERRORS = {
+  no_session: 'session_not_found',
+  ip_mismatch: 'session_ip_mismatch',
+  expired: 'session_expired',
+  revoked: 'session_revoked',
+};
+// Same channels as the real server (backend/notifications.js), besides user:<username>
+const CHANNELS = {
+  sessions: ['session.*'],
+  stats: ['stats.updated'],
+  users: ['user.*', 'registration.*', 'contract.*', 'identifier.*', 'profile.*'],
+  achievements: ['achievement.*'],
+  '*': ['*'],
+};
+const NETWORK = 'mock';
+const CHAIN_ID = 31337;
+
+class MockError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const hex = (bytes) => `0x${randomBytes(bytes).toString('hex')}`;
+const isoIn = (ms) => new Date(Date.now() + ms).toISOString();
+const matchesType = (pattern, type) => pattern === '*' || pattern === type || (pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1)));
+
+function requireFields(body, fields) {
+  for (const field of fields) {
+    if (body[field] === undefined || body[field] === null || body[field] === '') {
+      throw new MockError('invalid_request', `body.${field} is required`);
+    }
+  }
+}
+
+function parseStats(entries = {}) {
+  const parsed = {};
+  for (const [name, value] of Object.entries(entries)) {
+    if (!/^[0-9]{1,78}$/.test(String(value))) throw new MockError('invalid_request', `Stat ${name} must be a non-negative integer`);
+    parsed[name] = BigInt(value);
+  }
+  return parsed;
+}
+
+/**
+ * Start a mock server.
+ * @param {Object} [options]
+ * @param {number} [options.port] default 0 (a free port; read it from `url`)
+ * @param {string} [options.host] default '127.0.0.1'
+ * @param {Object<string, string[]>} [options.apiKeys] key -> roles (operator, game-server, read-only);
+ *   defaults to 'mock-operator-key' and 'mock-game-server-key'
+ * @param {number} [options.sessionTtlMs] default one hour
+ * @param {number} [options.sessionTokenTtlMs] default 15 minutes
+ * @param {(params:{ message:string, address:string, signature:string }) => boolean} [options.verifySignature]
+ *   checks /login signatures; by default every signature is accepted
+ */
+async function createMockServer(options = {}) {
+  const apiKeys = options.apiKeys ?? DEFAULT_API_KEYS;
+  const sessionTtlMs = options.sessionTtlMs ?? 60 * 60 * 1000;
+  const sessionTokenTtlMs = options.sessionTokenTtlMs ?? 15 * 60 * 1000;
+  const verifySignature = options.verifySignature ?? (() => true);
+
+  let state;
+  function reset() {
+    state = {
+      players: new Map(), // username -> { username, address, stats: { name: bigint }, deployedAt, contractAddress }
+      tokens: new Map(), // token -> { username, expiresAt }
+      challenges: new Map(), // token -> { address, message }
+      sessions: new Map(), // fileId -> session
+      sessionTokens: new Map(), // sessionToken -> { fileId, username, ip, deviceId, expiresAt }
+      matches: new Set(),
+      txs: new Map(),
+      events: [], // { seq, id, type, subject, data, createdAt }, oldest first
+      failures: [],
+      requests: [],
+    };
+  }
+  reset();
+  // open notification streams: (event) => void
+  const listeners = new Set();
+
+  // --- state helpers ---
+
+  /** Record an event and push it to the matching notification streams. `subject` is data.username. */
+  function emit(type, data = {}) {
+    const event = { seq: (state.events.at(-1)?.seq ?? 0) + 1, id: randomUUID(), type, subject: data.username ?? null, data, createdAt: new Date().toISOString() };
+    state.events.push(event);
+    for (const listener of listeners) listener(event);
+    return event;
+  }
+
+  function addPlayer(username, { address = hex(20), stats = {} } = {}) {
+    if (state.players.has(username)) throw new Error(`Player ${username} already exists`);
+    const player = { username, address, stats: parseStats(stats), deployedAt: new Date().toISOString(), contractAddress: hex(20) };
+    state.players.set(username, player);
+    emit('user.registered', { username, network: NETWORK, playerAddress: address, contractAddress: player.contractAddress, mode: 'per-player' });
+    return player;
+  }
+
+  function queueTx(label) {
+    const id = randomUUID();
+    const now = new Date().toISOString();
+    state.txs.set(id, { id, network: NETWORK, label, status: 'confirmed', hash: hex(32), createdAt: now, updatedAt: now, error: null });
+    return id;
+  }
+
+  function applyStats(player, { set, increment }) {
+    const txIds = {};
+    const emitUpdate = (op, txId, names) => emit('stats.updated', {
+      username: player.username, op, stats: Object.fromEntries(names.map((name) => [name, player.stats[name].toString()])), txId, txHash: state.txs.get(txId).hash,
+    });
+    if (set) {
+      const values = parseStats(set);
+      Object.assign(player.stats, values);
+      txIds.set = queueTx(`set stats for ${player.username}`);
+      emitUpdate('set', txIds.set, Object.keys(values));
+    }
+    if (increment) {
+      const values = parseStats(increment);
+      for (const [name, value] of Object.entries(values)) player.stats[name] = (player.stats[name] ?? 0n) + value;
+      txIds.increment = queueTx(`increment stats for ${player.username}`);
+      emitUpdate('increment', txIds.increment, Object.keys(values));
+    }
+    return txIds;
+  }
+
+  function issueSessionToken(session) {
+    const sessionToken = `mock.${randomBytes(24).toString('base64url')}`;
+    const expiresAt = Math.min(Date.parse(session.expiresAt), Date.now() + sessionTokenTtlMs);
+    const sessionTokenExpiresAt = new Date(expiresAt).toISOString();
+    state.sessionTokens.set(sessionToken, { fileId: session.id, username: session.username, ip: session.ip, deviceId: session.deviceId, expiresAt: sessionTokenExpiresAt });
+    return { sessionToken, sessionTokenExpiresAt };
+  }
+
+  /**
+   * Open a session for `username` (registering the player if needed), as a successful /login would.
+   * @returns {{ fileId:string, sessionToken:string, sessionTokenExpiresAt:string }}
+   */
+  function createSession(username, { ip = '127.0.0.1', deviceId = null, address } = {}) {
+    if (!state.players.has(username)) addPlayer(username, address ? { address } : {});
+    const session = { id: randomUUID(), username, ip, deviceId, createdAt: new Date().toISOString(), expiresAt: isoIn(sessionTtlMs), revokedAt: null, revokedReason: null };
+    const superseded = sessionsOf(username).filter((s) => sessionStatus(s) === 'active');
+    state.sessions.set(session.id, session);
+    emit('session.created', { username, fileId: session.id, deviceId, driver: 'mock' });
+    for (const s of superseded) emit('session.replaced', { username, fileId: s.id, deviceId: s.deviceId, replacedBy: session.id, ip });
+    return { fileId: session.id, ...issueSessionToken(session) };
+  }
+
+  function sessionStatus(session) {
+    if (session.revokedAt) return 'revoked';
+    return Date.parse(session.expiresAt) <= Date.now() ? 'expired' : 'active';
+  }
+
+  // Newest first (the Map keeps creation order)
+  function sessionsOf(username) {
+    return [...state.sessions.values()].filter((s) => s.username === username).reverse();
+  }
+
+  // The live session of `username` from `ip`, as the real lookup under the single-ip policy reports it
+  function findSession(username, ip) {
+    const [newest] = sessionsOf(username);
+    if (!newest) return { allowed: false, reason: 'no_session' };
+    if (newest.ip !== ip) return { allowed: false, reason: 'ip_mismatch' };
+    const status = sessionStatus(newest);
+    if (status !== 'active') return { allowed: false, reason: status };
+    return { allowed: true, session: newest };
+  }
+
+  function revokeSession(fileId, reason = null) {
+    const session = updateSession(fileId, { revokedAt: new Date().toISOString(), revokedReason: reason });
+    emit('session.revoked', { username: session.username, fileId, reason });
+    return session;
+  }
+
+  function publicSession(session) {
+    const { id, ...rest } = session;
+    return rest;
+  }
+
+  function updateSession(fileId, patch) {
+    const session = state.sessions.get(fileId);
+    if (!session) throw new Error(`No session ${fileId}`);
+    Object.assign(session, patch);
+    return session;
+  }
+
+  // --- request handling ---
+
+  function principalOf(req) {
+    const header = req.headers['x-api-key'] ?? req.headers.authorization?.replace(/^Bearer\s+/i, '');
+    const roles = header && apiKeys[header];
+    return roles ? { id: `mock:${header.slice(0, 8)}`, roles, permissions: [...new Set(roles.flatMap((r) => ROLES[r] || []))] } : null;
+  }
+
+  function requirePermission(ctx, permission) {
+    if (!ctx.principal) throw new MockError('api_key_required', 'A valid API key is required');
+    if (!ctx.principal.permissions.includes(permission)) throw new MockError('permission_denied', `The API key lacks the ${permission} permission`, { required: permission });
+  }
+
+  // The ip a session is bound to or checked against: the claimed one only when a key vouches for it
+  function sessionIp(ctx, claimed) {
+    if (claimed === undefined || claimed === null) return ctx.clientIp;
+    if (!ctx.principal?.permissions.includes('sessions:vouch')) {
+      throw new MockError('permission_denied', 'ip is only accepted from API keys with the sessions:vouch permission', { required: 'sessions:vouch' });
+    }
+    return claimed;
+  }
+
+  function requirePlayer(username) {
+    const player = state.players.get(username);
+    if (!player) throw new MockError('user_not_found', 'User not found');
+    return player;
+  }
+
+  const stringStats = (stats) => Object.fromEntries(Object.entries(stats).map(([name, value]) => [name, value.toString()]));
+
+  const publicPlayer = (player) => ({ ...player, stats: stringStats(player.stats) });
+
+  function registrationOf(player) {
+    return {
+      username: player.username, status: 'ready', network: NETWORK, mode: 'per-player', playerAddress: player.address,
+      playerAddressIsEthereum: /^0x[0-9a-fA-F]{40}$/.test(player.address), contractAddress: player.contractAddress,
+      deployTxId: null, deployTxHash: null, initTxIds: [], error: null, attempts: 1, running: false,
+      createdAt: player.deployedAt, updatedAt: player.deployedAt, readyAt: player.deployedAt,
+    };
+  }
+
+  function rankedPlayers(stat) {
+    return [...state.players.values()]
+      .map((p) => ({ username: p.username, value: p.stats[stat] ?? 0n }))
+      .sort((a, b) => (a.value === b.value ? a.username.localeCompare(b.username) : (b.value > a.value ? 1 : -1)))
+      .map((row, i) => ({ rank: i + 1, username: row.username, value: row.value.toString() }));
+  }
+
+  function issueToken(body) {
+    requireFields(body, ['username']);
+    const token = randomUUID();
+    for (const [key, rec] of state.tokens) {
+      if (rec.username === body.username) state.tokens.delete(key);
+    }
+    state.tokens.set(token, { uuid: token, username: body.username, createdAt: new Date().toISOString(), expiresAt: isoIn(sessionTtlMs) });
+    return [200, { token }];
+  }
+
+  function validateSessionRoute(ctx, body) {
+    const ip = sessionIp(ctx, body.ip);
+    if (body.sessionToken !== undefined) {
+      const rec = state.sessionTokens.get(body.sessionToken);
+      const reject = (reason) => { throw new MockError('session_token_invalid', 'Session token rejected', { reason }); };
+      if (!rec) reject('malformed');
+      if (Date.parse(rec.expiresAt) <= Date.now()) reject('expired');
+      if (rec.ip !== ip) reject('ip_mismatch');
+      if (rec.deviceId && rec.deviceId !== body.deviceId) reject('device_mismatch');
+      if (body.username !== undefined && body.username !== rec.username) reject('username_mismatch');
+      const session = state.sessions.get(rec.fileId);
+      const status = session ? sessionStatus(session) : 'no_session';
+      if (status !== 'active') throw new MockError(SESSION_ERRORS[status], 'Session is not active');
+      return [200, { ok: true, username: rec.username, fileId: rec.fileId, expiresAt: rec.expiresAt }];
+    }
+    if (body.username === undefined) throw new MockError('invalid_request', 'username or sessionToken is required in body');
+    const found = findSession(body.username, ip);
+    if (!found.allowed) throw new MockError(SESSION_ERRORS[found.reason], 'Session is not valid');
+    return [200, { ok: true, fileId: found.session.id, session: publicSession(found.session) }];
+  }
+
+  function submitMatch(ctx, report) {
+    requirePermission(ctx, 'match:submit');
+    requireFields(report, ['matchId', 'players']);
+    if (!Array.isArray(report.players) || report.players.length === 0) throw new MockError('invalid_request', 'body.players must be a non-empty array');
+    if (state.matches.has(report.matchId)) throw new MockError('match_exists', `Match ${report.matchId} was already submitted`);
+    const rejected = [];
+    for (const p of report.players) {
+      if (!state.players.has(p.username)) {
+        rejected.push({ username: p.username, reason: 'not_registered' });
+        continue;
+      }
+      const found = findSession(p.username, p.ip);
+      if (!found.allowed) rejected.push({ username: p.username, reason: found.reason });
+    }
+    if (rejected.length) throw new MockError('participants_rejected', 'Some participants have no valid session', { rejected });
+
+    state.matches.add(report.matchId);
+    const players = {};
+    for (const p of report.players) {
+      const deltas = { ...(p.stats || {}), kills: p.kills || 0, deaths: p.deaths || 0, wins: p.won ? 1 : 0, playtime: p.playtime ?? report.durationSeconds ?? 0 };
+      for (const [name, value] of Object.entries(deltas)) {
+        if (Number(value) === 0) delete deltas[name];
+      }
+      deltas.matchesPlayed = 1;
+      const { increment: txId } = applyStats(state.players.get(p.username), { increment: deltas });
+      players[p.username] = { deltas, txId, txHash: state.txs.get(txId).hash };
+    }
+    return [201, { matchId: report.matchId, players }];
+  }
+
+  // [method, pattern, handler(ctx, params, body, query)]
+  const routes = [
+    ['GET', '/networks', () => [200, { networks: [{ name: NETWORK, chainId: CHAIN_ID, contractMode: 'per-player', default: true, hasSigner: true }] }]],
+    ['GET', '/.well-known/jwks.json', () => [200, { keys: [] }]],
+    ['GET', '/token/pow', () => { throw new MockError('pow_not_enabled', 'Proof-of-work is not enabled'); }],
+    ['GET', '/token', (ctx, params, body, query) => issueToken(query)],
+    ['POST', '/token', (ctx, params, body) => issueToken(body)],
+    ['GET', '/token/validate/:id', (ctx, { id }) => {
+      const token = state.tokens.get(id);
+      if (!token || Date.parse(token.expiresAt) <= Date.now()) throw new MockError('token_not_found', 'Token not found or expired');
+      return [200, { valid: true, token }];
+    }],
+    ['POST', '/login/challenge', (ctx, params, body) => {
+      requireFields(body, ['token', 'address']);
+      if (!state.tokens.has(body.token)) throw new MockError('token_invalid', 'Invalid or expired token');
+      const issuedAt = new Date().toISOString();
+      const nonce = randomBytes(8).toString('hex');
+      const message = `mock.og wants you to sign in with your account:\n${body.address}\n\nNonce: ${nonce}\nIssued At: ${issuedAt}`;
+      state.challenges.set(body.token, { address: body.address, message });
+      return [200, { message, nonce, address: body.address, kind: 'evm', issuedAt, expirationTime: isoIn(5 * 60 * 1000) }];
+    }],
+    ['POST', '/login', (ctx, params, body) => {
+      requireFields(body, ['username', 'token', 'address', 'signature']);
+      const ip = sessionIp(ctx, body.ip);
+      const token = state.tokens.get(body.token);
+      if (!token || token.username !== body.username) throw new MockError('token_invalid', 'Invalid or expired token');
+      const player = state.players.get(body.username);
+      if (player && player.address.toLowerCase() !== body.address.toLowerCase()) throw new MockError('identifier_not_linked', 'address is not linked to this user');
+      const challenge = state.challenges.get(body.token);
+      if (!challenge || challenge.address !== body.address) throw new MockError('signature_invalid', 'Wallet signature verification failed', { reason: 'no_challenge' });
+      if (!verifySignature({ message: challenge.message, address: body.address, signature: body.signature })) {
+        throw new MockError('signature_invalid', 'Wallet signature verification failed', { reason: 'bad_signature' });
+      }
+      state.tokens.delete(body.token);
+      state.challenges.delete(body.token);
+      const registered = player ? null : addPlayer(body.username, { address: body.address });
+      const { fileId, sessionToken, sessionTokenExpiresAt } = createSession(body.username, { ip, deviceId: body.deviceId ?? null });
+      return [200, {
+        message: 'Session registered', fileId, session: publicSession(state.sessions.get(fileId)), sessionToken, sessionTokenExpiresAt, arkacdn: null,
+        ...(registered ? { registration: registrationOf(registered) } : {}),
+      }];
+    }],
+    ['POST', '/session/token', (ctx, params, body) => {
+      requireFields(body, ['username', 'fileId']);
+      const found = findSession(body.username, sessionIp(ctx, body.ip));
+      if (!found.allowed) throw new MockError(SESSION_ERRORS[found.reason], 'Session is not valid');
+      if (found.session.id !== body.fileId) throw new MockError('session_not_found', 'No active session for this fileId');
+      return [200, issueSessionToken(found.session)];
+    }],
+    ['POST', '/logout', (ctx, params, body) => {
+      requireFields(body, ['username', 'fileId']);
+      // The session's own token, or a key allowed to revoke sessions
+      if (ctx.principal) {
+        requirePermission(ctx, 'sessions:revoke');
+      } else {
+        if (body.sessionToken === undefined) throw new MockError('session_required', 'sessionToken is required in body');
+        const rec = state.sessionTokens.get(body.sessionToken);
+        const reject = (reason) => { throw new MockError('session_rejected', 'Session proof rejected', { reason }); };
+        if (!rec || Date.parse(rec.expiresAt) <= Date.now()) reject('session_invalid');
+        if (rec.ip !== sessionIp(ctx, body.ip)) reject('session_ip_mismatch');
+        if (rec.username !== body.username) reject('session_username_mismatch');
+        if (rec.fileId !== body.fileId) reject('session_mismatch');
+      }
+      const session = state.sessions.get(body.fileId);
+      if (!session || session.username !== body.username) throw new MockError('session_not_found', 'Session not found');
+      state.sessions.delete(body.fileId);
+      emit('session.ended', { username: body.username, fileId: body.fileId });
+      return [200, { ok: true }];
+    }],
+    ['POST', '/validatesession', (ctx, params, body) => validateSessionRoute(ctx, body)],
+    ['GET', '/registration/:username', (ctx, { username }) => {
+      const player = state.players.get(username);
+      if (!player) throw new MockError('registration_not_found', 'No registration for that username');
+      return [200, registrationOf(player)];
+    }],
+    ['GET', '/user/:username', (ctx, { username }) => {
+      const player = requirePlayer(username);
+      const stats = stringStats(player.stats);
+      return [200, {
+        network: NETWORK, chainId: CHAIN_ID, contractAddress: player.contractAddress, mode: 'per-player', contractVersion: 2,
+        capabilities: ['kills', 'killsById', 'stats', 'ownership', 'profileHash', 'signedStats'], owner: null, playerAddress: player.address,
+        deployedAt: player.deployedAt, kills: stats.kills ?? '0', stats,
+        identifiers: [{ identifier: player.address, kind: 'evm', isEthereum: true, primary: true, linkedAt: player.deployedAt, stats }],
+        profile: { profile: {}, contentHash: null, anchor: null, updatedAt: null }, achievements: [],
+      }];
+    }],
+    ['GET', '/user/:username/stats', (ctx, { username }) => [200, { username, stats: stringStats(requirePlayer(username).stats) }]],
+    ['POST', '/user/:username/stats', (ctx, { username }, body) => {
+      requirePermission(ctx, 'stats:write');
+      if (!body.set && !body.increment) throw new MockError('invalid_request', 'set and/or increment objects are required in body');
+      return [202, { message: 'Stat updates queued', txIds: applyStats(requirePlayer(username), body) }];
+    }],
+    ['POST', '/match/result', (ctx, params, body) => submitMatch(ctx, body)],
+    ['GET', '/tx/:id', (ctx, { id }) => {
+      const tx = state.txs.get(id);
+      if (!tx) throw new MockError('tx_not_found', 'Transaction not found');
+      return [200, tx];
+    }],
+    ['GET', '/leaderboard', (ctx, params, body, query) => {
+      const stat = query.stat ?? 'kills';
+      const limit = Number(query.limit ?? 50);
+      const offset = Number(query.offset ?? 0);
+      const rows = rankedPlayers(stat);
+      return [200, { stat, network: query.network ?? null, total: rows.length, limit, offset, indexedBlock: 0, indexedBlocks: { [NETWORK]: 0 }, entries: rows.slice(offset, offset + limit) }];
+    }],
+    ['GET', '/leaderboard/:username', (ctx, { username }, body, query) => {
+      const stat = query.stat ?? 'kills';
+      const row = rankedPlayers(stat).find((r) => r.username === username);
+      if (!row) throw new MockError('user_not_found', 'User not found');
+      return [200, { stat, ...row, network: NETWORK, indexedBlock: 0 }];
+    }],
+    ['GET', '/admin/whoami', (ctx) => {
+      requirePermission(ctx, 'users:read');
+      return [200, ctx.principal];
+    }],
+    ['POST', '/admin/users', (ctx, params, body) => {
+      requirePermission(ctx, 'users:register');
+      requireFields(body, ['username', 'address']);
+      if (state.players.has(body.username)) throw new MockError('user_exists', 'Username already exists');
+      return [202, { message: 'Registration started', registration: registrationOf(addPlayer(body.username, { address: body.address })) }];
+    }],
+    ['GET', '/admin/users/:username/sessions', (ctx, { username }) => {
+      requirePermission(ctx, 'sessions:read');
+      return [200, { username, sessions: sessionsOf(username).map((s) => ({ ...s, status: sessionStatus(s) })) }];
+    }],
+    ['POST', '/admin/sessions/:id/revoke', (ctx, { id }, body) => {
+      requirePermission(ctx, 'sessions:revoke');
+      const session = state.sessions.get(id);
+      if (!session) throw new MockError('session_not_found', 'Session not found');
+      revokeSession(id, body.reason ?? null);
+      return [200, { id, username: session.username, deviceId: session.deviceId, revokedAt: session.revokedAt, revokedReason: session.revokedReason }];
+    }],
+    ['POST', '/admin/users/:username/sessions/revoke', (ctx, { username }, body) => {
+      requirePermission(ctx, 'sessions:revoke');
+      const revoked = sessionsOf(username).filter((s) => !s.revokedAt).map((s) => revokeSession(s.id, body.reason ?? null).id);
+      return [200, { username, revoked }];
+    }],
+  ].map(([method, pattern, handler]) => {
+    const names = [];
+    const source = pattern.replace(/[.]/g, '\\.').replace(/:(\w+)/g, (m, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    return { method, regex: new RegExp(`^${source}$`), names, handler };
+  });
+
+  function route(method, pathname) {
+    for (const r of routes) {
+      if (r.method !== method) continue;
+      const match = r.regex.exec(pathname);
+      if (match) return { handler: r.handler, params: Object.fromEntries(r.names.map((name, i) => [name, decodeURIComponent(match[i + 1])])) };
+    }
+    return null;
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  function sendError(res, code, message, details, headers) {
+    const error = { code, message };
+    if (details !== undefined && details !== null) error.details = details;
+    send(res, ERROR_STATUS[code] ?? 500, { error }, headers);
+  }
+
+  async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text) return {};
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new MockError('invalid_json', 'The body is not valid JSON');
+    }
+  }
+
+  // GET /notifications: the events after Last-Event-ID (or ?after=), then the new ones as they are emitted
+  function openStream(req, res, ctx, query) {
+    requirePermission(ctx, 'notifications:read');
+    const channels = String(query.channels ?? '').split(',').map((c) => c.trim()).filter(Boolean);
+    if (channels.length === 0) throw new MockError('invalid_request', 'query.channels is required');
+    const usernames = new Set();
+    const patterns = [];
+    for (const channel of channels) {
+      if (channel.startsWith('user:') && channel.length > 'user:'.length) usernames.add(channel.slice('user:'.length));
+      else if (CHANNELS[channel]) patterns.push(...CHANNELS[channel]);
+      else throw new MockError('invalid_request', `Unknown channel "${channel}"`);
+    }
+    const types = query.types ? String(query.types).split(',').map((t) => t.trim()).filter(Boolean) : [];
+    const matches = (event) => ((event.subject !== null && usernames.has(event.subject)) || patterns.some((p) => matchesType(p, event.type)))
+      && (types.length === 0 || types.some((p) => matchesType(p, event.type)));
+    const write = (event) => res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+    const cursor = req.headers['last-event-id'] ?? query.after;
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    res.write('retry: 100\n\n');
+    const replay = cursor === undefined ? [] : state.events.filter((e) => e.seq > Number(cursor) && matches(e));
+    replay.forEach(write);
+    res.write(`event: ready\ndata: ${JSON.stringify({ channels, types, after: state.events.at(-1)?.seq ?? 0, replayed: replay.length })}\n\n`);
+    const listener = (event) => {
+      if (matches(event)) write(event);
+    };
+    listeners.add(listener);
+    req.on('close', () => listeners.delete(listener));
+  }
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://mock');
+    const ctx = { principal: principalOf(req), clientIp: (req.socket.remoteAddress || '').replace(/^::ffff:/, '') };
+    try {
+      const body = req.method === 'GET' ? {} : await readBody(req);
+      state.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+      const failure = state.failures.find((f) => (!f.method || f.method === req.method) && (!f.path || f.path === url.pathname));
+      if (failure) {
+        if (--failure.times <= 0) state.failures.splice(state.failures.indexOf(failure), 1);
+        if (failure.drop) return req.socket.destroy();
+        const headers = failure.retryAfter !== undefined ? { 'Retry-After': String(failure.retryAfter) } : {};
+        return sendError(res, failure.code, failure.message ?? `Injected ${failure.code}`, failure.details, headers);
+      }
+
+      if (req.method === 'GET' && url.pathname === '/notifications') return openStream(req, res, ctx, Object.fromEntries(url.searchParams));
+      const matched = route(req.method, url.pathname);
+      if (!matched) throw new MockError('route_not_found', `No route for ${req.method} ${url.pathname} in the mock server`);
+      const [status, result] = matched.handler(ctx, matched.params, body, Object.fromEntries(url.searchParams));
+      return send(res, status, result);
+    } catch (err) {
+      if (err instanceof MockError) return sendError(res, err.code, err.message, err.details);
+      return sendError(res, 'internal_error', err?.message || String(err));
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res);
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? 0, options.host ?? '127.0.0.1', resolve);
+  });
+  const { address, port } = server.address();
+
+  return {
+    url: `http://${address.includes(':') ? `[${address}]` : address}:${port}`,
+    port,
+    apiKeys: Object.keys(apiKeys),
+    // requests received, oldest first: { method, path, query, body }
+    get requests() { return state.requests; },
+    reset,
+    addPlayer: (username, playerOptions) => publicPlayer(addPlayer(username, playerOptions)),
+    createSession,
+    getPlayer: (username) => (state.players.has(username) ? publicPlayer(state.players.get(username)) : null),
+    getSessions: (username) => sessionsOf(username).map((s) => ({ ...s, status: sessionStatus(s) })),
+    expireSession: (fileId) => updateSession(fileId, { expiresAt: new Date(Date.now() - 1000).toISOString() }),
+    revokeSession,
+    emit,
+    // events emitted so far, oldest first
+    get events() { return state.events; },
+    /**
+     * Answer the next `times` requests (to `path` / `method`, when given) with the error `code`, or drop
+     * their connection with `drop: true`, e.g. failNext({ code: 'upstream_error', path: '/validatesession' }).
+     */
+    failNext: ({ code = 'upstream_error', times = 1, path, method, message, details, retryAfter, drop = false } = {}) => {
+      state.failures.push({ code, times, path, method, message, details, retryAfter, drop });
+    },
+    close: () => new Promise((resolve, reject) => {
+      server.closeAllConnections?.();
+      server.close((err) => (err ? reject(err) : resolve()));
+    }),
+  };
+}
+
+export { createMockServer, DEFAULT_API_KEYS };
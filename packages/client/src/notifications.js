@@ -0,0 +1,109 @@
+import { ApiError } from './errors.js';
+
+/*
+ * Reader of the backend's notification stream (GET /notifications, Server-Sent Events) over fetch,
+ * so it works in Node and sends the API key header, which EventSource cannot. The stream is reopened
+ * with Last-Event-ID after disconnects and upstream failures, so no event is missed; errors that a
+ * retry cannot fix (bad channels, missing permission) end the subscription. Every failure is reported
+ * to `onError`, including errors thrown by `onEvent`, which do not interrupt the stream.
+ */
+const DEFAULT_RECONNECT_MS = 3000;
+const FATAL_STATUSES = [400, 401, 403, 404];
+
+function parseBlock(block) {
+  const message = { event: 'message', data: [], id: null, retry: null };
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'data') message.data.push(value);
+    else if (field === 'event') message.event = value;
+    else if (field === 'id') message.id = value;
+    else if (field === 'retry' && /^[0-9]+$/.test(value)) message.retry = Number(value);
+  }
+  return { ...message, data: message.data.join('\n') };
+}
+
+/**
+ * @param {{ url:string, fetch:typeof fetch, headers:Object<string,string> }} connection
+ * @param {{ after?:number }} cursor
+ * @param {{ onEvent:Function, onReady?:Function, onGap?:Function, onError?:Function }} handlers
+ * @returns {{ close():void, closed:Promise<ApiError|null>, readonly lastEventId:number|null }} `closed` resolves once the
+ *   subscription ends: null after close(), or the error that ended it
+ */
+function openSubscription({ url, fetch: fetchImpl, headers }, { after } = {}, { onEvent, onReady, onGap, onError }) {
+  const controller = new AbortController();
+  let lastEventId = after ?? null;
+  let reconnectMs = DEFAULT_RECONNECT_MS;
+
+  async function readStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const message = parseBlock(buffer.slice(0, end));
+        buffer = buffer.slice(end + 2);
+        if (message.retry !== null) reconnectMs = message.retry;
+        if (!message.data) continue;
+        const data = JSON.parse(message.data);
+        if (message.event === 'ready') onReady?.(data);
+        else if (message.event === 'gap') onGap?.(data);
+        else {
+          if (message.id !== null) lastEventId = Number(message.id);
+          try {
+            await onEvent(data);
+          } catch (err) {
+            onError?.(err);
+          }
+        }
+      }
+    }
+  }
+
+  async function connectOnce() {
+    const response = await fetchImpl(url, {
+      headers: { Accept: 'text/event-stream', ...headers, ...(lastEventId !== null ? { 'Last-Event-ID': String(lastEventId) } : {}) },
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      const envelope = await response.json().then((body) => body?.error, () => null);
+      throw new ApiError(envelope?.code ?? 'invalid_response', envelope?.message ?? `GET /notifications answered ${response.status}`, {
+        status: response.status, details: envelope?.details, method: 'GET', path: '/notifications',
+      });
+    }
+    await readStream(response);
+  }
+
+  const closed = (async () => {
+    while (!controller.signal.aborted) {
+      try {
+        await connectOnce();
+      } catch (err) {
+        if (controller.signal.aborted) break;
+        const error = err instanceof ApiError ? err : new ApiError('network_error', `Notification stream failed: ${err?.message || err}`, { method: 'GET', path: '/notifications', cause: err });
+        onError?.(error);
+        if (FATAL_STATUSES.includes(error.status)) return error;
+      }
+      if (controller.signal.aborted) break;
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, reconnectMs);
+        controller.signal.addEventListener('abort', () => { clearTimeout(timer); resolve(); }, { once: true });
+      });
+    }
+    return null;
+  })();
+
+  return {
+    close: () => controller.abort(),
+    closed,
+    get lastEventId() { return lastEventId; },
+  };
+}
+
+export { openSubscription };
@@ -0,0 +1,559 @@
+// Types of @ogprotocol/client. Response types mirror the JSON the backend answers with.
+
+/** Decimal string of an unsigned integer (stats are uint256 on-chain). */
+export type DecimalString = string;
+/** Stat name -> value, as sent to the API (numbers or decimal strings). */
+export type StatEntries = Record<string, number | DecimalString>;
+/** Stat name -> value, as returned by the API. */
+export type StatValues = Record<string, DecimalString>;
+
+export type SessionLookupReason = 'no_session' | 'ip_mismatch' | 'expired' | 'revoked';
+export type SessionTokenReason = 'malformed' | 'unknown_key' | 'bad_signature' | 'expired' | 'ip_mismatch' | 'device_mismatch' | 'username_mismatch';
+export type SessionReason = SessionLookupReason | SessionTokenReason | (string & {});
+
+export type ErrorCode =
+  | 'invalid_request' | 'invalid_json' | 'payload_too_large' | 'route_not_found'
+  | 'api_key_required' | 'permission_denied' | 'rate_limited' | 'locked_out'
+  | 'token_invalid' | 'token_not_found' | 'token_check_failed' | 'pow_required' | 'pow_not_enabled' | 'proof_required' | 'signature_invalid'
+  | 'session_required' | 'session_rejected' | 'session_token_invalid' | 'session_not_found' | 'session_ip_mismatch' | 'session_expired' | 'session_revoked'
+  | 'user_not_found' | 'user_exists' | 'registration_not_found' | 'identifier_not_linked' | 'identifier_not_found' | 'identifier_conflict' | 'operation_not_supported'
+  | 'match_exists' | 'participants_rejected'
+  | 'tx_not_found' | 'achievement_not_found' | 'api_key_not_found' | 'webhook_not_found' | 'delivery_not_found'
+  | 'upstream_error' | 'internal_error'
+  // client-side
+  | 'network_error' | 'timeout' | 'invalid_response' | 'registration_failed' | 'tx_failed';
+
+export class ApiError extends Error {
+  constructor(code: string, message: string, options?: { status?: number; details?: Record<string, unknown>; retryAfter?: number | null; method?: string; path?: string; cause?: unknown });
+  readonly name: 'ApiError';
+  /** Stable error code; branch on it rather than on `status`. */
+  readonly code: ErrorCode | (string & {});
+  /** HTTP status, 0 when the request never got an answer. */
+  readonly status: number;
+  readonly details?: Record<string, any>;
+  /** Retry-After of the response, in seconds. */
+  readonly retryAfter: number | null;
+  readonly method?: string;
+  readonly path?: string;
+  /** Why a session was refused, or null when the error is not about a session. */
+  readonly sessionReason: SessionReason | null;
+}
+
+/** Session error codes -> the reason the server reports them for. */
+export const SESSION_REASONS: {
+  session_not_found: 'no_session';
+  session_ip_mismatch: 'ip_mismatch';
+  session_expired: 'expired';
+  session_revoked: 'revoked';
+};
+
+export function isApiError(err: unknown, code?: ErrorCode): err is ApiError;
+
+export interface ClientOptions {
+  baseUrl: string;
+  /** Sent as X-Api-Key. Game servers use a `game-server` key, which may vouch for player ips. */
+  apiKey?: string;
+  fetch?: typeof fetch;
+  /** Extra attempts per request (default 2). */
+  retries?: number;
+  /** First backoff delay, doubled on each attempt (default 200). */
+  retryDelayMs?: number;
+  /** Longest wait before a retry, Retry-After included (default 5000). */
+  maxRetryDelayMs?: number;
+  /** Per attempt (default 10000). */
+  timeoutMs?: number;
+  /** How long a successful validation is reused; 0 disables the cache (default 5000). */
+  cacheTtlMs?: number;
+  /** Most validations kept (default 1000). */
+  cacheSize?: number;
+  headers?: Record<string, string>;
+}
+
+export interface PollOptions {
+  timeoutMs?: number;
+  intervalMs?: number;
+}
+
+// --- sessions ---
+
+export interface Session {
+  username: string;
+  createdAt: string;
+  expiresAt: string | null;
+  ip: string;
+  deviceId: string | null;
+  tokenUuid?: string;
+  lastSeenAt?: string;
+  revokedAt?: string | null;
+  revokedReason?: string | null;
+  [key: string]: unknown;
+}
+
+export interface SessionListEntry extends Session {
+  id: string;
+  status: 'active' | 'expired' | 'revoked';
+}
+
+export interface SessionRefusal {
+  valid: false;
+  reason: SessionReason;
+  code: ErrorCode;
+}
+
+export type SessionValidation =
+  | {
+    valid: true;
+    username: string;
+    fileId: string;
+    /** Expiry of the session token, when validated by token. */
+    expiresAt?: string;
+    /** The stored session, when validated by username. */
+    session?: Session;
+    /** Whether the result came from the local validation cache. */
+    cached: boolean;
+  }
+  | SessionRefusal;
+
+export type SessionTokenRefresh =
+  | { valid: true; sessionToken: string; sessionTokenExpiresAt: string }
+  | SessionRefusal;
+
+export interface ValidateSessionParams {
+  username?: string;
+  sessionToken?: string;
+  /** The player's ip; only accepted from keys with the sessions:vouch permission. */
+  ip?: string;
+  deviceId?: string;
+}
+
+/** Proof that the caller holds a live session of the player, for player-authenticated routes. */
+export interface SessionProof {
+  sessionToken: string;
+  ip?: string;
+  deviceId?: string;
+}
+
+// --- tokens and login ---
+
+export interface TokenParams {
+  username: string;
+  powChallenge?: string;
+  powNonce?: string;
+  sessionToken?: string;
+  ip?: string;
+  deviceId?: string;
+  address?: string;
+  signature?: string;
+  issuedAt?: string;
+  [extra: string]: unknown;
+}
+
+export interface LoginToken {
+  uuid: string;
+  username: string;
+  data: Record<string, unknown>;
+  createdAt: string;
+  expiresAt: string;
+}
+
+export interface PowChallenge {
+  challenge: string;
+  difficulty: number;
+  algorithm: 'sha256';
+  expiresAt: string;
+}
+
+export interface SignableMessage {
+  message: string;
+  address: string;
+  kind: string;
+  issuedAt: string;
+}
+
+export interface LoginChallenge {
+  message: string;
+  nonce: string;
+  address: string;
+  kind: string;
+  issuedAt: string;
+  expirationTime: string;
+}
+
+export interface LoginParams {
+  username: string;
+  token: string;
+  address: string;
+  signature: string;
+  deviceId?: string;
+  ip?: string;
+}
+
+export interface LoginResult {
+  message: string;
+  fileId: string;
+  session: Session;
+  sessionToken: string;
+  sessionTokenExpiresAt: string;
+  arkacdn: Record<string, unknown> | null;
+  /** Present when the login started (or resumed) the player's registration. */
+  registration?: Registration;
+}
+
+export interface Registration {
+  username: string;
+  status: 'pending' | 'deployed' | 'initialised' | 'ready';
+  network: string;
+  mode: 'per-player' | 'registry';
+  playerAddress: string;
+  playerAddressIsEthereum: boolean;
+  contractAddress: string | null;
+  deployTxId: string | null;
+  deployTxHash: string | null;
+  initTxIds: string[];
+  /** Set when the job stopped; logging in again resumes it. */
+  error: string | null;
+  attempts: number;
+  running: boolean;
+  createdAt: string | null;
+  updatedAt: string | null;
+  readyAt: string | null;
+}
+
+// --- players ---
+
+export interface Identifier {
+  identifier: string;
+  kind: string | null;
+  isEthereum: boolean;
+  primary: boolean;
+  linkedAt: string;
+}
+
+export interface Profile {
+  profile: {
+    displayName?: string;
+    avatarUrl?: string;
+    country?: string;
+    bio?: string;
+    socials?: Record<string, string>;
+  };
+  contentHash: string | null;
+  anchor: Record<string, unknown> | null;
+  updatedAt: string | null;
+  [key: string]: unknown;
+}
+
+export interface PlayerAchievement {
+  id: string;
+  [key: string]: unknown;
+}
+
+export interface User {
+  network: string;
+  chainId: number;
+  contractAddress: string;
+  mode: 'per-player' | 'registry';
+  /** null when the contract could not be read. */
+  contractVersion: number | null;
+  capabilities: string[] | null;
+  owner: string | null;
+  playerAddress: string;
+  deployedAt: string;
+  kills: DecimalString | null;
+  stats: StatValues;
+  identifiers: Array<Identifier & { stats: StatValues }>;
+  profile: Profile;
+  achievements: PlayerAchievement[];
+}
+
+export interface ProfileUpdate extends SessionProof {
+  profile: Record<string, unknown>;
+  anchor?: boolean;
+}
+
+export interface LinkIdentifierParams extends SessionProof {
+  address: string;
+  signature: string;
+  issuedAt: string;
+}
+
+export interface StatUpdate {
+  set?: StatEntries;
+  increment?: StatEntries;
+}
+
+export interface QueuedStats {
+  message: string;
+  txIds: { set?: string; increment?: string };
+}
+
+export interface TypedStatUpdate {
+  domain: { name: string; version: string; chainId: DecimalString; verifyingContract: string };
+  types: Record<string, Array<{ name: string; type: string }>>;
+  primaryType: 'StatUpdate' | 'StatUpdateById';
+  message: Record<string, unknown>;
+  statNames: string[];
+}
+
+export interface RelayParams extends StatUpdate {
+  nonce: number | DecimalString;
+  deadline: number;
+  signature: string;
+}
+
+// --- matches ---
+
+export interface MatchPlayer {
+  username: string;
+  ip: string;
+  deviceId?: string;
+  kills?: number;
+  deaths?: number;
+  won?: boolean;
+  playtime?: number;
+  stats?: StatEntries;
+}
+
+export interface MatchReport {
+  matchId: string;
+  durationSeconds?: number;
+  players: MatchPlayer[];
+}
+
+export interface MatchResult {
+  matchId: string;
+  players: Record<string, { deltas: StatEntries; txId?: string; txHash?: string; error?: string }>;
+  /** true when some players' deltas failed (HTTP 207). */
+  partial: boolean;
+}
+
+// --- chain ---
+
+export interface Tx {
+  id: string;
+  network: string;
+  label: string;
+  status: 'queued' | 'submitted' | 'confirmed' | 'failed';
+  hash: string | null;
+  error: string | null;
+  createdAt: string;
+  updatedAt: string;
+  [key: string]: unknown;
+}
+
+export interface Network {
+  name: string;
+  chainId: number;
+  default: boolean;
+  hasSigner: boolean;
+  contractMode?: 'per-player' | 'registry';
+  [key: string]: unknown;
+}
+
+export interface LeaderboardQuery {
+  stat?: string;
+  limit?: number;
+  offset?: number;
+  network?: string;
+}
+
+export interface Leaderboard {
+  stat: string;
+  network: string | null;
+  total: number;
+  limit: number;
+  offset: number;
+  indexedBlock: number | null;
+  indexedBlocks: Record<string, number | null>;
+  entries: Array<{ rank: number; username: string; value: DecimalString }>;
+}
+
+export interface Rank {
+  stat: string;
+  rank: number;
+  username: string;
+  value: DecimalString;
+  network: string;
+  indexedBlock: number | null;
+}
+
+// --- admin ---
+
+export type Role = 'operator' | 'game-server' | 'read-only';
+
+export interface Principal {
+  id: string;
+  name?: string;
+  roles: Role[];
+  permissions: string[];
+}
+
+export interface ApiKey {
+  id: string;
+  name: string;
+  roles: Role[];
+  createdAt: string;
+  [key: string]: unknown;
+}
+
+export interface Page {
+  limit?: number;
+  offset?: number;
+}
+
+export interface UserSummary {
+  username: string;
+  network: string;
+  contractAddress: string;
+  mode: 'per-player' | 'registry';
+  owner: string | null;
+  playerAddress: string;
+  deployedAt: string;
+}
+
+export interface RevokedSession {
+  id: string;
+  username: string;
+  deviceId: string | null;
+  revokedAt: string;
+  revokedReason: string | null;
+}
+
+export interface Event {
+  seq: number;
+  type: string;
+  subject: string | null;
+  data: Record<string, unknown>;
+  createdAt: string;
+  [key: string]: unknown;
+}
+
+export interface Webhook {
+  id: string;
+  url: string;
+  eventTypes: string[];
+  description: string | null;
+  [key: string]: unknown;
+}
+
+export interface Delivery {
+  id: string;
+  webhookId: string;
+  status: 'pending' | 'delivered' | 'dead';
+  [key: string]: unknown;
+}
+
+export interface AdminApi {
+  whoami(): Promise<Principal>;
+  listUsers(query?: Page): Promise<{ total: number; limit: number; offset: number; users: UserSummary[] }>;
+  registerUser(params: { username: string; address: string; network?: string }): Promise<{ message: string; registration: Registration }>;
+  correctStats(username: string, params: StatUpdate & { reason?: string }): Promise<QueuedStats>;
+  transferOwnership(username: string, newOwner: string): Promise<Record<string, unknown>>;
+  setStatSigner(username: string, params: { signer: string; allowed: boolean }): Promise<{ contractAddress: string; signer: string; allowed: boolean; txId: string }>;
+  evaluateAchievements(username: string): Promise<{ username: string; achievements: PlayerAchievement[] }>;
+  listSessions(username: string): Promise<{ username: string; sessions: SessionListEntry[] }>;
+  revokeSession(id: string, params?: { reason?: string }): Promise<RevokedSession>;
+  revokeUserSessions(username: string, params?: { reason?: string }): Promise<{ username: string; revoked: string[] }>;
+  listApiKeys(): Promise<{ keys: ApiKey[] }>;
+  /** The plaintext `key` is only returned here. */
+  createApiKey(params: { name: string; roles: Role[] }): Promise<ApiKey & { key: string }>;
+  revokeApiKey(id: string): Promise<ApiKey>;
+  audit(query?: Page & { action?: string; actor?: string; target?: string }): Promise<{ total: number; limit: number; offset: number; entries: Array<Record<string, unknown>> }>;
+  events(query?: { after?: number; limit?: number; type?: string; subject?: string }): Promise<{ after: number; next: number; events: Event[] }>;
+  listWebhooks(): Promise<{ webhooks: Webhook[] }>;
+  /** The signing `secret` is only returned here. */
+  createWebhook(params: { url: string; eventTypes?: string[]; description?: string }): Promise<Webhook & { secret: string }>;
+  disableWebhook(id: string): Promise<Webhook>;
+  listDeliveries(query?: Page & { status?: Delivery['status']; webhookId?: string }): Promise<{ deliveries: Delivery[] }>;
+  retryDelivery(id: string): Promise<Delivery>;
+}
+
+// --- notifications ---
+
+export type NotificationChannel = `user:${string}` | 'sessions' | 'stats' | 'users' | 'achievements' | '*';
+
+export interface SubscribeParams {
+  channels: NotificationChannel | NotificationChannel[];
+  /** Event types or patterns such as 'session.*'. */
+  types?: string | string[];
+  /** Last `seq` seen; the events after it are replayed first. */
+  after?: number;
+}
+
+export interface SubscribeHandlers {
+  /** The stream is open (again); `after` is the newest seq at that point. */
+  onReady?: (info: { channels: string[]; types: string[]; after: number; replayed: number }) => void;
+  /** More events were missed than the server replays: re-read the state you track. */
+  onGap?: (info: { after: number; resumedAfter: number }) => void;
+  /** Disconnects (followed by a reconnect), fatal errors and errors thrown by `onEvent`. */
+  onError?: (error: unknown) => void;
+}
+
+export interface Subscription {
+  close(): void;
+  /** Resolves once the subscription ends: null after close(), or the error that ended it. */
+  closed: Promise<ApiError | null>;
+  readonly lastEventId: number | null;
+}
+
+export interface Client {
+  /** Send any request, with the client's retries. `withStatus` resolves { status, body }. */
+  request<T = any>(method: string, path: string, options?: { body?: unknown; idempotent?: boolean; withStatus?: false }): Promise<T>;
+  request<T = any>(method: string, path: string, options: { body?: unknown; idempotent?: boolean; withStatus: true }): Promise<{ status: number; body: T }>;
+
+  /** Never throws for refused sessions: branch on `valid` and `reason`. */
+  validateSession(params: ValidateSessionParams, options?: { cache?: boolean }): Promise<SessionValidation>;
+  /** Forget cached validations of `username`, or all of them. */
+  invalidateSession(username?: string): void;
+  /** Follow live notifications; session events also drop the player's cached validations. */
+  subscribe(params: SubscribeParams, onEvent: (event: Event) => void | Promise<void>, handlers?: SubscribeHandlers): Subscription;
+
+  openapi(): Promise<Record<string, unknown>>;
+  jwks(): Promise<{ keys: Array<Record<string, unknown>> }>;
+  networks(): Promise<{ networks: Network[] }>;
+
+  requestPowChallenge(username: string): Promise<PowChallenge>;
+  tokenProofMessage(username: string, address: string): Promise<SignableMessage>;
+  requestToken(params: TokenParams): Promise<{ token: string }>;
+  lookupToken(token: string): Promise<{ valid: true; token: LoginToken }>;
+
+  loginChallenge(params: { token: string; address: string }): Promise<LoginChallenge>;
+  login(params: LoginParams): Promise<LoginResult>;
+  /** Never throws for refused sessions: branch on `valid` and `reason`. */
+  refreshSessionToken(params: { username: string; fileId: string; ip?: string; deviceId?: string }): Promise<SessionTokenRefresh>;
+  /** Needs the session's `sessionToken`, unless the client's API key holds sessions:revoke. */
+  logout(params: { username: string; fileId: string; sessionToken?: string; ip?: string; deviceId?: string }): Promise<{ ok: true }>;
+
+  getRegistration(username: string): Promise<Registration>;
+  /** Throws ApiError `registration_failed` when the job stopped, `timeout` after `timeoutMs` (default 5 minutes). */
+  waitForRegistration(username: string, options?: PollOptions): Promise<Registration>;
+
+  getUser(username: string): Promise<User>;
+  getProfile(username: string): Promise<Profile & { username: string }>;
+  updateProfile(username: string, params: ProfileUpdate): Promise<Profile & { username: string }>;
+  getStats(username: string): Promise<{ username: string; stats: StatValues }>;
+  getIdentifiers(username: string): Promise<{ username: string; identifiers: Identifier[] }>;
+  identifierLinkMessage(username: string, address: string): Promise<SignableMessage>;
+  linkIdentifier(username: string, params: LinkIdentifierParams): Promise<{ username: string; identifier: Identifier; identifiers: Identifier[] }>;
+  unlinkIdentifier(username: string, identifier: string, proof: SessionProof): Promise<{ username: string; identifiers: Identifier[] }>;
+  setPrimaryIdentifier(username: string, identifier: string, proof: SessionProof): Promise<{ username: string; identifiers: Identifier[] }>;
+
+  submitStats(username: string, update: StatUpdate): Promise<QueuedStats>;
+  statUpdateTypedData(username: string, params: StatUpdate & { deadline?: number }): Promise<TypedStatUpdate>;
+  relayStatUpdate(username: string, params: RelayParams): Promise<{ message: string; txId: string; signer: string; nonce: DecimalString }>;
+
+  submitMatchResult(report: MatchReport): Promise<MatchResult>;
+
+  getTx(id: string): Promise<Tx>;
+  /** Throws ApiError `tx_failed` when the transaction failed, `timeout` after `timeoutMs` (default 5 minutes). */
+  waitForTx(id: string, options?: PollOptions & { status?: 'submitted' | 'confirmed' }): Promise<Tx>;
+
+  listAchievements(): Promise<{ achievements: Array<Record<string, unknown>> }>;
+  getAchievement(tokenId: string | number | bigint): Promise<Record<string, unknown>>;
+  getLeaderboard(query?: LeaderboardQuery): Promise<Leaderboard>;
+  getRank(username: string, query?: { stat?: string }): Promise<Rank>;
+
+  admin: AdminApi;
+}
+
+export function createClient(options: ClientOptions): Client;
@@ -0,0 +1,77 @@
+// Types of @ogprotocol/client/mock.
+import type { Event, Role, Session, SessionListEntry, StatEntries, StatValues } from './index.js';
+
+export const DEFAULT_API_KEYS: {
+  'mock-operator-key': ['operator'];
+  'mock-game-server-key': ['game-server'];
+};
+
+export interface MockServerOptions {
+  /** Default 0: a free port (read it from `url`). */
+  port?: number;
+  host?: string;
+  /** API key -> roles. Defaults to DEFAULT_API_KEYS. */
+  apiKeys?: Record<string, Role[]>;
+  /** Default one hour. */
+  sessionTtlMs?: number;
+  /** Default 15 minutes. */
+  sessionTokenTtlMs?: number;
+  /** Checks /login signatures; by default every signature is accepted. */
+  verifySignature?: (params: { message: string; address: string; signature: string }) => boolean;
+}
+
+export interface MockPlayer {
+  username: string;
+  address: string;
+  stats: StatValues;
+  deployedAt: string;
+  contractAddress: string;
+}
+
+export interface MockRequest {
+  method: string;
+  path: string;
+  query: Record<string, string>;
+  body: Record<string, any>;
+}
+
+export interface MockFailure {
+  /** Error code to answer with (default 'upstream_error'). */
+  code?: string;
+  /** How many matching requests fail (default 1). */
+  times?: number;
+  path?: string;
+  method?: string;
+  message?: string;
+  details?: Record<string, unknown>;
+  /** Sent as Retry-After, in seconds. */
+  retryAfter?: number;
+  /** Close the connection without answering. */
+  drop?: boolean;
+}
+
+export interface MockServer {
+  url: string;
+  port: number;
+  apiKeys: string[];
+  /** Requests received, oldest first. */
+  readonly requests: MockRequest[];
+  /** Forget every player, token, session, match, event and queued failure. */
+  reset(): void;
+  addPlayer(username: string, options?: { address?: string; stats?: StatEntries }): MockPlayer;
+  /** Open a session as a successful /login would, registering the player if needed. */
+  createSession(username: string, options?: { ip?: string; deviceId?: string | null; address?: string }): { fileId: string; sessionToken: string; sessionTokenExpiresAt: string };
+  getPlayer(username: string): MockPlayer | null;
+  getSessions(username: string): SessionListEntry[];
+  expireSession(fileId: string): Session;
+  revokeSession(fileId: string, reason?: string | null): Session;
+  /** Record an event (subject: data.username) and push it to the open notification streams. */
+  emit(type: string, data?: Record<string, unknown>): Event;
+  /** Events emitted so far, oldest first. */
+  readonly events: Event[];
+  /** Fail the next matching requests, e.g. failNext({ code: 'upstream_error', path: '/validatesession' }). */
+  failNext(failure?: MockFailure): void;
+  close(): Promise<void>;
+}
+
+export function createMockServer(options?: MockServerOptions): Promise<MockServer>;
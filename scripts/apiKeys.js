@@ -0,0 +1,38 @@
+/**
+ * Manage admin API keys.
+ * Usage:
+ *   npm run apikeys -- create <name> <role> [role ...]   roles: operator, game-server, read-only
+ *   npm run apikeys -- list
+ *   npm run apikeys -- revoke <id>
+ */
+import { ROLES, createApiKey, listApiKeys, revokeApiKey } from '../backend/apiKeys.js';
+import { recordAudit } from '../backend/auditLog.js';
+
+const [command, ...args] = process.argv.slice(2);
+const actor = { actor: 'cli', actorName: process.env.USER || null };
+
+try {
+  if (command === 'create') {
+    const [name, ...roles] = args;
+    const key = createApiKey({ name, roles, createdBy: 'cli' });
+    recordAudit({ ...actor, action: 'keys.create', params: { name, roles }, outcome: 'ok' });
+    console.log(`Created key ${key.id} (${key.roles.join(', ')}). Store it now, it is not shown again:`);
+    console.log(key.key);
+  } else if (command === 'list') {
+    for (const key of listApiKeys()) {
+      console.log(`${key.id}  ${key.name}  [${key.roles.join(', ')}]  created ${key.createdAt}${key.revokedAt ? `  REVOKED ${key.revokedAt}` : ''}${key.lastUsedAt ? `  last used ${key.lastUsedAt}` : ''}`);
+    }
+  } else if (command === 'revoke') {
+    const revoked = revokeApiKey(args[0]);
+    if (!revoked) throw new Error(`API key ${args[0]} not found or already revoked`);
+    recordAudit({ ...actor, action: 'keys.revoke', target: revoked.id, outcome: 'ok' });
+    console.log(`Revoked key ${revoked.id} (${revoked.name})`);
+  } else {
+    console.log('Usage: npm run apikeys -- create <name> <role...> | list | revoke <id>');
+    console.log(`Roles: ${Object.keys(ROLES).join(', ')}`);
+    process.exit(command ? 1 : 0);
+  }
+} catch (err) {
+  console.error(err?.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,26 @@
+/**
+ * Deploy the soulbound Achievements contract on a network (the default network unless --network is given).
+ * Usage: npm run deploy:achievements [-- --network <name>] [--base-uri <url>]
+ * Token URIs are the base URI + token id; it defaults to ACHIEVEMENTS_BASE_URI, or this server's GET /achievements/.
+ * Then set the network's achievements address in .env.
+ */
+import { deployAchievements } from '../backend/contractManager.js';
+import { getDefaultNetwork } from '../backend/networks.js';
+
+function arg(name) {
+  const flag = process.argv.indexOf(name);
+  return flag === -1 ? undefined : process.argv[flag + 1];
+}
+
+const network = arg('--network') || getDefaultNetwork();
+const baseURI = arg('--base-uri') || process.env.ACHIEVEMENTS_BASE_URI || `http://localhost:${process.env.PORT || 3000}/achievements/`;
+
+try {
+  const address = await deployAchievements(network, { baseURI });
+  const prefix = `NETWORK_${network.toUpperCase().replace(/-/g, '_')}_`;
+  console.log(`Achievements deployed on ${network} at ${address} (token URIs: ${baseURI}<tokenId>)`);
+  console.log(`Add to .env:\n${prefix}ACHIEVEMENTS_ADDRESS=${address}`);
+} catch (err) {
+  console.error('Achievements deployment failed:', err?.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,20 @@
+/**
+ * Deploy the shared PlayerRegistry contract on a network (the default network unless --network is given).
+ * Usage: npm run deploy:registry [-- --network <name>]
+ * Then set the network's registry address (and contract mode) in .env.
+ */
+import { deployRegistry } from '../backend/contractManager.js';
+import { getDefaultNetwork } from '../backend/networks.js';
+
+const flag = process.argv.indexOf('--network');
+const network = flag === -1 ? getDefaultNetwork() : process.argv[flag + 1];
+
+try {
+  const address = await deployRegistry(network);
+  const prefix = `NETWORK_${network.toUpperCase().replace(/-/g, '_')}_`;
+  console.log(`PlayerRegistry deployed on ${network} at ${address}`);
+  console.log(`Add to .env:\n${prefix}REGISTRY_ADDRESS=${address}\n${prefix}CONTRACT_MODE=registry`);
+} catch (err) {
+  console.error('Registry deployment failed:', err?.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,24 @@
+/**
+ * Bundle the compiled PlayerData and PlayerRegistry ABIs as the current contract version in backend/abis
+ * (see backend/contractVersions.js). Run after `npm run compile` when CONTRACT_VERSION changes.
+ * Usage: npm run abi:export
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CURRENT_CONTRACT_VERSION } from '../backend/contractVersions.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const contracts = [['PlayerContract.sol', 'PlayerData'], ['PlayerRegistry.sol', 'PlayerRegistry']];
+
+try {
+  for (const [file, name] of contracts) {
+    const artifact = JSON.parse(fs.readFileSync(path.join(root, 'artifacts', 'contracts', file, `${name}.json`), 'utf8'));
+    const target = path.join(root, 'backend', 'abis', `${name}.v${CURRENT_CONTRACT_VERSION}.json`);
+    fs.writeFileSync(target, `${JSON.stringify(artifact.abi, null, 2)}\n`);
+    console.log(`Wrote ${path.relative(root, target)}`);
+  }
+} catch (err) {
+  console.error('ABI export failed:', err?.message || err);
+  process.exit(1);
+}
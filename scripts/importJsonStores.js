@@ -0,0 +1,71 @@
+/**
+ * Load the legacy JSON stores into the datastore (DATABASE_PATH, SQLite by default):
+ * backend/tokens.json, backend/userContracts.json and backend/registeredSessions.json.
+ * Existing rows are kept unless --overwrite is given; expired login tokens are skipped.
+ * Usage: npm run db:import [-- --overwrite] [-- --dir <directory with the JSON files>]
+ */
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs';
+import { withTransaction, DATABASE_PATH } from '../backend/datastore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const args = process.argv.slice(2);
+const overwrite = args.includes('--overwrite');
+const dirIndex = args.indexOf('--dir');
+const dir = dirIndex === -1 ? path.join(__dirname, '..', 'backend') : path.resolve(args[dirIndex + 1] || '.');
+const verb = overwrite ? 'INSERT OR REPLACE' : 'INSERT OR IGNORE';
+
+// Unlike the old stores, a file that exists but does not parse is an error, not an empty store
+function readJson(name) {
+  const file = path.join(dir, name);
+  if (!fs.existsSync(file)) {
+    console.log(`${name}: not found, skipped`);
+    return null;
+  }
+  const raw = fs.readFileSync(file, 'utf8');
+  try {
+    return raw.trim() ? JSON.parse(raw) : {};
+  } catch (e) {
+    throw new Error(`${file} is not valid JSON: ${e.message}`);
+  }
+}
+
+try {
+  const tokens = readJson('tokens.json');
+  const players = readJson('userContracts.json');
+  const sessions = readJson('registeredSessions.json');
+
+  const counts = withTransaction((db) => {
+    const result = { tokens: 0, players: 0, sessions: 0 };
+    const now = new Date().toISOString();
+
+    const insertToken = db.prepare(`${verb} INTO tokens (uuid, username, data, created_at, expires_at) VALUES (?, ?, ?, ?, ?)`);
+    for (const [uuid, rec] of Object.entries(tokens || {})) {
+      if (!rec?.username || !rec.expiresAt || rec.expiresAt < now) continue;
+      result.tokens += insertToken.run(uuid, rec.username, JSON.stringify(rec.data || {}), rec.createdAt || now, rec.expiresAt).changes;
+    }
+
+    const insertPlayer = db.prepare(`${verb} INTO player_records (username, contract_address, player_address, record, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)`);
+    for (const [username, record] of Object.entries(players || {})) {
+      if (!record?.contractAddress || !record.playerAddress) {
+        console.warn(`userContracts.json: ${username} has no contractAddress/playerAddress, skipped`);
+        continue;
+      }
+      result.players += insertPlayer.run(username, record.contractAddress, record.playerAddress, JSON.stringify(record), record.deployedAt || now, now).changes;
+    }
+
+    const insertSession = db.prepare(`${verb} INTO arkacdn_sessions (id, username, token_uuid, meta) VALUES (?, ?, ?, ?)`);
+    for (const [id, { username, tokenUuid, ...meta } = {}] of Object.entries(sessions || {})) {
+      if (!username) continue;
+      result.sessions += insertSession.run(id, username, tokenUuid ?? null, JSON.stringify(meta)).changes;
+    }
+    return result;
+  });
+
+  console.log(`Imported into ${DATABASE_PATH}: ${counts.tokens} token(s), ${counts.players} player record(s), ${counts.sessions} Arkacdn session(s)`);
+} catch (err) {
+  console.error('Import failed:', err?.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,21 @@
+/**
+ * Run the stat event indexer once on every network with players and print the leaderboard.
+ * Usage: npm run indexer:sync [-- <stat>]
+ * Against a local node: start `npm run dev:node`, then DEFAULT_NETWORK=hardhat npm run indexer:sync
+ */
+import { syncOnce, getLeaderboard } from '../backend/indexer.js';
+
+const stat = process.argv[2] || 'kills';
+
+try {
+  const ranges = await syncOnce();
+  for (const [network, range] of Object.entries(ranges)) {
+    console.log(`${network}: ${range ? `indexed blocks ${range.from}-${range.to}` : 'already at the chain head'}`);
+  }
+  const board = getLeaderboard(stat, { limit: 20 });
+  console.log(`Top ${board.entries.length} of ${board.total} by ${board.stat}:`);
+  for (const entry of board.entries) console.log(`${String(entry.rank).padStart(4)}  ${entry.username}  ${entry.value}`);
+} catch (err) {
+  console.error('Indexer sync failed:', err?.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,44 @@
+/**
+ * Copy the stats of every identifier from each per-player PlayerData contract into the PlayerRegistry of the player's
+ * network and repoint the player records in the datastore.
+ * Usage: npm run migrate:registry [-- --dry-run] [-- --network <name>] [-- username ...]
+ */
+import { migratePlayerToRegistry, readPlayerRecords } from '../backend/contractManager.js';
+import { recordNetwork } from '../backend/networks.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const flag = args.indexOf('--network');
+const network = flag === -1 ? null : args[flag + 1];
+const only = args.filter((a, i) => !a.startsWith('--') && (flag === -1 || i !== flag + 1));
+
+const records = readPlayerRecords();
+const usernames = (only.length ? only : Object.keys(records))
+  .filter((username) => records[username] && records[username].mode !== 'registry')
+  .filter((username) => !network || recordNetwork(records[username]) === network);
+
+if (usernames.length === 0) {
+  console.log('Nothing to migrate.');
+  process.exit(0);
+}
+
+console.log(`${dryRun ? '[dry run] ' : ''}Migrating ${usernames.length} player(s) to the registry`);
+
+const failures = [];
+for (const username of usernames) {
+  try {
+    const result = await migratePlayerToRegistry(username, { dryRun });
+    console.log(`${username}: ${result.from} -> ${result.to}${result.migrated ? '' : ' (not written)'}`);
+    for (const { identifier, byId, stats } of result.entries) {
+      console.log(`  ${identifier}${byId ? ' (id hash)' : ''}: ${Object.entries(stats).map(([name, value]) => `${name}=${value}`).join(' ')}`);
+    }
+  } catch (err) {
+    failures.push(username);
+    console.error(`${username}: migration failed: ${err?.message || err}`);
+  }
+}
+
+if (failures.length) {
+  console.error(`${failures.length} player(s) failed: ${failures.join(', ')}`);
+  process.exit(1);
+}
@@ -0,0 +1,18 @@
+/**
+ * Rotate the ES256 key used to sign session tokens.
+ * The previous key keeps validating (and stays in /.well-known/jwks.json) for
+ * SESSION_KEY_RETENTION_SECONDS, so tokens already issued remain valid until they expire. Running servers
+ * sharing the datastore sign with the new key within a minute.
+ * Usage: npm run keys:rotate
+ */
+import { rotateSigningKey } from '../backend/sessionTokens.js';
+
+try {
+  const { kid, retired, dropped } = rotateSigningKey();
+  console.log(`New signing key: ${kid}`);
+  if (retired) console.log(`Retired key: ${retired}`);
+  for (const old of dropped) console.log(`Dropped expired key: ${old}`);
+} catch (err) {
+  console.error('Key rotation failed:', err?.message || err);
+  process.exit(1);
+}
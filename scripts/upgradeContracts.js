@@ -0,0 +1,65 @@
+/**
+ * Upgrade every per-player contract on an old version to the current one (redeploy and copy its state,
+ * see upgradePlayerContract), then report the failures. Records written before versions were stored are
+ * detected on-chain first. Upgrades left half-way by a failure are resumed on the next run.
+ * Registry players on an old version cannot be upgraded here (they follow their network's registry, see
+ * npm run deploy:registry) and are reported as not upgradable, failing the run like other failures.
+ * Stop the server first: the upgrade sends through the same owner tx queue.
+ * Usage: npm run upgrade:contracts [-- --dry-run] [-- --network <name>] [-- username ...]
+ */
+import { readPlayerRecords, resolveContractVersion, upgradePlayerContract } from '../backend/contractManager.js';
+import { CURRENT_CONTRACT_VERSION } from '../backend/contractVersions.js';
+import { recordNetwork } from '../backend/networks.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const flag = args.indexOf('--network');
+const network = flag === -1 ? null : args[flag + 1];
+const only = args.filter((a, i) => !a.startsWith('--') && (flag === -1 || i !== flag + 1));
+
+const records = readPlayerRecords();
+const usernames = (only.length ? only : Object.keys(records))
+  .filter((username) => records[username])
+  .filter((username) => !network || recordNetwork(records[username]) === network);
+
+const failures = [];
+const outdated = [];
+const notUpgradable = [];
+for (const username of usernames) {
+  const record = records[username];
+  try {
+    const version = await resolveContractVersion(username, record);
+    if (record.mode === 'registry') {
+      if (version < CURRENT_CONTRACT_VERSION) notUpgradable.push({ username, version });
+    } else if (record.upgrade || version < CURRENT_CONTRACT_VERSION) {
+      outdated.push(username);
+    }
+  } catch (err) {
+    failures.push(username);
+    console.error(`${username}: version detection failed: ${err?.message || err}`);
+  }
+}
+
+for (const { username, version } of notUpgradable) {
+  console.error(`${username}: not upgradable: registry ${records[username].contractAddress} is on v${version} and registry players follow their network's registry`);
+}
+console.log(`${dryRun ? '[dry run] ' : ''}Upgrading ${outdated.length} player contract(s) to v${CURRENT_CONTRACT_VERSION}`);
+
+for (const username of outdated) {
+  try {
+    const result = await upgradePlayerContract(username, { dryRun });
+    console.log(`${username}: v${result.fromVersion} ${result.from} -> v${result.toVersion} ${result.to ?? '(new contract)'}, ${result.entries} entr${result.entries === 1 ? 'y' : 'ies'}${result.upgraded ? '' : ' (not written)'}`);
+  } catch (err) {
+    failures.push(username);
+    console.error(`${username}: upgrade failed: ${err?.message || err}`);
+  }
+}
+
+if (notUpgradable.length) {
+  console.error(`${notUpgradable.length} player(s) not upgradable: ${notUpgradable.map((p) => p.username).join(', ')}`);
+}
+if (failures.length) {
+  console.error(`${failures.length} player(s) failed: ${failures.join(', ')}`);
+}
+if (failures.length || notUpgradable.length) process.exit(1);
+process.exit(0);
@@ -2,209 +2,1273 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import express from 'express';
-import { createContract, getUserContract, getPlayerRecord } from './backend/contractManager.js';
-import { createToken, getToken, registerSession, getSessionForUsername } from './backend/sessionManager.js';
+import { getUserContract, getPlayerRecord, updateUserStats, listPlayerRecords, transferContractOwnership, listPlayerIdentifiers, isPlayerIdentifier, linkPlayerIdentifier, unlinkPlayerIdentifier, setPrimaryIdentifier } from './backend/contractManager.js';
+import { createToken, getToken, registerSession, getSessionForUsername, getSessionStatus, endSession, revokeSession, revokeUserSessions, listSessions } from './backend/sessionManager.js';
+import { issueSessionToken, verifySessionToken, getJwks } from './backend/sessionTokens.js';
+import { createChallenge, verifyChallenge, resolveVerifier, createTokenRequestMessage, createLinkMessage, verifyLinkRequest } from './backend/walletAuth.js';
+import { rateLimit, consume, getLoginLockout, recordLoginFailure, clearLoginFailures } from './backend/rateLimiter.js';
+import { runTokenChecks, issuePowChallenge, checkTokenProof, verifyAccountSession } from './backend/tokenGuard.js';
+import { requirePermission, resolveSessionIp, getRequestApiKey } from './backend/auth.js';
+import { ROLES, createApiKey, listApiKeys, revokeApiKey, permissionsFor } from './backend/apiKeys.js';
+import { withAudit, listAudit } from './backend/auditLog.js';
+import { listEvents } from './backend/events.js';
+import { parseSubscription, openNotificationStream } from './backend/notifications.js';
+import { createWebhook, listWebhooks, disableWebhook, listDeliveries, retryDelivery, startWebhookDispatcher, stopWebhookDispatcher } from './backend/webhooks.js';
+import { parseStatEntries } from './backend/statNames.js';
+import { getDefaultNetwork, configureNetworks, closeNetworks, listNetworks, describeNetworks, recordNetwork, getTx, startTxQueues } from './backend/networks.js';
+import { startIndexer, stopIndexer, getLeaderboard, getPlayerRank } from './backend/indexer.js';
+import { getProfile, updateProfile, mergeProfile } from './backend/profiles.js';
+import { listAchievementRules, listPlayerAchievements, getAchievementMetadata, evaluateAchievements, startAchievementEngine, stopAchievementEngine } from './backend/achievements.js';
+import { validateMatchReport, checkParticipants, hasMatch, submitMatchResult } from './backend/matchManager.js';
+import { ApiError, sendError, errorHandler } from './backend/errors.js';
+import { validate, object, string, schemas as S } from './backend/validation.js';
+import { buildOpenApiSpec } from './backend/openapi.js';
+import { prepareStatUpdate, relayStatUpdate, setStatSigner } from './backend/metaTx.js';
+import { getRegistration, startRegistration, resumeRegistrations } from './backend/registrations.js';
+import { clientIp } from './backend/clientIp.js';
+import { useDatabase } from './backend/datastore.js';
+import { setSessionStore } from './backend/sessionStore.js';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import cors from 'cors';
 
-const app = express();
-const port = process.env.PORT || 3000;
+/**
+ * Build the Express app. Dependencies default to the env configuration (see the modules below);
+ * pass them to run the API against other ones, e.g. a test chain and a throwaway database:
+ * @param {Object} [deps]
+ * @param {import('better-sqlite3').Database} [deps.db] from openDatabase (backend/datastore.js); also holds the tx queues, the indexer state, match results, stat names and the session token keys
+ * @param {Object} [deps.networks] configureNetworks options (backend/networks.js): networks with their own provider / signer
+ * @param {Object} [deps.sessionStore] from createSessionStore (backend/sessionStore.js), e.g. Arkacdn at another url
+ * @returns {import('express').Express}
+ */
+function createApp({ db, networks, sessionStore } = {}) {
+  if (db) useDatabase(db);
+  if (networks) configureNetworks(networks);
+  if (sessionStore) setSessionStore(sessionStore);
 
-app.use(cors({
-  origin: '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-}));
-app.options('*', cors());
-app.use(express.json());
+  const app = express();
 
+  app.use(cors({
+    origin: '*',
+    methods: ['GET', 'POST', 'PATCH', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Api-Key', 'Last-Event-ID'],
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining'],
+  }));
+  app.options('*', cors());
+  app.use(express.json());
+  app.use(clientIp);
 
+  // String field from the JSON body / query string, or null (used to key rate limits, which run before validation)
+  function bodyString(req, field) {
+    const value = req.body?.[field];
+    return typeof value === 'string' ? value : null;
+  }
 
-app.get('/', (req, res) => {
-  res.send('OG Protocol Backend is running!');
-});
+  function queryString(req, field) {
+    const value = req.query[field];
+    return typeof value === 'string' ? value : null;
+  }
 
-/*
- * Register user contract endpoint (req.body)
- *
- * Disabled: user registration via this endpoint is commented out on purpose.
- * To register a user programmatically, call `createContract(username, address)`
- * from server-side flows (for example during /login when user is missing).
- */
-/*
-app.post('/user', async (req, res) => {
-  const { username, address } = req.body;
+  // Key of the per-client username limits (see LIMITS in backend/rateLimiter.js)
+  function clientAndUsername(req, username) {
+    return username === null ? null : `${req.clientIp}:${username}`;
+  }
 
-  if (!username || !address) {
-    return res.status(400).json({ error: 'Username and address are required' });
+  // Express 4 does not pass rejected promises on: hand them to the error handler
+  function handle(fn) {
+    return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
   }
 
-  try {
-    const contract = await createContract(username, address);
-    res.status(201).json({
-      message: 'Player registered successfully',
-      contractAddress: contract.target,
-      record: getPlayerRecord(username),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message || 'Failed to create contract' });
+  // A chain RPC, the session store or another upstream call failed
+  function upstreamError(res, err, message) {
+    console.error(`${message}:`, err);
+    return sendError(res, 'upstream_error', err?.message || message);
   }
-});
-*/
 
+  // Session lookup results other than 'active' / allowed, as error responses
+  const SESSION_ERRORS = {
+    no_session: ['session_not_found', 'No session exists for this username'],
+    ip_mismatch: ['session_ip_mismatch', 'A session exists for another ip'],
+    expired: ['session_expired', 'The session expired'],
+    revoked: ['session_revoked', 'The session was revoked'],
+  };
 
-/**
- * Login: accepts { username, token, address, ip }
- * - validates the token
- * - if user does not exist, auto-registers via createContract(username, address)
- * - registers a session via Arkacdn (registerSession)
- */
-app.post('/login', async (req, res) => {
-  const { username, token, address, ip } = req.body;
-  const storedToken = getToken(token);
-  if (!storedToken || storedToken.username !== username) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
+  function sendSessionError(res, reason) {
+    const [code, message] = SESSION_ERRORS[reason] || ['internal_error', `Unexpected session status ${reason}`];
+    return sendError(res, code, message);
   }
 
-  if (!address || typeof address !== 'string') {
-    return res.status(400).json({ error: 'address (wallet) is required in body' });
+  // The ip to bind or check the player's session against (see resolveSessionIp), or null once the error is sent
+  function sessionIp(req, res, claimedIp) {
+    const resolved = resolveSessionIp(req, claimedIp);
+    if (resolved.ok) return resolved.ip;
+    sendError(res, 'permission_denied', 'ip is only accepted from API keys with the sessions:vouch permission (a game server vouching for the player)', { required: 'sessions:vouch' });
+    return null;
   }
 
-  if (!ip || typeof ip !== 'string') {
-    return res.status(400).json({ error: 'ip is required in body' });
-  }
+  const page = (limit = S.limit()) => ({ limit, offset: S.offset });
+  const usernameParams = object({ username: S.username }, { required: ['username'] });
+  const idParams = object({ id: string(128) }, { required: ['id'] });
+
+  /**
+   * Liveness check
+   * GET /
+   */
+  app.get('/', validate({ summary: 'Liveness check', tags: ['meta'], responses: { 200: 'Plain-text banner' } }), (req, res) => {
+    res.send('OG Protocol Backend is running!');
+  });
+
+  /**
+   * OpenAPI 3.1 document generated from the route schemas
+   * GET /openapi.json
+   */
+  let openApiSpec = null;
+  app.get('/openapi.json', validate({ summary: 'OpenAPI document of this API', tags: ['meta'] }), (req, res) => {
+    openApiSpec ||= buildOpenApiSpec(app, { version: process.env.npm_package_version || '1.0.0' });
+    res.json(openApiSpec);
+  });
+
+  /**
+   * Issue a wallet sign-in challenge for a login token.
+   * POST /login/challenge  { token, address }
+   * Returns an EIP-4361 style message that the wallet must sign and send back to /login.
+   * Calling it again replaces the previous challenge for that token.
+   */
+  app.post('/login/challenge', rateLimit('loginPerIp', (req) => req.clientIp), validate({
+    summary: 'Issue a wallet sign-in challenge for a login token',
+    body: object({ token: S.token, address: S.address }, { required: ['token', 'address'] }),
+  }), handle(async (req, res) => {
+    const { token, address } = req.body;
+    if (!getToken(token)) return sendError(res, 'token_invalid', 'Invalid or expired token');
+
+    try {
+      const challenge = await createChallenge(token, address);
+      return res.json(challenge);
+    } catch (err) {
+      return sendError(res, 'invalid_request', err?.message || 'Failed to create challenge');
+    }
+  }));
+
+
+  /**
+   * Login: accepts { username, token, address, signature, deviceId?, ip? }
+   * - validates the token
+   * - verifies `signature` over the challenge issued by /login/challenge for that token and address
+   * - if user does not exist, starts (or resumes) their registration job without waiting for it: the response
+   *   carries `registration` ({ status, ... }, poll GET /registration/:username); the session works meanwhile
+   * - registers a session through the configured session store (registerSession), bound to the caller's ip
+   *   (`ip` only when a game server vouches for the player, see resolveSessionIp)
+   * - returns a signed `sessionToken` game servers can validate offline (see /.well-known/jwks.json)
+   * Failures count towards a lockout; the one that triggers it carries details.lockedOut and details.retryAfter.
+   */
+  const loginLimits = [
+    rateLimit('loginPerIp', (req) => req.clientIp),
+    rateLimit('loginPerClientUsername', (req) => clientAndUsername(req, bodyString(req, 'username'))),
+    rateLimit('loginPerUsername', (req) => bodyString(req, 'username')),
+  ];
+  app.post('/login', loginLimits, validate({
+    summary: 'Sign in with a wallet signature over the /login/challenge message',
+    description: 'Unknown usernames are registered on the spot. Returns a signed session token game servers can verify offline.',
+    body: object({ username: S.username, token: S.token, address: S.address, signature: S.signature, ip: S.ip, deviceId: S.deviceId }, { required: ['username', 'token', 'address', 'signature'] }),
+  }), handle(async (req, res) => {
+    const { username, token, address, signature, deviceId } = req.body;
+    const ip = sessionIp(req, res, req.body.ip);
+    if (!ip) return;
+
+    const lockout = await getLoginLockout(username, req.clientIp);
+    if (lockout.locked) {
+      res.set('Retry-After', String(lockout.retryAfter));
+      return sendError(res, 'locked_out', 'Too many failed login attempts', { retryAfter: lockout.retryAfter });
+    }
+
+    // Failed attempts count towards the lockout of this username from this client
+    const fail = async (code, message, details = {}) => {
+      const lock = await recordLoginFailure(username, req.clientIp);
+      if (lock.locked) res.set('Retry-After', String(lock.retryAfter));
+      const merged = lock.locked ? { ...details, lockedOut: true, retryAfter: lock.retryAfter } : details;
+      return sendError(res, code, message, Object.keys(merged).length ? merged : undefined);
+    };
+
+    const storedToken = getToken(token);
+    if (!storedToken || storedToken.username !== username) {
+      return fail('token_invalid', 'Invalid or expired token');
+    }
 
-  try {
-    // If user not registered, create their contract (register user)
+    // Registered users must log in with their primary or a linked identifier, registering ones with the identifier they register
     const record = getPlayerRecord(username);
+    const registration = record ? null : getRegistration(username);
+    if (record || registration) {
+      const resolved = await resolveVerifier(address);
+      const known = resolved && (record ? isPlayerIdentifier(username, resolved.address) : resolved.address === registration.playerAddress);
+      if (!known) return fail('identifier_not_linked', 'address is not linked to this user');
+    }
+
+    const proof = await verifyChallenge(token, address, signature);
+    if (!proof.verified) {
+      return fail('signature_invalid', 'Wallet signature verification failed', { reason: proof.reason });
+    }
+    await clearLoginFailures(username, req.clientIp);
+
+    // Unregistered users get a registration job; a stopped one is resumed from its last completed step
+    let pendingRegistration = null;
     if (!record) {
       try {
-        // createContract may deploy on-chain; surface any errors
-        const contract = await createContract(username, address);
-        console.log(`Auto-registered user ${username} with contract ${contract.target}`);
+        pendingRegistration = startRegistration(username, proof.address);
       } catch (regErr) {
-        console.error('Failed to auto-register user:', regErr);
-        return res.status(500).json({ error: 'Failed to auto-register user', details: regErr?.message || String(regErr) });
+        if (regErr instanceof ApiError) throw regErr;
+        return upstreamError(res, regErr, 'Failed to start the registration');
       }
     }
 
-    const result = await registerSession(token, ip);
-    return res.status(200).json({ message: 'Session registered', fileId: result.fileId, session: result.session, arkacdn: result.arkacdn });
-  } catch (err) {
-    console.error('Failed to register session:', err);
-    return res.status(502).json({ error: err?.message || 'Failed to register session' });
-  }
+    try {
+      const result = await registerSession(token, ip, { deviceId });
+      const signed = issueSessionToken({ ...result.session, fileId: result.fileId });
+      return res.status(200).json({
+        message: 'Session registered',
+        fileId: result.fileId,
+        session: result.session,
+        sessionToken: signed.token,
+        sessionTokenExpiresAt: signed.expiresAt,
+        arkacdn: result.arkacdn,
+        ...(pendingRegistration ? { registration: pendingRegistration } : {}),
+      });
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to register session');
+    }
+  }));
 
-});
+  /**
+   * Issue a fresh signed session token for a live session (tokens are short-lived)
+   * POST /session/token  { username, fileId, deviceId?, ip? }
+   */
+  app.post('/session/token', validate({
+    summary: 'Issue a fresh signed session token for a live session',
+    body: object({ username: S.username, fileId: S.fileId, ip: S.ip, deviceId: S.deviceId }, { required: ['username', 'fileId'] }),
+  }), handle(async (req, res) => {
+    const { username, fileId, deviceId } = req.body;
+    const ip = sessionIp(req, res, req.body.ip);
+    if (!ip) return;
+    let result;
+    try {
+      result = await getSessionForUsername(username, ip, { deviceId });
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to issue session token');
+    }
+    if (!result.allowed) return sendSessionError(res, result.reason);
+    if (result.fileId !== fileId) return sendError(res, 'session_not_found', 'No active session for this fileId');
 
+    const signed = issueSessionToken({ ...result.session, fileId });
+    return res.json({ sessionToken: signed.token, sessionTokenExpiresAt: signed.expiresAt });
+  }));
 
-app.get('/user/:username', async (req, res) => {
-  const { username } = req.params;
-  const record = getPlayerRecord(username);
-  if (!record) {
-    return res.status(404).json({ error: 'User not found' });
-  }
+  /**
+   * Public keys for verifying session tokens (ES256). Retired keys stay listed until their tokens expire.
+   * GET /.well-known/jwks.json
+   */
+  app.get('/.well-known/jwks.json', validate({ summary: 'Public keys for verifying session tokens (JWKS)' }), (req, res) => {
+    try {
+      res.set('Cache-Control', 'public, max-age=300');
+      return res.json(getJwks());
+    } catch (err) {
+      console.error('Failed to load session keys:', err);
+      return sendError(res, 'internal_error', err?.message || 'Failed to load session keys');
+    }
+  });
 
-  const contract = await getUserContract(username);
-  if (!contract) {
-    return res.status(404).json({ error: 'Contract not found for user' });
+  // For routes a player calls with their session token: a caller sending an API key instead needs `permission`
+  function requirePermissionIfApiKey(permission) {
+    const check = requirePermission(permission);
+    return (req, res, next) => (getRequestApiKey(req) ? check(req, res, next) : next());
   }
 
-  res.json(contract);
-});
+  /**
+   * Logout: end one session (the fileId returned by /login)
+   * POST /logout  { username, fileId, sessionToken, ip?, deviceId? }
+   * Needs a signed session token of that very session, or an API key with sessions:revoke instead.
+   */
+  app.post('/logout', requirePermissionIfApiKey('sessions:revoke'), validate({
+    summary: 'End one session',
+    description: 'Needs a `sessionToken` of that session, or an API key with the sessions:revoke permission.',
+    body: object({ username: S.username, fileId: S.fileId, ...S.sessionProof }, { required: ['username', 'fileId'] }),
+  }), handle(async (req, res) => {
+    const { username, fileId, sessionToken, deviceId } = req.body;
+    if (!req.principal) {
+      if (!sessionToken) return sendError(res, 'session_required', 'sessionToken is required in body');
+      const ip = sessionIp(req, res, req.body.ip);
+      if (!ip) return;
+      const session = await verifyAccountSession(username, { sessionToken, ip, deviceId: deviceId ?? null });
+      if (!session.ok) return sendError(res, 'session_rejected', 'Session proof rejected', { reason: session.reason });
+      if (session.fileId !== fileId) return sendError(res, 'session_rejected', 'Session proof rejected', { reason: 'session_mismatch' });
+    }
+    try {
+      const end = () => endSession(username, fileId);
+      const ended = await (req.principal ? withAudit(req, { action: 'sessions.logout', target: fileId, params: { username } }, end) : end());
+      if (!ended) return sendError(res, 'session_not_found', 'Session not found');
+      return res.json({ ok: true });
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to end session');
+    }
+  }));
 
-/**
- * Create a login token for a given username.
- * GET /token?username=<username>
- *
- */
-app.get('/token', async (req, res) => {
-  try {
-    const username = req.query.username;
-    if (!username || typeof username !== 'string') return res.status(400).json({ error: 'username query parameter is required' });
+  /*
+   * Admin API. Every route needs an API key (X-Api-Key or Bearer) whose roles grant the route's
+   * permission: `operator` (everything), `game-server` (stats and match reports) or `read-only`.
+   * Keys come from POST /admin/api-keys or `npm run apikeys`; ADMIN_API_KEY / GAME_SERVER_API_KEY
+   * in env act as an operator / game-server key. Mutations are written to the audit log, and so are
+   * refused requests to any route; successful reads are not.
+   */
 
-    // createToken will throw on invalid args; we do NOT check getPlayerRecord here
-    const token = createToken(username, { createdFor: username });
+  /**
+   * The calling key and its permissions
+   * GET /admin/whoami
+   */
+  app.get('/admin/whoami', requirePermission('users:read'), validate({ summary: 'The calling API key and its permissions' }), (req, res) => {
+    res.json({ ...req.principal, permissions: permissionsFor(req.principal.roles) });
+  });
 
-    return res.json({ token });
-  } catch (err) {
-    console.error('Failed to create token:', err);
-    return res.status(500).json({ error: err?.message || 'Failed to create token' });
+  /**
+   * List registered users
+   * GET /admin/users?limit=50&offset=0   (users:read)
+   */
+  app.get('/admin/users', requirePermission('users:read'), validate({ summary: 'List registered users', query: object(page()) }), (req, res) => {
+    const { limit, offset } = req.query;
+    const { total, records } = listPlayerRecords({ limit, offset });
+    res.json({
+      total,
+      limit,
+      offset,
+      users: records.map((record) => {
+        const { username, contractAddress, mode, owner, playerAddress, deployedAt } = record;
+        return { username, network: recordNetwork(record), contractAddress, mode: mode || 'per-player', owner, playerAddress, deployedAt };
+      }),
+    });
+  });
+
+  /**
+   * Register a user manually (deploys a PlayerData contract or adds a registry record)
+   * POST /admin/users  { username, address, network? }   (users:register)
+   * `network` defaults to the default network (see GET /networks). Registration runs as a job:
+   * responds 202 with it (poll GET /registration/:username). Posting the same body again resumes a stopped job.
+   */
+  app.post('/admin/users', requirePermission('users:register'), validate({
+    summary: 'Register a user manually',
+    body: object({ username: S.username, address: S.address, network: { ...S.network, enum: listNetworks(), default: getDefaultNetwork() } }, { required: ['username', 'address'] }),
+    responses: { 202: 'Registration started or resumed (see GET /registration/:username)' },
+  }), handle(async (req, res) => {
+    const { username, address, network } = req.body;
+    try {
+      const registration = await withAudit(req, { action: 'users.register', target: username, params: { address, network } }, () => startRegistration(username, address, { network }));
+      return res.status(202).json({ message: 'Registration started', registration });
+    } catch (err) {
+      if (err instanceof ApiError) throw err;
+      return upstreamError(res, err, 'Failed to register user');
+    }
+  }));
+
+  // Check the `set` / `increment` stat entries of a body, or send the error response and return false
+  function checkStatEntries(res, { set, increment }) {
+    if (!set && !increment) {
+      sendError(res, 'invalid_request', 'set and/or increment objects are required in body');
+      return false;
+    }
+    try {
+      if (set) parseStatEntries(set);
+      if (increment) parseStatEntries(increment);
+    } catch (err) {
+      sendError(res, 'invalid_request', err.message);
+      return false;
+    }
+    return true;
   }
-});
 
-/**
- * Validate a token by id
- * GET /token/validate/:id
- */
-app.get('/token/validate/:id', (req, res) => {
-  try {
-    const id = req.params.id;
-    if (!id) return res.status(400).json({ error: 'token id is required' });
+  /**
+   * Correct a user's stats (same body as POST /user/:username/stats, plus a reason for the audit log)
+   * POST /admin/users/:username/stats  { set?, increment?, reason? }   (stats:correct)
+   */
+  app.post('/admin/users/:username/stats', requirePermission('stats:correct'), validate({
+    summary: "Correct a user's stats",
+    params: usernameParams,
+    body: object({ set: S.statEntries, increment: S.statEntries, reason: S.reason }),
+    responses: { 202: 'Corrections queued (see GET /tx/:id)' },
+  }), handle(async (req, res) => {
+    const { username } = req.params;
+    const { set, increment, reason } = req.body;
+    if (!checkStatEntries(res, req.body)) return;
+    if (!getPlayerRecord(username)) return sendError(res, 'user_not_found', 'User not found');
 
-    const token = getToken(id);
-    if (!token) return res.status(404).json({ valid: false });
+    try {
+      const params = { set, increment, reason: reason ?? null };
+      const txIds = await withAudit(req, { action: 'stats.correct', target: username, params }, () => updateUserStats(username, { set, increment }));
+      return res.status(202).json({ message: 'Stat corrections queued', txIds });
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to correct stats');
+    }
+  }));
 
-    return res.json({ valid: true, token });
-  } catch (err) {
-    console.error('Token validation failed:', err);
-    return res.status(500).json({ error: err?.message || 'Token validation failed' });
+  /**
+   * Transfer ownership of a user's PlayerData contract (not possible for registry players)
+   * POST /admin/users/:username/transfer-ownership  { newOwner }   (contracts:transfer)
+   * Once transferred the server can no longer write that user's stats.
+   */
+  app.post('/admin/users/:username/transfer-ownership', requirePermission('contracts:transfer'), validate({
+    summary: "Transfer ownership of a user's PlayerData contract",
+    params: usernameParams,
+    body: object({ newOwner: S.address }, { required: ['newOwner'] }),
+  }), handle(async (req, res) => {
+    const { username } = req.params;
+    const { newOwner } = req.body;
+    const record = getPlayerRecord(username);
+    if (!record) return sendError(res, 'user_not_found', 'User not found');
+    if (record.mode === 'registry') return sendError(res, 'operation_not_supported', 'Registry players share one contract; ownership cannot be transferred per player');
+
+    try {
+      const result = await withAudit(req, { action: 'contracts.transfer-ownership', target: username, params: { newOwner } }, () => transferContractOwnership(username, newOwner));
+      return res.json(result);
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to transfer ownership');
+    }
+  }));
+
+  /**
+   * Allow or disallow an address (e.g. a game server's) to sign stat updates for a user
+   * POST /admin/users/:username/stat-signers  { signer, allowed }   (signers:manage)
+   * Registry players share one contract: the change applies to every player of that registry.
+   */
+  app.post('/admin/users/:username/stat-signers', requirePermission('signers:manage'), validate({
+    summary: "Allow or disallow a stat signer on a user's contract",
+    params: usernameParams,
+    body: object({ signer: S.address, allowed: { type: 'boolean' } }, { required: ['signer', 'allowed'] }),
+    responses: { 202: 'Change queued (see GET /tx/:id)' },
+  }), handle(async (req, res) => {
+    const { username } = req.params;
+    const { signer, allowed } = req.body;
+    try {
+      const result = await withAudit(req, { action: 'contracts.stat-signer', target: username, params: { signer, allowed } }, () => setStatSigner(username, signer, allowed));
+      return res.status(202).json(result);
+    } catch (err) {
+      if (err instanceof ApiError) throw err;
+      return upstreamError(res, err, 'Failed to change the stat signer');
+    }
+  }));
+
+  /**
+   * List a user's sessions with their status
+   * GET /admin/users/:username/sessions   (sessions:read)
+   */
+  app.get('/admin/users/:username/sessions', requirePermission('sessions:read'), validate({ summary: "List a user's sessions", params: usernameParams }), handle(async (req, res) => {
+    try {
+      return res.json({ username: req.params.username, sessions: await listSessions(req.params.username) });
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to list sessions');
+    }
+  }));
+
+  /**
+   * Revoke one session
+   * POST /admin/sessions/:id/revoke  { reason? }   (sessions:revoke)
+   */
+  app.post('/admin/sessions/:id/revoke', requirePermission('sessions:revoke'), validate({
+    summary: 'Revoke one session',
+    params: object({ id: S.fileId }, { required: ['id'] }),
+    body: object({ reason: S.reason }),
+  }), handle(async (req, res) => {
+    const reason = req.body.reason ?? null;
+    try {
+      const revoked = await withAudit(req, { action: 'sessions.revoke', target: req.params.id, params: { reason } }, () => revokeSession(req.params.id, reason));
+      if (!revoked) return sendError(res, 'session_not_found', 'Session not found');
+      return res.json(revoked);
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to revoke session');
+    }
+  }));
+
+  /**
+   * Revoke every session of a user
+   * POST /admin/users/:username/sessions/revoke  { reason? }   (sessions:revoke)
+   */
+  app.post('/admin/users/:username/sessions/revoke', requirePermission('sessions:revoke'), validate({
+    summary: 'Revoke every session of a user',
+    params: usernameParams,
+    body: object({ reason: S.reason }),
+  }), handle(async (req, res) => {
+    const reason = req.body.reason ?? null;
+    try {
+      const revoked = await withAudit(req, { action: 'sessions.revoke-all', target: req.params.username, params: { reason } }, () => revokeUserSessions(req.params.username, reason));
+      return res.json({ username: req.params.username, revoked });
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to revoke sessions');
+    }
+  }));
+
+  /**
+   * API keys (secrets are never returned after creation)
+   * GET /admin/api-keys   (keys:manage)
+   */
+  app.get('/admin/api-keys', requirePermission('keys:manage'), validate({ summary: 'List API keys' }), (req, res) => {
+    res.json({ keys: listApiKeys() });
+  });
+
+  /**
+   * Create an API key; the response is the only time the key is shown
+   * POST /admin/api-keys  { name, roles: ['operator'|'game-server'|'read-only'] }   (keys:manage)
+   */
+  app.post('/admin/api-keys', requirePermission('keys:manage'), validate({
+    summary: 'Create an API key (the key is only shown in this response)',
+    body: object({
+      name: string(100),
+      roles: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', enum: Object.keys(ROLES) } },
+    }, { required: ['name', 'roles'] }),
+    responses: { 201: 'Created' },
+  }), handle(async (req, res) => {
+    const { name, roles } = req.body;
+    try {
+      const key = await withAudit(req, { action: 'keys.create', params: { name, roles } }, () => createApiKey({ name, roles, createdBy: req.principal.id }));
+      return res.status(201).json(key);
+    } catch (err) {
+      return sendError(res, 'invalid_request', err?.message || 'Failed to create API key');
+    }
+  }));
+
+  /**
+   * Revoke an API key
+   * POST /admin/api-keys/:id/revoke   (keys:manage)
+   */
+  app.post('/admin/api-keys/:id/revoke', requirePermission('keys:manage'), validate({ summary: 'Revoke an API key', params: idParams }), handle(async (req, res) => {
+    const revoked = await withAudit(req, { action: 'keys.revoke', target: req.params.id }, () => revokeApiKey(req.params.id));
+    if (!revoked) return sendError(res, 'api_key_not_found', 'API key not found or already revoked');
+    return res.json(revoked);
+  }));
+
+  /**
+   * Audit log, newest first
+   * GET /admin/audit?limit=50&offset=0&action=&actor=&target=   (audit:read)
+   */
+  app.get('/admin/audit', requirePermission('audit:read'), validate({
+    summary: 'Audit log, newest first',
+    query: object({ ...page(), action: string(128), actor: string(128), target: string(256) }),
+  }), (req, res) => {
+    const { limit, offset, action, actor, target } = req.query;
+    res.json(listAudit({ limit, offset, action, actor, target }));
+  });
+
+  /**
+   * Event stream in emission order; pass the last `seq` seen as `after` to page through it
+   * GET /admin/events?after=0&limit=100&type=session.*&subject=   (events:read)
+   */
+  app.get('/admin/events', requirePermission('events:read'), validate({
+    summary: 'Event stream in emission order',
+    query: object({
+      after: { type: 'integer', minimum: 0, default: 0, description: 'Last `seq` seen' },
+      limit: S.limit(500, 100),
+      type: string(128, { description: "Event type, or a prefix pattern such as 'session.*'" }),
+      subject: S.username,
+    }),
+  }), (req, res) => {
+    const { after, limit, type, subject } = req.query;
+    const events = listEvents({ after, limit, type, subject });
+    res.json({ after, next: events.length ? events[events.length - 1].seq : after, events });
+  });
+
+  /**
+   * Live notifications over Server-Sent Events   (notifications:read)
+   * GET /notifications?channels=user:alice,sessions&types=session.*&after=
+   * channels: user:<username>, sessions, stats, users, achievements or * (see backend/notifications.js).
+   * Events carry their `seq` as the SSE id; reconnecting with Last-Event-ID (or `after`) replays the ones missed.
+   * Game servers subscribe to their players' channels to drop a player once their session is replaced, ended or revoked.
+   */
+  app.get('/notifications', requirePermission('notifications:read'), validate({
+    summary: 'Live notifications over Server-Sent Events',
+    description: 'A `text/event-stream` of events matching the channels (and `types`, when given), starting with a `ready` event. Last-Event-ID takes precedence over `after`.',
+    query: object({
+      channels: string(2048, { description: "Comma-separated channels: user:<username>, sessions, stats, users, achievements or '*'" }),
+      types: string(1024, { description: "Comma-separated event types or patterns such as 'session.*'" }),
+      after: { type: 'integer', minimum: 0, description: 'Last `seq` seen; the events after it are replayed first' },
+    }, { required: ['channels'] }),
+    responses: { 200: 'Event stream (text/event-stream)' },
+  }), (req, res) => {
+    const subscription = parseSubscription(req.query);
+    const lastEventId = Number(req.get('Last-Event-ID'));
+    const after = req.get('Last-Event-ID') && Number.isSafeInteger(lastEventId) && lastEventId >= 0 ? lastEventId : (req.query.after ?? null);
+    openNotificationStream(req, res, { principalId: req.principal.id, subscription, after });
+  });
+
+  /**
+   * Webhook endpoints (secrets are never returned after creation)
+   * GET /admin/webhooks   (webhooks:manage)
+   */
+  app.get('/admin/webhooks', requirePermission('webhooks:manage'), validate({ summary: 'List webhook endpoints' }), (req, res) => {
+    res.json({ webhooks: listWebhooks() });
+  });
+
+  /**
+   * Register a webhook. Deliveries are POSTed as JSON and signed with the returned secret:
+   * X-OGP-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+   * POST /admin/webhooks  { url, eventTypes?: ['user.registered', 'session.*', ...], description? }   (webhooks:manage)
+   */
+  app.post('/admin/webhooks', requirePermission('webhooks:manage'), validate({
+    summary: 'Register a webhook (the signing secret is only shown in this response)',
+    body: object({
+      url: string(2048),
+      eventTypes: { type: 'array', minItems: 1, maxItems: 50, items: string(128) },
+      description: { type: 'string', maxLength: 500 },
+    }, { required: ['url'] }),
+    responses: { 201: 'Created' },
+  }), handle(async (req, res) => {
+    const { url, eventTypes, description } = req.body;
+    try {
+      const webhook = await withAudit(req, { action: 'webhooks.create', params: { url, eventTypes } }, () => createWebhook({ url, eventTypes, description }));
+      return res.status(201).json(webhook);
+    } catch (err) {
+      return sendError(res, 'invalid_request', err?.message || 'Failed to create webhook');
+    }
+  }));
+
+  /**
+   * Stop delivering to a webhook; its pending deliveries are dropped
+   * POST /admin/webhooks/:id/disable   (webhooks:manage)
+   */
+  app.post('/admin/webhooks/:id/disable', requirePermission('webhooks:manage'), validate({ summary: 'Disable a webhook', params: idParams }), handle(async (req, res) => {
+    const webhook = await withAudit(req, { action: 'webhooks.disable', target: req.params.id }, () => disableWebhook(req.params.id));
+    if (!webhook) return sendError(res, 'webhook_not_found', 'Webhook not found or already disabled');
+    return res.json(webhook);
+  }));
+
+  /**
+   * Webhook deliveries, newest first. status=dead lists the dead-letter queue.
+   * GET /admin/webhooks/deliveries?status=pending|delivered|dead&webhookId=&limit=50&offset=0   (webhooks:manage)
+   */
+  app.get('/admin/webhooks/deliveries', requirePermission('webhooks:manage'), validate({
+    summary: 'Webhook deliveries, newest first',
+    query: object({ ...page(), status: { type: 'string', enum: ['pending', 'delivered', 'dead'] }, webhookId: string(128) }),
+  }), (req, res) => {
+    const { limit, offset, status, webhookId } = req.query;
+    res.json({ deliveries: listDeliveries({ limit, offset, status, webhookId }) });
+  });
+
+  /**
+   * Requeue a dead-lettered delivery
+   * POST /admin/webhooks/deliveries/:id/retry   (webhooks:manage)
+   */
+  app.post('/admin/webhooks/deliveries/:id/retry', requirePermission('webhooks:manage'), validate({ summary: 'Requeue a dead-lettered delivery', params: idParams }), handle(async (req, res) => {
+    const delivery = await withAudit(req, { action: 'webhooks.retry', target: req.params.id }, () => retryDelivery(req.params.id));
+    if (!delivery) return sendError(res, 'delivery_not_found', 'Delivery not found in the dead-letter queue');
+    return res.json(delivery);
+  }));
+
+
+  /**
+   * Progress of a player's registration job (players registered before jobs existed are reported as ready)
+   * GET /registration/:username
+   * status: pending -> deployed -> initialised -> ready; `error` is set when the job stopped
+   * (logging in again, or POST /admin/users with the same body, resumes it).
+   */
+  app.get('/registration/:username', validate({ summary: "Progress of a player's registration", params: usernameParams }), (req, res) => {
+    const registration = getRegistration(req.params.username);
+    if (!registration) return sendError(res, 'registration_not_found', 'No registration for that username');
+    return res.json(registration);
+  });
+
+  /**
+   * Player contract, aggregated stats, profile and earned achievements
+   * GET /user/:username
+   */
+  app.get('/user/:username', validate({ summary: 'Player contract, aggregated stats, profile and achievements', params: usernameParams }), handle(async (req, res) => {
+    const { username } = req.params;
+    let contract;
+    try {
+      contract = await getUserContract(username);
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to read the player contract');
+    }
+    if (!contract) return sendError(res, 'user_not_found', 'User not found');
+
+    res.json({ ...contract, profile: getProfile(username), achievements: listPlayerAchievements(username) });
+  }));
+
+  /**
+   * Off-chain profile; `anchor` tells whether its `contentHash` is stored in the player's contract
+   * GET /user/:username/profile
+   */
+  app.get('/user/:username/profile', validate({ summary: 'Off-chain player profile', params: usernameParams }), (req, res) => {
+    const { username } = req.params;
+    if (!getPlayerRecord(username)) return sendError(res, 'user_not_found', 'User not found');
+    return res.json({ username, ...getProfile(username) });
+  });
+
+  // Resolve the caller's session proof, or send the error response and return false
+  async function requireAccountSession(req, res, username) {
+    if (!getPlayerRecord(username)) {
+      sendError(res, 'user_not_found', 'User not found');
+      return false;
+    }
+    const { sessionToken, deviceId } = req.body;
+    if (!sessionToken) {
+      sendError(res, 'session_required', 'sessionToken is required in body');
+      return false;
+    }
+    const ip = sessionIp(req, res, req.body.ip);
+    if (!ip) return false;
+    const session = await verifyAccountSession(username, { sessionToken, ip, deviceId: deviceId ?? null });
+    if (!session.ok) {
+      sendError(res, 'session_rejected', 'Session proof rejected', { reason: session.reason });
+      return false;
+    }
+    return true;
   }
-});
 
+  /**
+   * Update your profile. Fields set to null are removed; `anchor: true` also stores the new content hash on-chain.
+   * PATCH /user/:username  { sessionToken, ip?, deviceId?, profile: { displayName?, avatarUrl?, country?, bio?, socials? }, anchor? }
+   */
+  app.patch('/user/:username', rateLimit('profilePerUsername', (req) => req.params.username), validate({
+    summary: 'Update your profile',
+    description: 'Fields set to null are removed. `anchor: true` also stores the new content hash in the player contract.',
+    params: usernameParams,
+    body: object({
+      ...S.sessionProof,
+      profile: {
+        type: 'object',
+        description: 'displayName (32 chars), avatarUrl (http(s) URL), country (ISO 3166-1 alpha-2), bio (280 chars), socials { twitter, discord, twitch, youtube, github, steam, website }',
+      },
+      anchor: { type: 'boolean', default: false },
+    }, { required: ['sessionToken', 'profile'] }),
+  }), handle(async (req, res) => {
+    const { username } = req.params;
+    const { profile, anchor } = req.body;
+    if (!(await requireAccountSession(req, res, username))) return;
+    try {
+      mergeProfile(getProfile(username).profile, profile);
+    } catch (err) {
+      return sendError(res, 'invalid_request', err.message);
+    }
 
-/**
- * Validate session by token and ip
- * POST /validatesession  { token, ip }
- * Responses mapped from `getSession`:
- * - 200: session exists for that token's username and ip
- * - 404: no session exists for that username (body.reason = 'no_session')
- * - 409: session exists but ip mismatch (body.reason = 'ip_mismatch')
- * - 401: token invalid or expired
- */
-app.post('/validatesession', async (req, res) => {
-  try {
-    const { username, ip } = req.body || {};
-    if (!username || !ip || typeof username !== 'string' || typeof ip !== 'string') {
-      return res.status(400).json({ error: 'username and ip (strings) are required in body' });
+    if (anchor) {
+      const limit = await consume('profileAnchorPerUsername', username);
+      if (!limit.allowed) {
+        res.set('Retry-After', String(limit.retryAfter));
+        return sendError(res, 'rate_limited', 'Too many anchoring requests', { retryAfter: limit.retryAfter });
+      }
     }
+    return res.json({ username, ...updateProfile(username, profile, { anchor }) });
+  }));
 
-    let sessionResult;
+  /**
+   * Read all stats for a user
+   * GET /user/:username/stats
+   */
+  app.get('/user/:username/stats', validate({ summary: 'All stats of a player, summed over their identifiers', params: usernameParams }), handle(async (req, res) => {
+    const { username } = req.params;
+    let contract;
     try {
-      sessionResult = await getSessionForUsername(username, ip);
-    } catch (e) {
-      const msg = String(e?.message || e);
-      console.error('getSessionForUsername error:', e);
-      return res.status(502).json({ error: msg });
+      contract = await getUserContract(username);
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to read stats');
     }
+    if (!contract) return sendError(res, 'user_not_found', 'User not found');
+    return res.json({ username, stats: contract.stats });
+  }));
 
-    if (sessionResult && sessionResult.allowed === true) {
-      return res.status(200).json({ ok: true, fileId: sessionResult.fileId, session: sessionResult.session });
+  /*
+   * Linked identifiers. A player can link extra EVM or non-EVM identifiers to their username and
+   * sign in with any of them; stats are written to the primary identifier and read as the sum over
+   * all of them. Changes need a signed session token of the player (`sessionToken` + `ip`/`deviceId`).
+   */
+
+  const identifierParams = object({ username: S.username, identifier: S.address }, { required: ['username', 'identifier'] });
+
+  /**
+   * GET /user/:username/identifiers
+   */
+  app.get('/user/:username/identifiers', validate({ summary: "A player's identifiers, primary first", params: usernameParams }), (req, res) => {
+    const { username } = req.params;
+    if (!getPlayerRecord(username)) return sendError(res, 'user_not_found', 'User not found');
+    res.json({ username, identifiers: listPlayerIdentifiers(username) });
+  });
+
+  /**
+   * Message the identifier being linked has to sign
+   * GET /user/:username/identifiers/link-message?address=
+   */
+  app.get('/user/:username/identifiers/link-message', validate({
+    summary: 'Message the identifier being linked has to sign',
+    params: usernameParams,
+    query: object({ address: S.address }, { required: ['address'] }),
+  }), handle(async (req, res) => {
+    const { username } = req.params;
+    if (!getPlayerRecord(username)) return sendError(res, 'user_not_found', 'User not found');
+    try {
+      return res.json(await createLinkMessage(username, req.query.address));
+    } catch (err) {
+      return sendError(res, 'invalid_request', err?.message || 'Failed to build link message');
     }
+  }));
+
+  /**
+   * Link an identifier; `signature` is the identifier's signature over the link message
+   * POST /user/:username/identifiers  { address, signature, issuedAt, sessionToken, ip?, deviceId? }
+   */
+  app.post('/user/:username/identifiers', validate({
+    summary: 'Link an identifier to your username',
+    description: '`signature` is the identifier\'s signature over the message from GET /user/{username}/identifiers/link-message.',
+    params: usernameParams,
+    body: object({ address: S.address, signature: S.signature, issuedAt: S.issuedAt, ...S.sessionProof }, { required: ['address', 'signature', 'issuedAt', 'sessionToken'] }),
+    responses: { 201: 'Linked' },
+  }), handle(async (req, res) => {
+    const { username } = req.params;
+    const { address, signature, issuedAt } = req.body;
+    if (!(await requireAccountSession(req, res, username))) return;
+
+    const proof = await verifyLinkRequest(username, address, signature, issuedAt);
+    if (!proof.verified) return sendError(res, 'signature_invalid', 'Identifier signature verification failed', { reason: proof.reason });
 
-    if (sessionResult && sessionResult.reason === 'ip_mismatch') {
-      return res.status(409).json({ ok: false, reason: 'ip_mismatch', action: sessionResult.action });
+    try {
+      const identifier = linkPlayerIdentifier(username, { identifier: proof.address, kind: proof.kind });
+      return res.status(201).json({ username, identifier, identifiers: listPlayerIdentifiers(username) });
+    } catch (err) {
+      return sendError(res, 'identifier_conflict', err?.message || 'Failed to link identifier');
     }
+  }));
 
-    if (sessionResult && sessionResult.reason === 'no_session') {
-      return res.status(404).json({ ok: false, reason: 'no_session', action: sessionResult.action });
+  /**
+   * Unlink a non-primary identifier
+   * POST /user/:username/identifiers/:identifier/unlink  { sessionToken, ip?, deviceId? }
+   */
+  app.post('/user/:username/identifiers/:identifier/unlink', validate({
+    summary: 'Unlink a non-primary identifier',
+    params: identifierParams,
+    body: object(S.sessionProof, { required: ['sessionToken'] }),
+  }), handle(async (req, res) => {
+    const { username } = req.params;
+    if (!(await requireAccountSession(req, res, username))) return;
+    const identifier = (await resolveVerifier(req.params.identifier))?.address ?? req.params.identifier;
+    try {
+      if (!unlinkPlayerIdentifier(username, identifier)) return sendError(res, 'identifier_not_found', 'Identifier is not linked to this user');
+      return res.json({ username, identifiers: listPlayerIdentifiers(username) });
+    } catch (err) {
+      return sendError(res, 'identifier_conflict', err?.message || 'Failed to unlink identifier');
+    }
+  }));
+
+  /**
+   * Make a linked identifier the primary one (new stat writes go to it)
+   * POST /user/:username/identifiers/:identifier/primary  { sessionToken, ip?, deviceId? }
+   */
+  app.post('/user/:username/identifiers/:identifier/primary', validate({
+    summary: 'Make a linked identifier the primary one',
+    params: identifierParams,
+    body: object(S.sessionProof, { required: ['sessionToken'] }),
+  }), handle(async (req, res) => {
+    const { username } = req.params;
+    if (!(await requireAccountSession(req, res, username))) return;
+    const identifier = (await resolveVerifier(req.params.identifier))?.address ?? req.params.identifier;
+    try {
+      setPrimaryIdentifier(username, identifier);
+      return res.json({ username, identifiers: listPlayerIdentifiers(username) });
+    } catch (err) {
+      return sendError(res, 'identifier_not_found', err?.message || 'Failed to change the primary identifier');
     }
+  }));
 
-    // Fallback
-    return res.status(500).json({ error: 'Unexpected response from getSessionForUsername', result: sessionResult });
-  } catch (err) {
-    console.error('validatesession failed', err);
-    return res.status(500).json({ error: err?.message || 'validatesession failed' });
+  /**
+   * Submit stat updates for a user (API key with the stats:write permission, e.g. a game-server key)
+   * POST /user/:username/stats  { set?: { name: value }, increment?: { name: delta } }
+   * Values are non-negative integers. Responds with the tx queue id of each batch (see GET /tx/:id).
+   */
+  app.post('/user/:username/stats', requirePermission('stats:write'), validate({
+    summary: 'Submit stat updates for a player',
+    params: usernameParams,
+    body: object({ set: S.statEntries, increment: S.statEntries }),
+    responses: { 202: 'Updates queued (see GET /tx/:id)' },
+  }), handle(async (req, res) => {
+    const { username } = req.params;
+    const { set, increment } = req.body;
+    if (!checkStatEntries(res, req.body)) return;
+    if (!getPlayerRecord(username)) return sendError(res, 'user_not_found', 'User not found');
+
+    try {
+      const txIds = await updateUserStats(username, { set, increment });
+      return res.status(202).json({ message: 'Stat updates queued', txIds });
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to submit stats');
+    }
+  }));
+
+  /**
+   * EIP-712 typed data of a gasless stat update, for the player (or an allowed stat signer) to sign
+   * POST /user/:username/stats/typed-data  { set? | increment?, deadline? }
+   * The message carries the player's current on-chain nonce; deadline (unix seconds) defaults to 10 minutes from now.
+   */
+  const signedUpdateFields = { set: S.statEntries, increment: S.statEntries };
+  app.post('/user/:username/stats/typed-data', validate({
+    summary: 'Typed data of a signed stat update',
+    params: usernameParams,
+    body: object({ ...signedUpdateFields, deadline: { type: 'integer', minimum: 0 } }),
+  }), handle(async (req, res) => {
+    try {
+      return res.json(await prepareStatUpdate(req.params.username, req.body));
+    } catch (err) {
+      if (err instanceof ApiError) throw err;
+      return upstreamError(res, err, 'Failed to prepare the stat update');
+    }
+  }));
+
+  /**
+   * Relay a signed stat update: the server pays the gas, the contract checks the signature, nonce and deadline
+   * POST /user/:username/stats/relay  { set? | increment?, nonce, deadline, signature }
+   * - 202: queued (see GET /tx/:id)
+   * - 401 signature_invalid: not signed by the player's primary address or an allowed stat signer
+   */
+  app.post('/user/:username/stats/relay', rateLimit('relayPerUsername', (req) => req.params.username), validate({
+    summary: 'Relay a signed stat update',
+    params: usernameParams,
+    body: object({
+      ...signedUpdateFields,
+      nonce: { anyOf: [{ type: 'integer', minimum: 0 }, { type: 'string', pattern: '^[0-9]{1,78}$' }] },
+      deadline: { type: 'integer', minimum: 0 },
+      signature: S.signature,
+    }, { required: ['nonce', 'deadline', 'signature'] }),
+    responses: { 202: 'Update queued (see GET /tx/:id)' },
+  }), handle(async (req, res) => {
+    try {
+      const result = await relayStatUpdate(req.params.username, req.body);
+      return res.status(202).json({ message: 'Signed stat update queued', ...result });
+    } catch (err) {
+      if (err instanceof ApiError) throw err;
+      return upstreamError(res, err, 'Failed to relay the stat update');
+    }
+  }));
+
+  /**
+   * Submit a match report from a game server (API key with the match:submit permission)
+   * POST /match/result  { matchId, durationSeconds?, players: [{ username, ip, deviceId?, kills?, deaths?, won?, playtime?, stats? }] }
+   * Every participant must have a valid session from the reported ip. Per-player deltas
+   * (kills, deaths, wins, matchesPlayed, playtime and custom `stats`) are added on-chain.
+   * - 201: all deltas submitted; body.players[username] = { deltas, txId, txHash }
+   * - 207: some submissions failed; failed players carry `error`
+   * - 409 match_exists: matchId already submitted
+   * - 422 participants_rejected: a participant is unregistered or has no valid session (details.rejected)
+   */
+  const count = { type: 'integer', minimum: 0 };
+  app.post('/match/result', requirePermission('match:submit'), validate({
+    summary: 'Submit a match report',
+    body: object({
+      matchId: string(128),
+      durationSeconds: count,
+      players: {
+        type: 'array',
+        minItems: 1,
+        items: object({ username: S.username, ip: S.ip, deviceId: S.deviceId, kills: count, deaths: count, won: { type: 'boolean' }, playtime: count, stats: S.statEntries }, { required: ['username', 'ip'] }),
+      },
+    }, { required: ['matchId', 'players'] }),
+    responses: { 201: 'All deltas submitted', 207: 'Some submissions failed; failed players carry `error`' },
+  }), handle(async (req, res) => {
+    const report = req.body;
+    try {
+      validateMatchReport(report);
+    } catch (err) {
+      return sendError(res, 'invalid_request', err.message);
+    }
+
+    if (hasMatch(report.matchId)) {
+      return sendError(res, 'match_exists', `Match ${report.matchId} was already submitted`);
+    }
+
+    let rejected;
+    try {
+      rejected = await checkParticipants(report.players);
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to validate sessions');
+    }
+    if (rejected.length) {
+      return sendError(res, 'participants_rejected', 'Some participants have no valid session', { rejected });
+    }
+
+    try {
+      const result = await submitMatchResult(report, { submittedBy: req.principal.id });
+      const failed = Object.values(result.players).some((p) => p.error);
+      return res.status(failed ? 207 : 201).json(result);
+    } catch (err) {
+      if (/already submitted/.test(err?.message)) {
+        return sendError(res, 'match_exists', err.message);
+      }
+      return upstreamError(res, err, 'Failed to submit match result');
+    }
+  }));
+
+  /**
+   * Configured networks (chain id, registry and achievements addresses, contract mode, confirmations); new players go to the `default` one
+   * GET /networks
+   */
+  app.get('/networks', validate({ summary: 'Configured networks' }), (req, res) => {
+    res.json({ networks: describeNetworks() });
+  });
+
+  /**
+   * Status of a queued owner transaction, on whichever network it was sent
+   * GET /tx/:id
+   * status: queued | submitted | confirmed | failed (merged jobs report the job they were merged into)
+   */
+  app.get('/tx/:id', validate({ summary: 'Status of a queued owner transaction', params: idParams }), (req, res) => {
+    const tx = getTx(req.params.id);
+    if (!tx) return sendError(res, 'tx_not_found', 'Transaction not found');
+    return res.json(tx);
+  });
+
+  /**
+   * Achievement rules: a player earns one when `stat` (summed over their identifiers) reaches `threshold`
+   * GET /achievements
+   */
+  app.get('/achievements', validate({ summary: 'Achievement rules' }), (req, res) => {
+    res.json({ achievements: listAchievementRules() });
+  });
+
+  /**
+   * ERC-721 metadata of a soulbound achievement token (the Achievements contract's tokenURI points here)
+   * GET /achievements/:tokenId
+   */
+  app.get('/achievements/:tokenId', validate({
+    summary: 'ERC-721 metadata of an achievement token',
+    params: object({ tokenId: { type: 'string', pattern: '^[0-9]{1,78}$', description: 'Decimal token id' } }, { required: ['tokenId'] }),
+  }), (req, res) => {
+    const metadata = getAchievementMetadata(BigInt(req.params.tokenId).toString());
+    if (!metadata) return sendError(res, 'achievement_not_found', 'Achievement token not found');
+    return res.json(metadata);
+  });
+
+  /**
+   * Award the achievements a player's current stats qualify for and mint any unminted ones
+   * (players are re-evaluated on every stat update; use this for stats written before achievements existed)
+   * POST /admin/users/:username/achievements/evaluate   (stats:correct)
+   */
+  app.post('/admin/users/:username/achievements/evaluate', requirePermission('stats:correct'), validate({
+    summary: "Award the achievements a player's stats qualify for",
+    params: usernameParams,
+  }), handle(async (req, res) => {
+    const { username } = req.params;
+    if (!getPlayerRecord(username)) return sendError(res, 'user_not_found', 'User not found');
+    try {
+      // Mints are queued, not awaited: follow them in `achievements[].status` or GET /tx/:txId
+      const achievements = await withAudit(req, { action: 'achievements.evaluate', target: username }, () => evaluateAchievements(username));
+      return res.json({ username, achievements });
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to evaluate achievements');
+    }
+  }));
+
+  /**
+   * Leaderboard from indexed on-chain stat events, across every network or for one `network`
+   * GET /leaderboard?stat=kills&limit=50&offset=0&network=
+   * Players with no indexed value count as 0. `indexedBlocks` is the last block the indexer processed per network.
+   */
+  app.get('/leaderboard', validate({
+    summary: 'Leaderboard from indexed on-chain stat events',
+    query: object({ stat: { ...S.statName, default: 'kills' }, ...page(), network: { ...S.network, enum: listNetworks() } }),
+  }), (req, res) => {
+    const { stat, limit, offset, network } = req.query;
+    return res.json(getLeaderboard(stat, { limit, offset, network: network ?? null }));
+  });
+
+  /**
+   * Rank of one player
+   * GET /leaderboard/:username?stat=kills
+   */
+  app.get('/leaderboard/:username', validate({
+    summary: 'Rank of one player',
+    params: usernameParams,
+    query: object({ stat: { ...S.statName, default: 'kills' } }),
+  }), (req, res) => {
+    const rank = getPlayerRank(req.params.username, req.query.stat);
+    if (!rank) return sendError(res, 'user_not_found', 'User not found');
+    return res.json(rank);
+  });
+
+  /**
+   * Proof-of-work challenge to solve before requesting a token (only when TOKEN_POW_DIFFICULTY is set)
+   * GET /token/pow?username=<username>
+   */
+  app.get('/token/pow', rateLimit('tokenPerIp', (req) => req.clientIp), validate({
+    summary: 'Proof-of-work challenge to solve before requesting a token',
+    query: object({ username: S.username }, { required: ['username'] }),
+  }), (req, res) => {
+    const challenge = issuePowChallenge(req.query.username);
+    if (!challenge) return sendError(res, 'pow_not_enabled', 'Proof-of-work is not enabled');
+    return res.json(challenge);
+  });
+
+  /**
+   * Message a registered player signs with their wallet to request a new token
+   * GET /token/proof-message?username=<username>&address=<wallet>
+   */
+  app.get('/token/proof-message', validate({
+    summary: 'Message a registered player signs to request a new token',
+    query: object({ username: S.username, address: S.address }, { required: ['username', 'address'] }),
+  }), handle(async (req, res) => {
+    const { username, address } = req.query;
+    try {
+      return res.json(await createTokenRequestMessage(username, address));
+    } catch (err) {
+      return sendError(res, 'invalid_request', err?.message || 'Failed to build token request message');
+    }
+  }));
+
+  /**
+   * Create a login token for a given username.
+   * GET /token?username=<username>   or   POST /token { username, ... }
+   * Limited per client ip and per username. Extra parameters:
+   * - powChallenge, powNonce: solved challenge from /token/pow (when TOKEN_POW_DIFFICULTY is set)
+   * - registered usernames must prove ownership (TOKEN_PROOF_REQUIRED, default on), otherwise anyone could
+   *   invalidate a player's pending token by requesting a new one:
+   *   - sessionToken (+ deviceId?) of a live session from the caller's ip, or
+   *   - address, signature, issuedAt: wallet signature over the /token/proof-message message
+   * Responses: 200 { token }; pow_required (428) when a PoW is required, rate_limited (429),
+   * token_check_failed (403) when another check refuses, proof_required (403) when the proof fails.
+   */
+  async function issueLoginToken(req, res) {
+    const params = req.method === 'POST' ? req.body : req.query;
+    const { username } = params;
+
+    const checked = await runTokenChecks(req, params);
+    if (!checked.ok) {
+      const code = { 428: 'pow_required', 429: 'rate_limited' }[checked.status] || 'token_check_failed';
+      return sendError(res, code, `Token request rejected by ${checked.check} check`, { check: checked.check, reason: checked.reason });
+    }
+
+    const ip = sessionIp(req, res, params.ip);
+    if (!ip) return;
+    const proof = await checkTokenProof(username, { ...params, ip });
+    if (!proof.ok) return sendError(res, 'proof_required', 'Proof of ownership required for a registered username', { reason: proof.reason });
+
+    const token = createToken(username, { createdFor: username, proof: proof.proof });
+    return res.json({ token });
   }
-});
 
+  // Token checks added by a deployment may read parameters of their own, so unknown ones are let through
+  const tokenParams = object({
+    username: S.username,
+    powChallenge: string(1024),
+    powNonce: string(64),
+    ...S.sessionProof,
+    address: S.address,
+    signature: S.signature,
+    issuedAt: S.issuedAt,
+  }, { required: ['username'], additional: true });
+  const tokenUsername = (req) => (req.method === 'POST' ? bodyString(req, 'username') : queryString(req, 'username'));
+  const tokenLimits = [
+    rateLimit('tokenPerIp', (req) => req.clientIp),
+    rateLimit('tokenPerClientUsername', (req) => clientAndUsername(req, tokenUsername(req))),
+    rateLimit('tokenPerUsername', tokenUsername),
+  ];
+  app.get('/token', tokenLimits, validate({ summary: 'Create a login token', query: tokenParams }), handle(issueLoginToken));
+  app.post('/token', tokenLimits, validate({ summary: 'Create a login token', body: tokenParams }), handle(issueLoginToken));
+
+  /**
+   * Validate a token by id
+   * GET /token/validate/:id
+   */
+  app.get('/token/validate/:id', validate({ summary: 'Look up a login token', params: object({ id: S.token }, { required: ['id'] }) }), (req, res) => {
+    const token = getToken(req.params.id);
+    if (!token) return sendError(res, 'token_not_found', 'Token not found or expired');
+    return res.json({ valid: true, token });
+  });
+
+
+  /**
+   * Validate session by username and ip, or by a signed session token
+   * POST /validatesession  { username, deviceId?, ip? } | { sessionToken, deviceId?, ip? }
+   * The session is checked against the caller's ip; game servers validating a player pass the
+   * player's `ip` with an API key holding `sessions:vouch`.
+   * With `sessionToken` the signature, expiry and ip/device binding are checked locally and the
+   * session is only looked up in the store metadata (logout / revocation), without an Arkacdn round-trip;
+   * token failures are session_token_invalid (401) with details.reason malformed, unknown_key, bad_signature,
+   * expired, ip_mismatch, device_mismatch or username_mismatch.
+   * Session lookup failures:
+   * - session_not_found (404): no session exists for that username
+   * - session_ip_mismatch (409): session exists but for another ip (or device, under the multi-device policy)
+   * - session_expired (401): session expired
+   * - session_revoked (403): session revoked
+   */
+  app.post('/validatesession', validate({
+    summary: 'Validate a session by username and ip, or by a signed session token',
+    body: object({ username: S.username, ...S.sessionProof }),
+  }), handle(async (req, res) => {
+    const { username, deviceId, sessionToken } = req.body;
+    const ip = sessionIp(req, res, req.body.ip);
+    if (!ip) return;
+
+    if (sessionToken !== undefined) {
+      const verified = verifySessionToken(sessionToken, { ip, deviceId });
+      if (!verified.valid) return sendError(res, 'session_token_invalid', 'Session token rejected', { reason: verified.reason });
+      const { sub, sid, exp } = verified.claims;
+      if (username !== undefined && username !== sub) return sendError(res, 'session_token_invalid', 'Session token rejected', { reason: 'username_mismatch' });
+
+      let status;
+      try {
+        status = await getSessionStatus(sub, sid);
+      } catch (err) {
+        return upstreamError(res, err, 'Failed to look up the session');
+      }
+      if (status !== 'active') return sendSessionError(res, status);
+      return res.status(200).json({ ok: true, username: sub, fileId: sid, expiresAt: new Date(exp * 1000).toISOString() });
+    }
+
+    if (username === undefined) return sendError(res, 'invalid_request', 'username or sessionToken is required in body');
+
+    let sessionResult;
+    try {
+      sessionResult = await getSessionForUsername(username, ip, { deviceId });
+    } catch (err) {
+      return upstreamError(res, err, 'Failed to look up the session');
+    }
+    if (!sessionResult.allowed) return sendSessionError(res, sessionResult.reason);
+    return res.status(200).json({ ok: true, fileId: sessionResult.fileId, session: sessionResult.session });
+  }));
+
+  app.use((req, res) => sendError(res, 'route_not_found', `No route for ${req.method} ${req.path}`));
+  app.use(errorHandler);
+  return app;
+}
+
+/**
+ * Start the background work: tx queues with stored jobs, unfinished registrations, the indexer,
+ * webhook deliveries and the achievement engine.
+ */
+function startWorkers() {
+  startTxQueues();
+  resumeRegistrations();
+  startIndexer();
+  startWebhookDispatcher();
+  startAchievementEngine();
+}
+
+/**
+ * Stop the background work and the networks' tx queues.
+ */
+function stopWorkers() {
+  stopIndexer();
+  stopWebhookDispatcher();
+  stopAchievementEngine();
+  closeNetworks();
+}
+
+/**
+ * Build the app from env, start the background work and listen on `port`.
+ * @returns {import('http').Server}
+ */
+function startServer(port = process.env.PORT || 3000) {
+  const app = createApp();
+  startWorkers();
+  return app.listen(port, () => {
+    console.log(`Server is running on port ${port}`);
+    console.log("Rutas registradas:");
+    console.log(app._router.stack
+      .filter(r => r.route)
+      .map(r => Object.keys(r.route.methods) + " " + r.route.path)
+    );
+  });
+}
+
+// `npm start` runs the server; importing this module (tests, tools) only defines the factory
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) startServer();
 
-app.listen(port, () => {
-  console.log(`Server is running on port ${port}`);
-  console.log("Rutas registradas:");
-console.log(app._router.stack
-  .filter(r => r.route)
-  .map(r => Object.keys(r.route.methods) + " " + r.route.path)
-);
-});
+export { createApp, startWorkers, stopWorkers, startServer };
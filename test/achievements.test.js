@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import hre from 'hardhat';
+import { ethers } from 'ethers';
+import { startTestServer, HARDHAT_PRIVATE_KEY } from './support/testServer.js';
+import { createApiKey } from '../backend/apiKeys.js';
+import { waitForTx } from '../backend/networks.js';
+
+// Earning, minting and describing soulbound achievements (default rules) through the API
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ACHIEVEMENTS_ARTIFACT = path.join(__dirname, '..', 'artifacts', 'contracts', 'Achievements.sol', 'Achievements.json');
+const BASE_URI = 'https://game.example/achievements/';
+
+let t;
+let achievements;
+let operator;
+let gameServer;
+before(async () => {
+  const provider = new ethers.BrowserProvider(hre.network.provider, 31337, { cacheTimeout: -1 });
+  const { abi, bytecode } = JSON.parse(fs.readFileSync(ACHIEVEMENTS_ARTIFACT, 'utf8'));
+  const deployed = await new ethers.ContractFactory(abi, bytecode, new ethers.Wallet(HARDHAT_PRIVATE_KEY, provider)).deploy('Achievements', 'ACH', BASE_URI);
+  await deployed.waitForDeployment();
+  achievements = new ethers.Contract(await deployed.getAddress(), abi, provider);
+  t = await startTestServer({ network: { achievementsAddress: achievements.target } });
+  operator = { 'X-Api-Key': createApiKey({ name: 'achievements operator', roles: ['operator'] }).key };
+  gameServer = { 'X-Api-Key': createApiKey({ name: 'achievements game server', roles: ['game-server'] }).key };
+});
+after(() => t?.close());
+
+async function registeredPlayer(username) {
+  const wallet = ethers.Wallet.createRandom();
+  const loggedIn = await t.login(username, wallet);
+  assert.equal(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+  await t.waitForRegistration(username);
+  return wallet;
+}
+
+async function writeStats(username, body) {
+  const queued = await t.request('POST', `/user/${username}/stats`, body, gameServer);
+  assert.equal(queued.status, 202, JSON.stringify(queued.body));
+  await Promise.all(Object.values(queued.body.txIds).map((id) => waitForTx(id, 'confirmed')));
+}
+
+// The player's achievements once none is pending any more
+async function settledAchievements(username) {
+  for (let i = 0; i < 100; i++) {
+    const { body } = await t.request('GET', `/user/${username}`);
+    if (!body.achievements.some((a) => a.status === 'pending')) return body.achievements;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`achievements of ${username} are still pending`);
+}
+
+test('a player whose stats reach a threshold is minted the achievement once, to their wallet', async () => {
+  const wallet = await registeredPlayer('lena');
+  await writeStats('lena', { set: { kills: 1, wins: 3 } });
+
+  const evaluated = await t.request('POST', '/admin/users/lena/achievements/evaluate', undefined, operator);
+  assert.equal(evaluated.status, 200, JSON.stringify(evaluated.body));
+  assert.deepEqual(evaluated.body.achievements.map((a) => a.id), ['first-blood'], 'champion needs 10 wins');
+  const [queued] = evaluated.body.achievements;
+  assert.equal(queued.status, 'pending');
+  assert.equal(queued.recipient, wallet.address);
+  const tokenId = BigInt(ethers.solidityPackedKeccak256(['address', 'bytes32'], [wallet.address, ethers.id('first-blood')]));
+  assert.equal(queued.tokenId, tokenId.toString());
+
+  const [minted] = await settledAchievements('lena');
+  assert.equal(minted.status, 'minted', JSON.stringify(minted));
+  assert.ok(minted.txHash);
+  assert.equal(await achievements.ownerOf(tokenId), wallet.address);
+  assert.equal(await achievements.hasAchievement(wallet.address, ethers.id('first-blood')), true);
+  assert.equal(await achievements.locked(tokenId), true);
+  assert.equal(await achievements.tokenURI(tokenId), `${BASE_URI}${tokenId}`);
+
+  // Evaluating again neither earns nor mints it a second time
+  const again = await t.request('POST', '/admin/users/lena/achievements/evaluate', undefined, operator);
+  assert.equal(again.body.achievements.length, 1);
+  assert.equal(again.body.achievements[0].txId, minted.txId);
+  assert.equal(await achievements.balanceOf(wallet.address), 1n);
+});
+
+test('token metadata describes the achievement and its player', async () => {
+  const wallet = await registeredPlayer('mona');
+  await writeStats('mona', { set: { wins: 10 } });
+  await t.request('POST', '/admin/users/mona/achievements/evaluate', undefined, operator);
+  const [champion] = await settledAchievements('mona');
+  assert.equal(champion.id, 'champion');
+  assert.equal(champion.recipient, wallet.address);
+
+  const metadata = await t.request('GET', `/achievements/${champion.tokenId}`);
+  assert.equal(metadata.status, 200, JSON.stringify(metadata.body));
+  assert.equal(metadata.body.name, 'Champion');
+  assert.equal(metadata.body.description, 'Win 10 matches.');
+  assert.equal(metadata.body.soulbound, true);
+  const traits = Object.fromEntries(metadata.body.attributes.map((a) => [a.trait_type, a.value]));
+  assert.equal(traits.Achievement, 'champion');
+  assert.equal(traits.Player, 'mona');
+  assert.equal(traits.Stat, 'wins');
+  assert.equal(traits.Threshold, 10);
+  assert.equal(traits.Network, 'hardhat');
+  assert.equal(traits.Earned, Math.floor(new Date(champion.earnedAt).getTime() / 1000));
+});
+
+test('unknown achievement tokens are achievement_not_found', async () => {
+  const missing = await t.request('GET', '/achievements/12345');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, 'achievement_not_found');
+
+  const malformed = await t.request('GET', '/achievements/0xabc');
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error.code, 'invalid_request');
+
+  const rules = await t.request('GET', '/achievements');
+  assert.deepEqual(rules.body.achievements.map((a) => a.id), ['first-blood', 'centurion', 'champion', 'veteran']);
+});
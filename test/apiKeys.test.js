@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './support/testServer.js';
+import { PERMISSIONS, ROLES } from '../backend/apiKeys.js';
+
+// Env keys are read per request; the previous value is put back so it does not outlive this file
+const ADMIN = { 'X-Api-Key': 'api-keys-admin-key' };
+const previousAdminKey = process.env.ADMIN_API_KEY;
+
+let t;
+before(async () => {
+  process.env.ADMIN_API_KEY = ADMIN['X-Api-Key'];
+  t = await startTestServer();
+});
+after(async () => {
+  await t?.close();
+  if (previousAdminKey === undefined) delete process.env.ADMIN_API_KEY;
+  else process.env.ADMIN_API_KEY = previousAdminKey;
+});
+
+test('admin routes need a known API key', async () => {
+  for (const headers of [{}, { 'X-Api-Key': 'nope' }, { 'X-Api-Key': 'ogp_000000000000.forged' }]) {
+    const res = await t.request('GET', '/admin/whoami', undefined, headers);
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, 'api_key_required');
+  }
+  const whoami = await t.request('GET', '/admin/whoami', undefined, ADMIN);
+  assert.equal(whoami.status, 200);
+  assert.deepEqual(whoami.body.roles, ['operator']);
+  assert.deepEqual(whoami.body.permissions, PERMISSIONS);
+});
+
+test('a stored key gets the permissions of its roles only, and refusals are audited', async () => {
+  const created = await t.request('POST', '/admin/api-keys', { name: 'match server', roles: ['game-server'] }, ADMIN);
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.match(created.body.key, /^ogp_[0-9a-f]{12}\./);
+  const gameServer = { Authorization: `Bearer ${created.body.key}` };
+
+  const whoami = await t.request('GET', '/admin/whoami', undefined, gameServer);
+  assert.equal(whoami.body.id, created.body.id);
+  assert.deepEqual(whoami.body.permissions, ROLES['game-server']);
+
+  const denied = await t.request('GET', '/admin/api-keys', undefined, gameServer);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.error.code, 'permission_denied');
+  assert.equal(denied.body.error.details.required, 'keys:manage');
+
+  const audit = await t.request('GET', `/admin/audit?actor=${created.body.id}`, undefined, ADMIN);
+  assert.deepEqual(audit.body.entries.map((e) => [e.action, e.outcome, e.error]), [['GET /admin/api-keys', 'denied', 'missing permission keys:manage']]);
+
+  const listed = await t.request('GET', '/admin/api-keys', undefined, ADMIN);
+  const stored = listed.body.keys.find((k) => k.id === created.body.id);
+  assert.equal(stored.createdBy, 'env:ADMIN_API_KEY');
+  assert.ok(stored.lastUsedAt);
+  assert.ok(!JSON.stringify(listed.body).includes(created.body.key.split('.')[1]), 'secrets are never listed');
+});
+
+test('a revoked key stops working', async () => {
+  const { body: key } = await t.request('POST', '/admin/api-keys', { name: 'reader', roles: ['read-only'] }, ADMIN);
+  const reader = { 'X-Api-Key': key.key };
+  assert.equal((await t.request('GET', '/admin/audit', undefined, reader)).status, 200);
+
+  const revoked = await t.request('POST', `/admin/api-keys/${key.id}/revoke`, undefined, ADMIN);
+  assert.equal(revoked.status, 200);
+  assert.ok(revoked.body.revokedAt);
+  assert.equal((await t.request('GET', '/admin/audit', undefined, reader)).status, 401);
+  assert.equal((await t.request('POST', `/admin/api-keys/${key.id}/revoke`, undefined, ADMIN)).body.error.code, 'api_key_not_found');
+
+  const audit = await t.request('GET', `/admin/audit?target=${key.id}`, undefined, ADMIN);
+  const first = audit.body.entries.at(-1);
+  assert.deepEqual([first.action, first.outcome, first.actor], ['keys.revoke', 'ok', 'env:ADMIN_API_KEY']);
+});
+
+test('unknown roles are refused', async () => {
+  const res = await t.request('POST', '/admin/api-keys', { name: 'root', roles: ['superuser'] }, ADMIN);
+  assert.equal(res.status, 400);
+});
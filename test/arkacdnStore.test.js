@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase } from '../backend/datastore.js';
+import { createArkacdnStore } from '../backend/sessionStores/arkacdnStore.js';
+import { createArkacdnStub } from './support/arkacdnStub.js';
+
+let arkacdn;
+let db;
+before(async () => {
+  arkacdn = await createArkacdnStub();
+  db = openDatabase(':memory:');
+});
+after(async () => {
+  await arkacdn.close();
+  db.close();
+});
+
+const session = (username, extra = {}) => ({
+  username, tokenUuid: `${username}-token`, ip: '10.0.0.1', deviceId: null, createdAt: new Date().toISOString(), expiresAt: new Date(Date.now() + 60000).toISOString(), ...extra,
+});
+
+test('uploads a session and reads it back with its lifecycle fields', async () => {
+  const store = createArkacdnStore({ url: arkacdn.url, refreshToken: arkacdn.refreshToken, db });
+  const stored = await store.put(session('alice'));
+  assert.equal(stored.verified, true);
+  assert.equal(JSON.parse(arkacdn.uploads.get(stored.id).content).ip, '10.0.0.1');
+
+  assert.equal(await store.update(stored.id, { revokedAt: '2026-01-01T00:00:00.000Z' }), true);
+  const read = await store.get(stored.id);
+  assert.equal(read.ip, '10.0.0.1');
+  assert.equal(read.revokedAt, '2026-01-01T00:00:00.000Z');
+
+  const listed = await store.listByUsername('alice');
+  assert.deepEqual(listed.map((s) => s.id), [stored.id]);
+  assert.equal(listed[0].ip, undefined, 'the side map keeps no ip');
+
+  assert.equal(await store.delete(stored.id), true);
+  assert.deepEqual(await store.listByUsername('alice'), []);
+  assert.equal(await store.get('missing'), null);
+});
+
+test('refreshes an expired access token and retries the upload', async () => {
+  const store = createArkacdnStore({ url: arkacdn.url, token: 'stale', db });
+  arkacdn.expireAccessTokens();
+  await assert.rejects(store.put(session('bob')), /unauthorized and refresh failed/);
+
+  const refreshing = createArkacdnStore({ url: arkacdn.url, token: 'stale', refreshToken: arkacdn.refreshToken, db });
+  const stored = await refreshing.put(session('bob'));
+  assert.ok(arkacdn.uploads.has(stored.id));
+});
+
+test('fails reads when the refresh token is refused', async () => {
+  const store = createArkacdnStore({ url: arkacdn.url, refreshToken: 'wrong', db });
+  await assert.rejects(store.get('any'), /Failed to refresh Arkacdn token/);
+});
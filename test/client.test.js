@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { createClient, ApiError } from '../packages/client/src/index.js';
+import { createMockServer } from '../packages/client/src/mock.js';
+import { startTestServer } from './support/testServer.js';
+
+let mock;
+let t;
+before(async () => {
+  mock = await createMockServer();
+  t = await startTestServer();
+});
+after(async () => {
+  await mock?.close();
+  await t?.close();
+});
+
+const gameServer = (options = {}) => createClient({ baseUrl: mock.url, apiKey: 'mock-game-server-key', retryDelayMs: 1, ...options });
+const requestsTo = (path) => mock.requests.filter((r) => r.path === path).length;
+
+test('validateSession answers refusals with their reason and caches successes', async () => {
+  mock.reset();
+  const og = gameServer();
+  mock.createSession('alice', { ip: '10.0.0.1' });
+
+  const first = await og.validateSession({ username: 'alice', ip: '10.0.0.1' });
+  assert.deepEqual([first.valid, first.cached], [true, false]);
+  assert.equal((await og.validateSession({ username: 'alice', ip: '10.0.0.1' })).cached, true);
+  assert.equal(requestsTo('/validatesession'), 1);
+
+  assert.deepEqual(await og.validateSession({ username: 'alice', ip: '10.0.0.2' }), { valid: false, reason: 'ip_mismatch', code: 'session_ip_mismatch' });
+  assert.equal((await og.validateSession({ username: 'nobody', ip: '10.0.0.1' })).reason, 'no_session');
+
+  mock.revokeSession(first.fileId);
+  og.invalidateSession('alice');
+  assert.equal((await og.validateSession({ username: 'alice', ip: '10.0.0.1' })).reason, 'revoked');
+});
+
+test('retries reads and rate limited requests, but never sends a write twice', async () => {
+  mock.reset();
+  const og = gameServer();
+  mock.addPlayer('bob');
+  mock.createSession('bob', { ip: '10.0.0.3' });
+
+  mock.failNext({ path: '/validatesession' });
+  assert.equal((await og.validateSession({ username: 'bob', ip: '10.0.0.3' }, { cache: false })).valid, true);
+  assert.equal(requestsTo('/validatesession'), 2);
+
+  mock.failNext({ path: '/user/bob', drop: true });
+  assert.equal((await og.getUser('bob')).playerAddress, mock.getPlayer('bob').address);
+
+  mock.failNext({ path: '/user/bob/stats' });
+  await assert.rejects(og.submitStats('bob', { increment: { kills: 1 } }), (err) => err instanceof ApiError && err.code === 'upstream_error' && err.status === 502);
+  assert.equal(requestsTo('/user/bob/stats'), 1);
+
+  mock.failNext({ code: 'rate_limited', path: '/user/bob/stats', retryAfter: 0 });
+  await og.submitStats('bob', { increment: { kills: 1 } });
+  assert.equal(requestsTo('/user/bob/stats'), 3);
+  assert.equal(mock.getPlayer('bob').stats.kills, '1');
+});
+
+test('logout sends the session token and drops the cached validation', async () => {
+  mock.reset();
+  const og = gameServer({ apiKey: undefined });
+  const { fileId, sessionToken } = mock.createSession('cleo');
+  assert.equal((await og.validateSession({ username: 'cleo' })).valid, true);
+
+  await assert.rejects(og.logout({ username: 'cleo', fileId }), (err) => err.code === 'session_required');
+  await og.logout({ username: 'cleo', fileId, sessionToken });
+  assert.equal((await og.validateSession({ username: 'cleo' })).reason, 'no_session');
+});
+
+test('drives the real API through sign-in, registration, validation and logout', async () => {
+  const og = createClient({ baseUrl: t.url });
+  const wallet = ethers.Wallet.createRandom();
+  const { token } = await og.requestToken({ username: 'dara' });
+  const { message } = await og.loginChallenge({ token, address: wallet.address });
+  const login = await og.login({ username: 'dara', token, address: wallet.address, signature: await wallet.signMessage(message) });
+  assert.equal((await og.waitForRegistration('dara', { intervalMs: 200 })).status, 'ready');
+
+  const valid = await og.validateSession({ sessionToken: login.sessionToken });
+  assert.deepEqual([valid.valid, valid.username, valid.fileId], [true, 'dara', login.fileId]);
+  await og.logout({ username: 'dara', fileId: login.fileId, sessionToken: login.sessionToken });
+  assert.equal((await og.validateSession({ username: 'dara' })).reason, 'no_session');
+  await assert.rejects(og.getUser('nobody'), (err) => err.code === 'user_not_found' && err.status === 404);
+});
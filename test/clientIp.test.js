@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the module is loaded: an IPv4 range, a single IPv4 proxy and an IPv6 range are trusted,
+// and sessions tolerate moving inside an IPv4 /24 or an IPv6 /64
+Object.assign(process.env, {
+  TRUSTED_PROXIES: '10.0.0.0/8, 192.0.2.7, 2001:db8:a::/48',
+  TRUSTED_PROXY_HEADER: 'x-forwarded-for',
+  SESSION_IPV4_PREFIX: '24',
+  SESSION_IPV6_PREFIX: '64',
+});
+const { normalizeIp, resolveClientIp, clientIp, ipMatches, isTrustedProxy } = await import('../backend/clientIp.js');
+
+function request(remoteAddress, forwardedFor) {
+  const headers = forwardedFor === undefined ? {} : { 'x-forwarded-for': forwardedFor };
+  return { socket: { remoteAddress }, get: (name) => headers[name.toLowerCase()] };
+}
+
+test('X-Forwarded-For is ignored unless the socket address is a trusted proxy', () => {
+  assert.equal(resolveClientIp(request('203.0.113.5', '198.51.100.9')), '203.0.113.5');
+  assert.equal(resolveClientIp(request('10.1.2.3', '198.51.100.9')), '198.51.100.9');
+  assert.equal(resolveClientIp(request('10.1.2.3')), '10.1.2.3', 'no header: the proxy itself');
+
+  const req = request('10.1.2.3', '198.51.100.9');
+  clientIp(req, {}, () => {});
+  assert.equal(req.clientIp, '198.51.100.9');
+});
+
+test('the walk skips trusted hops from the right and stops at the first untrusted one', () => {
+  // Entries left of the first untrusted hop were written by the client and are not believed
+  assert.equal(resolveClientIp(request('10.0.0.1', '6.6.6.6, 198.51.100.9, 10.0.0.2')), '198.51.100.9');
+  assert.equal(resolveClientIp(request('10.0.0.1', '6.6.6.6, 203.0.113.9')), '203.0.113.9');
+  assert.equal(resolveClientIp(request('192.0.2.7', '198.51.100.9, 10.0.0.3')), '198.51.100.9');
+  // Only the hops the header lists: every one trusted leaves the leftmost
+  assert.equal(resolveClientIp(request('10.0.0.1', '10.0.0.5, 10.0.0.2')), '10.0.0.5');
+  // An unparsable hop ends the walk at the last known address
+  assert.equal(resolveClientIp(request('10.0.0.1', '198.51.100.9, unknown')), '10.0.0.1');
+  assert.equal(resolveClientIp(request('10.0.0.1', '198.51.100.9:8080')), '198.51.100.9', 'ports are dropped');
+});
+
+test('trusted ranges match by CIDR for IPv4 and IPv6, and single ips exactly', () => {
+  assert.equal(isTrustedProxy('10.255.255.255'), true);
+  assert.equal(isTrustedProxy('11.0.0.1'), false);
+  assert.equal(isTrustedProxy('192.0.2.7'), true);
+  assert.equal(isTrustedProxy('192.0.2.8'), false);
+  assert.equal(isTrustedProxy('2001:db8:a:ffff::1'), true);
+  assert.equal(isTrustedProxy('2001:db8:b::1'), false);
+  assert.equal(isTrustedProxy(null), false);
+
+  assert.equal(resolveClientIp(request('2001:db8:a:1::1', '2001:DB8:FFFF::5')), '2001:db8:ffff::5');
+  assert.equal(resolveClientIp(request('2001:db8:a:1::1', '[2001:db8:ffff::5]:443')), '2001:db8:ffff::5');
+  assert.equal(resolveClientIp(request('2001:db8:b::1', '198.51.100.9')), '2001:db8:b::1');
+});
+
+test('IPv4-mapped IPv6 addresses are treated as the IPv4 address', () => {
+  assert.equal(normalizeIp('::ffff:10.0.0.1'), '10.0.0.1');
+  assert.equal(normalizeIp('::FFFF:198.51.100.9'), '198.51.100.9');
+  // A dual-stack socket reports IPv4 proxies in mapped form
+  assert.equal(resolveClientIp(request('::ffff:10.0.0.1', '::ffff:198.51.100.9')), '198.51.100.9');
+  assert.equal(resolveClientIp(request('::ffff:203.0.113.5', '198.51.100.9')), '203.0.113.5');
+  assert.equal(ipMatches('198.51.100.9', '::ffff:198.51.100.77'), true);
+});
+
+test('session ips match within the configured prefixes', () => {
+  assert.equal(ipMatches('198.51.100.9', '198.51.100.200'), true);
+  assert.equal(ipMatches('198.51.100.9', '198.51.101.9'), false);
+  assert.equal(ipMatches('2001:db8:1:2::1', '2001:db8:1:2:ffff::9'), true);
+  assert.equal(ipMatches('2001:db8:1:2::1', '2001:db8:1:3::1'), false);
+  assert.equal(ipMatches('198.51.100.9', '2001:db8:1:2::1'), false, 'families never match each other');
+  // Values that are not ips only match themselves
+  assert.equal(ipMatches('lan-client', 'lan-client'), true);
+  assert.equal(ipMatches('lan-client', '198.51.100.9'), false);
+  assert.equal(normalizeIp('not an ip'), null);
+});
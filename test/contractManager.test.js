@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import hre from 'hardhat';
+import { ethers } from 'ethers';
+import { startTestServer, HARDHAT_PRIVATE_KEY, HARDHAT_SECOND_PRIVATE_KEY } from './support/testServer.js';
+import { getNetwork, waitForTx } from '../backend/networks.js';
+import { getDb } from '../backend/datastore.js';
+import { getPlayerRecord, getUserContract, linkPlayerIdentifier, migratePlayerToRegistry, updateUserStats } from '../backend/contractManager.js';
+import { contractAbi } from '../backend/contractVersions.js';
+import { createApiKey } from '../backend/apiKeys.js';
+import { statKey } from '../backend/statNames.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REGISTRY_ARTIFACT = path.join(__dirname, '..', 'artifacts', 'contracts', 'PlayerRegistry.sol', 'PlayerRegistry.json');
+// Alice's well-known dev account (sr25519)
+const POLKADOT_ADDRESS = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+
+let t;
+let registry;
+// Registry of the `registry` network, where new players go straight into the registry
+let modeRegistry;
+before(async () => {
+  const provider = new ethers.BrowserProvider(hre.network.provider, 31337, { cacheTimeout: -1 });
+  const deployRegistry = async (privateKey) => {
+    const { abi, bytecode } = JSON.parse(fs.readFileSync(REGISTRY_ARTIFACT, 'utf8'));
+    const deployed = await new ethers.ContractFactory(abi, bytecode, new ethers.Wallet(privateKey, provider)).deploy();
+    await deployed.waitForDeployment();
+    return new ethers.Contract(await deployed.getAddress(), contractAbi('PlayerRegistry'), provider);
+  };
+  registry = await deployRegistry(HARDHAT_PRIVATE_KEY);
+  modeRegistry = await deployRegistry(HARDHAT_SECOND_PRIVATE_KEY);
+  t = await startTestServer({
+    network: { registryAddress: registry.target },
+    networks: { registry: { privateKey: HARDHAT_SECOND_PRIVATE_KEY, registryAddress: modeRegistry.target, contractMode: 'registry' } },
+  });
+});
+after(() => t?.close());
+
+async function registerPlayer(username, wallet) {
+  const loggedIn = await t.login(username, wallet);
+  assert.equal(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+  await t.waitForRegistration(username);
+  return getPlayerRecord(username);
+}
+
+// Write stats straight into the player's legacy contract, as if earned there
+function writeLegacyStats(record, target, stats) {
+  const values = Object.fromEntries(Object.entries(stats).map(([name, value]) => [statKey(name), value]));
+  const job = getNetwork('hardhat').txQueue.enqueueStats({ to: record.contractAddress, op: 'set', target, stats: values });
+  return waitForTx(job.id, 'confirmed');
+}
+
+test('migrates every identifier of a player with its own stats, without doubling kills', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const linkedWallet = ethers.Wallet.createRandom();
+  const record = await registerPlayer('erin', wallet);
+  linkPlayerIdentifier('erin', { identifier: linkedWallet.address, kind: 'evm' });
+  linkPlayerIdentifier('erin', { identifier: POLKADOT_ADDRESS, kind: 'polkadot' });
+
+  await waitForTx((await updateUserStats('erin', { set: { kills: 7, wins: 2 } })).set, 'confirmed');
+  await writeLegacyStats(record, { address: linkedWallet.address }, { kills: 3 });
+  await writeLegacyStats(record, { id: ethers.id(POLKADOT_ADDRESS) }, { kills: 4, wins: 1 });
+  const before = await getUserContract('erin');
+  assert.equal(before.stats.kills, '14');
+
+  const result = await migratePlayerToRegistry('erin');
+  assert.equal(result.migrated, true);
+  assert.equal(result.entries.length, 5, 'address and id hash of both wallets, id hash of the Polkadot identifier');
+  const primaryId = result.entries.find((e) => e.identifier === wallet.address && e.byId);
+  assert.equal(primaryId.stats.kills, '0');
+
+  assert.equal(await registry.getKills(wallet.address), 7n);
+  assert.equal(await registry.getKillsById(ethers.id(wallet.address)), 0n);
+  assert.equal(await registry.getKills(linkedWallet.address), 3n);
+  assert.equal(await registry.getKillsById(ethers.id(linkedWallet.address)), 0n);
+  assert.equal(await registry.getKillsById(ethers.id(POLKADOT_ADDRESS)), 4n);
+  assert.equal(await registry.isRegisteredById(ethers.id(linkedWallet.address)), true);
+
+  const after = await getUserContract('erin');
+  assert.equal(after.mode, 'registry');
+  assert.equal(after.contractAddress, registry.target);
+  assert.deepEqual(after.stats, before.stats);
+});
+
+test('refuses to overwrite a registry record that holds other kills', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const record = await registerPlayer('fred', wallet);
+  const job = getNetwork('hardhat').txQueue.enqueueStats({ to: registry.target, op: 'set', target: { address: wallet.address }, stats: { [statKey('kills')]: 9n } });
+  await waitForTx(job.id, 'confirmed');
+
+  await assert.rejects(migratePlayerToRegistry('fred'), /already registered in the registry with kills=9/);
+  assert.equal(getPlayerRecord('fred').contractAddress, record.contractAddress);
+  assert.equal(await registry.isRegisteredById(ethers.id(wallet.address)), false, 'nothing written');
+});
+
+test('stat writes for records from before playerAddressIsEthereum go to the wallet entry', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const record = await registerPlayer('gina', wallet);
+  getDb().prepare("UPDATE player_records SET record = json_remove(record, '$.playerAddressIsEthereum') WHERE username = ?").run('gina');
+  assert.equal(getPlayerRecord('gina').playerAddressIsEthereum, undefined);
+
+  await waitForTx((await updateUserStats('gina', { set: { kills: 5 } })).set, 'confirmed');
+  const legacy = new ethers.Contract(record.contractAddress, contractAbi('PlayerData'), t.provider);
+  assert.equal(await legacy.getKills(wallet.address), 5n);
+  assert.equal(await legacy.getKillsById(ethers.id(wallet.address)), 0n);
+});
+
+test('an identifier registered in a registry is reserved for the first username', async () => {
+  const operator = { 'X-API-Key': createApiKey({ name: 'operator', roles: ['operator'] }).key };
+  const wallet = ethers.Wallet.createRandom();
+  const first = await t.request('POST', '/admin/users', { username: 'hana', address: wallet.address, network: 'registry' }, operator);
+  assert.equal(first.status, 202, JSON.stringify(first.body));
+
+  const second = await t.request('POST', '/admin/users', { username: 'hank', address: wallet.address, network: 'registry' }, operator);
+  assert.equal(second.status, 409);
+  assert.equal(second.body.error.code, 'user_exists');
+  assert.equal(second.body.error.details.network, 'registry');
+  assert.equal((await t.request('GET', '/registration/hank')).status, 404);
+
+  const registered = await t.waitForRegistration('hana');
+  assert.equal(registered.mode, 'registry');
+  assert.equal(registered.contractAddress, modeRegistry.target);
+  assert.equal(await modeRegistry.isRegisteredById(ethers.id(wallet.address)), true);
+
+  // Per-player contracts are separate, so the same identifier can still register another username there
+  const perPlayer = await t.request('POST', '/admin/users', { username: 'hank', address: wallet.address }, operator);
+  assert.equal(perPlayer.status, 202, JSON.stringify(perPlayer.body));
+  await t.waitForRegistration('hank');
+});
@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ethers } from 'ethers';
+import { startTestServer, HARDHAT_PRIVATE_KEY } from './support/testServer.js';
+import { getPlayerRecord, insertPlayerRecord, updateUserStats } from '../backend/contractManager.js';
+import { CURRENT_CONTRACT_VERSION, capabilitiesOf, supports, detectContractVersion } from '../backend/contractVersions.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const artifact = (...parts) => JSON.parse(fs.readFileSync(path.join(__dirname, ...parts), 'utf8'));
+// PlayerData as first deployed: contracts/PlayerContract.sol of the baseline, compiled with solc 0.8.28
+const BASELINE = artifact('fixtures', 'PlayerData.v1.json');
+const PLAYER_DATA = artifact('..', 'artifacts', 'contracts', 'PlayerContract.sol', 'PlayerData.json');
+const PLAYER_REGISTRY = artifact('..', 'artifacts', 'contracts', 'PlayerRegistry.sol', 'PlayerRegistry.json');
+const LOCK = artifact('..', 'artifacts', 'contracts', 'Lock.sol', 'Lock.json');
+
+let t;
+let owner;
+before(async () => {
+  t = await startTestServer();
+  owner = new ethers.NonceManager(new ethers.Wallet(HARDHAT_PRIVATE_KEY, t.provider));
+});
+after(() => t?.close());
+
+async function deploy({ abi, bytecode }, ...args) {
+  const contract = await new ethers.ContractFactory(abi, bytecode, owner).deploy(...args);
+  await contract.waitForDeployment();
+  return contract.getAddress();
+}
+
+test('the current contracts are the newest bundled version', () => {
+  assert.equal(CURRENT_CONTRACT_VERSION, 2);
+  assert.deepEqual(capabilitiesOf(1), ['kills', 'killsById']);
+  assert.deepEqual(capabilitiesOf(2), ['kills', 'killsById', 'stats', 'ownership', 'profileHash', 'signedStats']);
+  assert.equal(supports(1, 'killsById'), true);
+  assert.equal(supports(1, 'stats'), false);
+  assert.throws(() => supports(2, 'teleport'), /Unknown contract capability/);
+});
+
+test('detects the version of every deployed player contract', async () => {
+  assert.equal(await detectContractVersion(t.provider, await deploy(BASELINE)), 1);
+  assert.equal(await detectContractVersion(t.provider, await deploy(PLAYER_DATA)), 2);
+  assert.equal(await detectContractVersion(t.provider, await deploy(PLAYER_REGISTRY)), 2);
+
+  const unlockTime = Math.floor(Date.now() / 1000) + 3600;
+  await assert.rejects(detectContractVersion(t.provider, await deploy(LOCK, unlockTime)), /is not a player contract/);
+  await assert.rejects(detectContractVersion(t.provider, ethers.Wallet.createRandom().address), /No contract at/);
+});
+
+test('a record from before versions is detected as the baseline and refused newer writes', async () => {
+  const contractAddress = await deploy(BASELINE);
+  const playerAddress = ethers.Wallet.createRandom().address;
+  const baseline = new ethers.Contract(contractAddress, BASELINE.abi, owner);
+  await (await baseline.adminSetKills(playerAddress, 4n)).wait();
+  insertPlayerRecord('early', { contractAddress, playerAddress, playerAddressIsEthereum: true, network: 'hardhat', deployedAt: new Date().toISOString() });
+
+  const user = await t.request('GET', '/user/early');
+  assert.equal(user.status, 200, JSON.stringify(user.body));
+  assert.equal(user.body.contractVersion, 1);
+  assert.deepEqual(user.body.capabilities, ['kills', 'killsById']);
+  assert.equal(user.body.kills, '4');
+  assert.equal(getPlayerRecord('early').contractVersion, 1, 'stored once detected');
+  await assert.rejects(updateUserStats('early', { set: { wins: 1 } }), /predates generic stats/);
+});
@@ -0,0 +1,193 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestServer } from './support/testServer.js';
+import { createApiKey } from '../backend/apiKeys.js';
+import { waitForTx } from '../backend/networks.js';
+
+// token -> login -> auto-register -> validatesession -> match reports, against Hardhat's in-process network and the Arkacdn stub
+
+let t;
+before(async () => {
+  t = await startTestServer();
+});
+after(() => t?.close());
+
+test('a new player logs in, is registered on-chain and has a valid session', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const loggedIn = await t.login('alice', wallet);
+  assert.equal(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+  const { fileId, sessionToken, registration } = loggedIn.body;
+  assert.equal(registration.username, 'alice');
+
+  // The session went to Arkacdn, ip included
+  const upload = t.arkacdn.uploads.get(fileId);
+  assert.ok(upload, 'session uploaded to Arkacdn');
+  assert.equal(JSON.parse(upload.content).ip, '127.0.0.1');
+  assert.ok(t.arkacdn.requests.some((r) => r.path === '/auth/refresh'));
+
+  const ready = await t.waitForRegistration('alice');
+  assert.equal(ready.network, 'hardhat');
+  assert.notEqual(await t.provider.getCode(ready.contractAddress), '0x');
+
+  const user = await t.request('GET', '/user/alice');
+  assert.equal(user.status, 200, JSON.stringify(user.body));
+  assert.equal(user.body.contractAddress, ready.contractAddress);
+  assert.equal(user.body.playerAddress, wallet.address);
+
+  const byUsername = await t.request('POST', '/validatesession', { username: 'alice' });
+  assert.equal(byUsername.status, 200, JSON.stringify(byUsername.body));
+  assert.equal(byUsername.body.fileId, fileId);
+
+  const byToken = await t.request('POST', '/validatesession', { sessionToken });
+  assert.equal(byToken.status, 200, JSON.stringify(byToken.body));
+  assert.equal(byToken.body.username, 'alice');
+  assert.equal(byToken.body.fileId, fileId);
+});
+
+test('validatesession refuses players without a session', async () => {
+  const { status, body } = await t.request('POST', '/validatesession', { username: 'nobody' });
+  assert.equal(status, 404);
+  assert.equal(body.error.code, 'session_not_found');
+});
+
+test('a logged out session is no longer valid', async () => {
+  const loggedIn = await t.login('bob', ethers.Wallet.createRandom());
+  assert.equal(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+  await t.waitForRegistration('bob');
+
+  const { fileId, sessionToken } = loggedIn.body;
+  const anonymous = await t.request('POST', '/logout', { username: 'bob', fileId });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.error.code, 'session_required');
+
+  const out = await t.request('POST', '/logout', { username: 'bob', fileId, sessionToken });
+  assert.equal(out.status, 200, JSON.stringify(out.body));
+  const check = await t.request('POST', '/validatesession', { sessionToken: loggedIn.body.sessionToken });
+  assert.equal(check.status, 404);
+  assert.equal(check.body.error.code, 'session_not_found');
+});
+
+test('logout needs a token of that very session, or a key allowed to revoke sessions', async () => {
+  // Stored in the test app's database rather than env, which would outlive this file
+  const operatorKey = createApiKey({ name: 'e2e operator', roles: ['operator'] }).key;
+  const gameServerKey = createApiKey({ name: 'e2e game server', roles: ['game-server'] }).key;
+  const dave = await t.login('dave', ethers.Wallet.createRandom());
+  const erin = await t.login('erin', ethers.Wallet.createRandom());
+  assert.equal(dave.status, 200, JSON.stringify(dave.body));
+  assert.equal(erin.status, 200, JSON.stringify(erin.body));
+  await t.waitForRegistration('dave');
+  await t.waitForRegistration('erin');
+
+  const foreign = await t.request('POST', '/logout', { username: 'dave', fileId: dave.body.fileId, sessionToken: erin.body.sessionToken });
+  assert.equal(foreign.status, 403);
+  assert.equal(foreign.body.error.details.reason, 'session_username_mismatch');
+
+  const gameServer = await t.request('POST', '/logout', { username: 'dave', fileId: dave.body.fileId }, { 'X-Api-Key': gameServerKey });
+  assert.equal(gameServer.status, 403);
+  assert.equal(gameServer.body.error.code, 'permission_denied');
+
+  const operator = await t.request('POST', '/logout', { username: 'dave', fileId: dave.body.fileId }, { 'X-Api-Key': operatorKey });
+  assert.equal(operator.status, 200, JSON.stringify(operator.body));
+  const check = await t.request('POST', '/validatesession', { sessionToken: dave.body.sessionToken });
+  assert.equal(check.body.error.code, 'session_not_found');
+});
+
+test('sessions survive an expired Arkacdn access token', async () => {
+  const loggedIn = await t.login('carol', ethers.Wallet.createRandom());
+  assert.equal(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+  await t.waitForRegistration('carol');
+
+  t.arkacdn.expireAccessTokens();
+  const check = await t.request('POST', '/validatesession', { username: 'carol' });
+  assert.equal(check.status, 200, JSON.stringify(check.body));
+  assert.equal(check.body.fileId, loggedIn.body.fileId);
+});
+
+// Log players in and wait until they are registered
+async function registeredPlayers(...usernames) {
+  for (const username of usernames) {
+    const loggedIn = await t.login(username, ethers.Wallet.createRandom());
+    assert.equal(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+  }
+  for (const username of usernames) await t.waitForRegistration(username);
+}
+
+test('a game server reports a match once and the deltas land on-chain', async () => {
+  const gameServer = { 'X-Api-Key': createApiKey({ name: 'e2e match server', roles: ['game-server'] }).key };
+  await registeredPlayers('frank', 'gwen');
+  const report = {
+    matchId: 'match-1',
+    durationSeconds: 300,
+    players: [
+      { username: 'frank', ip: '127.0.0.1', kills: 3, won: true, stats: { headshots: 2 } },
+      { username: 'gwen', ip: '127.0.0.1', deaths: 3 },
+    ],
+  };
+
+  const submitted = await t.request('POST', '/match/result', report, gameServer);
+  assert.equal(submitted.status, 201, JSON.stringify(submitted.body));
+  const { frank, gwen } = submitted.body.players;
+  assert.deepEqual(frank.deltas, { headshots: 2, kills: 3, wins: 1, playtime: 300, matchesPlayed: 1 });
+  assert.ok(frank.txHash && gwen.txHash);
+  await waitForTx(frank.txId, 'confirmed');
+  await waitForTx(gwen.txId, 'confirmed');
+
+  const user = await t.request('GET', '/user/frank');
+  assert.equal(user.body.stats.kills, '3');
+  assert.equal(user.body.stats.headshots, '2', 'custom stats are read back by name');
+
+  const again = await t.request('POST', '/match/result', report, gameServer);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error.code, 'match_exists');
+  assert.equal((await t.request('GET', '/user/frank')).body.stats.kills, '3', 'nothing written twice');
+});
+
+test('a match with an unregistered player or one without a session is refused as a whole', async () => {
+  const gameServer = { 'X-Api-Key': createApiKey({ name: 'e2e match server', roles: ['game-server'] }).key };
+  await registeredPlayers('hugo', 'kate');
+  const players = [
+    { username: 'hugo', ip: '127.0.0.1', kills: 1 },
+    { username: 'nobody', ip: '127.0.0.1', kills: 1 },
+    { username: 'kate', ip: '10.0.0.1', kills: 1 },
+  ];
+
+  const refused = await t.request('POST', '/match/result', { matchId: 'match-2', players }, gameServer);
+  assert.equal(refused.status, 422);
+  assert.equal(refused.body.error.code, 'participants_rejected');
+  assert.deepEqual(refused.body.error.details.rejected, [
+    { username: 'nobody', reason: 'not_registered' },
+    { username: 'kate', reason: 'ip_mismatch' },
+  ]);
+
+  // The match id was not used up by the refused report
+  const accepted = await t.request('POST', '/match/result', { matchId: 'match-2', players: players.slice(0, 1) }, gameServer);
+  assert.equal(accepted.status, 201, JSON.stringify(accepted.body));
+  await waitForTx(accepted.body.players.hugo.txId, 'confirmed');
+});
+
+test('a match some of whose writes fail is reported as partial and not accepted again', async () => {
+  const gameServer = { 'X-Api-Key': createApiKey({ name: 'e2e match server', roles: ['game-server'] }).key };
+  const operator = { 'X-Api-Key': createApiKey({ name: 'e2e match operator', roles: ['operator'] }).key };
+  await registeredPlayers('iris', 'jack');
+  // Once jack's contract is handed over the server can no longer write his stats
+  const transferred = await t.request('POST', '/admin/users/jack/transfer-ownership', { newOwner: ethers.Wallet.createRandom().address }, operator);
+  assert.equal(transferred.status, 200, JSON.stringify(transferred.body));
+
+  const report = {
+    matchId: 'match-3',
+    players: [{ username: 'iris', ip: '127.0.0.1', kills: 2 }, { username: 'jack', ip: '127.0.0.1', kills: 1 }],
+  };
+  const partial = await t.request('POST', '/match/result', report, gameServer);
+  assert.equal(partial.status, 207, JSON.stringify(partial.body));
+  const { iris, jack } = partial.body.players;
+  assert.ok(iris.txHash);
+  assert.equal(iris.error, undefined);
+  await waitForTx(iris.txId, 'confirmed');
+  assert.match(jack.error, /no longer write its stats/);
+  assert.equal(jack.txId, undefined);
+
+  const again = await t.request('POST', '/match/result', report, gameServer);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error.code, 'match_exists');
+});
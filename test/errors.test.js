@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './support/testServer.js';
+import { ERROR_CODES } from '../backend/errors.js';
+
+// The error envelope { error: { code, message, details? } } and the OpenAPI document
+
+let t;
+before(async () => {
+  t = await startTestServer();
+});
+after(() => t?.close());
+
+async function raw(method, route, body, headers = { 'Content-Type': 'application/json' }) {
+  const res = await fetch(`${t.url}${route}`, { method, headers, body });
+  return { status: res.status, body: await res.json() };
+}
+
+function assertEnvelope({ status, body }, code) {
+  assert.equal(status, ERROR_CODES[code].status);
+  assert.deepEqual(Object.keys(body), ['error']);
+  assert.equal(body.error.code, code);
+  assert.equal(typeof body.error.message, 'string');
+  assert.ok(Object.keys(body.error).every((key) => ['code', 'message', 'details'].includes(key)), JSON.stringify(body));
+}
+
+test('malformed and oversized bodies are answered in the envelope', async () => {
+  assertEnvelope(await raw('POST', '/login/challenge', '{"token": '), 'invalid_json');
+  assertEnvelope(await raw('POST', '/login/challenge', JSON.stringify({ token: 'x'.repeat(200 * 1024), address: '0x0' })), 'payload_too_large');
+});
+
+test('unknown routes and methods are route_not_found', async () => {
+  const unknown = await raw('GET', '/nope');
+  assertEnvelope(unknown, 'route_not_found');
+  assert.equal(unknown.body.error.message, 'No route for GET /nope');
+  assertEnvelope(await raw('DELETE', '/token'), 'route_not_found');
+});
+
+test('schema problems are all listed in details.errors', async () => {
+  const res = await t.request('POST', '/login/challenge', { address: 42, extra: true });
+  assertEnvelope(res, 'invalid_request');
+  const { errors } = res.body.error.details;
+  assert.equal(res.body.error.message, errors[0].message);
+  assert.deepEqual(errors.map((e) => e.path).sort(), ['body.address', 'body.extra', 'body.token']);
+  for (const error of errors) {
+    assert.equal(error.in, 'body');
+    assert.match(error.message, new RegExp(`^${error.path.replace('.', '\\.')} `));
+  }
+  assert.match(errors.find((e) => e.path === 'body.token').message, /is required/);
+  assert.match(errors.find((e) => e.path === 'body.extra').message, /is not allowed/);
+
+  const query = await t.request('GET', '/achievements/not-a-number');
+  assertEnvelope(query, 'invalid_request');
+  assert.equal(query.body.error.details.errors[0].in, 'params');
+});
+
+test('/openapi.json describes every route and every error code', async () => {
+  const { status, body: spec } = await t.request('GET', '/openapi.json');
+  assert.equal(status, 200);
+  assert.equal(spec.openapi, '3.1.0');
+
+  // Every route but the CORS preflight, which is not part of the API
+  const routes = t.app._router.stack.filter((layer) => layer.route).flatMap((layer) => Object.keys(layer.route.methods)
+    .filter((method) => method !== '_all' && method !== 'options')
+    .map((method) => [layer.route.path.replace(/:([A-Za-z0-9_]+)/g, '{$1}'), method]));
+  assert.ok(routes.length > 50, `only ${routes.length} routes found`);
+  for (const [path, method] of routes) {
+    const op = spec.paths[path]?.[method];
+    assert.ok(op, `${method.toUpperCase()} ${path} is missing from /openapi.json`);
+    assert.ok(op.summary, `${method.toUpperCase()} ${path} has no summary`);
+    assert.deepEqual(op.responses.default, { $ref: '#/components/responses/Error' });
+  }
+
+  const codes = spec.components.schemas.Error.properties.error.properties.code.enum;
+  assert.deepEqual(codes, Object.keys(ERROR_CODES));
+  for (const [code, { status: codeStatus }] of Object.entries(ERROR_CODES)) {
+    assert.ok(spec.info.description.includes(`| \`${code}\` | ${codeStatus} |`), `${code} is missing from the error table`);
+  }
+  assert.ok(spec.components.responses.Error);
+
+  const matchOp = spec.paths['/match/result'].post;
+  assert.equal(matchOp['x-permission'], 'match:submit');
+  assert.ok(matchOp.requestBody.content['application/json'].schema.properties.players);
+});
@@ -0,0 +1,51 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { openDatabase } from '../backend/datastore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const IMPORT_SCRIPT = path.join(__dirname, '..', 'scripts', 'importJsonStores.js');
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ogprotocol-import-'));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Runs the import script against a database file in `dir`; resolves to { code, stdout, stderr }
+async function runImport(args = []) {
+  const env = { ...process.env, DATABASE_PATH: path.join(dir, 'import.db') };
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [IMPORT_SCRIPT, '--dir', dir, ...args], { env });
+    return { code: 0, stdout, stderr };
+  } catch (err) {
+    return { code: err.code, stdout: err.stdout, stderr: err.stderr };
+  }
+}
+
+test('imports unexpired tokens from tokens.json, and refuses one that does not parse', async () => {
+  const createdAt = new Date().toISOString();
+  fs.writeFileSync(path.join(dir, 'tokens.json'), JSON.stringify({
+    live: { username: 'bob', createdAt, expiresAt: new Date(Date.now() + 60000).toISOString() },
+    expired: { username: 'bob', createdAt, expiresAt: new Date(Date.now() - 60000).toISOString() },
+  }));
+  const imported = await runImport();
+  assert.equal(imported.code, 0, imported.stderr);
+  assert.match(imported.stdout, /1 token\(s\)/);
+  const importDb = openDatabase(path.join(dir, 'import.db'));
+  try {
+    assert.deepEqual(importDb.prepare('SELECT uuid FROM tokens').pluck().all(), ['live']);
+  } finally {
+    importDb.close();
+  }
+
+  fs.writeFileSync(path.join(dir, 'tokens.json'), '{"live": ');
+  const broken = await runImport();
+  assert.equal(broken.code, 1);
+  assert.match(broken.stderr, /tokens\.json is not valid JSON/);
+});
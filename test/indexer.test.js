@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestServer } from './support/testServer.js';
+import { getDb } from '../backend/datastore.js';
+import { waitForTx } from '../backend/networks.js';
+import { updateUserStats } from '../backend/contractManager.js';
+import { syncOnce } from '../backend/indexer.js';
+
+let t;
+before(async () => {
+  t = await startTestServer();
+  for (const username of ['kim', 'lee', 'max']) {
+    const loggedIn = await t.login(username, ethers.Wallet.createRandom());
+    assert.equal(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+    await t.waitForRegistration(username);
+  }
+});
+after(() => t?.close());
+
+async function setStats(username, set) {
+  const txIds = await updateUserStats(username, { set });
+  await waitForTx(txIds.set, 'confirmed');
+}
+
+const board = async (query = '') => (await t.request('GET', `/leaderboard${query}`)).body;
+const ranking = (body) => body.entries.map(({ rank, username, value }) => [rank, username, value]);
+
+test('ranks players by their indexed stats', async () => {
+  await setStats('kim', { kills: 5 });
+  await setStats('lee', { kills: 9, wins: 1 });
+  await setStats('max', { kills: 5 });
+  const ranges = await syncOnce();
+  const head = await t.provider.getBlockNumber();
+  assert.equal(ranges.hardhat.to, head);
+
+  const kills = await board();
+  assert.deepEqual(ranking(kills), [[1, 'lee', '9'], [2, 'kim', '5'], [2, 'max', '5']]);
+  assert.equal(kills.indexedBlock, head);
+  assert.deepEqual(ranking(await board('?stat=wins&limit=1')), [[1, 'lee', '1']]);
+
+  const kim = await t.request('GET', '/leaderboard/kim');
+  assert.equal(kim.body.rank, 2);
+  assert.equal(kim.body.network, 'hardhat');
+  assert.equal((await syncOnce()).hardhat, null, 'nothing new to index');
+});
+
+test('keeps the indexer state in the datastore in use', async () => {
+  const row = getDb().prepare('SELECT cursor, state FROM indexer_chains WHERE network = ?').get('hardhat');
+  assert.equal(row.cursor, (await board()).indexedBlock);
+  assert.equal(JSON.parse(row.state).cursor, row.cursor);
+});
+
+test('rolls back values indexed from blocks a reorg dropped', async () => {
+  const snapshot = await t.provider.send('evm_snapshot', []);
+  await setStats('kim', { kills: 20 });
+  await syncOnce();
+  assert.deepEqual(ranking(await board())[0], [1, 'kim', '20']);
+
+  // The replacement chain is longer and its blocks are empty, so their hashes differ
+  const dropped = await t.provider.getBlockNumber();
+  await t.provider.send('evm_revert', [snapshot]);
+  await t.provider.send('hardhat_mine', ['0x3']);
+  assert.ok(await t.provider.getBlockNumber() > dropped);
+
+  await syncOnce();
+  const kills = await board();
+  assert.deepEqual(ranking(kills), [[1, 'lee', '9'], [2, 'kim', '5'], [2, 'max', '5']]);
+  assert.equal(kills.indexedBlock, await t.provider.getBlockNumber());
+});
@@ -0,0 +1,35 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase } from '../backend/datastore.js';
+import { createLocalStore } from '../backend/sessionStores/localStore.js';
+
+let db;
+before(() => {
+  db = openDatabase(':memory:');
+});
+after(() => db.close());
+
+const session = (username, extra = {}) => ({
+  username, tokenUuid: `${username}-token`, ip: '10.0.0.1', deviceId: null, createdAt: new Date().toISOString(), expiresAt: new Date(Date.now() + 60000).toISOString(), ...extra,
+});
+
+test('stores, updates, lists and deletes sessions in the datastore', async () => {
+  const store = createLocalStore({ db });
+  const stored = await store.put(session('alice'));
+  assert.equal(stored.verified, true);
+
+  assert.equal(await store.update(stored.id, { revokedAt: '2026-01-01T00:00:00.000Z' }), true);
+  const read = await store.get(stored.id);
+  assert.equal(read.ip, '10.0.0.1');
+  assert.equal(read.revokedAt, '2026-01-01T00:00:00.000Z');
+
+  // A second store on the same database sees the same sessions
+  const listed = await createLocalStore({ db }).listByUsername('alice');
+  assert.deepEqual(listed.map((s) => s.id), [stored.id]);
+  assert.equal(listed[0].ip, undefined, 'listings carry no ip');
+
+  assert.equal(await store.delete(stored.id), true);
+  assert.equal(await store.delete(stored.id), false);
+  assert.equal(await store.update(stored.id, { revokedAt: null }), false);
+  assert.equal(await store.get(stored.id), null);
+});
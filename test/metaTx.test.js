@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestServer } from './support/testServer.js';
+import { waitForTx } from '../backend/networks.js';
+import { prepareStatUpdate, relayStatUpdate, setStatSigner } from '../backend/metaTx.js';
+
+let t;
+before(async () => {
+  t = await startTestServer();
+});
+after(() => t?.close());
+
+async function registerPlayer(username, wallet) {
+  const loggedIn = await t.login(username, wallet);
+  assert.equal(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+  await t.waitForRegistration(username);
+}
+
+async function signUpdate(username, signer, update) {
+  const { domain, types, message } = await prepareStatUpdate(username, update);
+  const signature = await signer.signTypedData(domain, types, message);
+  return { ...update, nonce: message.nonce, deadline: Number(message.deadline), signature };
+}
+
+test('a signed update relays once and lands on-chain', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  await registerPlayer('hana', wallet);
+  const signed = await signUpdate('hana', wallet, { increment: { kills: 2 } });
+
+  const relayed = await relayStatUpdate('hana', signed);
+  assert.equal(relayed.signer, wallet.address);
+  await assert.rejects(relayStatUpdate('hana', signed), /already being relayed/);
+  await waitForTx(relayed.txId, 'confirmed');
+
+  const user = await t.request('GET', '/user/hana');
+  assert.equal(user.body.stats.kills, '2');
+});
+
+test('concurrent relays of one nonce queue a single tx', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const gameServer = ethers.Wallet.createRandom();
+  await registerPlayer('ivan', wallet);
+  await waitForTx((await setStatSigner('ivan', gameServer.address, true)).txId, 'confirmed');
+  const signed = await signUpdate('ivan', gameServer, { set: { wins: 1 } });
+
+  // Stat signer relays await the allow-list check, where the nonce used to be left unclaimed
+  const results = await Promise.allSettled([relayStatUpdate('ivan', signed), relayStatUpdate('ivan', signed)]);
+  assert.deepEqual(results.map((r) => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.match(results.find((r) => r.status === 'rejected').reason.message, /already being relayed/);
+  await waitForTx(results.find((r) => r.status === 'fulfilled').value.txId, 'confirmed');
+});
+
+test('a rejected relay releases its nonce', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  await registerPlayer('jade', wallet);
+  const update = { increment: { deaths: 1 } };
+  const forged = await signUpdate('jade', ethers.Wallet.createRandom(), update);
+  await assert.rejects(relayStatUpdate('jade', forged), (err) => err.code === 'signature_invalid');
+
+  const signed = await signUpdate('jade', wallet, update);
+  assert.equal(signed.nonce, forged.nonce);
+  const relayed = await relayStatUpdate('jade', signed);
+  await waitForTx(relayed.txId, 'confirmed');
+});
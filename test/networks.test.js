@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startTestServer, HARDHAT_SECOND_PRIVATE_KEY } from './support/testServer.js';
+import { configureNetworks, getDefaultNetwork, getLegacyNetwork, recordNetwork, waitForTx } from '../backend/networks.js';
+import { updateUserStats } from '../backend/contractManager.js';
+import { syncOnce } from '../backend/indexer.js';
+import { createToken } from '../backend/sessionManager.js';
+import { createChallenge } from '../backend/walletAuth.js';
+import { createApiKey } from '../backend/apiKeys.js';
+
+const second = new ethers.Wallet(HARDHAT_SECOND_PRIVATE_KEY);
+
+let t;
+let operator;
+before(async () => {
+  t = await startTestServer({ networks: { second: { privateKey: HARDHAT_SECOND_PRIVATE_KEY } } });
+  operator = { 'X-Api-Key': createApiKey({ name: 'networks operator', roles: ['operator'] }).key };
+});
+after(() => t?.close());
+
+test('lists every configured network with the default one flagged', async () => {
+  const { body } = await t.request('GET', '/networks');
+  assert.deepEqual(body.networks.map(({ name, default: isDefault }) => [name, isDefault]), [['hardhat', true], ['second', false]]);
+  assert.equal(getDefaultNetwork(), 'hardhat');
+  assert.equal(getLegacyNetwork(), 'hardhat');
+});
+
+test('registers players on the network asked for, each with its own signer and leaderboard', async () => {
+  const started = await t.request('POST', '/admin/users', { username: 'north', address: ethers.Wallet.createRandom().address, network: 'second' }, operator);
+  assert.equal(started.status, 202, JSON.stringify(started.body));
+  const loggedIn = await t.login('south', ethers.Wallet.createRandom());
+  assert.equal(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+
+  const north = await t.waitForRegistration('north');
+  const south = await t.waitForRegistration('south');
+  assert.equal(north.network, 'second');
+  assert.equal(south.network, 'hardhat');
+  const deployer = async ({ deployTxHash }) => (await t.provider.getTransaction(deployTxHash)).from;
+  assert.equal(await deployer(north), second.address);
+  assert.notEqual(await deployer(south), second.address);
+
+  for (const [username, kills] of [['north', 7], ['south', 3]]) {
+    await waitForTx((await updateUserStats(username, { set: { kills } })).set, 'confirmed');
+  }
+  const ranges = await syncOnce();
+  assert.deepEqual(Object.keys(ranges).sort(), ['hardhat', 'second']);
+
+  const all = (await t.request('GET', '/leaderboard')).body;
+  assert.deepEqual(all.entries.map((e) => [e.username, e.value]), [['north', '7'], ['south', '3']]);
+  const onSecond = (await t.request('GET', '/leaderboard?network=second')).body;
+  assert.deepEqual(onSecond.entries.map((e) => e.username), ['north']);
+  assert.equal(onSecond.indexedBlock, ranges.second.to);
+  assert.equal((await t.request('GET', '/leaderboard/north')).body.network, 'second');
+});
+
+test('login messages and record defaults follow the networks configured last', async () => {
+  const address = ethers.Wallet.createRandom().address;
+  const chainIdOf = async () => /Chain ID: (\d+)/.exec((await createChallenge(createToken('chain'), address)).message)[1];
+  assert.equal(await chainIdOf(), '31337');
+
+  // Runs last: replaces the test server's networks
+  configureNetworks({
+    networks: { old: { chainId: 1287, provider: t.provider }, next: { chainId: 1284, provider: t.provider } },
+    defaultNetwork: 'next',
+    legacyNetwork: 'old',
+  });
+  assert.equal(getDefaultNetwork(), 'next');
+  assert.equal(getLegacyNetwork(), 'old');
+  assert.equal(recordNetwork({}), 'old');
+  assert.equal(await chainIdOf(), '1284');
+});
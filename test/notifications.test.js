@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from '../packages/client/src/index.js';
+
+// Read when notifications.js is loaded (testServer.js loads it): a short replay window and two streams per key
+Object.assign(process.env, {
+  NOTIFICATIONS_REPLAY_LIMIT: '2',
+  NOTIFICATIONS_MAX_STREAMS_PER_KEY: '2',
+});
+const { startTestServer } = await import('./support/testServer.js');
+const { emitEvent } = await import('../backend/events.js');
+const { createApiKey } = await import('../backend/apiKeys.js');
+
+const WAIT_MS = 5000;
+
+let t;
+let operatorKey;
+let gameServerKey;
+before(async () => {
+  t = await startTestServer();
+  operatorKey = createApiKey({ name: 'notifications operator', roles: ['operator'] }).key;
+  gameServerKey = createApiKey({ name: 'notifications game server', roles: ['game-server'] }).key;
+});
+after(() => t?.close());
+
+// Subscribe and resolve once the stream is ready; `events` fills up as they arrive
+async function subscribe(params, { apiKey = operatorKey } = {}) {
+  const og = createClient({ baseUrl: t.url, apiKey });
+  const events = [];
+  const gaps = [];
+  let ready;
+  const isReady = new Promise((resolve) => { ready = resolve; });
+  const sub = og.subscribe(params, (event) => { events.push(event); }, { onReady: ready, onGap: (gap) => gaps.push(gap) });
+  const info = await Promise.race([isReady, sub.closed.then((err) => { throw err ?? new Error('closed before ready'); })]);
+  return { sub, info, events, gaps };
+}
+
+async function until(check) {
+  const deadline = Date.now() + WAIT_MS;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+const summary = (events) => events.map((e) => `${e.type}:${e.subject}`);
+
+test('streams the events of the subscribed channels as they happen', async () => {
+  const { sub, info, events } = await subscribe({ channels: ['user:fay', 'sessions'] });
+  assert.deepEqual(info.channels, ['user:fay', 'sessions']);
+
+  emitEvent('stats.updated', { username: 'gus' });
+  emitEvent('session.created', { username: 'gus', fileId: 'f1' });
+  emitEvent('profile.updated', { username: 'fay' });
+  await until(() => events.length === 2);
+  assert.deepEqual(summary(events), ['session.created:gus', 'profile.updated:fay']);
+  assert.equal(sub.lastEventId, events[1].seq);
+  sub.close();
+  assert.equal(await sub.closed, null);
+});
+
+test('types narrow the channels', async () => {
+  const { sub, events } = await subscribe({ channels: '*', types: ['session.replaced'] });
+  emitEvent('session.created', { username: 'hal' });
+  const replaced = emitEvent('session.replaced', { username: 'hal', fileId: 'f2', replacedBy: 'f3', ip: '10.0.0.9' });
+  await until(() => events.length === 1);
+  assert.deepEqual(events[0], replaced);
+  sub.close();
+});
+
+test('replays the events missed after a seq, with a gap past the replay window', async () => {
+  const start = emitEvent('session.created', { username: 'ivy' }).seq;
+  emitEvent('session.ended', { username: 'ivy' });
+  emitEvent('stats.updated', { username: 'ivy' });
+
+  const resumed = await subscribe({ channels: 'sessions', after: start });
+  assert.equal(resumed.info.replayed, 1);
+  assert.deepEqual(summary(resumed.events), ['session.ended:ivy']);
+  assert.deepEqual(resumed.gaps, []);
+  resumed.sub.close();
+
+  emitEvent('session.revoked', { username: 'ivy' });
+  const late = await subscribe({ channels: 'user:ivy', after: start - 1 });
+  assert.deepEqual(late.gaps, [{ after: start - 1, resumedAfter: start + 1 }]);
+  assert.deepEqual(summary(late.events), ['stats.updated:ivy', 'session.revoked:ivy']);
+  late.sub.close();
+});
+
+test('refuses unknown channels, missing keys and too many streams per key', async () => {
+  const request = (query, headers = {}) => fetch(`${t.url}/notifications?${query}`, { headers });
+  const unknown = await request('channels=everything', { 'X-Api-Key': operatorKey });
+  assert.equal(unknown.status, 400);
+  assert.equal((await unknown.json()).error.code, 'invalid_request');
+  assert.equal((await request('channels=sessions')).status, 401);
+
+  const apiKey = gameServerKey;
+  const open = [await subscribe({ channels: 'sessions' }, { apiKey }), await subscribe({ channels: 'stats' }, { apiKey })];
+  const third = await request('channels=users', { 'X-Api-Key': apiKey });
+  assert.equal(third.status, 429);
+  assert.equal((await third.json()).error.code, 'rate_limited');
+  for (const { sub } of open) sub.close();
+});
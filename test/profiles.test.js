@@ -0,0 +1,124 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+
+// Read when the backend is loaded: limits low enough to reach in a few requests
+Object.assign(process.env, {
+  RATE_LIMIT_PROFILE_USERNAME_LIMIT: '6',
+  RATE_LIMIT_PROFILE_ANCHOR_USERNAME_LIMIT: '2',
+});
+const { startTestServer } = await import('./support/testServer.js');
+const { waitForTx } = await import('../backend/networks.js');
+const { contractAbi } = await import('../backend/contractVersions.js');
+
+let t;
+before(async () => {
+  t = await startTestServer();
+});
+after(() => t?.close());
+
+async function registeredPlayer(username) {
+  const wallet = ethers.Wallet.createRandom();
+  const loggedIn = await t.login(username, wallet);
+  assert.equal(loggedIn.status, 200, JSON.stringify(loggedIn.body));
+  const registration = await t.waitForRegistration(username);
+  return { wallet, sessionToken: loggedIn.body.sessionToken, contractAddress: registration.contractAddress };
+}
+
+// keccak256 of the canonical JSON, keys sorted at every level
+function expectedHash(profile) {
+  const canonical = (value) => (value && typeof value === 'object'
+    ? `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`
+    : JSON.stringify(value));
+  return ethers.id(canonical(profile));
+}
+
+test('profile patches are checked against the route schema and the field rules', async () => {
+  const { sessionToken } = await registeredPlayer('nina');
+
+  const missing = await t.request('PATCH', '/user/nina', { profile: { displayName: 'Nina' } });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error.code, 'invalid_request');
+  assert.ok(missing.body.error.details.errors.some((e) => /sessionToken/.test(JSON.stringify(e))), JSON.stringify(missing.body));
+
+  const notAnObject = await t.request('PATCH', '/user/nina', { sessionToken, profile: 'Nina' });
+  assert.equal(notAnObject.status, 400);
+  assert.ok(notAnObject.body.error.details.errors.length > 0);
+
+  const unknown = await t.request('PATCH', '/user/nina', { sessionToken, profile: { nickname: 'Nina' } });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error.code, 'invalid_request');
+  assert.match(unknown.body.error.message, /Unknown profile field "nickname"/);
+
+  const badCountry = await t.request('PATCH', '/user/nina', { sessionToken, profile: { country: 'ZZ' } });
+  assert.equal(badCountry.status, 400);
+  assert.match(badCountry.body.error.message, /country/);
+  assert.deepEqual((await t.request('GET', '/user/nina/profile')).body.profile, {}, 'nothing stored by refused patches');
+
+  const updated = await t.request('PATCH', '/user/nina', { sessionToken, profile: { displayName: ' Nina ', country: 'de', socials: { github: 'nina' } } });
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+  const profile = { displayName: 'Nina', country: 'DE', socials: { github: 'nina' } };
+  assert.deepEqual(updated.body.profile, profile);
+  assert.equal(updated.body.contentHash, expectedHash(profile));
+  assert.equal(updated.body.anchor, null);
+
+  const removed = await t.request('PATCH', '/user/nina', { sessionToken, profile: { socials: null } });
+  assert.deepEqual(removed.body.profile, { displayName: 'Nina', country: 'DE' });
+});
+
+test('profile updates are limited per username', async () => {
+  const olga = await registeredPlayer('olga');
+  const paul = await registeredPlayer('paul');
+  for (let i = 0; i < 6; i++) {
+    const ok = await t.request('PATCH', '/user/olga', { sessionToken: olga.sessionToken, profile: { bio: `take ${i}` } });
+    assert.equal(ok.status, 200, JSON.stringify(ok.body));
+  }
+  const limited = await t.request('PATCH', '/user/olga', { sessionToken: olga.sessionToken, profile: { bio: 'one more' } });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error.code, 'rate_limited');
+  assert.ok(Number(limited.body.error.details.retryAfter) > 0);
+  assert.equal((await t.request('GET', '/user/olga/profile')).body.profile.bio, 'take 5');
+
+  const other = await t.request('PATCH', '/user/paul', { sessionToken: paul.sessionToken, profile: { bio: 'still allowed' } });
+  assert.equal(other.status, 200, JSON.stringify(other.body));
+});
+
+test('anchoring stores the content hash in the player contract, a limited number of times', async () => {
+  const { wallet, sessionToken, contractAddress } = await registeredPlayer('pete');
+  const contract = new ethers.Contract(contractAddress, contractAbi('PlayerData'), t.provider);
+
+  const anchored = async (displayName) => {
+    const res = await t.request('PATCH', '/user/pete', { sessionToken, profile: { displayName }, anchor: true });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.anchor.status, 'pending');
+    assert.equal(res.body.anchor.hash, res.body.contentHash);
+    await waitForTx(res.body.anchor.txId, 'confirmed');
+    return res.body.contentHash;
+  };
+
+  const first = await anchored('Pete');
+  assert.equal(first, expectedHash({ displayName: 'Pete' }));
+  assert.equal(await contract.profileHashes(wallet.address), first);
+  let { anchor } = (await t.request('GET', '/user/pete/profile')).body;
+  for (let i = 0; i < 50 && anchor.status === 'pending'; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    ({ anchor } = (await t.request('GET', '/user/pete/profile')).body);
+  }
+  assert.equal(anchor.status, 'anchored');
+  assert.equal(anchor.current, true);
+  assert.ok(anchor.txHash);
+
+  const second = await anchored('Peter');
+  assert.equal(await contract.profileHashes(wallet.address), second);
+
+  const limited = await t.request('PATCH', '/user/pete', { sessionToken, profile: { displayName: 'Pete the Third' }, anchor: true });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error.code, 'rate_limited');
+  assert.equal((await t.request('GET', '/user/pete/profile')).body.profile.displayName, 'Peter', 'a refused anchor does not save the patch');
+
+  // Unanchored updates are still allowed; the anchor then no longer matches the profile
+  const unanchored = await t.request('PATCH', '/user/pete', { sessionToken, profile: { displayName: 'Pete the Third' } });
+  assert.equal(unanchored.status, 200, JSON.stringify(unanchored.body));
+  assert.equal(unanchored.body.anchor.current, false);
+  assert.equal(await contract.profileHashes(wallet.address), second);
+});
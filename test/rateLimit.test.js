@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+
+// Read when the backend is loaded: low limits, and X-Forwarded-For from the loopback test client
+// stands for the client ip. The lockout is kept out of the way of the login limit.
+Object.assign(process.env, {
+  TRUSTED_PROXIES: 'loopback',
+  RATE_LIMIT_TOKEN_CLIENT_USERNAME_LIMIT: '2',
+  RATE_LIMIT_TOKEN_USERNAME_LIMIT: '3',
+  RATE_LIMIT_TOKEN_IP_LIMIT: '4',
+  RATE_LIMIT_LOGIN_CLIENT_USERNAME_LIMIT: '2',
+  RATE_LIMIT_LOGIN_USERNAME_LIMIT: '3',
+  LOGIN_LOCKOUT_THRESHOLD: '100',
+});
+const { startTestServer } = await import('./support/testServer.js');
+
+let t;
+before(async () => {
+  t = await startTestServer();
+});
+after(() => t?.close());
+
+const from = (ip) => ({ 'X-Forwarded-For': ip });
+
+test('token requests for a username from one client do not use up other clients\' budget', async () => {
+  const attacker = from('10.0.0.1');
+  assert.equal((await t.request('GET', '/token?username=victim', undefined, attacker)).status, 200);
+  assert.equal((await t.request('GET', '/token?username=victim', undefined, attacker)).status, 200);
+  const limited = await t.request('GET', '/token?username=victim', undefined, attacker);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error.code, 'rate_limited');
+
+  assert.equal((await t.request('GET', '/token?username=victim', undefined, from('10.0.0.2'))).status, 200);
+});
+
+test('the per-ip token limit still applies across usernames', async () => {
+  const client = from('10.0.0.3');
+  for (const username of ['u1', 'u2', 'u3', 'u4']) {
+    assert.equal((await t.request('GET', `/token?username=${username}`, undefined, client)).status, 200);
+  }
+  assert.equal((await t.request('GET', '/token?username=u5', undefined, client)).status, 429);
+});
+
+const loginAttempt = (username, ip) => t.request('POST', '/login', {
+  username, token: 'not-a-token', address: ethers.Wallet.createRandom().address, signature: `0x${'11'.repeat(65)}`,
+}, from(ip));
+
+test('failed logins for a username from one client do not rate limit its owner', async () => {
+  const attempt = (ip) => loginAttempt('target', ip);
+  assert.equal((await attempt('10.0.1.1')).status, 401);
+  assert.equal((await attempt('10.0.1.1')).status, 401);
+  assert.equal((await attempt('10.0.1.1')).status, 429);
+
+  const owner = await attempt('10.0.1.2');
+  assert.equal(owner.status, 401);
+  assert.equal(owner.body.error.code, 'token_invalid');
+});
+
+test('requests for one username spread over many ips still hit the per-username limit', async () => {
+  for (const ip of ['10.0.2.1', '10.0.2.2', '10.0.2.3']) {
+    assert.equal((await t.request('GET', '/token?username=spread', undefined, from(ip))).status, 200);
+    assert.equal((await loginAttempt('spread', ip)).status, 401);
+  }
+  const token = await t.request('GET', '/token?username=spread', undefined, from('10.0.2.4'));
+  assert.equal(token.status, 429);
+  assert.equal(token.body.error.code, 'rate_limited');
+  assert.equal((await loginAttempt('spread', '10.0.2.4')).status, 429);
+
+  // No lockout: other usernames from those ips are unaffected
+  assert.equal((await t.request('GET', '/token?username=other', undefined, from('10.0.2.4'))).status, 200);
+});
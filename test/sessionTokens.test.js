@@ -0,0 +1,49 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase, useDatabase } from '../backend/datastore.js';
+import { issueSessionToken, verifySessionToken, getJwks, rotateSigningKey } from '../backend/sessionTokens.js';
+
+let db;
+before(() => {
+  db = useDatabase(openDatabase(':memory:'));
+});
+after(() => db.close());
+
+const claimsOf = (token) => JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+const session = { username: 'alice', fileId: 'file-1', ip: '203.0.113.7' };
+
+test('a device-bound token stays bound to its ip and only carries a hash of the device id', () => {
+  const { token } = issueSessionToken({ ...session, deviceId: 'console-42' });
+  const claims = claimsOf(token);
+  assert.equal(claims.ip, '203.0.113.7');
+  assert.ok(claims.did);
+  assert.ok(!token.includes('console-42') && !JSON.stringify(claims).includes('console-42'));
+
+  assert.equal(verifySessionToken(token, { ip: '203.0.113.7', deviceId: 'console-42' }).valid, true);
+  assert.equal(verifySessionToken(token, { ip: '198.51.100.9', deviceId: 'console-42' }).reason, 'ip_mismatch');
+  assert.equal(verifySessionToken(token, { ip: '203.0.113.7', deviceId: 'console-43' }).reason, 'device_mismatch');
+  assert.equal(verifySessionToken(token, { ip: '203.0.113.7' }).reason, 'device_mismatch');
+
+  // A device id does not stand in for the ip of a token bound to none
+  const ipOnly = issueSessionToken(session).token;
+  assert.equal(verifySessionToken(ipOnly, { ip: '198.51.100.9', deviceId: 'console-42' }).reason, 'ip_mismatch');
+});
+
+test('keys live in the datastore and rotated keys keep validating their tokens', () => {
+  const { token } = issueSessionToken(session);
+  const { kid, retired } = rotateSigningKey();
+  assert.equal(retired, JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8')).kid);
+  assert.deepEqual(getJwks().keys.map((k) => k.kid).sort(), [kid, retired].sort());
+  assert.equal(db.prepare('SELECT count(*) FROM session_keys WHERE retired_at IS NULL').pluck().get(), 1);
+  assert.equal(verifySessionToken(token, { ip: session.ip }).valid, true);
+
+  // Another database has a keyring of its own
+  const other = useDatabase(openDatabase(':memory:'));
+  try {
+    assert.equal(verifySessionToken(token, { ip: session.ip }).reason, 'unknown_key');
+  } finally {
+    useDatabase(db);
+    other.close();
+  }
+  assert.equal(verifySessionToken(token, { ip: session.ip }).valid, true);
+});
@@ -0,0 +1,100 @@
+import http from 'node:http';
+import { randomUUID, randomBytes } from 'node:crypto';
+
+/*
+ * In-process stand-in for Arkacdn, covering what backend/sessionStores/arkacdnStore.js calls:
+ *   POST /auth/refresh      { refreshToken } -> { accessToken }
+ *   POST /upload/plain      { data, filename, description } -> { data: { fileId } }
+ *   GET  /upload/:id        the uploaded content as stored
+ *   GET  /upload/:id/json   { data: { fileId, data: <content parsed as JSON> } }
+ * Uploads and reads need `Authorization: Bearer <accessToken>` with a token issued by /auth/refresh
+ * (or the `accessToken` option). expireAccessTokens() revokes every issued token, to exercise the
+ * store's refresh-and-retry path.
+ */
+
+/**
+ * @param {{ refreshToken?:string, accessToken?:string, port?:number, host?:string }} [options]
+ * @returns {Promise<{ url:string, refreshToken:string, uploads:Map<string, Object>, requests:Array<Object>, expireAccessTokens():void, close():Promise<void> }>}
+ */
+async function createArkacdnStub(options = {}) {
+  const refreshToken = options.refreshToken ?? `refresh-${randomBytes(8).toString('hex')}`;
+  const accessTokens = new Set(options.accessToken ? [options.accessToken] : []);
+  const uploads = new Map(); // fileId -> { fileId, filename, description, content, uploadedAt }
+  const requests = []; // { method, path, authorized }
+
+  function send(res, status, body, contentType = 'application/json') {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  }
+
+  async function readJson(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString('utf8');
+    return text ? JSON.parse(text) : {};
+  }
+
+  async function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://arkacdn');
+    const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1];
+    const authorized = Boolean(bearer && accessTokens.has(bearer));
+    requests.push({ method: req.method, path: pathname, authorized });
+
+    if (req.method === 'POST' && pathname === '/auth/refresh') {
+      const body = await readJson(req);
+      if (body.refreshToken !== refreshToken) return send(res, 401, { success: false, message: 'Invalid refresh token' });
+      const accessToken = randomBytes(16).toString('hex');
+      accessTokens.add(accessToken);
+      return send(res, 200, { success: true, accessToken });
+    }
+
+    if (!authorized) return send(res, 401, { success: false, message: 'Unauthorized' });
+
+    if (req.method === 'POST' && pathname === '/upload/plain') {
+      const body = await readJson(req);
+      if (typeof body.data !== 'string') return send(res, 400, { success: false, message: 'data must be a string' });
+      const fileId = randomUUID();
+      uploads.set(fileId, { fileId, filename: body.filename ?? null, description: body.description ?? null, content: body.data, uploadedAt: new Date().toISOString() });
+      return send(res, 201, { success: true, data: { fileId, filename: body.filename ?? null, size: Buffer.byteLength(body.data) } });
+    }
+
+    const match = /^\/upload\/([^/]+)(\/json)?$/.exec(pathname);
+    if (req.method === 'GET' && match) {
+      const upload = uploads.get(decodeURIComponent(match[1]));
+      if (!upload) return send(res, 404, { success: false, message: 'File not found' });
+      if (!match[2]) return send(res, 200, upload.content, 'text/plain');
+      let data;
+      try {
+        data = JSON.parse(upload.content);
+      } catch (err) {
+        return send(res, 400, { success: false, message: 'File is not JSON' });
+      }
+      return send(res, 200, { success: true, data: { fileId: upload.fileId, data } });
+    }
+
+    return send(res, 404, { success: false, message: `No route for ${req.method} ${pathname}` });
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((err) => send(res, 500, { success: false, message: err?.message || String(err) }));
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? 0, options.host ?? '127.0.0.1', resolve);
+  });
+  const { address, port } = server.address();
+
+  return {
+    url: `http://${address}:${port}`,
+    refreshToken,
+    uploads,
+    requests,
+    expireAccessTokens: () => accessTokens.clear(),
+    close: () => new Promise((resolve, reject) => {
+      server.closeAllConnections();
+      server.close((err) => (err ? reject(err) : resolve()));
+    }),
+  };
+}
+
+export { createArkacdnStub };
@@ -0,0 +1,96 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import hre from 'hardhat';
+import { ethers } from 'ethers';
+import { createApp, stopWorkers } from '../../server.js';
+import { openDatabase } from '../../backend/datastore.js';
+import { createSessionStore } from '../../backend/sessionStore.js';
+import { createArkacdnStub } from './arkacdnStub.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// First Hardhat dev account: funded on the in-process network
+const HARDHAT_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+// Second dev account, for networks that must not share the first one's nonces
+const HARDHAT_SECOND_PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const ARTIFACT = path.join(__dirname, '..', '..', 'artifacts', 'contracts', 'PlayerContract.sol', 'PlayerData.json');
+
+const REGISTRATION_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Serve the API on a free port against Hardhat's in-process network, the Arkacdn stub and a ':memory:'
+ * database.
+ * @param {{ network?:Object, networks?:Object<string, Object> }} [options] network: config merged into the `hardhat`
+ *   network (e.g. registryAddress); networks: more networks on the same chain (give them their own privateKey)
+ * @returns {Promise<{ url:string, app:import('express').Express, provider:ethers.BrowserProvider, arkacdn:Object, request:Function, login:Function, waitForRegistration:Function, close():Promise<void> }>}
+ *   `request(method, path, body?, headers?)` resolves { status, body }; `login(username, wallet)` runs
+ *   token -> challenge -> /login and resolves the /login response; `waitForRegistration(username)` resolves
+ *   the registration once ready
+ */
+async function startTestServer({ network = {}, networks = {} } = {}) {
+  if (!fs.existsSync(ARTIFACT)) throw new Error(`Contract artifacts not found at ${ARTIFACT}. Run npm run compile first.`);
+
+  // cacheTimeout -1 as for JSON-RPC networks: the tx queue reads fresh pending nonces
+  const provider = new ethers.BrowserProvider(hre.network.provider, 31337, { cacheTimeout: -1 });
+  const arkacdn = await createArkacdnStub();
+  const db = openDatabase(':memory:');
+
+  const app = createApp({
+    db,
+    networks: {
+      networks: {
+        hardhat: { chainId: 31337, provider, privateKey: HARDHAT_PRIVATE_KEY, ...network },
+        ...Object.fromEntries(Object.entries(networks).map(([name, config]) => [name, { chainId: 31337, provider, ...config }])),
+      },
+    },
+    sessionStore: createSessionStore('arkacdn', { url: arkacdn.url, refreshToken: arkacdn.refreshToken, db }),
+  });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, route, body, headers = {}) {
+    const res = await fetch(`${url}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  async function login(username, wallet) {
+    const token = await request('GET', `/token?username=${username}`);
+    if (token.status !== 200) throw new Error(`GET /token: ${JSON.stringify(token.body)}`);
+    const challenge = await request('POST', '/login/challenge', { token: token.body.token, address: wallet.address });
+    if (challenge.status !== 200) throw new Error(`POST /login/challenge: ${JSON.stringify(challenge.body)}`);
+    const signature = await wallet.signMessage(challenge.body.message);
+    return request('POST', '/login', { username, token: token.body.token, address: wallet.address, signature });
+  }
+
+  async function waitForRegistration(username) {
+    const deadline = Date.now() + REGISTRATION_TIMEOUT_MS;
+    for (;;) {
+      const { status, body } = await request('GET', `/registration/${username}`);
+      if (status !== 200) throw new Error(`GET /registration/${username}: ${JSON.stringify(body)}`);
+      if (body.status === 'ready') return body;
+      if (body.error) throw new Error(`registration stopped: ${JSON.stringify(body.error)}`);
+      if (Date.now() >= deadline) throw new Error(`registration still ${body.status}`);
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    stopWorkers();
+    await arkacdn.close();
+    db.close();
+  }
+
+  return { url, app, provider, arkacdn, request, login, waitForRegistration, close };
+}
+
+export { startTestServer, HARDHAT_PRIVATE_KEY, HARDHAT_SECOND_PRIVATE_KEY };
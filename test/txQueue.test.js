@@ -0,0 +1,151 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import hre from 'hardhat';
+import { ethers } from 'ethers';
+import { openDatabase } from '../backend/datastore.js';
+
+// Short timings, read when txQueue.js is loaded (testServer.js loads it too)
+Object.assign(process.env, {
+  TX_BATCH_WINDOW_MS: '0',
+  TX_POLL_INTERVAL_MS: '50',
+  TX_STUCK_AFTER_MS: '0',
+  TX_MAX_FEE_BUMPS: '2',
+  TX_MAX_SEND_RETRIES: '2',
+  TX_RETRY_BASE_MS: '20',
+});
+const { createTxQueue, listActiveTxQueues } = await import('../backend/txQueue.js');
+const { HARDHAT_PRIVATE_KEY } = await import('./support/testServer.js');
+
+const WAIT_MS = 20 * 1000;
+
+// Fails its next broadcasts with the queued ethers error codes. `lost` ones reach the chain but fail
+// all the same, like a process stopping before it records the send.
+class FlakyProvider extends ethers.BrowserProvider {
+  failures = [];
+
+  async broadcastTransaction(signedTx) {
+    const code = this.failures.shift();
+    if (code === 'lost') {
+      await super.broadcastTransaction(signedTx);
+      throw ethers.makeError('injected lost response', 'NETWORK_ERROR');
+    }
+    if (code) throw ethers.makeError('injected send failure', code);
+    return super.broadcastTransaction(signedTx);
+  }
+}
+
+let db;
+let provider;
+let signer;
+before(() => {
+  db = openDatabase(':memory:');
+  provider = new FlakyProvider(hre.network.provider, 31337, { cacheTimeout: -1 });
+  signer = new ethers.Wallet(HARDHAT_PRIVATE_KEY, provider);
+});
+after(() => db.close());
+
+const call = (label) => ({ to: ethers.Wallet.createRandom().address, data: '0x', label });
+
+test('merges queued stat writes for the same player into one confirmed tx', async () => {
+  const queue = createTxQueue({ signer, name: 'merge', db });
+  const to = ethers.Wallet.createRandom().address;
+  const target = { address: ethers.Wallet.createRandom().address };
+  const kills = ethers.id('kills');
+  const first = queue.enqueueStats({ to, op: 'increment', target, stats: { [kills]: 2n } });
+  const second = queue.enqueueStats({ to, op: 'increment', target, stats: { [kills]: 3n } });
+
+  const merged = await queue.waitFor(second.id, 'confirmed', WAIT_MS);
+  await queue.stop();
+  const sent = queue.get(first.id);
+  assert.equal(sent.status, 'confirmed');
+  assert.equal(sent.stats.values[kills], '5');
+  assert.deepEqual(sent.mergedIds, [second.id]);
+  assert.equal(merged.mergedInto, first.id);
+  assert.equal(merged.hash, sent.hash);
+});
+
+test('retries transient send errors with backoff, keeping later jobs behind', async () => {
+  const queue = createTxQueue({ signer, name: 'retry', db });
+  provider.failures.push('NETWORK_ERROR');
+  const first = queue.enqueue(call('first'));
+  const second = queue.enqueue(call('second'));
+
+  const [a, b] = await Promise.all([first, second].map((job) => queue.waitFor(job.id, 'confirmed', WAIT_MS)));
+  assert.equal(a.sendRetries, 1);
+  assert.equal(a.error, null);
+  assert.ok(a.nonce < b.nonce, 'the job sent after the retry keeps its place');
+
+  provider.failures.push('TIMEOUT', 'TIMEOUT', 'TIMEOUT');
+  const doomed = queue.enqueue(call('doomed'));
+  await assert.rejects(queue.waitFor(doomed.id, 'confirmed', WAIT_MS), /injected send failure/);
+  await queue.stop();
+  assert.equal(queue.get(doomed.id).sendRetries, 2);
+});
+
+test('a tx broadcast before its job was recorded as sent is found by hash, not sent again', async () => {
+  const queue = createTxQueue({ signer, name: 'crash', db });
+  const nonce = await provider.getTransactionCount(signer.address, 'pending');
+  provider.failures.push('lost');
+  const job = queue.enqueue(call('lost'));
+  await queue.stop();
+  await queue.tick();
+  const stranded = queue.get(job.id);
+  assert.equal(stranded.status, 'queued');
+  assert.match(stranded.error, /injected lost response/);
+
+  // Restart on the same datastore: the tx mined meanwhile is picked up, with its receipt, in one tick
+  const restarted = createTxQueue({ signer, name: 'crash', db });
+  await restarted.tick();
+  await restarted.stop();
+  const resumed = restarted.get(job.id);
+  assert.equal(resumed.status, 'confirmed');
+  assert.equal(resumed.nonce, nonce);
+  assert.equal(resumed.hashes.length, 1);
+  assert.equal(await provider.getTransactionCount(signer.address, 'pending'), nonce + 1);
+});
+
+test('fails txs that revert while estimating gas without retrying', async () => {
+  const queue = createTxQueue({ signer, name: 'revert', db });
+  // INVALID opcode as init code
+  const job = queue.enqueue({ data: '0xfe', label: 'broken deploy' });
+  await assert.rejects(queue.waitFor(job.id, 'confirmed', WAIT_MS), /failed/);
+  await queue.stop();
+  assert.equal(queue.get(job.id).sendRetries, undefined);
+});
+
+test('gives up on a tx still unmined after the last fee bump', async () => {
+  const queue = createTxQueue({ signer, name: 'stuck', db });
+  await provider.send('evm_setAutomine', [false]);
+  try {
+    const job = queue.enqueue(call('stuck'));
+    await assert.rejects(queue.waitFor(job.id, 'confirmed', WAIT_MS), /not mined after 2 fee bumps/);
+    const failed = queue.get(job.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.hashes.length, 3);
+    assert.ok(!listActiveTxQueues(db).includes('stuck'));
+  } finally {
+    await queue.stop();
+    await provider.send('evm_setAutomine', [true]);
+    await provider.send('evm_mine', []);
+  }
+});
+
+test('resumes unfinished jobs from the datastore and prunes them once finished', async () => {
+  const queue = createTxQueue({ signer, name: 'resumed', db });
+  const { id } = queue.enqueue(call('before restart'));
+  await queue.stop();
+  assert.ok(listActiveTxQueues(db).includes('resumed'));
+
+  const restarted = createTxQueue({ signer, name: 'resumed', db });
+  assert.equal(restarted.get(id).status, 'queued');
+  restarted.start();
+  await restarted.waitFor(id, 'confirmed', WAIT_MS);
+  await restarted.stop();
+
+  const reopened = createTxQueue({ signer, name: 'resumed', db });
+  assert.equal(reopened.get(id).status, 'confirmed');
+  assert.equal(reopened.prune(), 0);
+  db.prepare('UPDATE tx_jobs SET updated_at = ? WHERE id = ?').run('2000-01-01T00:00:00.000Z', id);
+  assert.equal(reopened.prune(), 1);
+  assert.equal(reopened.get(id), null);
+});
@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { openDatabase, useDatabase } from '../backend/datastore.js';
+import { createToken } from '../backend/sessionManager.js';
+import { resolveVerifier, createChallenge, verifyChallenge, createTokenRequestMessage, verifyTokenRequest } from '../backend/walletAuth.js';
+
+// Alice's well-known dev account (sr25519)
+const POLKADOT_ADDRESS = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+
+let db;
+before(() => {
+  db = useDatabase(openDatabase(':memory:'));
+});
+after(() => db.close());
+
+test('EVM addresses are checksummed, whatever their case', async () => {
+  const address = ethers.Wallet.createRandom().address;
+  for (const input of [address, address.toLowerCase(), `0x${address.slice(2).toUpperCase()}`]) {
+    const resolved = await resolveVerifier(input);
+    assert.equal(resolved.kind, 'evm');
+    assert.equal(resolved.address, address);
+  }
+});
+
+test('an EVM address with a bad checksum is rejected instead of becoming a Polkadot identifier', async () => {
+  const address = ethers.Wallet.createRandom().address;
+  // Flip the case of the first letter: mixed case that no longer matches EIP-55
+  const i = address.slice(2).search(/[a-fA-F]/) + 2;
+  const flipped = address.slice(0, i) + (address[i] === address[i].toLowerCase() ? address[i].toUpperCase() : address[i].toLowerCase()) + address.slice(i + 1);
+  assert.equal(ethers.isAddress(flipped), false);
+  assert.equal(await resolveVerifier(flipped), null);
+  await assert.rejects(createChallenge(createToken('mallory'), flipped), /Unsupported address format/);
+});
+
+test('Polkadot SS58 addresses resolve to the polkadot verifier', async () => {
+  const resolved = await resolveVerifier(POLKADOT_ADDRESS);
+  assert.equal(resolved.kind, 'polkadot');
+});
+
+test('a signed challenge verifies once', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const token = createToken('alice');
+  const { message } = await createChallenge(token, wallet.address);
+  const signature = await wallet.signMessage(message);
+  assert.deepEqual(await verifyChallenge(token, wallet.address, signature), { verified: true, address: wallet.address, kind: 'evm' });
+  assert.equal((await verifyChallenge(token, wallet.address, signature)).reason, 'no_challenge');
+});
+
+test('a signed token request is accepted once, whatever the signature encoding', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const { message, issuedAt } = await createTokenRequestMessage('dave', wallet.address);
+  const signature = await wallet.signMessage(message);
+  const { compactSerialized } = ethers.Signature.from(signature);
+  assert.equal(ethers.verifyMessage(message, compactSerialized), wallet.address);
+
+  assert.equal((await verifyTokenRequest('dave', wallet.address, signature, issuedAt)).verified, true);
+  for (const replay of [signature, `0x${signature.slice(2).toUpperCase()}`, compactSerialized]) {
+    assert.equal((await verifyTokenRequest('dave', wallet.address, replay, issuedAt)).reason, 'replayed');
+  }
+});
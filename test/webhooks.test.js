@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { openDatabase, useDatabase } from '../backend/datastore.js';
+
+// Read when webhooks.js is loaded: two attempts, retried after about a millisecond
+Object.assign(process.env, { WEBHOOK_MAX_ATTEMPTS: '2', WEBHOOK_BACKOFF_BASE_MS: '1' });
+const { createWebhook, disableWebhook, listDeliveries, retryDelivery, signPayload, dispatchOnce } = await import('../backend/webhooks.js');
+const { emitEvent, listEvents } = await import('../backend/events.js');
+
+let db;
+let receiver;
+let url;
+// Requests received, and the status the receiver answers with
+const received = [];
+let replyStatus = 200;
+
+before(async () => {
+  db = useDatabase(openDatabase(':memory:'));
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(replyStatus).end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+after(async () => {
+  await new Promise((resolve) => receiver.close(resolve));
+  db.close();
+});
+
+test('delivers subscribed events once, signed with the webhook secret', async () => {
+  received.length = 0;
+  const hook = createWebhook({ url, eventTypes: ['session.*'] });
+  const event = emitEvent('session.created', { username: 'ana', fileId: 'f1' });
+  emitEvent('stats.updated', { username: 'ana' });
+
+  assert.equal(await dispatchOnce(), 1);
+  assert.equal(await dispatchOnce(), 0);
+  assert.equal(received.length, 1);
+  const [{ headers, body }] = received;
+  assert.equal(headers['x-ogp-event'], 'session.created');
+  const timestamp = Number(/^t=(\d+),/.exec(headers['x-ogp-signature'])[1]);
+  assert.equal(headers['x-ogp-signature'], signPayload(hook.secret, body, timestamp));
+  assert.deepEqual(JSON.parse(body), { id: event.id, seq: event.seq, type: 'session.created', subject: 'ana', createdAt: event.createdAt, data: { username: 'ana', fileId: 'f1' } });
+
+  const [delivery] = listDeliveries({ webhookId: hook.id });
+  assert.equal(delivery.id, headers['x-ogp-delivery']);
+  assert.equal(delivery.status, 'delivered');
+  disableWebhook(hook.id);
+});
+
+test('retries failed deliveries, dead-letters them and requeues them on demand', async () => {
+  received.length = 0;
+  replyStatus = 500;
+  const hook = createWebhook({ url, eventTypes: ['stats.updated'] });
+  emitEvent('stats.updated', { username: 'ben' });
+
+  await dispatchOnce();
+  let [delivery] = listDeliveries({ webhookId: hook.id });
+  assert.deepEqual([delivery.status, delivery.attempts, delivery.lastError], ['pending', 1, 'HTTP 500']);
+  await sleep(10);
+  await dispatchOnce();
+  [delivery] = listDeliveries({ webhookId: hook.id });
+  assert.deepEqual([delivery.status, delivery.attempts], ['dead', 2]);
+  assert.equal(received.length, 2);
+
+  replyStatus = 200;
+  assert.equal(retryDelivery(delivery.id).status, 'pending');
+  assert.equal(retryDelivery(delivery.id), null, 'only dead-lettered deliveries are requeued');
+  await dispatchOnce();
+  [delivery] = listDeliveries({ webhookId: hook.id });
+  assert.deepEqual([delivery.status, delivery.attempts, delivery.lastError], ['delivered', 1, null]);
+  disableWebhook(hook.id);
+});
+
+test('a disabled webhook drops its pending deliveries and gets no new ones', async () => {
+  received.length = 0;
+  const hook = createWebhook({ url });
+  emitEvent('identifier.linked', { username: 'cai' });
+  assert.ok(disableWebhook(hook.id).disabledAt);
+  assert.equal(disableWebhook(hook.id), null);
+  emitEvent('identifier.linked', { username: 'cai' });
+
+  assert.equal(await dispatchOnce(), 0);
+  assert.deepEqual(listDeliveries({ webhookId: hook.id }), []);
+  assert.equal(received.length, 0);
+});
+
+test('refuses webhook urls and event patterns it cannot deliver', () => {
+  assert.throws(() => createWebhook({ url: 'ftp://example.com/hook' }), /absolute http\(s\) URL/);
+  assert.throws(() => createWebhook({ url, eventTypes: ['Session created'] }), /eventTypes/);
+});
+
+test('the event log pages by seq and filters by type pattern and subject', () => {
+  const first = emitEvent('profile.updated', { username: 'dia' });
+  emitEvent('profile.anchored', { username: 'dia' });
+  emitEvent('profile.updated', { username: 'eli' });
+
+  const types = (filter) => listEvents({ after: first.seq - 1, ...filter }).map((e) => `${e.type}:${e.subject}`);
+  assert.deepEqual(types({ type: 'profile.*' }), ['profile.updated:dia', 'profile.anchored:dia', 'profile.updated:eli']);
+  assert.deepEqual(types({ type: 'profile.updated' }), ['profile.updated:dia', 'profile.updated:eli']);
+  assert.deepEqual(types({ subject: 'dia', limit: 1 }), ['profile.updated:dia']);
+  assert.deepEqual(listEvents({ after: first.seq, subject: 'dia' }).map((e) => e.type), ['profile.anchored']);
+});